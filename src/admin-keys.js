@@ -0,0 +1,185 @@
+import { sha256Hex, timingSafeEqual, randomToken } from './crypto.js';
+import { UnauthorizedError, ForbiddenError, NotConfiguredError, ValidationError, NotFoundError } from './errors.js';
+
+// ==== ADMIN API KEYS ====
+//
+// Admin routes take `Authorization: Bearer <key>`. Keys look like
+//
+//   sta_<keyId>_<secret>
+//
+// and only the SHA-256 of the whole key is stored, in the ADMIN_KEYS KV
+// namespace as `key/<keyId>` -> { id, name, scopes, shops, keyHash,
+// createdAt, createdBy, revokedAt }. The plaintext is shown once, when the
+// key is created. `shops` limits a key to some stores; null means all.
+//
+// The first key has to come from somewhere: ADMIN_ROOT_KEY_HASH is the
+// SHA-256 (hex) of a key you generate yourself, and that key has every scope
+// on every store. Use it to create scoped keys, then keep it offline.
+
+export const ADMIN_SCOPES = [
+  'orders:read',   // full order status and tracking without the customer's proof
+  'debug',         // raw order data (/debug)
+  'keys:manage'    // create, list and revoke admin keys
+];
+
+const KEY_PREFIX = 'sta';
+const KEY_PATTERN = /^sta_([0-9a-f]{12})_[0-9a-f]{48}$/;
+
+function invalidKey() {
+  return new UnauthorizedError('Invalid API key', 'The API key is not valid or has been revoked', 'INVALID_API_KEY');
+}
+
+// What a stored record shows to API callers
+function describeKey(record) {
+  const { keyHash, ...visible } = record;
+  return visible;
+}
+
+export class AdminKeyStore {
+  constructor(kv) {
+    this.kv = kv;
+  }
+
+  // Resolves to { key, record }; `key` is never stored
+  async create({ name, scopes, shops = null }, createdBy) {
+    const id = randomToken(6);
+    const key = `${KEY_PREFIX}_${id}_${randomToken(24)}`;
+    const record = {
+      id,
+      name,
+      scopes,
+      shops,
+      keyHash: await sha256Hex(key),
+      createdAt: new Date().toISOString(),
+      createdBy,
+      revokedAt: null
+    };
+    await this.kv.put(`key/${id}`, JSON.stringify(record));
+    return { key, record: describeKey(record) };
+  }
+
+  async get(id) {
+    return this.kv.get(`key/${id}`, 'json');
+  }
+
+  async list() {
+    const records = [];
+    let cursor;
+    do {
+      const page = await this.kv.list({ prefix: 'key/', cursor });
+      const batch = await Promise.all(page.keys.map(({ name }) => this.kv.get(name, 'json')));
+      records.push(...batch.filter(Boolean).map(describeKey));
+      cursor = page.list_complete ? null : page.cursor;
+    } while (cursor);
+    return records.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  // Revoked keys are kept so the list still shows who had access
+  async revoke(id) {
+    const record = await this.get(id);
+    if (!record) {
+      throw new NotFoundError('Key not found', `No admin key with id ${id}`, 'ADMIN_KEY_NOT_FOUND');
+    }
+    if (!record.revokedAt) {
+      record.revokedAt = new Date().toISOString();
+      await this.kv.put(`key/${id}`, JSON.stringify(record));
+    }
+    return describeKey(record);
+  }
+}
+
+export function getAdminKeyStore(env) {
+  return env.ADMIN_KEYS ? new AdminKeyStore(env.ADMIN_KEYS) : null;
+}
+
+function requireAdminKeyStore(env) {
+  const store = getAdminKeyStore(env);
+  if (!store) {
+    throw new NotConfiguredError(
+      'Admin keys not configured',
+      'Managing admin keys needs the ADMIN_KEYS KV namespace',
+      'ADMIN_API_NOT_CONFIGURED'
+    );
+  }
+  return store;
+}
+
+// The principal for a presented key: { id, name, scopes, shops }.
+// Throws UnauthorizedError for a missing, unknown or revoked key.
+export async function authenticateAdminKey(presented, env) {
+  const store = getAdminKeyStore(env);
+  if (!store && !env.ADMIN_ROOT_KEY_HASH) {
+    throw new NotConfiguredError(
+      'Admin API not configured',
+      'The admin API needs ADMIN_ROOT_KEY_HASH or the ADMIN_KEYS KV namespace',
+      'ADMIN_API_NOT_CONFIGURED'
+    );
+  }
+  if (!presented) {
+    throw new UnauthorizedError(
+      'Authentication required',
+      'Send an admin API key as Authorization: Bearer <key>',
+      'ADMIN_AUTH_REQUIRED'
+    );
+  }
+
+  const presentedHash = await sha256Hex(presented);
+
+  if (env.ADMIN_ROOT_KEY_HASH && timingSafeEqual(presentedHash, env.ADMIN_ROOT_KEY_HASH.trim().toLowerCase())) {
+    return { id: 'root', name: 'root', scopes: ADMIN_SCOPES, shops: null };
+  }
+
+  const match = presented.match(KEY_PATTERN);
+  const record = match && store ? await store.get(match[1]) : null;
+  if (!record || record.revokedAt || !timingSafeEqual(presentedHash, record.keyHash)) {
+    throw invalidKey();
+  }
+
+  return { id: record.id, name: record.name, scopes: record.scopes, shops: record.shops };
+}
+
+// Throws ForbiddenError unless `principal` has `scope` on `shop` (null: any store)
+export function assertAdminScope(principal, scope, shop) {
+  if (!principal.scopes.includes(scope)) {
+    throw new ForbiddenError(
+      'Insufficient scope',
+      `This API key does not have the ${scope} scope`,
+      'INSUFFICIENT_SCOPE'
+    );
+  }
+  if (principal.shops && (!shop || !principal.shops.includes(shop))) {
+    throw new ForbiddenError(
+      'Insufficient scope',
+      shop ? `This API key is not valid for ${shop}` : 'This action needs an API key that is valid for every store',
+      'INSUFFICIENT_SCOPE'
+    );
+  }
+}
+
+// A key can only hand out scopes it has itself. Key management is only
+// open to keys valid for every store, so shops need no such check.
+export async function createAdminKey({ name, scopes, shops = null }, principal, env) {
+  const store = requireAdminKeyStore(env);
+
+  if (new Set(scopes).size !== scopes.length) {
+    throw new ValidationError('Invalid scopes', 'scopes must not repeat', 'INVALID_SCOPES');
+  }
+  const missing = scopes.filter(scope => !principal.scopes.includes(scope));
+  if (missing.length > 0) {
+    throw new ForbiddenError(
+      'Insufficient scope',
+      `A key can't grant scopes it doesn't have: ${missing.join(', ')}`,
+      'INSUFFICIENT_SCOPE'
+    );
+  }
+
+  return store.create({ name, scopes, shops }, principal.id);
+}
+
+export async function listAdminKeys(env) {
+  return requireAdminKeyStore(env).list();
+}
+
+export async function revokeAdminKey(id, env) {
+  return requireAdminKeyStore(env).revoke(id);
+}
@@ -0,0 +1,732 @@
+import { ADMIN_SCOPES } from './admin-keys.js';
+
+// ==== API SCHEMAS ====
+//
+// JSON Schemas (draft 2020-12, as used by OpenAPI 3.1) for every endpoint.
+// Request schemas are enforced by schema-validator.js before a handler runs;
+// response schemas are published in the OpenAPI document (openapi.js) for
+// generated clients and contract tests. `x-error` names the error payload a
+// failing field produces.
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const nullable = type => ({ type: [type, 'null'] });
+
+// ==== REQUEST SCHEMAS ====
+
+const ORDER_NUMBER = {
+  type: 'string',
+  minLength: 1,
+  maxLength: 50,
+  pattern: '^[A-Za-z0-9_#-]+$',
+  description: 'Order number, with or without the leading #',
+  examples: ['12345'],
+  'x-error': {
+    title: 'Invalid order number',
+    message: 'Order number must be 1-50 characters and contain only letters, numbers, hyphens, underscores, and #',
+    code: 'INVALID_ORDER_NUMBER'
+  }
+};
+
+const EMAIL = {
+  type: 'string',
+  format: 'email',
+  description: 'Email address the order was placed with',
+  examples: ['customer@example.com'],
+  'x-error': {
+    title: 'Invalid email address',
+    message: 'Please provide a valid email address',
+    code: 'INVALID_EMAIL'
+  }
+};
+
+// Unsupported languages and unknown zones fall back rather than fail (see i18n.js)
+const LOCALE = {
+  type: 'string',
+  maxLength: 35,
+  description: 'Language for status labels, reasons and messages, e.g. fr or fr-CA; wins over Accept-Language',
+  examples: ['en', 'fr']
+};
+
+const TIME_ZONE = {
+  type: 'string',
+  maxLength: 64,
+  description: "IANA timezone for dates in HTML responses; defaults to the visitor's, from their IP, then UTC",
+  examples: ['Europe/Paris']
+};
+
+// Body of /track, /button-control, /shopify-button-control and /inject
+export const LOOKUP_REQUEST = {
+  type: 'object',
+  properties: {
+    orderNumber: ORDER_NUMBER,
+    email: EMAIL,
+    locale: LOCALE,
+    timezone: TIME_ZONE
+  },
+  anyOf: [{ required: ['orderNumber'] }, { required: ['email'] }],
+  'x-error': {
+    title: 'Missing required fields',
+    message: 'Please provide either order number or email address',
+    code: 'MISSING_FIELDS'
+  }
+};
+
+// Items are checked one by one against LOOKUP_REQUEST by the handler, so a
+// bad item fails only its own result
+export const TRACK_BATCH_MAX_ITEMS = 50;
+
+export const TRACK_BATCH_REQUEST = {
+  type: 'object',
+  properties: {
+    items: {
+      type: 'array',
+      minItems: 1,
+      maxItems: TRACK_BATCH_MAX_ITEMS,
+      items: {
+        type: 'object',
+        description: 'A /track request body: { orderNumber, email }',
+        examples: [{ orderNumber: '12345', email: 'customer@example.com' }]
+      },
+      'x-error': {
+        title: 'Invalid batch',
+        message: `items must be a list of 1 to ${TRACK_BATCH_MAX_ITEMS} { orderNumber, email } objects`,
+        code: 'INVALID_BATCH'
+      }
+    },
+    locale: { ...LOCALE, description: `${LOCALE.description}. Applies to every item.` }
+  },
+  required: ['items'],
+  'x-error': {
+    title: 'Missing required fields',
+    message: 'Please provide items, a list of { orderNumber, email } objects',
+    code: 'MISSING_FIELDS'
+  }
+};
+
+const HISTORY_MAX_LIMIT = 50;
+
+export const ORDER_HISTORY_REQUEST = {
+  type: 'object',
+  properties: {
+    orderNumber: ORDER_NUMBER,
+    email: EMAIL,
+    locale: LOCALE,
+    cursor: {
+      type: 'string',
+      description: '`pageInfo.endCursor` from the previous page',
+      'x-error': {
+        title: 'Invalid cursor',
+        message: 'cursor must be the endCursor string from a previous response',
+        code: 'INVALID_CURSOR'
+      }
+    },
+    limit: {
+      type: 'integer',
+      minimum: 1,
+      maximum: HISTORY_MAX_LIMIT,
+      default: 10,
+      'x-error': {
+        title: 'Invalid limit',
+        message: `limit must be a whole number between 1 and ${HISTORY_MAX_LIMIT}`,
+        code: 'INVALID_LIMIT'
+      }
+    },
+    from: {
+      type: 'string',
+      description: 'Earliest order date, ISO 8601',
+      examples: ['2024-01-01'],
+      'x-error': {
+        title: 'Invalid date range',
+        message: 'from must be an ISO 8601 date such as 2024-01-31',
+        code: 'INVALID_DATE_RANGE'
+      }
+    },
+    to: {
+      type: 'string',
+      description: 'Latest order date, ISO 8601',
+      examples: ['2024-01-31'],
+      'x-error': {
+        title: 'Invalid date range',
+        message: 'to must be an ISO 8601 date such as 2024-01-31',
+        code: 'INVALID_DATE_RANGE'
+      }
+    },
+    status: {
+      description: 'Only orders with this status: a status code such as in_transit, or its label in English or the response locale (or a list of these)',
+      anyOf: [
+        { type: 'string', minLength: 1 },
+        { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } }
+      ],
+      'x-error': {
+        title: 'Invalid status filter',
+        message: 'status must be a status code or label, or a list of them',
+        code: 'INVALID_STATUS_FILTER'
+      }
+    }
+  },
+  required: ['orderNumber', 'email'],
+  'x-error': {
+    title: 'Missing required fields',
+    message: 'Please provide both an order number and the email address used for it',
+    code: 'MISSING_FIELDS'
+  }
+};
+
+export const ORDER_NUMBER_PARAMS = {
+  type: 'object',
+  properties: { orderNumber: ORDER_NUMBER },
+  required: ['orderNumber']
+};
+
+export const TIMELINE_QUERY = {
+  type: 'object',
+  properties: {
+    email: EMAIL,
+    locale: LOCALE
+  }
+};
+
+// Order number and email, both required: /tracking-links and /verify/start
+// (whose email is sent in `locale`)
+export const OWNERSHIP_REQUEST = {
+  type: 'object',
+  properties: {
+    orderNumber: ORDER_NUMBER,
+    email: EMAIL,
+    locale: LOCALE
+  },
+  required: ['orderNumber', 'email'],
+  'x-error': {
+    title: 'Missing required fields',
+    message: 'Please provide both an order number and the email address used for it',
+    code: 'MISSING_FIELDS'
+  }
+};
+
+export const VERIFY_CONFIRM_REQUEST = {
+  type: 'object',
+  properties: {
+    challengeId: {
+      type: 'string',
+      pattern: '^[0-9a-f]{32}$',
+      description: '`challengeId` from /verify/start',
+      'x-error': {
+        title: 'Verification failed',
+        message: 'This code has expired. Please request a new one.',
+        code: 'VERIFICATION_FAILED'
+      }
+    },
+    code: {
+      type: 'string',
+      pattern: '^[0-9]{6}$',
+      description: 'The 6-digit code from the email',
+      examples: ['042917'],
+      'x-error': {
+        title: 'Invalid code',
+        message: 'The code is the 6 digits from the verification email',
+        code: 'INVALID_VERIFICATION_CODE'
+      }
+    }
+  },
+  required: ['challengeId', 'code'],
+  'x-error': {
+    title: 'Missing required fields',
+    message: 'Please provide the challengeId and the code from the email',
+    code: 'MISSING_FIELDS'
+  }
+};
+
+// Documented only; the handlers read the header themselves
+export const VERIFICATION_HEADERS = {
+  type: 'object',
+  properties: {
+    'X-Verification-Token': {
+      type: 'string',
+      description: 'Session token from /verify/confirm. Stores with `code` verification withhold tracking numbers, links and checkpoint locations without it.'
+    }
+  }
+};
+
+// Format only; the signature is checked by tracking-links.js
+const TRACKING_TOKEN = {
+  type: 'string',
+  maxLength: 1024,
+  pattern: '^[A-Za-z0-9_-]+\\.[A-Za-z0-9_-]+\\.[A-Za-z0-9_-]+$',
+  description: 'Token from a tracking link',
+  'x-error': {
+    title: 'Invalid tracking link',
+    message: 'This tracking link is not valid',
+    code: 'INVALID_TRACKING_LINK'
+  }
+};
+
+export const TRACKING_TOKEN_PARAMS = {
+  type: 'object',
+  properties: { token: TRACKING_TOKEN },
+  required: ['token']
+};
+
+export const TRACKING_LINK_QUERY = {
+  type: 'object',
+  properties: { locale: LOCALE }
+};
+
+export const REVOKE_TRACKING_LINK_REQUEST = {
+  type: 'object',
+  properties: {
+    token: TRACKING_TOKEN,
+    scope: {
+      type: 'string',
+      enum: ['link', 'order'],
+      default: 'link',
+      description: '`link` revokes this token; `order` revokes every link issued for its order so far'
+    }
+  },
+  required: ['token'],
+  'x-error': {
+    title: 'Missing required fields',
+    message: 'Please provide the token of the tracking link to revoke',
+    code: 'MISSING_FIELDS'
+  }
+};
+
+export const TRACK_PAGE_QUERY = {
+  type: 'object',
+  properties: {
+    shop: {
+      type: 'string',
+      description: 'Store to show, when the page is not on one of its domains',
+      examples: ['store-a.myshopify.com']
+    },
+    token: { ...TRACKING_TOKEN, description: 'Tracking link token to open straight away' },
+    orderNumber: { ...ORDER_NUMBER, description: 'Prefills the order number' },
+    locale: { ...LOCALE, description: 'Language of the page and everything it shows; wins over Accept-Language' }
+  }
+};
+
+export const CREATE_ADMIN_KEY_REQUEST = {
+  type: 'object',
+  properties: {
+    name: {
+      type: 'string',
+      minLength: 1,
+      maxLength: 100,
+      description: 'What the key is for, shown when keys are listed',
+      examples: ['support dashboard'],
+      'x-error': {
+        title: 'Invalid name',
+        message: 'name must be 1-100 characters',
+        code: 'INVALID_KEY_NAME'
+      }
+    },
+    scopes: {
+      type: 'array',
+      minItems: 1,
+      items: { type: 'string', enum: ADMIN_SCOPES },
+      description: 'What the key may do. A key can only grant scopes it has.',
+      examples: [['orders:read']],
+      'x-error': {
+        title: 'Invalid scopes',
+        message: `scopes must be a list of one or more of: ${ADMIN_SCOPES.join(', ')}`,
+        code: 'INVALID_SCOPES'
+      }
+    },
+    shops: {
+      type: 'array',
+      minItems: 1,
+      items: { type: 'string', pattern: '^[a-z0-9][a-z0-9-]*\\.myshopify\\.com$' },
+      description: 'Stores the key is limited to. Leave out for every store.',
+      examples: [['store-a.myshopify.com']],
+      'x-error': {
+        title: 'Invalid shops',
+        message: 'shops must be a list of shop domains like your-store.myshopify.com',
+        code: 'INVALID_SHOP'
+      }
+    }
+  },
+  required: ['name', 'scopes'],
+  'x-error': {
+    title: 'Missing required fields',
+    message: 'Please provide a name and the scopes for the key',
+    code: 'MISSING_FIELDS'
+  }
+};
+
+export const ADMIN_KEY_PARAMS = {
+  type: 'object',
+  properties: {
+    keyId: {
+      type: 'string',
+      pattern: '^[0-9a-f]{12}$',
+      description: 'The `id` of an admin key',
+      'x-error': {
+        title: 'Invalid key id',
+        message: 'keyId is the 12-character id of an admin key',
+        code: 'INVALID_KEY_ID'
+      }
+    }
+  },
+  required: ['keyId']
+};
+
+// The OAuth handlers check the shop domain and signature themselves; these
+// only make sure the parameters are there
+export const INSTALL_QUERY = {
+  type: 'object',
+  properties: {
+    shop: { type: 'string', description: 'The shop to install on', examples: ['store-a.myshopify.com'] }
+  },
+  required: ['shop'],
+  'x-error': {
+    title: 'Invalid shop',
+    message: 'Please provide a shop domain like your-store.myshopify.com',
+    code: 'INVALID_SHOP'
+  }
+};
+
+export const CALLBACK_QUERY = {
+  type: 'object',
+  properties: {
+    shop: { type: 'string' },
+    code: { type: 'string' },
+    state: { type: 'string' },
+    hmac: { type: 'string' },
+    timestamp: { type: 'string' }
+  },
+  required: ['shop', 'code', 'state'],
+  'x-error': {
+    title: 'Invalid callback',
+    message: 'The install callback is missing shop, code or state',
+    code: 'INVALID_OAUTH_CALLBACK'
+  }
+};
+
+// ==== RESPONSE SCHEMAS ====
+
+export const COMPONENT_SCHEMAS = {
+  ErrorResponse: {
+    type: 'object',
+    properties: {
+      error: { type: 'string', description: 'Short title' },
+      message: { type: 'string', description: 'What went wrong' },
+      code: { type: 'string', description: 'Stable error code (see README)' }
+    },
+    required: ['error', 'message', 'code']
+  },
+  HealthResponse: {
+    type: 'object',
+    properties: {
+      status: { type: 'string', enum: ['healthy'] },
+      timestamp: { type: 'string', format: 'date-time' },
+      uptime: { type: 'integer' },
+      environment: { type: 'string' }
+    }
+  },
+  DeliveryEstimate: {
+    type: 'object',
+    properties: {
+      earliest: { type: 'string', format: 'date' },
+      latest: { type: 'string', format: 'date' },
+      source: { type: 'string', enum: ['carrier', 'transit-times'] },
+      zone: nullable('string')
+    }
+  },
+  LineItem: {
+    type: 'object',
+    properties: {
+      name: nullable('string'),
+      sku: nullable('string'),
+      quantity: { type: 'integer' }
+    }
+  },
+  Shipment: {
+    type: 'object',
+    properties: {
+      id: nullable('string'),
+      status: nullable('string'),
+      shipmentStatus: { ...nullable('string'), description: 'Carrier status such as in_transit or delivered' },
+      carrier: { ...nullable('string'), description: 'Carrier code, e.g. ups' },
+      carrierName: nullable('string'),
+      trackingNumbers: { type: 'array', items: { type: 'string' } },
+      trackingUrls: { type: 'array', items: { type: 'string' } },
+      shippedAt: nullable('string'),
+      deliveredAt: nullable('string'),
+      estimatedDeliveryAt: nullable('string'),
+      lineItems: { type: 'array', items: ref('LineItem') }
+    }
+  },
+  TrackingEvent: {
+    type: 'object',
+    properties: {
+      shipmentId: nullable('string'),
+      trackingNumber: nullable('string'),
+      code: nullable('string'),
+      description: nullable('string'),
+      location: nullable('string'),
+      timestamp: nullable('string'),
+      source: { type: 'string', description: 'shopify, or the carrier adapter name' }
+    }
+  },
+  TrackingData: {
+    type: 'object',
+    properties: {
+      orderNumber: { type: 'string' },
+      statusCode: {
+        type: 'string',
+        description: 'Stable status code, the same in every locale: in_transit, delivered, ... or a custom rule\'s code',
+        examples: ['in_transit']
+      },
+      status: { type: 'string', description: 'Status label in `locale`', examples: ['In Transit'] },
+      trackingNumber: nullable('string'),
+      carrier: nullable('string'),
+      carrierName: nullable('string'),
+      trackingUrl: nullable('string'),
+      orderDate: { type: 'string', format: 'date-time' },
+      processingDeadline: { type: 'string', format: 'date-time' },
+      lastUpdated: { type: 'string', format: 'date-time' },
+      deliveredAt: nullable('string'),
+      estimatedDelivery: { anyOf: [ref('DeliveryEstimate'), { type: 'null' }] },
+      buttonsDisabled: { type: 'boolean' },
+      disabledReasonCode: { ...nullable('string'), description: 'Stable code for disabledReason', examples: ['in_transit'] },
+      disabledReason: { ...nullable('string'), description: 'Why the buttons are disabled, in `locale`' },
+      locale: { type: 'string', description: 'Language of the labels', examples: ['en'] },
+      shipments: { type: 'array', items: ref('Shipment') },
+      events: { type: 'array', items: ref('TrackingEvent') },
+      latestCheckpoint: { anyOf: [ref('TrackingEvent'), { type: 'null' }] },
+      verificationRequired: {
+        type: 'boolean',
+        description: 'Tracking numbers, links and checkpoint locations were withheld; confirm a one-time code to see them'
+      }
+    },
+    required: ['orderNumber', 'statusCode', 'status', 'buttonsDisabled']
+  },
+  TrackResponse: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', enum: [true] },
+      data: {
+        allOf: [
+          ref('TrackingData'),
+          {
+            type: 'object',
+            properties: {
+              stale: { type: 'boolean', description: 'Served from the cache because Shopify was unavailable' }
+            }
+          }
+        ]
+      }
+    },
+    required: ['success', 'data']
+  },
+  TrackBatchResponse: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', enum: [true] },
+      data: {
+        type: 'object',
+        properties: {
+          results: {
+            type: 'array',
+            description: 'One per item, in request order: the body /track would have returned for it',
+            items: { anyOf: [ref('TrackResponse'), ref('BatchItemError')] }
+          }
+        }
+      }
+    },
+    required: ['success', 'data']
+  },
+  BatchItemError: {
+    allOf: [
+      ref('ErrorResponse'),
+      {
+        type: 'object',
+        properties: { success: { type: 'boolean', enum: [false] } }
+      }
+    ]
+  },
+  TrackingLinkResponse: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', enum: [true] },
+      data: {
+        type: 'object',
+        properties: {
+          token: { type: 'string' },
+          url: { type: 'string', description: 'Link to put in the email or SMS' },
+          expiresAt: { type: 'string', format: 'date-time' }
+        }
+      }
+    },
+    required: ['success', 'data']
+  },
+  VerifyStartResponse: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', enum: [true] },
+      data: {
+        type: 'object',
+        properties: {
+          challengeId: { type: 'string' },
+          expiresAt: { type: 'string', format: 'date-time' },
+          sentTo: { type: 'string', description: 'Masked address the code went to', examples: ['c***@example.com'] }
+        }
+      }
+    },
+    required: ['success', 'data']
+  },
+  VerifyConfirmResponse: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', enum: [true] },
+      data: {
+        type: 'object',
+        properties: {
+          sessionToken: { type: 'string', description: 'Send as X-Verification-Token' },
+          expiresAt: { type: 'string', format: 'date-time' },
+          orderNumber: { type: 'string' }
+        }
+      }
+    },
+    required: ['success', 'data']
+  },
+  RevokeTrackingLinkResponse: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', enum: [true] },
+      data: {
+        type: 'object',
+        properties: {
+          revoked: { type: 'string', enum: ['link', 'order'] },
+          orderNumber: { type: 'string' }
+        }
+      }
+    },
+    required: ['success', 'data']
+  },
+  OrderHistoryResponse: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', enum: [true] },
+      data: {
+        type: 'object',
+        properties: {
+          orders: { type: 'array', items: ref('TrackingData') },
+          pageInfo: {
+            type: 'object',
+            properties: {
+              hasNextPage: { type: 'boolean' },
+              endCursor: nullable('string')
+            }
+          }
+        }
+      }
+    },
+    required: ['success', 'data']
+  },
+  Milestone: {
+    type: 'object',
+    properties: {
+      code: { type: 'string', examples: ['order_placed', 'in_transit'] },
+      label: { type: 'string' },
+      timestamp: { type: 'string' },
+      shipmentId: nullable('string'),
+      trackingNumber: nullable('string'),
+      location: nullable('string'),
+      description: nullable('string')
+    }
+  },
+  TimelineResponse: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', enum: [true] },
+      data: {
+        type: 'object',
+        properties: {
+          orderNumber: { type: 'string' },
+          statusCode: { type: 'string' },
+          status: { type: 'string' },
+          locale: { type: 'string' },
+          milestones: { type: 'array', items: ref('Milestone') },
+          stale: { type: 'boolean' }
+        }
+      }
+    },
+    required: ['success', 'data']
+  },
+  AdminOrderResponse: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', enum: [true] },
+      data: {
+        allOf: [
+          ref('TrackingData'),
+          {
+            type: 'object',
+            properties: {
+              email: nullable('string'),
+              stale: { type: 'boolean', description: 'Served from the cache because Shopify was unavailable' }
+            }
+          }
+        ]
+      }
+    },
+    required: ['success', 'data']
+  },
+  AdminKey: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', examples: ['3f9a0c1b2d4e'] },
+      name: { type: 'string' },
+      scopes: { type: 'array', items: { type: 'string', enum: ADMIN_SCOPES } },
+      shops: { type: ['array', 'null'], items: { type: 'string' }, description: 'null: every store' },
+      createdAt: { type: 'string', format: 'date-time' },
+      createdBy: { type: 'string', description: 'id of the key that created it, or root' },
+      revokedAt: nullable('string')
+    }
+  },
+  AdminKeyCreatedResponse: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', enum: [true] },
+      data: {
+        type: 'object',
+        properties: {
+          key: { type: 'string', description: 'The API key. It is shown only this once.', examples: ['sta_3f9a0c1b2d4e_…'] },
+          record: ref('AdminKey')
+        }
+      }
+    },
+    required: ['success', 'data']
+  },
+  AdminKeyResponse: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', enum: [true] },
+      data: ref('AdminKey')
+    },
+    required: ['success', 'data']
+  },
+  AdminKeyListResponse: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', enum: [true] },
+      data: {
+        type: 'object',
+        properties: {
+          keys: { type: 'array', items: ref('AdminKey') }
+        }
+      }
+    },
+    required: ['success', 'data']
+  },
+  DebugResponse: {
+    type: 'object',
+    description: 'Raw order data for troubleshooting; the shape follows Shopify and may change',
+    properties: {
+      success: { type: 'boolean' },
+      tenant: { type: 'object' },
+      apiClient: { type: 'object' },
+      order: { type: 'object' }
+    }
+  }
+};
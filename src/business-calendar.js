@@ -0,0 +1,158 @@
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import timezone from 'dayjs/plugin/timezone.js';
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+// ==== BUSINESS CALENDAR ====
+//
+// The processing window ("48 hours to ship") only runs while the warehouse
+// does. Time is counted in the store's timezone, on working days that aren't
+// holidays; an order placed after the cut-off time, or on a day off, starts
+// the clock at the beginning of the next working day.
+//
+// Per-store settings (tenant `businessCalendar`):
+//   {
+//     "timezone": "Asia/Kolkata",
+//     "workingDays": [1, 2, 3, 4, 5],      // 0 = Sunday
+//     "cutoffTime": "14:00",               // local time, optional
+//     "holidayRegion": "IN",               // key into HOLIDAYS_CONFIG
+//     "holidays": ["2024-11-01"]           // extra store-specific days off
+//   }
+//
+// HOLIDAYS_CONFIG is a JSON object of region -> ["YYYY-MM-DD", ...] shared by
+// every store. Without a calendar every day counts, around the clock, in UTC,
+// which is the original wall-clock behaviour.
+
+export const DEFAULT_BUSINESS_CALENDAR = {
+  timezone: 'UTC',
+  workingDays: [0, 1, 2, 3, 4, 5, 6],
+  cutoffTime: null,
+  holidays: []
+};
+
+const DATE_FORMAT = 'YYYY-MM-DD';
+const MAX_CALENDAR_DAYS = 366;
+
+// HOLIDAYS_CONFIG is parsed once per isolate
+let cachedHolidaySource = null;
+let cachedHolidays = {};
+
+function getRegionHolidays(env, region) {
+  if (!region || !env.HOLIDAYS_CONFIG) {
+    return [];
+  }
+  if (cachedHolidaySource !== env.HOLIDAYS_CONFIG) {
+    cachedHolidays = typeof env.HOLIDAYS_CONFIG === 'string'
+      ? JSON.parse(env.HOLIDAYS_CONFIG)
+      : env.HOLIDAYS_CONFIG;
+    cachedHolidaySource = env.HOLIDAYS_CONFIG;
+  }
+  // Own keys only: a region named "constructor" isn't a list of holidays
+  return Object.hasOwn(cachedHolidays, region) ? cachedHolidays[region] : [];
+}
+
+function isValidTimezone(name) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: name });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Returns a description of the first problem in the settings, or null when valid
+export function validateBusinessCalendar(config) {
+  if (!config || typeof config !== 'object') {
+    return 'businessCalendar must be an object';
+  }
+  if ('timezone' in config && (typeof config.timezone !== 'string' || !isValidTimezone(config.timezone))) {
+    return `businessCalendar.timezone "${config.timezone}" is not a valid IANA timezone`;
+  }
+  if ('workingDays' in config && (!Array.isArray(config.workingDays) || config.workingDays.length === 0
+    || config.workingDays.some(day => !Number.isInteger(day) || day < 0 || day > 6))) {
+    return 'businessCalendar.workingDays must list days 0 (Sunday) to 6 (Saturday)';
+  }
+  if (config.cutoffTime && !/^([01]\d|2[0-3]):[0-5]\d$/.test(config.cutoffTime)) {
+    return 'businessCalendar.cutoffTime must be HH:mm';
+  }
+  if ('holidays' in config && (!Array.isArray(config.holidays)
+    || config.holidays.some(day => !/^\d{4}-\d{2}-\d{2}$/.test(day)))) {
+    return 'businessCalendar.holidays must be YYYY-MM-DD dates';
+  }
+  return null;
+}
+
+// Tenant config -> calendar with the region's holidays folded in
+export function normalizeBusinessCalendar(config, env, label) {
+  if (!config) {
+    return DEFAULT_BUSINESS_CALENDAR;
+  }
+
+  const problem = validateBusinessCalendar(config);
+  if (problem) {
+    console.error(`Ignoring business calendar for ${label}: ${problem}`);
+    return DEFAULT_BUSINESS_CALENDAR;
+  }
+
+  let regionHolidays = [];
+  try {
+    regionHolidays = getRegionHolidays(env, config.holidayRegion);
+  } catch (error) {
+    console.error('Error parsing HOLIDAYS_CONFIG:', error.message);
+  }
+
+  return {
+    ...DEFAULT_BUSINESS_CALENDAR,
+    ...config,
+    holidays: [...new Set([...regionHolidays, ...(config.holidays || [])])]
+  };
+}
+
+function isWorkingDay(day, calendar) {
+  return calendar.workingDays.includes(day.day()) && !calendar.holidays.includes(day.format(DATE_FORMAT));
+}
+
+// Midnight at the start of the next calendar day, in the store's timezone.
+// Parsing the date string (rather than adding 24h) keeps DST days right.
+function nextDayStart(day, calendar) {
+  return dayjs.tz(day.add(1, 'day').format(DATE_FORMAT), calendar.timezone);
+}
+
+function isAfterCutoff(moment, calendar) {
+  return Boolean(calendar.cutoffTime) && moment.format('HH:mm') >= calendar.cutoffTime;
+}
+
+// When the processing clock starts for an order placed at `moment`
+function processingStart(moment, calendar) {
+  if (isWorkingDay(moment, calendar) && !isAfterCutoff(moment, calendar)) {
+    return moment;
+  }
+  let day = nextDayStart(moment, calendar);
+  for (let i = 0; i < MAX_CALENDAR_DAYS && !isWorkingDay(day, calendar); i++) {
+    day = nextDayStart(day, calendar);
+  }
+  return day;
+}
+
+// ISO timestamp at which `windowHours` business hours have passed since the order
+export function computeProcessingDeadline(createdAt, windowHours, calendar = DEFAULT_BUSINESS_CALENDAR) {
+  let cursor = processingStart(dayjs(createdAt).tz(calendar.timezone), calendar);
+  let remainingMinutes = windowHours * 60;
+
+  for (let i = 0; i < MAX_CALENDAR_DAYS; i++) {
+    const dayEnd = nextDayStart(cursor, calendar);
+    if (isWorkingDay(cursor, calendar)) {
+      const available = dayEnd.diff(cursor, 'minute');
+      if (remainingMinutes <= available) {
+        return cursor.add(remainingMinutes, 'minute').toISOString();
+      }
+      remainingMinutes -= available;
+    }
+    cursor = dayEnd;
+  }
+
+  // A calendar with no working days in a year; don't spin forever
+  return cursor.toISOString();
+}
@@ -0,0 +1,381 @@
+import { getCarrier, detectCarrier } from './carriers.js';
+import { buildShipments } from './shipments.js';
+
+// ==== CARRIER TRACKING ADAPTERS ====
+//
+// Shopify's fulfillment events often lag the carrier by a day, so when a
+// carrier or aggregator API is configured we ask it for checkpoints directly.
+// Every adapter implements:
+//
+//   supports(carrierCode)                -> boolean
+//   fetchEvents(trackingNumber, carrier) -> [{ code, description, location, timestamp }]
+//   register(trackingNumber, carrier)    -> optional; tells an aggregator to start tracking
+//
+// Timestamps are ISO 8601 with a zone, so they sort correctly against
+// Shopify's UTC happened_at values.
+//
+// `code` uses the shipment_status vocabulary (label_printed, in_transit,
+// out_for_delivery, attempted_delivery, delivered, ready_for_pickup, failure)
+// plus `exception` for delays and other problems, so carrier checkpoints and
+// Shopify events can be merged and fed to the status rules. The default
+// rules report an exception as delivery_failed.
+//
+// Adapters are enabled by their credentials:
+//   AFTERSHIP_API_KEY                    - AfterShip, any carrier it knows
+//   UPS_CLIENT_ID / UPS_CLIENT_SECRET    - UPS Tracking API, UPS only
+// CARRIER_API_BASE_URL (e.g. "http://127.0.0.1:8789/{adapter}") points every
+// adapter at a local mock server instead of the real APIs.
+//
+// Carrier lookups are best-effort: a failing API is logged and the order is
+// reported from Shopify's data alone. Lookups only read: numbers are
+// registered with aggregators from the fulfillment webhooks
+// (registerCarrierTracking), never from a customer's request.
+
+const FETCH_TIMEOUT_MS = 4000;
+const EVENTS_TTL_MS = 5 * 60 * 1000;
+const MAX_CACHED_LOOKUPS = 500;
+
+// Per-isolate cache so a busy tracking page doesn't spend the carrier API quota
+const eventCache = new Map();
+// OAuth tokens by client id; adapters are rebuilt per request, tokens aren't
+const accessTokens = new Map();
+
+function getApiBase(adapterName, defaultBase, env) {
+  return env.CARRIER_API_BASE_URL
+    ? env.CARRIER_API_BASE_URL.replace('{adapter}', adapterName).replace(/\/$/, '')
+    : defaultBase;
+}
+
+async function fetchWithTimeout(url, init = {}) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+  try {
+    return await fetch(url, { ...init, signal: controller.signal });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function joinLocation(...parts) {
+  const location = parts.filter(Boolean).join(', ');
+  return location || null;
+}
+
+// ==== AFTERSHIP ====
+
+const AFTERSHIP_SLUGS = {
+  ups: 'ups',
+  usps: 'usps',
+  fedex: 'fedex',
+  dhl: 'dhl',
+  bluedart: 'bluedart',
+  delhivery: 'delhivery',
+  'india-post': 'india-post',
+  dtdc: 'dtdc'
+};
+
+const AFTERSHIP_TAGS = {
+  InfoReceived: 'label_printed',
+  InTransit: 'in_transit',
+  OutForDelivery: 'out_for_delivery',
+  AttemptFail: 'attempted_delivery',
+  AvailableForPickup: 'ready_for_pickup',
+  Delivered: 'delivered',
+  Exception: 'exception',
+  Expired: 'exception'
+};
+
+export class AfterShipAdapter {
+  constructor(apiKey, baseUrl) {
+    this.name = 'aftership';
+    this.apiKey = apiKey;
+    this.baseUrl = baseUrl;
+  }
+
+  supports(carrierCode) {
+    return carrierCode in AFTERSHIP_SLUGS;
+  }
+
+  headers() {
+    return {
+      'aftership-api-key': this.apiKey,
+      'Content-Type': 'application/json',
+      'Accept': 'application/json'
+    };
+  }
+
+  // AfterShip only tracks numbers it has been told about, and each one counts
+  // against the merchant's quota. 4003 means it already has this one.
+  async register(trackingNumber, carrier) {
+    const slug = AFTERSHIP_SLUGS[carrier.code];
+    const response = await fetchWithTimeout(`${this.baseUrl}/trackings`, {
+      method: 'POST',
+      headers: this.headers(),
+      body: JSON.stringify({ tracking: { slug, tracking_number: trackingNumber } })
+    });
+    if (!response.ok) {
+      const payload = await response.json().catch(() => null);
+      if (!(payload && payload.meta && payload.meta.code === 4003)) {
+        throw new Error(`AfterShip API error: ${response.status}`);
+      }
+    }
+  }
+
+  async fetchEvents(trackingNumber, carrier) {
+    const slug = AFTERSHIP_SLUGS[carrier.code];
+    const url = `${this.baseUrl}/trackings/${slug}/${encodeURIComponent(trackingNumber)}`;
+    const response = await fetchWithTimeout(url, { headers: this.headers() });
+
+    if (response.status === 404) {
+      // Not registered (yet); see registerCarrierTracking
+      return [];
+    }
+    if (!response.ok) {
+      throw new Error(`AfterShip API error: ${response.status}`);
+    }
+
+    const payload = await response.json();
+    const checkpoints = (payload.data && payload.data.tracking && payload.data.tracking.checkpoints) || [];
+    return checkpoints
+      .filter(checkpoint => checkpoint.tag in AFTERSHIP_TAGS)
+      .map(checkpoint => ({
+        code: AFTERSHIP_TAGS[checkpoint.tag],
+        description: checkpoint.message || null,
+        location: checkpoint.location || joinLocation(checkpoint.city, checkpoint.state, checkpoint.country_name),
+        timestamp: checkpoint.checkpoint_time
+      }));
+  }
+}
+
+// ==== UPS ====
+
+const UPS_STATUS_TYPES = {
+  M: 'label_printed',
+  P: 'in_transit',
+  I: 'in_transit',
+  O: 'out_for_delivery',
+  D: 'delivered',
+  X: 'exception',
+  RS: 'failure'
+};
+
+// "20240112" + "143000" (or "14:30:00") -> "2024-01-12T14:30:00"
+function upsDateTime(date, time) {
+  const t = (time || '000000').replace(/:/g, '').padEnd(6, '0');
+  return `${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6, 8)}T${t.slice(0, 2)}:${t.slice(2, 4)}:${t.slice(4, 6)}`;
+}
+
+// UPS's date and time are local to the scan. Activity also carries the
+// offset (gmtOffset, "-05:00") and the UTC equivalent (gmtDate/gmtTime); a
+// time with neither can't be placed against UTC events, so it is null.
+function upsTimestamp(entry) {
+  if (entry.date && /^[+-]\d{2}:\d{2}$/.test(entry.gmtOffset || '')) {
+    return `${upsDateTime(entry.date, entry.time)}${entry.gmtOffset}`;
+  }
+  if (entry.gmtDate) {
+    return `${upsDateTime(entry.gmtDate, entry.gmtTime)}Z`;
+  }
+  return null;
+}
+
+function upsEventCode(status) {
+  const description = status.description || '';
+  // UPS reports out-for-delivery scans as plain in-transit activity
+  if (status.type === 'I' && /out for delivery/i.test(description)) {
+    return 'out_for_delivery';
+  }
+  if (status.type === 'X' && /attempt/i.test(description)) {
+    return 'attempted_delivery';
+  }
+  return UPS_STATUS_TYPES[status.type] || null;
+}
+
+export class UpsAdapter {
+  constructor(clientId, clientSecret, baseUrl) {
+    this.name = 'ups';
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.baseUrl = baseUrl;
+  }
+
+  supports(carrierCode) {
+    return carrierCode === 'ups';
+  }
+
+  // OAuth client-credentials token, reused until shortly before it expires
+  async getAccessToken() {
+    const cached = accessTokens.get(this.clientId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.value;
+    }
+
+    const response = await fetchWithTimeout(`${this.baseUrl}/security/v1/oauth/token`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Basic ${btoa(`${this.clientId}:${this.clientSecret}`)}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: 'grant_type=client_credentials'
+    });
+    if (!response.ok) {
+      throw new Error(`UPS OAuth error: ${response.status}`);
+    }
+
+    const payload = await response.json();
+    accessTokens.set(this.clientId, {
+      value: payload.access_token,
+      expiresAt: Date.now() + (Number(payload.expires_in) - 60) * 1000
+    });
+    return payload.access_token;
+  }
+
+  async fetchEvents(trackingNumber) {
+    const accessToken = await this.getAccessToken();
+    const response = await fetchWithTimeout(
+      `${this.baseUrl}/api/track/v1/details/${encodeURIComponent(trackingNumber)}?locale=en_US`,
+      {
+        headers: {
+          'Authorization': `Bearer ${accessToken}`,
+          'transId': crypto.randomUUID(),
+          'transactionSrc': 'shopify-tracking-api',
+          'Accept': 'application/json'
+        }
+      }
+    );
+    if (response.status === 404) {
+      return [];
+    }
+    if (!response.ok) {
+      throw new Error(`UPS API error: ${response.status}`);
+    }
+
+    const payload = await response.json();
+    const shipment = payload.trackResponse && payload.trackResponse.shipment && payload.trackResponse.shipment[0];
+    const activity = (shipment && shipment.package && shipment.package[0] && shipment.package[0].activity) || [];
+
+    return activity
+      .map(entry => {
+        const status = entry.status || {};
+        const address = (entry.location && entry.location.address) || {};
+        return {
+          code: upsEventCode(status),
+          description: status.description || null,
+          location: joinLocation(address.city, address.stateProvince, address.countryCode),
+          timestamp: upsTimestamp(entry)
+        };
+      })
+      .filter(event => event.code && event.timestamp);
+  }
+}
+
+// ==== REGISTRY ====
+
+// Carrier-specific adapters first; aggregators catch everything else
+export function getTrackingAdapters(env) {
+  const adapters = [];
+
+  if (env.UPS_CLIENT_ID && env.UPS_CLIENT_SECRET) {
+    adapters.push(new UpsAdapter(
+      env.UPS_CLIENT_ID,
+      env.UPS_CLIENT_SECRET,
+      getApiBase('ups', 'https://onlinetools.ups.com', env)
+    ));
+  }
+  if (env.AFTERSHIP_API_KEY) {
+    adapters.push(new AfterShipAdapter(
+      env.AFTERSHIP_API_KEY,
+      getApiBase('aftership', 'https://api.aftership.com/v4', env)
+    ));
+  }
+
+  return adapters;
+}
+
+function cacheEvents(key, events) {
+  if (eventCache.size >= MAX_CACHED_LOOKUPS) {
+    eventCache.delete(eventCache.keys().next().value);
+  }
+  eventCache.set(key, { events, expiresAt: Date.now() + EVENTS_TTL_MS });
+}
+
+// Checkpoints for one tracking number from the first adapter that supports the carrier
+export async function fetchCarrierEvents(trackingNumber, carrierCode, env) {
+  const carrier = getCarrier(carrierCode);
+  const adapter = carrier ? getTrackingAdapters(env).find(a => a.supports(carrier.code)) : null;
+  if (!adapter) {
+    return [];
+  }
+
+  const key = `${adapter.name}:${trackingNumber}`;
+  const cached = eventCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.events;
+  }
+
+  try {
+    const events = (await adapter.fetchEvents(trackingNumber, carrier))
+      .map(event => ({ ...event, source: adapter.name }));
+    cacheEvents(key, events);
+    return events;
+  } catch (error) {
+    console.error(`Carrier tracking (${adapter.name}) failed for ${trackingNumber}:`, error.message);
+    return [];
+  }
+}
+
+// Hand a fulfillment's tracking numbers to the adapters that need to be told
+// about them (AfterShip), from a fulfillments/create or fulfillments/update
+// webhook payload. Best-effort like the lookups.
+export async function registerCarrierTracking(fulfillment, env) {
+  const trackingNumbers = fulfillment.tracking_numbers
+    || (fulfillment.tracking_number ? [fulfillment.tracking_number] : []);
+  const carrier = trackingNumbers.length > 0 ? detectCarrier(fulfillment.tracking_company, trackingNumbers[0]) : null;
+  const adapter = carrier ? getTrackingAdapters(env).find(a => a.supports(carrier.code)) : null;
+  if (!adapter || !adapter.register) {
+    return 0;
+  }
+
+  let registered = 0;
+  for (const trackingNumber of trackingNumbers) {
+    try {
+      await adapter.register(trackingNumber, carrier);
+      registered++;
+    } catch (error) {
+      console.error(`Carrier tracking (${adapter.name}) registration failed for ${trackingNumber}:`, error.message);
+    }
+  }
+  return registered;
+}
+
+// Copy of `order` with the carrier's checkpoints attached to each fulfillment
+// as `carrier_events`. Delivered packages aren't looked up again.
+export async function attachCarrierEvents(order, env) {
+  if (getTrackingAdapters(env).length === 0) {
+    return order;
+  }
+
+  const shipments = buildShipments(order);
+  const fulfillments = await Promise.all((order.fulfillments || []).map(async fulfillment => {
+    const shipment = shipments.find(s => s.id === String(fulfillment.id));
+    if (!shipment || !shipment.carrier || shipment.shipmentStatus === 'delivered') {
+      return fulfillment;
+    }
+
+    const lookups = await Promise.all(shipment.trackingNumbers.map(async number => {
+      const events = await fetchCarrierEvents(number, shipment.carrier, env);
+      return events.map(event => ({
+        tracking_number: number,
+        status: event.code,
+        happened_at: event.timestamp,
+        message: event.description,
+        location: event.location,
+        source: event.source
+      }));
+    }));
+
+    const carrierEvents = lookups.flat();
+    return carrierEvents.length > 0 ? { ...fulfillment, carrier_events: carrierEvents } : fulfillment;
+  }));
+
+  return { ...order, fulfillments };
+}
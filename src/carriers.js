@@ -0,0 +1,103 @@
+// ==== CARRIER REGISTRY ====
+//
+// Identifies the carrier behind a shipment and builds the link customers use
+// to follow it. Shopify's tracking_company is trusted first (merchants pick it
+// from a list, so it is usually right); otherwise the tracking number format
+// decides. Patterns are checked in registry order, most specific first, since
+// several carriers use plain digit runs.
+
+export const CARRIERS = [
+  {
+    code: 'ups',
+    name: 'UPS',
+    aliases: ['ups'],
+    patterns: [/^1Z[0-9A-Z]{16}$/i],
+    trackingUrl: 'https://www.ups.com/track?tracknum={number}'
+  },
+  {
+    code: 'usps',
+    name: 'USPS',
+    aliases: ['usps', 'unitedstatespostalservice'],
+    patterns: [/^9[2-5]\d{20}$/, /^[A-Z]{2}\d{9}US$/i],
+    trackingUrl: 'https://tools.usps.com/go/TrackConfirmAction?tLabels={number}'
+  },
+  {
+    code: 'india-post',
+    name: 'India Post',
+    aliases: ['indiapost', 'speedpost'],
+    patterns: [/^[A-Z]{2}\d{9}IN$/i],
+    trackingUrl: 'https://www.indiapost.gov.in/_layouts/15/dop.portal.tracking/trackconsignment.aspx?consignmentnumber={number}'
+  },
+  {
+    code: 'dtdc',
+    name: 'DTDC',
+    aliases: ['dtdc'],
+    patterns: [/^[A-Z]\d{8}$/i],
+    trackingUrl: 'https://www.dtdc.in/tracking.asp?strCnno={number}'
+  },
+  {
+    code: 'fedex',
+    name: 'FedEx',
+    aliases: ['fedex', 'federalexpress'],
+    patterns: [/^\d{12}$/, /^\d{15}$/],
+    trackingUrl: 'https://www.fedex.com/fedextrack/?trknbr={number}'
+  },
+  {
+    code: 'dhl',
+    name: 'DHL',
+    aliases: ['dhl'],
+    patterns: [/^\d{10}$/, /^JJD\d{10,}$/i],
+    trackingUrl: 'https://www.dhl.com/global-en/home/tracking/tracking-express.html?submit=1&tracking-id={number}'
+  },
+  {
+    code: 'bluedart',
+    name: 'Blue Dart',
+    aliases: ['bluedart'],
+    patterns: [/^\d{11}$/],
+    trackingUrl: 'https://www.bluedart.com/web/guest/trackdartresult?trackFor=0&trackNo={number}'
+  },
+  {
+    code: 'delhivery',
+    name: 'Delhivery',
+    aliases: ['delhivery'],
+    patterns: [/^\d{13,14}$/],
+    trackingUrl: 'https://www.delhivery.com/track/package/{number}'
+  }
+];
+
+// "DHL Express", "dhl-ecommerce" and "DHL" all reduce to something starting "dhl"
+function normalizeCompany(company) {
+  return String(company).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+export function getCarrier(code) {
+  return CARRIERS.find(carrier => carrier.code === code) || null;
+}
+
+function carrierForCompany(company) {
+  const normalized = normalizeCompany(company);
+  if (!normalized) {
+    return null;
+  }
+  return CARRIERS.find(carrier => carrier.aliases.some(alias => normalized.startsWith(alias))) || null;
+}
+
+function carrierForNumber(trackingNumber) {
+  const number = String(trackingNumber).replace(/\s+/g, '');
+  return CARRIERS.find(carrier => carrier.patterns.some(pattern => pattern.test(number))) || null;
+}
+
+// Carrier for a shipment, or null when neither the company nor the number is recognised
+export function detectCarrier(trackingCompany, trackingNumber) {
+  return (trackingCompany && carrierForCompany(trackingCompany))
+    || (trackingNumber && carrierForNumber(trackingNumber))
+    || null;
+}
+
+export function buildTrackingUrl(carrier, trackingNumber) {
+  if (!carrier || !trackingNumber) {
+    return null;
+  }
+  const number = String(trackingNumber).replace(/\s+/g, '');
+  return carrier.trackingUrl.replace('{number}', encodeURIComponent(number));
+}
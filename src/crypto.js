@@ -0,0 +1,60 @@
+// ==== CRYPTO HELPERS ====
+// Thin wrappers around WebCrypto, which is all a Worker has.
+
+const encoder = new TextEncoder();
+
+export function toHex(buffer) {
+  return [...new Uint8Array(buffer)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+export function toBase64(buffer) {
+  let binary = '';
+  for (const byte of new Uint8Array(buffer)) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary);
+}
+
+// URL-safe base64 without padding, for tokens that travel in links
+export function toBase64Url(value) {
+  const bytes = typeof value === 'string' ? encoder.encode(value) : value;
+  return toBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// Throws on anything that isn't base64url
+export function fromBase64Url(value) {
+  const binary = atob(value.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+export async function hmacSha256(secret, message) {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const data = typeof message === 'string' ? encoder.encode(message) : message;
+  return crypto.subtle.sign('HMAC', key, data);
+}
+
+export async function sha256Hex(message) {
+  return toHex(await crypto.subtle.digest('SHA-256', encoder.encode(message)));
+}
+
+// Compare two strings without short-circuiting on the first difference
+export function timingSafeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) {
+    return false;
+  }
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+export function randomToken(bytes = 16) {
+  return toHex(crypto.getRandomValues(new Uint8Array(bytes)));
+}
@@ -0,0 +1,152 @@
+import dayjs from 'dayjs';
+
+// ==== DELIVERY ESTIMATE ====
+//
+// Answers "when will it arrive?" with an { earliest, latest } date window.
+// Each package still on its way contributes a window:
+//   - the carrier's own estimate (fulfillment estimatedDeliveryAt), when given
+//   - otherwise ship date + the destination zone's transit days
+// Items not shipped yet add order date + processing days + transit days.
+// The order's window spans all of them. A window that has already slipped
+// is moved up to today rather than showing a date in the past, so a parcel
+// that is running late gets a revised estimate from its age.
+//
+// Per-store settings (tenant `deliveryEstimates`):
+//   {
+//     "processingDays": [1, 2],
+//     "transitDays": [3, 7],                  // anywhere no zone matches
+//     "zones": [
+//       { "name": "local", "countries": ["IN"], "provinces": ["MH"], "transitDays": [1, 2] },
+//       { "name": "domestic", "countries": ["IN"], "transitDays": [2, 5] }
+//     ]
+//   }
+// Zones are matched in order on the shipping address country (and province
+// when listed). Day counts are [min, max] calendar days.
+
+export const DEFAULT_DELIVERY_ESTIMATES = {
+  processingDays: [1, 2],
+  transitDays: [3, 7],
+  zones: []
+};
+
+const DATE_FORMAT = 'YYYY-MM-DD';
+
+function isDayRange(value) {
+  return Array.isArray(value) && value.length === 2
+    && value.every(n => Number.isInteger(n) && n >= 0) && value[0] <= value[1];
+}
+
+// Returns a description of the first problem in the settings, or null when valid
+export function validateDeliveryEstimates(settings) {
+  if (!settings || typeof settings !== 'object') {
+    return 'deliveryEstimates must be an object';
+  }
+  for (const key of ['processingDays', 'transitDays']) {
+    if (key in settings && !isDayRange(settings[key])) {
+      return `deliveryEstimates.${key} must be [min, max] days`;
+    }
+  }
+  if ('zones' in settings && !Array.isArray(settings.zones)) {
+    return 'deliveryEstimates.zones must be an array';
+  }
+  for (const [index, zone] of (settings.zones || []).entries()) {
+    if (!zone || !Array.isArray(zone.countries) || !isDayRange(zone.transitDays)) {
+      return `deliveryEstimates.zones[${index}] needs countries and [min, max] transitDays`;
+    }
+  }
+  return null;
+}
+
+function matchesZone(zone, address) {
+  if (!address || !address.country_code) {
+    return false;
+  }
+  const country = address.country_code.toUpperCase();
+  if (!(zone.countries || []).some(c => c.toUpperCase() === country)) {
+    return false;
+  }
+  if (zone.provinces && zone.provinces.length > 0) {
+    const province = (address.province_code || '').toUpperCase();
+    return zone.provinces.some(p => p.toUpperCase() === province);
+  }
+  return true;
+}
+
+export function findZone(settings, address) {
+  return (settings.zones || []).find(zone => matchesZone(zone, address)) || null;
+}
+
+function addDays(date, [min, max]) {
+  return {
+    earliest: dayjs(date).add(min, 'day'),
+    latest: dayjs(date).add(max, 'day')
+  };
+}
+
+// A window that has started is clipped to today; one that has passed
+// entirely keeps its width but starts today
+function reviseWindow({ earliest, latest }, today) {
+  if (!latest.isBefore(today)) {
+    return { earliest: earliest.isBefore(today) ? today : earliest, latest };
+  }
+  return { earliest: today, latest: today.add(latest.diff(earliest, 'day'), 'day') };
+}
+
+// Orders that are finished have nothing left to estimate
+function isSettled(order, shipments) {
+  if (order.cancelled_at || order.financial_status === 'refunded') {
+    return true;
+  }
+  const allShipped = order.fulfillment_status === 'fulfilled' && shipments.length > 0;
+  return allShipped && shipments.every(shipment => shipment.shipmentStatus === 'delivered');
+}
+
+// `shipments` is statusInfo.shipments. Returns null once nothing is pending.
+export function estimateDelivery(order, shipments, settings = DEFAULT_DELIVERY_ESTIMATES, now = Date.now()) {
+  if (isSettled(order, shipments)) {
+    return null;
+  }
+
+  const zone = findZone(settings, order.shipping_address);
+  const transitDays = zone ? zone.transitDays : settings.transitDays;
+  const windows = [];
+  let fromCarrier = true;
+
+  for (const shipment of shipments) {
+    if (shipment.shipmentStatus === 'delivered') {
+      continue;
+    }
+    if (shipment.estimatedDeliveryAt) {
+      const date = dayjs(shipment.estimatedDeliveryAt);
+      windows.push({ earliest: date, latest: date });
+    } else {
+      windows.push(addDays(shipment.shippedAt || order.created_at, transitDays));
+      fromCarrier = false;
+    }
+  }
+
+  if (order.fulfillment_status !== 'fulfilled') {
+    const shipBy = addDays(order.created_at, settings.processingDays);
+    windows.push({
+      earliest: shipBy.earliest.add(transitDays[0], 'day'),
+      latest: shipBy.latest.add(transitDays[1], 'day')
+    });
+    fromCarrier = false;
+  }
+
+  if (windows.length === 0) {
+    return null;
+  }
+
+  const today = dayjs(now).startOf('day');
+  const revised = windows.map(w => reviseWindow(w, today));
+  const earliest = revised.reduce((min, w) => (w.earliest.isBefore(min) ? w.earliest : min), revised[0].earliest);
+  const latest = revised.reduce((max, w) => (w.latest.isAfter(max) ? w.latest : max), revised[0].latest);
+
+  return {
+    earliest: earliest.format(DATE_FORMAT),
+    latest: latest.format(DATE_FORMAT),
+    source: fromCarrier ? 'carrier' : 'transit-times',
+    zone: zone ? zone.name || null : null
+  };
+}
@@ -0,0 +1,86 @@
+// ==== ERROR MODEL ====
+//
+// Handlers throw these instead of building error responses; errorToResponse()
+// in index.js turns any thrown value into the `{ error, message, code }`
+// payload. Constructor arguments follow createErrorResponse: a short title,
+// the client-facing message, then the stable error code.
+
+export class ApiError extends Error {
+  constructor(title, message, code, status = 500) {
+    super(message);
+    this.name = this.constructor.name;
+    this.title = title;
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// 400 - the request itself is malformed or fails validation
+export class ValidationError extends ApiError {
+  constructor(title, message, code) {
+    super(title, message, code, 400);
+  }
+}
+
+// 401 - missing or bad credentials/signature
+export class UnauthorizedError extends ApiError {
+  constructor(title, message, code) {
+    super(title, message, code, 401);
+  }
+}
+
+// 403 - credentials are fine but not for this
+export class ForbiddenError extends ApiError {
+  constructor(title, message, code) {
+    super(title, message, code, 403);
+  }
+}
+
+// 404
+export class NotFoundError extends ApiError {
+  constructor(title, message, code) {
+    super(title, message, code, 404);
+  }
+}
+
+// 405 - the path exists, but not for this method. `allowedMethods` becomes an Allow header.
+export class MethodNotAllowedError extends ApiError {
+  constructor(title, message, code, allowedMethods = []) {
+    super(title, message, code, 405);
+    this.allowedMethods = allowedMethods;
+  }
+}
+
+// 429 - our own limiter or Shopify's. `retryAfterSeconds` becomes a Retry-After header.
+export class RateLimitedError extends ApiError {
+  constructor(title, message, code, retryAfterSeconds = null) {
+    super(title, message, code, 429);
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
+// 501 - a feature that needs configuration this deployment doesn't have
+export class NotConfiguredError extends ApiError {
+  constructor(title, message, code) {
+    super(title, message, code, 501);
+  }
+}
+
+// 502 - Shopify answered, but not usefully
+export class UpstreamError extends ApiError {
+  constructor(title, message, code, upstreamStatus = null) {
+    super(title, message, code, 502);
+    this.upstreamStatus = upstreamStatus;
+  }
+}
+
+// 502 - Shopify rejected our credentials (401) or scopes (403)
+export class UpstreamAuthError extends UpstreamError {}
+
+// 503 - Shopify is down, timing out, or the circuit breaker is open
+export class UpstreamUnavailableError extends ApiError {
+  constructor(title, message, code, upstreamStatus = null) {
+    super(title, message, code, 503);
+    this.upstreamStatus = upstreamStatus;
+  }
+}
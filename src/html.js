@@ -0,0 +1,16 @@
+// ==== HTML HELPERS ====
+// Shared by the HTML pages in index.js and the hosted tracking page
+
+export function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// JSON that is safe to embed in a <script> block
+export function toScriptJson(value) {
+  return JSON.stringify(value).replace(/</g, '\\u003c');
+}
@@ -0,0 +1,136 @@
+import en from './locales/en.js';
+import es from './locales/es.js';
+import fr from './locales/fr.js';
+import de from './locales/de.js';
+
+// ==== LOCALIZATION ====
+//
+// Customer-facing text lives in a message catalogue, one module per locale
+// under src/locales/. Messages are looked up by dotted key ("statuses.in_transit")
+// and fall back to English when a locale leaves one out. Placeholders in
+// braces ("{hours}") are filled from the params passed to translate().
+//
+// The locale comes from an explicit `locale` parameter, then the request's
+// Accept-Language, then English. Dates are formatted in the customer's
+// timezone: an explicit `timezone` parameter, then the one Cloudflare
+// derives from the visitor's IP, then UTC.
+
+export const DEFAULT_LOCALE = 'en';
+export const DEFAULT_TIME_ZONE = 'UTC';
+
+const CATALOGUES = { en, es, fr, de };
+
+export const SUPPORTED_LOCALES = Object.keys(CATALOGUES);
+
+// Explicit `locale` first, then the best Accept-Language match, then English.
+// "fr-CA" falls back to "fr".
+export function negotiateLocale(requested, acceptLanguage) {
+  const candidates = [];
+  if (requested) {
+    candidates.push(requested);
+  }
+  if (acceptLanguage) {
+    const ranked = acceptLanguage.split(',')
+      .map(part => {
+        const [tag, ...params] = part.trim().split(';');
+        const q = params.find(p => p.trim().startsWith('q='));
+        return { tag, q: q ? Number(q.trim().slice(2)) : 1 };
+      })
+      .filter(entry => entry.tag && entry.q > 0)
+      .sort((a, b) => b.q - a.q);
+    candidates.push(...ranked.map(entry => entry.tag));
+  }
+
+  for (const candidate of candidates) {
+    const language = candidate.toLowerCase().split('-')[0];
+    if (Object.hasOwn(CATALOGUES, language)) {
+      return language;
+    }
+  }
+  return DEFAULT_LOCALE;
+}
+
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Explicit `timezone` first, then Cloudflare's guess from the visitor's IP,
+// then UTC. Unknown zones are skipped rather than rejected.
+export function negotiateTimeZone(requested, request) {
+  const candidates = [requested, request?.cf?.timezone];
+  for (const candidate of candidates) {
+    if (candidate && isValidTimeZone(candidate)) {
+      return candidate;
+    }
+  }
+  return DEFAULT_TIME_ZONE;
+}
+
+// Both negotiations for a request, from `locale`/`timezone` in the body or
+// query string
+export function localeContext(request, { locale, timezone } = {}) {
+  return {
+    locale: negotiateLocale(locale, request.headers.get('Accept-Language')),
+    timeZone: negotiateTimeZone(timezone, request)
+  };
+}
+
+function lookup(catalogue, key) {
+  return key.split('.').reduce((node, part) => (node != null && Object.hasOwn(node, part) ? node[part] : undefined), catalogue);
+}
+
+function interpolate(message, params) {
+  return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+// The message for `key` in `locale`, falling back to English; null if
+// neither has it
+export function translate(locale, key, params = {}) {
+  let message = lookup(CATALOGUES[locale] || CATALOGUES[DEFAULT_LOCALE], key);
+  if (message === undefined) {
+    message = lookup(CATALOGUES[DEFAULT_LOCALE], key);
+  }
+  if (message === undefined) {
+    return null;
+  }
+  return typeof message === 'string' ? interpolate(message, params) : message;
+}
+
+// Text a merchant configured themselves (custom status rules): either a plain
+// string, used for every locale, or a map of locale to text with English (or
+// the first entry) as the fallback
+export function localizedText(value, locale) {
+  if (value === undefined || value === null || typeof value === 'string') {
+    return value ?? null;
+  }
+  return value[locale] ?? value[DEFAULT_LOCALE] ?? Object.values(value)[0] ?? null;
+}
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// A timestamp or calendar date for display. Calendar dates ("2024-03-18",
+// as delivery estimates use) aren't instants, so they're never shifted
+// into another timezone.
+export function formatDate(value, locale, timeZone = DEFAULT_TIME_ZONE, { withTime = false } = {}) {
+  if (!value) {
+    return null;
+  }
+  const dateOnly = typeof value === 'string' && DATE_ONLY_PATTERN.test(value);
+  const date = new Date(dateOnly ? `${value}T00:00:00Z` : value);
+  if (Number.isNaN(date.getTime())) {
+    return null;
+  }
+
+  const options = { year: 'numeric', month: 'short', day: 'numeric', timeZone: dateOnly ? 'UTC' : timeZone };
+  if (withTime && !dateOnly) {
+    options.hour = 'numeric';
+    options.minute = '2-digit';
+    options.timeZoneName = 'short';
+  }
+  return new Intl.DateTimeFormat(locale, options).format(date);
+}
@@ -1,22 +1,83 @@
-import dayjs from 'dayjs';
+import { getOrder, listOrders, customerOrdersQuery, withOrderTransactions, getFulfillmentOrder } from './shopify.js';
+import { getShopifyClient } from './shopify-client.js';
+import { getCachedOrder, getCachedOrders } from './order-cache.js';
+import {
+  findStoredOrder,
+  getOrderStore,
+  applyOrderWebhook,
+  applyHoldWebhook,
+  hashEmail,
+  ORDER_STORE_TOPICS,
+  FULFILLMENT_TOPICS,
+  HOLD_TOPICS
+} from './order-store.js';
+import {
+  ApiError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  RateLimitedError,
+  MethodNotAllowedError,
+  NotConfiguredError,
+  UpstreamError
+} from './errors.js';
+import { resolveTenant, resolveTenantForShop, normalizeHost } from './tenants.js';
+import { determineOrderStatus } from './status-rules.js';
+import { attachCarrierEvents, registerCarrierTracking } from './carrier-tracking.js';
+import { estimateDelivery } from './delivery-estimate.js';
+import { buildOrderTimeline } from './timeline.js';
+import { DEFAULT_LOCALE, DEFAULT_TIME_ZONE, localeContext, translate, formatDate } from './i18n.js';
+import { mintTrackingToken, verifyTrackingToken, getRevokedLinkStore } from './tracking-links.js';
+import { getVerificationStore, CODE_TTL_SECONDS, MAX_CODE_ATTEMPTS } from './verification.js';
+import { getMailTransport } from './mail.js';
+import { authenticateAdminKey, assertAdminScope, createAdminKey, listAdminKeys, revokeAdminKey } from './admin-keys.js';
+import { Router } from './router.js';
+import { escapeHtml, toScriptJson } from './html.js';
+import { renderTrackingPage, trackingPageCsp } from './tracking-page.js';
+import { randomToken } from './crypto.js';
+import { validateSchema } from './schema-validator.js';
+import { buildOpenApiDocument } from './openapi.js';
+import {
+  LOOKUP_REQUEST,
+  TRACK_BATCH_REQUEST,
+  TRACK_BATCH_MAX_ITEMS,
+  ORDER_HISTORY_REQUEST,
+  ORDER_NUMBER_PARAMS,
+  TIMELINE_QUERY,
+  OWNERSHIP_REQUEST,
+  VERIFY_CONFIRM_REQUEST,
+  VERIFICATION_HEADERS,
+  TRACKING_TOKEN_PARAMS,
+  TRACKING_LINK_QUERY,
+  REVOKE_TRACKING_LINK_REQUEST,
+  CREATE_ADMIN_KEY_REQUEST,
+  ADMIN_KEY_PARAMS,
+  TRACK_PAGE_QUERY,
+  INSTALL_QUERY,
+  CALLBACK_QUERY
+} from './api-schemas.js';
+import {
+  getShopTokenStore,
+  isValidShopDomain,
+  beginInstall,
+  verifyOAuthHmac,
+  isFreshTimestamp,
+  exchangeCodeForToken,
+  completeInstall,
+  verifyWebhookHmac
+} from './oauth.js';
 
 // ==== UTILITY FUNCTIONS ====
 
-// CORS helper
-function handleCORS(request) {
+// CORS helper - the allowlist comes from the resolved tenant
+function handleCORS(request, tenant) {
   const origin = request.headers.get('Origin');
-  const allowedOrigins = [
-    'https://zevana.co',
-    'https://www.zevana.co',
-    'http://localhost:3000',
-    'http://localhost:3001',
-    'http://127.0.0.1:3000',
-    'http://127.0.0.1:3001'
-  ];
+  const allowedOrigins = tenant ? tenant.allowedOrigins : [];
 
   const corsHeaders = {
-    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Origin, X-Requested-With, Content-Type, Accept, Authorization',
+    'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-Shop-Domain, X-Verification-Token',
     'Access-Control-Allow-Credentials': 'true',
   };
 
@@ -30,37 +91,146 @@ function handleCORS(request) {
   return corsHeaders;
 }
 
+// Apply the CORS headers for this request to a handler's response
+function withCORS(response, request, tenant) {
+  const corsResponse = new Response(response.body, response);
+  const corsHeaders = handleCORS(request, tenant);
+  for (const [name, value] of Object.entries(corsHeaders)) {
+    corsResponse.headers.set(name, value);
+  }
+  return corsResponse;
+}
+
 // Response helpers
 function createResponse(data, status = 200, headers = {}) {
-  const corsHeaders = handleCORS(new Request('http://localhost'));
   return new Response(JSON.stringify(data), {
     status,
     headers: {
       'Content-Type': 'application/json',
-      ...corsHeaders,
       ...headers
     }
   });
 }
 
-function createErrorResponse(error, message, code, status = 400) {
+function createErrorResponse(error, message, code, status = 400, headers = {}) {
   return createResponse({
     error,
     message,
     code
-  }, status);
+  }, status, headers);
+}
+
+// The one place thrown errors become responses. ApiErrors carry their own
+// status and code; anything else is an unexpected failure and stays opaque.
+function errorToResponse(error) {
+  if (error instanceof ApiError) {
+    const headers = {};
+    if (error instanceof RateLimitedError && error.retryAfterSeconds) {
+      headers['Retry-After'] = String(error.retryAfterSeconds);
+    }
+    if (error instanceof MethodNotAllowedError) {
+      headers['Allow'] = error.allowedMethods.join(', ');
+    }
+    return createErrorResponse(error.title, error.message, error.code, error.status, headers);
+  }
+
+  return createErrorResponse(
+    'Internal server error',
+    'An unexpected error occurred while processing your request',
+    'INTERNAL_ERROR',
+    500
+  );
 }
 
 // ==== VALIDATION HELPERS ====
-function validateEmail(email) {
-  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  return emailRegex.test(email);
+// Request shapes are checked against the route's schemas (api-schemas.js)
+// before a handler runs; see validateRequest below.
+
+async function readJsonBody(request) {
+  let body;
+  try {
+    body = await request.json();
+  } catch (error) {
+    throw new ValidationError(
+      'Invalid JSON',
+      'Request body must be valid JSON',
+      'INVALID_JSON'
+    );
+  }
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new ValidationError(
+      'Invalid request body',
+      'Request body must be a JSON object',
+      'INVALID_BODY'
+    );
+  }
+
+  return body;
+}
+
+// Empty form fields arrive as "" or null and have always meant "not given"
+function omitEmpty(values) {
+  return Object.fromEntries(Object.entries(values).filter(([, value]) => value !== '' && value !== null));
+}
+
+// Malformed escapes are left as they are for the schema to reject
+function decodeParams(params) {
+  return Object.fromEntries(Object.entries(params).map(([name, value]) => {
+    try {
+      return [name, decodeURIComponent(value)];
+    } catch (error) {
+      return [name, value];
+    }
+  }));
+}
+
+function assertValid(schema, value) {
+  const problem = validateSchema(schema, value);
+  if (problem) {
+    throw new ValidationError(problem.title, problem.message, problem.code);
+  }
+  return value;
+}
+
+const HISTORY_DEFAULT_LIMIT = 10;
+const HISTORY_MAX_PAGES = 5;
+
+function parseDateOption(value, field) {
+  if (value === undefined) {
+    return null;
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ValidationError(
+      'Invalid date range',
+      `${field} must be an ISO 8601 date such as 2024-01-31`,
+      'INVALID_DATE_RANGE'
+    );
+  }
+  return date.toISOString();
 }
 
-function validateOrderNumber(orderNumber) {
-  // Allow alphanumeric characters, hyphens, and underscores
-  const orderRegex = /^[a-zA-Z0-9\-_#]+$/;
-  return orderRegex.test(orderNumber) && orderNumber.length >= 1 && orderNumber.length <= 50;
+// Paging and filter options for /orders, from a body that already passed
+// ORDER_HISTORY_REQUEST. Dates are parsed and compared here.
+function historyOptions({ cursor, limit, from, to, status }) {
+  const fromDate = parseDateOption(from, 'from');
+  const toDate = parseDateOption(to, 'to');
+  if (fromDate && toDate && fromDate > toDate) {
+    throw new ValidationError(
+      'Invalid date range',
+      'from must be on or before to',
+      'INVALID_DATE_RANGE'
+    );
+  }
+
+  return {
+    cursor: cursor || null,
+    limit: limit === undefined ? HISTORY_DEFAULT_LIMIT : limit,
+    from: fromDate,
+    to: toDate,
+    statuses: status === undefined ? null : [].concat(status).map(s => s.toLowerCase())
+  };
 }
 
 // ==== RATE LIMITING ====
@@ -69,19 +239,20 @@ class RateLimiter {
     this.requests = new Map();
   }
 
-  isAllowed(ip, maxRequests = 100, windowMs = 15 * 60 * 1000) {
+  // `key` is a client IP, or a prefixed key for the code-confirmation limits
+  isAllowed(key, maxRequests = 100, windowMs = 15 * 60 * 1000) {
     const now = Date.now();
     const windowStart = now - windowMs;
 
-    if (!this.requests.has(ip)) {
-      this.requests.set(ip, []);
+    if (!this.requests.has(key)) {
+      this.requests.set(key, []);
     }
 
-    const userRequests = this.requests.get(ip);
+    const userRequests = this.requests.get(key);
     
     // Remove old requests outside the window
     const validRequests = userRequests.filter(time => time > windowStart);
-    this.requests.set(ip, validRequests);
+    this.requests.set(key, validRequests);
 
     if (validRequests.length >= maxRequests) {
       return false;
@@ -95,148 +266,289 @@ class RateLimiter {
 
 // Global rate limiter instance
 const rateLimiter = new RateLimiter();
+const RATE_LIMIT_WINDOW_SECONDS = 15 * 60;
 
-// ==== SHOPIFY API HELPERS ====
-async function getOrder(orderNumber, email, env) {
-  try {
-    let url;
-    
-    if (orderNumber && email) {
-      // Both provided - search by order number and filter by email
-      const name = orderNumber.startsWith('#') ? orderNumber : `#${orderNumber}`;
-      url = `https://${env.SHOPIFY_SHOP}/admin/api/2024-04/orders.json?status=any&fields=id,name,email,created_at,fulfillments,fulfillment_status,financial_status,closed_at&name=${encodeURIComponent(name)}`;
-    } else if (orderNumber) {
-      // Only order number provided
-      const name = orderNumber.startsWith('#') ? orderNumber : `#${orderNumber}`;
-      url = `https://${env.SHOPIFY_SHOP}/admin/api/2024-04/orders.json?status=any&fields=id,name,email,created_at,fulfillments,fulfillment_status,financial_status,closed_at&name=${encodeURIComponent(name)}`;
-    } else if (email) {
-      // Only email provided
-      url = `https://${env.SHOPIFY_SHOP}/admin/api/2024-04/orders.json?status=any&fields=id,name,email,created_at,fulfillments,fulfillment_status,financial_status,closed_at&email=${encodeURIComponent(email)}`;
-    } else {
-      throw new Error('Either orderNumber or email must be provided');
-    }
-
-    const response = await fetch(url, {
-      headers: {
-        'X-Shopify-Access-Token': env.SHOPIFY_ACCESS_TOKEN,
-        'Content-Type': 'application/json'
-      }
-    });
+function clientIpOf(request) {
+  return request.headers.get('CF-Connecting-IP') || request.headers.get('X-Forwarded-For') || 'unknown';
+}
 
-    if (!response.ok) {
-      throw new Error(`Shopify API error: ${response.status}`);
-    }
+function enforceRateLimit(request) {
+  const clientIP = clientIpOf(request);
+  if (!rateLimiter.isAllowed(clientIP)) {
+    throw new RateLimitedError(
+      'Too many requests from this IP, please try again later.',
+      'Rate limit exceeded',
+      'RATE_LIMIT_EXCEEDED',
+      RATE_LIMIT_WINDOW_SECONDS
+    );
+  }
+}
 
-    const data = await response.json();
-    const orders = data.orders || [];
-    
-    if (orders.length === 0) {
-      return null;
-    }
-    
-    // If both orderNumber and email provided, find exact match
-    if (orderNumber && email) {
-      const order = orders.find(o => o.email && o.email.toLowerCase() === email.toLowerCase());
-      return order || orders[0]; // Return first order if email doesn't match
-    }
-    
-    // If only one field provided, return the most recent order
-    return orders.sort((a, b) => new Date(b.created_at) - new Date(a.created_at))[0];
-    
-  } catch (error) {
-    console.error('Error fetching order from Shopify:', error.message);
-    throw error;
+// Code guesses get their own, tighter limits on top of the per-IP one:
+// MAX_CODE_ATTEMPTS per challenge, and CODE_CONFIRMS_PER_IP per IP across
+// challenges. The wrong-guess counter in verification.js is a read-modify-write
+// on eventually consistent KV, so concurrent guesses can all read the same
+// count; these limits bound how many get through. They are per isolate like
+// the limiter itself, so a guesser spread over many isolates and IPs can still
+// try more than MAX_CODE_ATTEMPTS codes per challenge (see README).
+const CODE_CONFIRMS_PER_IP = 20;
+
+function enforceCodeConfirmLimit(request, challengeId) {
+  const allowed = rateLimiter.isAllowed(`confirm-challenge/${challengeId}`, MAX_CODE_ATTEMPTS, CODE_TTL_SECONDS * 1000)
+    && rateLimiter.isAllowed(`confirm-ip/${clientIpOf(request)}`, CODE_CONFIRMS_PER_IP, RATE_LIMIT_WINDOW_SECONDS * 1000);
+  if (!allowed) {
+    throw new RateLimitedError(
+      'Too many codes tried',
+      'Too many verification codes were tried. Please request a new code later.',
+      'VERIFICATION_RATE_LIMITED',
+      RATE_LIMIT_WINDOW_SECONDS
+    );
   }
 }
 
 // ==== ORDER STATUS LOGIC ====
-function determineOrderStatus(order) {
-  console.log('Processing order:', order.name);
-  console.log('Fulfillments:', JSON.stringify(order.fulfillments, null, 2));
-  
-  // Check if tracking is added first (regardless of delivery status)
-  const fulfillment = (order.fulfillments && order.fulfillments.length > 0) ? order.fulfillments[0] : null;
-  console.log('First fulfillment:', fulfillment);
-  
-  // Try different ways to get tracking number
-  let trackingNumber = null;
-  if (fulfillment) {
-    // Check for tracking_numbers array (Shopify's actual structure)
-    if (fulfillment.tracking_numbers && fulfillment.tracking_numbers.length > 0) {
-      trackingNumber = fulfillment.tracking_numbers[0];
-      console.log('Tracking number from tracking_numbers array:', trackingNumber);
-    }
-    // Fallback to singular tracking_number
-    else if (fulfillment.tracking_number) {
-      trackingNumber = fulfillment.tracking_number;
-      console.log('Tracking number from tracking_number field:', trackingNumber);
-    }
-    // Fallback to trackingNumber (camelCase)
-    else if (fulfillment.trackingNumber) {
-      trackingNumber = fulfillment.trackingNumber;
-      console.log('Tracking number from trackingNumber field:', trackingNumber);
-    }
-    
-    // Also check if there are any line items with tracking
-    if (!trackingNumber && fulfillment.line_items) {
-      for (const item of fulfillment.line_items) {
-        if (item.tracking_number) {
-          trackingNumber = item.tracking_number;
-          console.log('Tracking number from line item:', trackingNumber);
-          break;
-        }
-      }
-    }
+// determineOrderStatus (status-rules.js) runs the tenant's rule list; each
+// tenant carries its own (custom rules followed by the defaults).
+
+// Status plus the delivery estimate, for the customer-facing responses.
+// `context` is the request's localeContext (see i18n.js); the timezone is
+// carried along for the HTML responses.
+function describeOrder(order, tenant, { locale = DEFAULT_LOCALE, timeZone = DEFAULT_TIME_ZONE } = {}) {
+  const statusInfo = determineOrderStatus(order, tenant, locale);
+  return {
+    ...statusInfo,
+    timeZone,
+    estimatedDelivery: estimateDelivery(order, statusInfo.shipments, tenant.deliveryEstimates)
+  };
+}
+
+// ==== OWNERSHIP VERIFICATION ====
+// tenant.verification (see tenants.js) decides what a customer has to prove:
+// lenient and strict are enforced by lookupOrder, and under `code` the
+// sensitive fields are withheld by describeOrderFor until the request
+// carries a session from /verify/confirm in the X-Verification-Token header.
+
+const VERIFICATION_HEADER = 'X-Verification-Token';
+
+// MISSING_FIELDS payload when the tenant needs both fields and one is missing
+function ownershipFieldsProblem(orderNumber, email, tenant) {
+  if (tenant.verification === 'lenient' || (orderNumber && email)) {
+    return null;
   }
-  
-  console.log('Final tracking number found:', trackingNumber);
-  
-  // Check if order is delivered (closed_at is set when order is delivered)
-  if (order.closed_at) {
-    console.log('Order is delivered');
-    return {
-      status: 'Order Delivered',
-      trackingNumber: trackingNumber, // Return the tracking number even for delivered orders
-      deliveredAt: order.closed_at,
-      buttonsDisabled: true,
-      disabledReason: 'Order has been delivered'
-    };
+  return {
+    title: 'Missing required fields',
+    message: 'Please provide both an order number and the email address used for it',
+    code: 'MISSING_FIELDS'
+  };
+}
+
+// When both fields were given, the order must have been placed with that email
+async function ownsOrder(order, orderNumber, email) {
+  return !orderNumber || !email || orderBelongsTo(order, email);
+}
+
+// The request's verified session, or null. Only read under `code` verification.
+async function readVerificationSession(request, env, tenant) {
+  const sessionToken = request.headers.get(VERIFICATION_HEADER);
+  const store = getVerificationStore(env);
+  if (tenant.verification !== 'code' || !sessionToken || !store) {
+    return null;
   }
 
-  if (trackingNumber) {
-    console.log('Order has tracking number, status: In Transit');
-    return {
-      status: 'In Transit',
-      trackingNumber: trackingNumber,
-      deliveredAt: null,
-      buttonsDisabled: true,
-      disabledReason: 'Order is in transit'
-    };
+  const session = await store.getSession(sessionToken);
+  return session && session.shop === tenant.shop ? session : null;
+}
+
+// A session covers the order it was confirmed for and any other order
+// placed with the same email
+async function sessionCovers(session, order) {
+  if (!session) {
+    return false;
   }
+  if (session.orderId === String(order.id)) {
+    return true;
+  }
+  const emailHash = order.email ? await hashEmail(order.email) : order.email_hash;
+  return Boolean(emailHash) && emailHash === session.emailHash;
+}
 
-  // Calculate hours since order was placed
-  const hours = dayjs().diff(dayjs(order.created_at), 'hour');
-  console.log('Hours since order placed:', hours);
-  
-  if (hours < 48) {
-    console.log('Order is processing (less than 48 hours)');
-    return {
-      status: 'Order Processing',
-      trackingNumber: null,
-      deliveredAt: null,
-      buttonsDisabled: false,
-      disabledReason: null
-    };
-  } else {
-    console.log('Order is in transit (more than 48 hours)');
-    return {
-      status: 'In Transit',
-      trackingNumber: null,
-      deliveredAt: null,
-      buttonsDisabled: true,
-      disabledReason: 'Order is in transit (48+ hours)'
-    };
+// A checkpoint's status and time stay; where the parcel is doesn't
+function withoutLocation(event) {
+  return event && { ...event, trackingNumber: null, location: null, description: null };
+}
+
+function withholdSensitive(statusInfo) {
+  return {
+    ...statusInfo,
+    trackingNumber: null,
+    trackingUrl: null,
+    shipments: statusInfo.shipments.map(shipment => ({ ...shipment, trackingNumbers: [], trackingUrls: [] })),
+    events: statusInfo.events.map(withoutLocation),
+    latestCheckpoint: withoutLocation(statusInfo.latestCheckpoint),
+    verificationRequired: true
+  };
+}
+
+// describeOrder for a customer-facing response
+async function describeOrderFor(order, tenant, session, context) {
+  const statusInfo = describeOrder(order, tenant, context);
+  if (tenant.verification !== 'code' || await sessionCovers(session, order)) {
+    return { ...statusInfo, verificationRequired: false };
+  }
+  return withholdSensitive(statusInfo);
+}
+
+// 404 for a lookup, naming the fields it searched on
+function orderNotFound(orderNumber, email) {
+  const searchCriteria = [];
+  if (orderNumber) searchCriteria.push('order number');
+  if (email) searchCriteria.push('email');
+
+  return new NotFoundError(
+    'Order not found',
+    `No order found with the provided ${searchCriteria.join(' and ')}`,
+    'ORDER_NOT_FOUND'
+  );
+}
+
+// Order lookup for the customer-facing endpoints: the webhook-fed order store
+// first, then the Admin API through the cache (TTL follows the order's status).
+// Live carrier checkpoints are attached after the cache, never stored in it.
+// The tenant's verification mode decides which fields are required; `trusted`
+// skips that for callers that already know the order (a signed link).
+// Throws NotFoundError when neither has the order, or the order was placed
+// with a different email than the one given.
+async function lookupOrder(orderNumber, email, env, tenant, { trusted = false } = {}) {
+  const problem = trusted ? null : ownershipFieldsProblem(orderNumber, email, tenant);
+  if (problem) {
+    throw new ValidationError(problem.title, problem.message, problem.code);
   }
+
+  // The store is keyed by order number alone, so its email is checked here
+  const storedOrder = await findStoredOrder(orderNumber, email, tenant, env);
+  if (storedOrder && await ownsOrder(storedOrder, orderNumber, email)) {
+    return { order: await attachCarrierEvents(storedOrder, env), stale: false, cachedAt: null };
+  }
+
+  const result = await getCachedOrder(orderNumber, email, tenant, env,
+    order => determineOrderStatus(order, tenant).statusCode);
+
+  if (!result.order || !(await ownsOrder(result.order, orderNumber, email))) {
+    throw orderNotFound(orderNumber, email);
+  }
+
+  return { ...result, order: await attachCarrierEvents(result.order, env) };
+}
+
+// Customer-facing fields for one order, shared by /track and /orders
+function formatTrackingData(order, statusInfo) {
+  return {
+    orderNumber: order.name.replace('#', ''),
+    statusCode: statusInfo.statusCode,
+    status: statusInfo.status,
+    trackingNumber: statusInfo.trackingNumber,
+    carrier: statusInfo.carrier,
+    carrierName: statusInfo.carrierName,
+    trackingUrl: statusInfo.trackingUrl,
+    orderDate: order.created_at,
+    processingDeadline: statusInfo.processingDeadline,
+    lastUpdated: new Date().toISOString(),
+    deliveredAt: statusInfo.deliveredAt,
+    estimatedDelivery: statusInfo.estimatedDelivery,
+    buttonsDisabled: statusInfo.buttonsDisabled,
+    disabledReasonCode: statusInfo.disabledReasonCode,
+    disabledReason: statusInfo.disabledReason,
+    locale: statusInfo.locale,
+    shipments: statusInfo.shipments,
+    events: statusInfo.events,
+    latestCheckpoint: statusInfo.latestCheckpoint,
+    verificationRequired: Boolean(statusInfo.verificationRequired)
+  };
+}
+
+// Localized text for the generated storefront scripts. Everything here is
+// embedded with toScriptJson, never inside hand-written quotes: translations
+// and custom labels can contain apostrophes.
+function buttonControlText(statusInfo) {
+  const notification = key => translate(statusInfo.locale, `notifications.${key}`);
+  const reason = statusInfo.disabledReason;
+  return {
+    status: statusInfo.status,
+    orderStatus: notification('orderStatus'),
+    // Text on a disabled Add to Cart button; most statuses use their label
+    buttonLabel: translate(statusInfo.locale, `buttonLabels.${statusInfo.statusCode}`) || statusInfo.status,
+    addToCartTitle: reason || notification('addToCartDisabled'),
+    checkoutTitle: reason || notification('checkoutDisabled'),
+    buttonTitle: reason || notification('buttonDisabled'),
+    notice: reason || notification('addToCartUnavailable'),
+    disabledNotice: reason || notification('buttonsDisabled')
+  };
+}
+
+// "<strong>Label:</strong> value" line for the HTML pages
+function detailHtml(statusInfo, key, valueHtml) {
+  return `<p><strong>${escapeHtml(translate(statusInfo.locale, `details.${key}`))}:</strong> ${valueHtml}</p>`;
+}
+
+// A timestamp for the HTML pages, in the customer's language and timezone
+function formatDateTime(value, statusInfo) {
+  return escapeHtml(formatDate(value, statusInfo.locale, statusInfo.timeZone, { withTime: true }));
+}
+
+// Tracking number line for the HTML pages; a withheld number says how to see it
+function renderTrackingNumberHtml(statusInfo) {
+  if (statusInfo.trackingNumber) {
+    return detailHtml(statusInfo, 'trackingNumber', escapeHtml(statusInfo.trackingNumber));
+  }
+  if (statusInfo.verificationRequired && statusInfo.shipments.length > 0) {
+    return detailHtml(statusInfo, 'trackingNumber', escapeHtml(translate(statusInfo.locale, 'details.verifyToSee')));
+  }
+  return '';
+}
+
+// "Jan 14 - Jan 16" line for the HTML responses; empty when there's no estimate
+function renderEstimateHtml(statusInfo) {
+  const estimate = statusInfo.estimatedDelivery;
+  if (!estimate) {
+    return '';
+  }
+  const format = date => formatDate(date, statusInfo.locale, statusInfo.timeZone);
+  const range = estimate.earliest === estimate.latest
+    ? format(estimate.earliest)
+    : `${format(estimate.earliest)} - ${format(estimate.latest)}`;
+  return detailHtml(statusInfo, 'estimatedDelivery', escapeHtml(range));
+}
+
+// Package list for the HTML responses; empty when nothing has shipped
+function renderShipmentsHtml(statusInfo) {
+  const { shipments, locale } = statusInfo;
+  if (!shipments || shipments.length === 0) {
+    return '';
+  }
+
+  const items = shipments.map((shipment, index) => {
+    const tracking = shipment.trackingNumbers.length > 0
+      ? shipment.trackingNumbers.map((number, i) => shipment.trackingUrls[i]
+        ? `<a href="${escapeHtml(shipment.trackingUrls[i])}" target="_blank" rel="noopener">${escapeHtml(number)}</a>`
+        : escapeHtml(number)).join(', ')
+      : escapeHtml(translate(locale, 'details.noTracking'));
+    const lineItems = shipment.lineItems
+      .map(item => `${escapeHtml(item.name || item.sku || translate(locale, 'details.item'))} &times; ${item.quantity}`)
+      .join(', ');
+    const label = translate(locale, 'details.package', { number: index + 1 });
+    return `<li><strong>${escapeHtml(label)}</strong>${shipment.carrierName ? ` (${escapeHtml(shipment.carrierName)})` : ''}: ${tracking}${lineItems ? `<br><small>${lineItems}</small>` : ''}</li>`;
+  }).join('');
+
+  return `<p><strong>${escapeHtml(translate(locale, 'details.shipments'))}:</strong></p><ul>${items}</ul>`;
+}
+
+// getOrder falls back to the first name match, so ownership is checked
+// explicitly. Webhook-stored orders only carry the email hash.
+async function orderBelongsTo(order, email) {
+  if (order.email) {
+    return order.email.toLowerCase() === email.toLowerCase();
+  }
+  return Boolean(order.email_hash) && order.email_hash === await hashEmail(email);
 }
 
 // ==== ROUTE HANDLERS ====
@@ -252,21 +564,25 @@ async function handleHealth() {
 }
 
 // Debug endpoint
-async function handleDebug(orderNumber, env) {
+async function handleDebug(orderNumber, tenant) {
   try {
-    const order = await getOrder(orderNumber, null, env);
+    const order = await getOrder(orderNumber, null, tenant);
     
     if (!order) {
-      return createErrorResponse(
+      throw new NotFoundError(
         'Order not found',
         `No order found with order number: ${orderNumber}`,
-        'ORDER_NOT_FOUND',
-        404
+        'ORDER_NOT_FOUND'
       );
     }
     
     return createResponse({
       success: true,
+      tenant: {
+        id: tenant.id,
+        shop: tenant.shop
+      },
+      apiClient: getShopifyClient(tenant.shop).getState(),
       order: {
         name: order.name,
         email: order.email,
@@ -288,70 +604,26 @@ async function handleDebug(orderNumber, env) {
     });
     
   } catch (error) {
-    console.error('Error in debug endpoint:', error.message);
-    return createErrorResponse(
-      'Internal server error',
-      error.message,
-      'INTERNAL_ERROR',
-      500
-    );
+    console.error('Error in debug endpoint:', error.detail || error.message);
+    return errorToResponse(error);
   }
 }
 
 // Code injection endpoint - injects button control directly into any page
-async function handleCodeInjection(request, env) {
+async function handleCodeInjection(request, env, tenant, body) {
   try {
-    const body = await request.json();
-    const { orderNumber, email, targetUrl } = body;
-
-    // Input validation - at least one field must be provided
-    if (!orderNumber && !email) {
-      return createErrorResponse(
-        'Missing required fields',
-        'Please provide either order number or email address',
-        'MISSING_FIELDS'
-      );
-    }
-
-    // Validate order number if provided
-    if (orderNumber && !validateOrderNumber(orderNumber)) {
-      return createErrorResponse(
-        'Invalid order number',
-        'Order number must be 1-50 characters and contain only letters, numbers, hyphens, underscores, and #',
-        'INVALID_ORDER_NUMBER'
-      );
-    }
-
-    // Validate email if provided
-    if (email && !validateEmail(email)) {
-      return createErrorResponse(
-        'Invalid email address',
-        'Please provide a valid email address',
-        'INVALID_EMAIL'
-      );
-    }
+    const { orderNumber, email } = body;
 
-    const order = await getOrder(orderNumber, email, env);
-    
-    if (!order) {
-      const searchCriteria = [];
-      if (orderNumber) searchCriteria.push('order number');
-      if (email) searchCriteria.push('email');
-      
-      return createErrorResponse(
-        'Order not found',
-        `No order found with the provided ${searchCriteria.join(' and ')}`,
-        'ORDER_NOT_FOUND',
-        404
-      );
-    }
+    const { order } = await lookupOrder(orderNumber, email, env, tenant);
 
-    const statusInfo = determineOrderStatus(order);
+    const session = await readVerificationSession(request, env, tenant);
+    const statusInfo = await describeOrderFor(order, tenant, session, localeContext(request, body));
+    const text = buttonControlText(statusInfo);
     
     // Create HTML page that will inject the button control script
     const html = `
 <!DOCTYPE html>
-<html>
+<html lang="${statusInfo.locale}">
 <head>
     <title>Button Control Injection</title>
     <meta charset="utf-8">
@@ -403,12 +675,14 @@ async function handleCodeInjection(request, env) {
         <h1>🛒 Button Control Injection</h1>
         
         <div class="status">
-            <h3>Order Status</h3>
-            <p><strong>Order Number:</strong> ${order.name.replace('#', '')}</p>
-            <p><strong>Status:</strong> <span class="${statusInfo.buttonsDisabled ? 'warning' : 'success'}">${statusInfo.status}</span></p>
+            <h3>${escapeHtml(translate(statusInfo.locale, 'notifications.orderStatus'))}</h3>
+            ${detailHtml(statusInfo, 'orderNumber', escapeHtml(order.name.replace('#', '')))}
+            ${detailHtml(statusInfo, 'status', `<span class="${statusInfo.buttonsDisabled ? 'warning' : 'success'}">${escapeHtml(statusInfo.status)}</span>`)}
             <p><strong>Buttons Disabled:</strong> <span class="${statusInfo.buttonsDisabled ? 'error' : 'success'}">${statusInfo.buttonsDisabled ? 'YES' : 'NO'}</span></p>
-            <p><strong>Reason:</strong> ${statusInfo.disabledReason || 'N/A'}</p>
-            ${statusInfo.trackingNumber ? `<p><strong>Tracking Number:</strong> ${statusInfo.trackingNumber}</p>` : ''}
+            ${detailHtml(statusInfo, 'reason', escapeHtml(statusInfo.disabledReason || 'N/A'))}
+            ${renderTrackingNumberHtml(statusInfo) || detailHtml(statusInfo, 'processingDeadline', formatDateTime(statusInfo.processingDeadline, statusInfo))}
+            ${renderEstimateHtml(statusInfo)}
+            ${renderShipmentsHtml(statusInfo)}
         </div>
 
         <div class="status">
@@ -445,11 +719,12 @@ async function handleCodeInjection(request, env) {
     <script>
         // Order data from API
         const orderData = {
-            orderNumber: '${order.name.replace('#', '')}',
-            status: '${statusInfo.status}',
-            trackingNumber: '${statusInfo.trackingNumber || ''}',
+            orderNumber: ${toScriptJson(order.name.replace('#', ''))},
+            statusCode: ${toScriptJson(statusInfo.statusCode)},
+            trackingNumber: ${toScriptJson(statusInfo.trackingNumber || '')},
             buttonsDisabled: ${statusInfo.buttonsDisabled},
-            disabledReason: '${statusInfo.disabledReason || ''}'
+            text: ${toScriptJson(text)},
+            shipments: ${toScriptJson(statusInfo.shipments)}
         };
 
         // Button control script
@@ -457,7 +732,7 @@ async function handleCodeInjection(request, env) {
         (function() {
             'use strict';
             
-            console.log('Button Control Injected: Order Status - \${orderData.status}');
+            console.log('Button Control Injected: Order Status - \${orderData.statusCode}');
             
             // Shopify-specific button selectors
             const ADD_TO_CART_SELECTORS = [
@@ -510,14 +785,14 @@ async function handleCodeInjection(request, env) {
                             button.disabled = true;
                             button.style.opacity = '0.6';
                             button.style.cursor = 'not-allowed';
-                            button.title = '\${orderData.disabledReason || 'Add to Cart disabled due to order status'}';
+                            button.title = \${JSON.stringify(orderData.text.addToCartTitle)};
                             button.classList.add('btn--disabled-by-tracking');
                             
                             // Change button text
                             const textElement = button.querySelector('span, .btn__text, .button-text');
                             if (textElement) {
                                 textElement.dataset.originalText = textElement.textContent;
-                                textElement.textContent = '\${orderData.status === 'Order Delivered' ? 'Order Delivered' : 'Order In Transit'}';
+                                textElement.textContent = \${JSON.stringify(orderData.text.buttonLabel)};
                             }
                             
                             disabledCount++;
@@ -532,7 +807,7 @@ async function handleCodeInjection(request, env) {
                             button.disabled = true;
                             button.style.opacity = '0.6';
                             button.style.cursor = 'not-allowed';
-                            button.title = '\${orderData.disabledReason || 'Checkout disabled due to order status'}';
+                            button.title = \${JSON.stringify(orderData.text.checkoutTitle)};
                             button.classList.add('btn--disabled-by-tracking');
                         }
                     });
@@ -574,7 +849,7 @@ async function handleCodeInjection(request, env) {
             // Control buttons based on order status
             if (\${orderData.buttonsDisabled}) {
                 disableButtons();
-                showNotification('\${orderData.status}', '\${orderData.disabledReason || 'Add to Cart is currently disabled for this order'}');
+                showNotification(\${JSON.stringify(orderData.text.status)}, \${JSON.stringify(orderData.text.notice)});
             } else {
                 enableButtons();
             }
@@ -630,10 +905,12 @@ async function handleCodeInjection(request, env) {
             window.shopifyOrderTracking = {
                 disableButtons: disableButtons,
                 enableButtons: enableButtons,
-                orderStatus: '\${orderData.status}',
+                orderStatus: \${JSON.stringify(orderData.text.status)},
+                statusCode: \${JSON.stringify(orderData.statusCode)},
                 buttonsDisabled: \${orderData.buttonsDisabled},
-                trackingNumber: '\${orderData.trackingNumber}',
-                orderNumber: '\${orderData.orderNumber}'
+                trackingNumber: \${JSON.stringify(orderData.trackingNumber)},
+                orderNumber: \${JSON.stringify(orderData.orderNumber)},
+                shipments: \${JSON.stringify(orderData.shipments)}
             };
             
             // Listen for dynamic content changes
@@ -649,7 +926,7 @@ async function handleCodeInjection(request, env) {
                                     button.disabled = true;
                                     button.style.opacity = '0.6';
                                     button.style.cursor = 'not-allowed';
-                                    button.title = '\${orderData.disabledReason || 'Add to Cart disabled due to order status'}';
+                                    button.title = \${JSON.stringify(orderData.text.addToCartTitle)};
                                     button.classList.add('btn--disabled-by-tracking');
                                 }
                             }
@@ -736,71 +1013,25 @@ async function handleCodeInjection(request, env) {
       status: 200,
       headers: {
         'Content-Type': 'text/html',
-        'Cache-Control': 'no-cache, no-store, must-revalidate',
-        ...handleCORS(request)
+        'Cache-Control': 'no-cache, no-store, must-revalidate'
       }
     });
 
   } catch (error) {
-    console.error('Error in code injection endpoint:', error.message);
-    return createErrorResponse(
-      'Internal server error',
-      'An unexpected error occurred while processing your request',
-      'INTERNAL_ERROR',
-      500
-    );
+    console.error('Error in code injection endpoint:', error.detail || error.message);
+    return errorToResponse(error);
   }
 }
 
 // Shopify-specific button control endpoint - returns JavaScript for Shopify integration
-async function handleShopifyButtonControl(request, env) {
+async function handleShopifyButtonControl(request, env, tenant, body) {
   try {
-    const body = await request.json();
     const { orderNumber, email } = body;
 
-    // Input validation - at least one field must be provided
-    if (!orderNumber && !email) {
-      return createErrorResponse(
-        'Missing required fields',
-        'Please provide either order number or email address',
-        'MISSING_FIELDS'
-      );
-    }
-
-    // Validate order number if provided
-    if (orderNumber && !validateOrderNumber(orderNumber)) {
-      return createErrorResponse(
-        'Invalid order number',
-        'Order number must be 1-50 characters and contain only letters, numbers, hyphens, underscores, and #',
-        'INVALID_ORDER_NUMBER'
-      );
-    }
-
-    // Validate email if provided
-    if (email && !validateEmail(email)) {
-      return createErrorResponse(
-        'Invalid email address',
-        'Please provide a valid email address',
-        'INVALID_EMAIL'
-      );
-    }
-
-    const order = await getOrder(orderNumber, email, env);
-    
-    if (!order) {
-      const searchCriteria = [];
-      if (orderNumber) searchCriteria.push('order number');
-      if (email) searchCriteria.push('email');
-      
-      return createErrorResponse(
-        'Order not found',
-        `No order found with the provided ${searchCriteria.join(' and ')}`,
-        'ORDER_NOT_FOUND',
-        404
-      );
-    }
+    const { order } = await lookupOrder(orderNumber, email, env, tenant);
 
-    const statusInfo = determineOrderStatus(order);
+    const session = await readVerificationSession(request, env, tenant);
+    const statusInfo = await describeOrderFor(order, tenant, session, localeContext(request, body));
     
     // Create JavaScript code for Shopify integration
     const jsCode = `
@@ -809,7 +1040,10 @@ async function handleShopifyButtonControl(request, env) {
 (function() {
     'use strict';
     
-    console.log('Shopify Button Control: Order Status - ${statusInfo.status}');
+    // Localized labels and messages
+    const TEXT = ${toScriptJson(buttonControlText(statusInfo))};
+    
+    console.log('Shopify Button Control: Order Status - ${statusInfo.statusCode}');
     
     // Shopify-specific button selectors
     const ADD_TO_CART_SELECTORS = [
@@ -866,7 +1100,7 @@ async function handleShopifyButtonControl(request, env) {
                     button.disabled = true;
                     button.style.opacity = '0.6';
                     button.style.cursor = 'not-allowed';
-                    button.title = '${statusInfo.disabledReason || 'Add to Cart disabled due to order status'}';
+                    button.title = TEXT.addToCartTitle;
                     
                     // Add visual indicator
                     button.classList.add('btn--disabled-by-tracking');
@@ -874,7 +1108,7 @@ async function handleShopifyButtonControl(request, env) {
                     // Change button text if possible
                     const textElement = button.querySelector('span, .btn__text, .button-text');
                     if (textElement) {
-                        textElement.textContent = '${statusInfo.status === 'Order Delivered' ? 'Order Delivered' : 'Order In Transit'}';
+                        textElement.textContent = TEXT.buttonLabel;
                     }
                     
                     disabledCount++;
@@ -890,7 +1124,7 @@ async function handleShopifyButtonControl(request, env) {
                     button.disabled = true;
                     button.style.opacity = '0.6';
                     button.style.cursor = 'not-allowed';
-                    button.title = '${statusInfo.disabledReason || 'Checkout disabled due to order status'}';
+                    button.title = TEXT.checkoutTitle;
                     button.classList.add('btn--disabled-by-tracking');
                 }
             });
@@ -948,7 +1182,7 @@ async function handleShopifyButtonControl(request, env) {
         disableButtons();
         
         // Show Shopify-style notification
-        showShopifyNotification('${statusInfo.status}', '${statusInfo.disabledReason || 'Add to Cart is currently disabled for this order'}');
+        showShopifyNotification(TEXT.status, TEXT.notice);
     } else {
         enableButtons();
     }
@@ -1006,10 +1240,12 @@ async function handleShopifyButtonControl(request, env) {
     window.shopifyOrderTracking = {
         disableButtons: disableButtons,
         enableButtons: enableButtons,
-        orderStatus: '${statusInfo.status}',
+        orderStatus: TEXT.status,
+        statusCode: ${toScriptJson(statusInfo.statusCode)},
         buttonsDisabled: ${statusInfo.buttonsDisabled},
-        trackingNumber: '${statusInfo.trackingNumber || ''}',
-        orderNumber: '${order.name.replace('#', '')}'
+        trackingNumber: ${toScriptJson(statusInfo.trackingNumber || '')},
+        orderNumber: ${toScriptJson(order.name.replace('#', ''))},
+        shipments: ${toScriptJson(statusInfo.shipments)}
     };
     
     // Listen for dynamic content changes (for AJAX-loaded content)
@@ -1026,7 +1262,7 @@ async function handleShopifyButtonControl(request, env) {
                             button.disabled = true;
                             button.style.opacity = '0.6';
                             button.style.cursor = 'not-allowed';
-                            button.title = '${statusInfo.disabledReason || 'Add to Cart disabled due to order status'}';
+                            button.title = TEXT.addToCartTitle;
                             button.classList.add('btn--disabled-by-tracking');
                         }
                     }
@@ -1049,76 +1285,30 @@ async function handleShopifyButtonControl(request, env) {
       status: 200,
       headers: {
         'Content-Type': 'application/javascript',
-        'Cache-Control': 'no-cache, no-store, must-revalidate',
-        ...handleCORS(request)
+        'Cache-Control': 'no-cache, no-store, must-revalidate'
       }
     });
 
   } catch (error) {
-    console.error('Error in Shopify button control endpoint:', error.message);
-    return createErrorResponse(
-      'Internal server error',
-      'An unexpected error occurred while processing your request',
-      'INTERNAL_ERROR',
-      500
-    );
+    console.error('Error in Shopify button control endpoint:', error.detail || error.message);
+    return errorToResponse(error);
   }
 }
 
 // Button control endpoint - returns HTML with embedded JavaScript
-async function handleButtonControl(request, env) {
+async function handleButtonControl(request, env, tenant, body) {
   try {
-    const body = await request.json();
     const { orderNumber, email } = body;
 
-    // Input validation - at least one field must be provided
-    if (!orderNumber && !email) {
-      return createErrorResponse(
-        'Missing required fields',
-        'Please provide either order number or email address',
-        'MISSING_FIELDS'
-      );
-    }
-
-    // Validate order number if provided
-    if (orderNumber && !validateOrderNumber(orderNumber)) {
-      return createErrorResponse(
-        'Invalid order number',
-        'Order number must be 1-50 characters and contain only letters, numbers, hyphens, underscores, and #',
-        'INVALID_ORDER_NUMBER'
-      );
-    }
-
-    // Validate email if provided
-    if (email && !validateEmail(email)) {
-      return createErrorResponse(
-        'Invalid email address',
-        'Please provide a valid email address',
-        'INVALID_EMAIL'
-      );
-    }
-
-    const order = await getOrder(orderNumber, email, env);
-    
-    if (!order) {
-      const searchCriteria = [];
-      if (orderNumber) searchCriteria.push('order number');
-      if (email) searchCriteria.push('email');
-      
-      return createErrorResponse(
-        'Order not found',
-        `No order found with the provided ${searchCriteria.join(' and ')}`,
-        'ORDER_NOT_FOUND',
-        404
-      );
-    }
+    const { order } = await lookupOrder(orderNumber, email, env, tenant);
 
-    const statusInfo = determineOrderStatus(order);
+    const session = await readVerificationSession(request, env, tenant);
+    const statusInfo = await describeOrderFor(order, tenant, session, localeContext(request, body));
     
     // Create HTML response with embedded JavaScript
     const html = `
 <!DOCTYPE html>
-<html>
+<html lang="${statusInfo.locale}">
 <head>
     <title>Order Status - Button Control</title>
     <style>
@@ -1132,18 +1322,21 @@ async function handleButtonControl(request, env) {
 </head>
 <body>
     <div class="status-info">
-        <h3>Order Status</h3>
-        <p><strong>Order Number:</strong> ${order.name.replace('#', '')}</p>
-        <p><strong>Status:</strong> <span class="${statusInfo.buttonsDisabled ? 'warning' : 'success'}">${statusInfo.status}</span></p>
-        ${statusInfo.trackingNumber ? `<p><strong>Tracking Number:</strong> ${statusInfo.trackingNumber}</p>` : ''}
-        <p><strong>Order Date:</strong> ${new Date(order.created_at).toLocaleString()}</p>
-        ${statusInfo.deliveredAt ? `<p><strong>Delivered At:</strong> ${new Date(statusInfo.deliveredAt).toLocaleString()}</p>` : ''}
+        <h3>${escapeHtml(translate(statusInfo.locale, 'notifications.orderStatus'))}</h3>
+        ${detailHtml(statusInfo, 'orderNumber', escapeHtml(order.name.replace('#', '')))}
+        ${detailHtml(statusInfo, 'status', `<span class="${statusInfo.buttonsDisabled ? 'warning' : 'success'}">${escapeHtml(statusInfo.status)}</span>`)}
+        ${renderTrackingNumberHtml(statusInfo)}
+        ${detailHtml(statusInfo, 'orderDate', formatDateTime(order.created_at, statusInfo))}
+        ${renderTrackingNumberHtml(statusInfo) ? '' : detailHtml(statusInfo, 'processingDeadline', formatDateTime(statusInfo.processingDeadline, statusInfo))}
+        ${statusInfo.deliveredAt ? detailHtml(statusInfo, 'deliveredAt', formatDateTime(statusInfo.deliveredAt, statusInfo)) : ''}
+        ${renderEstimateHtml(statusInfo)}
+        ${renderShipmentsHtml(statusInfo)}
     </div>
     
     <div class="button-control">
         <h3>Button Control Status</h3>
         <p><strong>Buttons Disabled:</strong> <span class="${statusInfo.buttonsDisabled ? 'error' : 'success'}">${statusInfo.buttonsDisabled ? 'YES' : 'NO'}</span></p>
-        ${statusInfo.disabledReason ? `<p><strong>Reason:</strong> ${statusInfo.disabledReason}</p>` : ''}
+        ${statusInfo.disabledReason ? detailHtml(statusInfo, 'reason', escapeHtml(statusInfo.disabledReason)) : ''}
     </div>
 
     <script>
@@ -1151,6 +1344,9 @@ async function handleButtonControl(request, env) {
         (function() {
             console.log('Order tracking button control script loaded');
             
+            // Localized labels and messages
+            const TEXT = ${toScriptJson(buttonControlText(statusInfo))};
+            
             // Function to disable buttons
             function disableButtons() {
                 const buttonSelectors = [
@@ -1188,7 +1384,7 @@ async function handleButtonControl(request, env) {
                             button.disabled = true;
                             button.style.opacity = '0.6';
                             button.style.cursor = 'not-allowed';
-                            button.title = '${statusInfo.disabledReason || 'Button disabled due to order status'}';
+                            button.title = TEXT.buttonTitle;
                             disabledCount++;
                         }
                     });
@@ -1231,7 +1427,7 @@ async function handleButtonControl(request, env) {
                 buttonSelectors.forEach(selector => {
                     const buttons = document.querySelectorAll(selector);
                     buttons.forEach(button => {
-                        if (button.disabled && button.title.includes('Button disabled due to order status')) {
+                        if (button.disabled && button.title === TEXT.buttonTitle) {
                             button.disabled = false;
                             button.style.opacity = '1';
                             button.style.cursor = 'pointer';
@@ -1256,15 +1452,21 @@ async function handleButtonControl(request, env) {
             window.orderTrackingControl = {
                 disableButtons: disableButtons,
                 enableButtons: enableButtons,
-                orderStatus: '${statusInfo.status}',
-                buttonsDisabled: ${statusInfo.buttonsDisabled}
+                orderStatus: TEXT.status,
+                statusCode: ${toScriptJson(statusInfo.statusCode)},
+                buttonsDisabled: ${statusInfo.buttonsDisabled},
+                shipments: ${toScriptJson(statusInfo.shipments)}
             };
             
             // Show notification
             if (${statusInfo.buttonsDisabled}) {
                 const notification = document.createElement('div');
                 notification.style.cssText = 'position: fixed; top: 20px; right: 20px; background: #ffc107; color: #000; padding: 15px; border-radius: 5px; z-index: 10000; box-shadow: 0 2px 10px rgba(0,0,0,0.2);';
-                notification.innerHTML = '<strong>Order Status:</strong> ${statusInfo.status}<br><small>${statusInfo.disabledReason || 'Add to Cart buttons have been disabled'}</small>';
+                const heading = document.createElement('strong');
+                heading.textContent = TEXT.orderStatus + ': ';
+                const message = document.createElement('small');
+                message.textContent = TEXT.disabledNotice;
+                notification.append(heading, TEXT.status, document.createElement('br'), message);
                 document.body.appendChild(notification);
                 
                 // Auto-remove notification after 5 seconds
@@ -1282,204 +1484,1132 @@ async function handleButtonControl(request, env) {
     return new Response(html, {
       status: 200,
       headers: {
-        'Content-Type': 'text/html',
-        ...handleCORS(request)
+        'Content-Type': 'text/html'
       }
     });
 
   } catch (error) {
-    console.error('Error in button control endpoint:', error.message);
-    return createErrorResponse(
-      'Internal server error',
-      'An unexpected error occurred while processing your request',
-      'INTERNAL_ERROR',
-      500
-    );
+    console.error('Error in button control endpoint:', error.detail || error.message);
+    return errorToResponse(error);
   }
 }
 
 // Main tracking endpoint
-async function handleTrack(request, env) {
+async function handleTrack(request, env, tenant, body) {
   try {
-    // Rate limiting
-    const clientIP = request.headers.get('CF-Connecting-IP') || request.headers.get('X-Forwarded-For') || 'unknown';
-    if (!rateLimiter.isAllowed(clientIP)) {
-      return createErrorResponse(
-        'Too many requests from this IP, please try again later.',
-        'Rate limit exceeded',
-        'RATE_LIMIT_EXCEEDED',
-        429
-      );
-    }
-
-    const body = await request.json();
     const { orderNumber, email } = body;
 
-    // Input validation - at least one field must be provided
-    if (!orderNumber && !email) {
-      return createErrorResponse(
-        'Missing required fields',
-        'Please provide either order number or email address',
-        'MISSING_FIELDS'
-      );
-    }
+    const { order, stale } = await lookupOrder(orderNumber, email, env, tenant);
 
-    // Validate order number if provided
-    if (orderNumber && !validateOrderNumber(orderNumber)) {
-      return createErrorResponse(
-        'Invalid order number',
-        'Order number must be 1-50 characters and contain only letters, numbers, hyphens, underscores, and #',
-        'INVALID_ORDER_NUMBER'
-      );
-    }
+    const session = await readVerificationSession(request, env, tenant);
+    const statusInfo = await describeOrderFor(order, tenant, session, localeContext(request, body));
+    console.log(`Tracked ${order.name} on ${tenant.shop}: ${statusInfo.statusCode}`);
 
-    // Validate email if provided
-    if (email && !validateEmail(email)) {
-      return createErrorResponse(
-        'Invalid email address',
-        'Please provide a valid email address',
-        'INVALID_EMAIL'
-      );
-    }
+    return createResponse({
+      success: true,
+      data: {
+        ...formatTrackingData(order, statusInfo),
+        stale
+      }
+    });
 
-    const order = await getOrder(orderNumber, email, env);
-    
-    if (!order) {
-      const searchCriteria = [];
-      if (orderNumber) searchCriteria.push('order number');
-      if (email) searchCriteria.push('email');
-      
-      return createErrorResponse(
-        'Order not found',
-        `No order found with the provided ${searchCriteria.join(' and ')}`,
-        'ORDER_NOT_FOUND',
-        404
-      );
+  } catch (error) {
+    console.error('Error in /track endpoint:', error.detail || error.message);
+    return errorToResponse(error);
+  }
+}
+
+// One item of a batch failed; same payload as the error response /track would send
+function batchItemError(title, message, code) {
+  return { success: false, error: title, message, code };
+}
+
+function batchItemErrorFor(error) {
+  if (error instanceof ApiError) {
+    return batchItemError(error.title, error.message, error.code);
+  }
+  console.error('Unhandled error in batch item:', error);
+  return batchItemError(
+    'Internal server error',
+    'An unexpected error occurred while processing your request',
+    'INTERNAL_ERROR'
+  );
+}
+
+// Batch tracking endpoint - /track for many orders in one request, counted
+// once by the rate limiter. Orders come from the order store, then the cache,
+// and whatever is left is looked up in Shopify together (see getOrders).
+// Each item gets its own result, so one bad item doesn't fail the batch.
+async function handleTrackBatch(request, env, tenant, { items, locale }) {
+  try {
+    const context = localeContext(request, { locale });
+    const results = new Array(items.length);
+    const lookups = [];
+
+    items.forEach((item, index) => {
+      const lookup = omitEmpty(item);
+      const problem = validateSchema(LOOKUP_REQUEST, lookup)
+        || ownershipFieldsProblem(lookup.orderNumber, lookup.email, tenant);
+      if (problem) {
+        results[index] = batchItemError(problem.title, problem.message, problem.code);
+      } else {
+        lookups.push({ index, orderNumber: lookup.orderNumber, email: lookup.email });
+      }
+    });
+
+    // Same ownership rule as lookupOrder: a stored order with another email
+    // falls through to Shopify, and a found one with another email is a miss
+    const storedOrders = await Promise.all(lookups.map(async ({ orderNumber, email }) => {
+      const order = await findStoredOrder(orderNumber, email, tenant, env);
+      return order && await ownsOrder(order, orderNumber, email) ? order : null;
+    }));
+    const found = lookups.map((lookup, i) => ({ ...lookup, order: storedOrders[i], stale: false, error: null }));
+
+    const remaining = found.filter(lookup => !lookup.order);
+    if (remaining.length > 0) {
+      const cached = await getCachedOrders(remaining, tenant, env,
+        order => determineOrderStatus(order, tenant).statusCode);
+      remaining.forEach((lookup, i) => Object.assign(lookup, cached[i]));
     }
 
-    const statusInfo = determineOrderStatus(order);
-    
-    console.log('Final status info:', statusInfo);
-    console.log('API response data:', {
-      orderNumber: order.name.replace('#', ''),
-      status: statusInfo.status,
-      trackingNumber: statusInfo.trackingNumber,
-      orderDate: order.created_at,
-      lastUpdated: new Date().toISOString(),
-      deliveredAt: statusInfo.deliveredAt
+    console.log(`Batch of ${items.length} for ${tenant.shop}: ${storedOrders.filter(Boolean).length} from the order store, ${remaining.length} looked up`);
+
+    const session = await readVerificationSession(request, env, tenant);
+    await Promise.all(found.map(async ({ index, orderNumber, email, order, stale, error }) => {
+      if (!error && order && !(await ownsOrder(order, orderNumber, email))) {
+        order = null;
+      }
+      if (error || !order) {
+        results[index] = batchItemErrorFor(error || orderNotFound(orderNumber, email));
+        return;
+      }
+
+      try {
+        const withEvents = await attachCarrierEvents(order, env);
+        results[index] = {
+          success: true,
+          data: {
+            ...formatTrackingData(withEvents, await describeOrderFor(withEvents, tenant, session, context)),
+            stale
+          }
+        };
+      } catch (itemError) {
+        results[index] = batchItemErrorFor(itemError);
+      }
+    }));
+
+    return createResponse({
+      success: true,
+      data: { results }
     });
 
+  } catch (error) {
+    console.error('Error in /track/batch endpoint:', error.detail || error.message);
+    return errorToResponse(error);
+  }
+}
+
+// The order with its payment transactions, which only the timeline reads. If
+// Shopify can't be reached (a stale cached order, say) the timeline goes
+// without them and payment_captured falls back to processed_at.
+async function timelineOrder(order, tenant) {
+  try {
+    return await withOrderTransactions(order, tenant);
+  } catch (error) {
+    console.warn(`Transactions for ${order.name} unavailable:`, error.detail || error.message);
+    return order;
+  }
+}
+
+// Timeline endpoint - milestones for a progress stepper. Same lookup rules as
+// /track, with the order number in the path and the email as a query param.
+async function handleTimeline(request, env, tenant, { orderNumber }, query) {
+  try {
+    const { order, stale } = await lookupOrder(orderNumber, query.email, env, tenant);
+
+    const session = await readVerificationSession(request, env, tenant);
+    const statusInfo = await describeOrderFor(order, tenant, session, localeContext(request, query));
+    const { locale } = statusInfo;
+    const milestones = buildOrderTimeline(await timelineOrder(order, tenant), statusInfo, locale);
+    console.log(`Timeline for ${order.name}: ${milestones.length} milestones (${locale})`);
+
     return createResponse({
       success: true,
       data: {
         orderNumber: order.name.replace('#', ''),
+        statusCode: statusInfo.statusCode,
         status: statusInfo.status,
-        trackingNumber: statusInfo.trackingNumber,
-        orderDate: order.created_at,
-        lastUpdated: new Date().toISOString(),
-        deliveredAt: statusInfo.deliveredAt,
-        buttonsDisabled: statusInfo.buttonsDisabled,
-        disabledReason: statusInfo.disabledReason
+        locale,
+        milestones,
+        stale
       }
     });
 
   } catch (error) {
-    console.error('Error in /track endpoint:', error.message);
-    
-    // Handle specific Shopify API errors
-    if (error.message.includes('Shopify API error: 401')) {
-      return createErrorResponse(
-        'Authentication failed',
-        'Shopify API authentication error',
-        'SHOPIFY_AUTH_ERROR',
-        500
-      );
-    } else if (error.message.includes('Shopify API error: 403')) {
-      return createErrorResponse(
-        'Access denied',
-        'Shopify API access denied',
-        'SHOPIFY_ACCESS_DENIED',
-        500
-      );
-    } else if (error.message.includes('Shopify API error: 5')) {
-      return createErrorResponse(
-        'Service unavailable',
-        'Shopify API is currently unavailable',
-        'SHOPIFY_SERVICE_UNAVAILABLE',
-        503
-      );
-    }
-
-    return createErrorResponse(
-      'Internal server error',
-      'An unexpected error occurred while processing your request',
-      'INTERNAL_ERROR',
-      500
-    );
+    console.error('Error in /track timeline endpoint:', error.detail || error.message);
+    return errorToResponse(error);
   }
 }
 
-// ==== MAIN WORKER ====
-export default {
-  async fetch(request, env, ctx) {
-    const url = new URL(request.url);
-    const path = url.pathname;
-    const method = request.method;
-
-    // Handle preflight requests
-    if (method === 'OPTIONS') {
-      return new Response(null, {
-        status: 200,
-        headers: handleCORS(request)
-      });
-    }
-
-    // Log request
-    console.log(`${new Date().toISOString()} - ${method} ${path} - IP: ${request.headers.get('CF-Connecting-IP') || 'unknown'}`);
+// The history `status` filter (lowercased by historyOptions) takes status
+// codes and labels, in English or the response's locale
+function matchesStatusFilter(statusInfo, statuses) {
+  const names = [statusInfo.statusCode, statusInfo.status, translate(DEFAULT_LOCALE, `statuses.${statusInfo.statusCode}`)];
+  return names.some(name => name && statuses.includes(name.toLowerCase()));
+}
 
-    try {
-      // Route handling
-      if (path === '/health' && method === 'GET') {
-        return await handleHealth();
-      }
-      
-      if (path.startsWith('/debug/') && method === 'GET') {
-        const orderNumber = path.split('/debug/')[1];
-        return await handleDebug(orderNumber, env);
-      }
-      
-      if (path === '/track' && method === 'POST') {
-        return await handleTrack(request, env);
+// Order history endpoint - every order for a customer, newest first.
+// The customer proves ownership with one of their order numbers.
+async function handleOrderHistory(request, env, tenant, body) {
+  try {
+    const { orderNumber, email } = body;
+    const { cursor, limit, from, to, statuses } = historyOptions(body);
+
+    // Throws unless the order number was placed with this email
+    await lookupOrder(orderNumber, email, env, tenant);
+    const session = await readVerificationSession(request, env, tenant);
+    const context = localeContext(request, body);
+
+    const searchQuery = customerOrdersQuery(email, { from, to });
+    const orders = [];
+    let after = cursor;
+    let exhausted = false;
+
+    // The status filter runs on computed statuses, so keep paging until the
+    // page is full, Shopify runs out, or we've spent HISTORY_MAX_PAGES calls
+    for (let page = 0; page < HISTORY_MAX_PAGES; page++) {
+      const { edges, pageInfo } = await listOrders(searchQuery, tenant, { first: limit, after });
+
+      let index = 0;
+      for (; index < edges.length && orders.length < limit; index++) {
+        const { order } = edges[index];
+        const statusInfo = await describeOrderFor(order, tenant, session, context);
+        if (!statuses || matchesStatusFilter(statusInfo, statuses)) {
+          orders.push(formatTrackingData(order, statusInfo));
+        }
+        after = edges[index].cursor;
       }
-      
-      if (path === '/button-control' && method === 'POST') {
-        return await handleButtonControl(request, env);
+
+      if (index < edges.length) {
+        break;
       }
-      
-      if (path === '/shopify-button-control' && method === 'POST') {
-        return await handleShopifyButtonControl(request, env);
+      if (!pageInfo.hasNextPage) {
+        exhausted = true;
+        break;
       }
-      
-      if (path === '/inject' && method === 'POST') {
-        return await handleCodeInjection(request, env);
+      if (orders.length >= limit) {
+        break;
       }
+    }
 
-      // 404 handler
-      return createErrorResponse(
-        'Endpoint not found',
-        `The requested endpoint ${method} ${path} does not exist`,
-        'ENDPOINT_NOT_FOUND',
-        404
-      );
-
-    } catch (error) {
-      console.error('Unhandled error:', error);
-      return createErrorResponse(
-        'Internal server error',
-        'An unexpected error occurred',
-        'UNHANDLED_ERROR',
-        500
-      );
+    return createResponse({
+      success: true,
+      data: {
+        orders,
+        pageInfo: {
+          hasNextPage: !exhausted,
+          endCursor: exhausted ? null : after
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in /orders endpoint:', error.detail || error.message);
+    return errorToResponse(error);
+  }
+}
+
+// ==== TRACKING LINKS ====
+// Signed "Track your order" links for emails and SMS; see tracking-links.js
+
+// TRACKING_LINK_URL (e.g. a storefront page or /v1/track-page) is a template
+// with {token} and optionally {shop}; without it links point straight at /v1/t/:token
+function trackingLinkUrl(token, tenant, request, env) {
+  if (env.TRACKING_LINK_URL) {
+    return env.TRACKING_LINK_URL
+      .replace('{token}', encodeURIComponent(token))
+      .replace('{shop}', encodeURIComponent(tenant.shop));
+  }
+  return `${new URL(request.url).origin}${API_PREFIX}/t/${token}`;
+}
+
+// Mint a link for one order. Ownership is proven as for order history; a
+// link shows everything, so under `code` verification a session is needed too.
+async function handleCreateTrackingLink(request, env, tenant, { orderNumber, email }) {
+  try {
+    const { order } = await lookupOrder(orderNumber, email, env, tenant);
+    if (tenant.verification === 'code'
+      && !(await sessionCovers(await readVerificationSession(request, env, tenant), order))) {
+      throw new ForbiddenError(
+        'Verification required',
+        'Confirm a one-time code for this order before creating a tracking link',
+        'VERIFICATION_REQUIRED'
+      );
+    }
+
+    const { token, expiresAt } = await mintTrackingToken(order, tenant, env);
+    console.log(`Tracking link issued for ${order.name} on ${tenant.shop}, expires ${expiresAt}`);
+
+    return createResponse({
+      success: true,
+      data: {
+        token,
+        url: trackingLinkUrl(token, tenant, request, env),
+        expiresAt
+      }
+    }, 201);
+
+  } catch (error) {
+    console.error('Error in /tracking-links endpoint:', error.detail || error.message);
+    return errorToResponse(error);
+  }
+}
+
+// Open a link: the /track payload for the order it was issued for. The store
+// comes from the token, not from the request.
+async function handleTrackingLink(request, env, { token }, query) {
+  try {
+    const claims = await verifyTrackingToken(token, env);
+
+    const tenant = await resolveTenantForShop(claims.shop, env);
+    if (!tenant) {
+      throw new UnauthorizedError(
+        'Invalid tracking link',
+        'This tracking link is for a store that is no longer available',
+        'INVALID_TRACKING_LINK'
+      );
+    }
+
+    const { order, stale } = await lookupOrder(claims.name, null, env, tenant, { trusted: true });
+    if (String(order.id) !== claims.order) {
+      throw orderNotFound(claims.name, null);
+    }
+
+    const statusInfo = describeOrder(order, tenant, localeContext(request, query));
+    console.log(`Tracking link opened for ${order.name} on ${tenant.shop}: ${statusInfo.statusCode}`);
+
+    return createResponse({
+      success: true,
+      data: {
+        ...formatTrackingData(order, statusInfo),
+        stale
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in /t endpoint:', error.detail || error.message);
+    return errorToResponse(error);
+  }
+}
+
+// Anyone holding a valid link can revoke it, or every link for its order
+// (e.g. after forwarding it by mistake)
+async function handleRevokeTrackingLink(request, env, { token, scope = 'link' }) {
+  try {
+    const revocations = getRevokedLinkStore(env);
+    if (!revocations) {
+      throw new NotConfiguredError(
+        'Revocation not configured',
+        'Revoking tracking links needs the TRACKING_LINKS KV namespace',
+        'TRACKING_LINKS_NOT_CONFIGURED'
+      );
+    }
+
+    const claims = await verifyTrackingToken(token, env);
+    if (scope === 'order') {
+      await revocations.revokeOrder(claims.shop, claims.order);
+    } else {
+      await revocations.revokeToken(claims);
+    }
+    console.log(`Tracking link revoked (${scope}) for ${claims.name} on ${claims.shop}`);
+
+    return createResponse({
+      success: true,
+      data: {
+        revoked: scope,
+        orderNumber: claims.name.replace('#', '')
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in /tracking-links/revoke endpoint:', error.detail || error.message);
+    return errorToResponse(error);
+  }
+}
+
+// ==== ONE-TIME CODES ====
+// The challenge itself is in verification.js; mail goes out through mail.js
+
+function requireVerificationSetup(env, tenant) {
+  if (tenant.verification !== 'code') {
+    throw new NotConfiguredError(
+      'Verification not enabled',
+      'One-time codes are not enabled for this store',
+      'VERIFICATION_NOT_CONFIGURED'
+    );
+  }
+  const store = getVerificationStore(env);
+  if (!store) {
+    throw new NotConfiguredError(
+      'Verification not configured',
+      'One-time codes need the VERIFICATIONS KV namespace',
+      'VERIFICATION_NOT_CONFIGURED'
+    );
+  }
+  return store;
+}
+
+// c***@example.com, so the customer knows where to look without it being echoed back
+function maskEmail(email) {
+  const [local, domain] = email.split('@');
+  return `${local.slice(0, 1)}***@${domain}`;
+}
+
+// Email a 6-digit code for an order the customer has named with its email
+async function handleVerifyStart(request, env, tenant, { orderNumber, email, locale }) {
+  try {
+    const store = requireVerificationSetup(env, tenant);
+    const transport = getMailTransport(env);
+    if (!transport) {
+      throw new NotConfiguredError(
+        'Verification not configured',
+        'One-time codes need a mail transport (see README)',
+        'VERIFICATION_NOT_CONFIGURED'
+      );
+    }
+
+    const { order } = await lookupOrder(orderNumber, email, env, tenant);
+    const { challengeId, code, expiresAt } = await store.startChallenge(tenant.shop, order, await hashEmail(email));
+
+    const { locale: emailLocale } = localeContext(request, { locale });
+    try {
+      await transport.send({
+        to: email,
+        subject: translate(emailLocale, 'verificationEmail.subject', { order: order.name }),
+        text: translate(emailLocale, 'verificationEmail.text', { code, minutes: CODE_TTL_SECONDS / 60 })
+      });
+    } catch (sendError) {
+      throw new UpstreamError(
+        'Could not send code',
+        'The verification code could not be sent. Please try again.',
+        'VERIFICATION_SEND_FAILED'
+      );
+    }
+    console.log(`Verification code sent for ${order.name} on ${tenant.shop} via ${transport.name}`);
+
+    return createResponse({
+      success: true,
+      data: {
+        challengeId,
+        expiresAt,
+        sentTo: maskEmail(email)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in /verify/start endpoint:', error.detail || error.message);
+    return errorToResponse(error);
+  }
+}
+
+// Trade the code for a session token to send as X-Verification-Token
+async function handleVerifyConfirm(request, env, tenant, { challengeId, code }) {
+  try {
+    const store = requireVerificationSetup(env, tenant);
+    const session = await store.confirmChallenge(tenant.shop, challengeId, code);
+    console.log(`Verification confirmed for ${session.orderName} on ${tenant.shop}`);
+
+    return createResponse({
+      success: true,
+      data: {
+        sessionToken: session.sessionToken,
+        expiresAt: session.expiresAt,
+        orderNumber: session.orderName.replace('#', '')
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in /verify/confirm endpoint:', error.detail || error.message);
+    return errorToResponse(error);
+  }
+}
+
+// ==== HOSTED TRACKING PAGE ====
+// The page is rendered by tracking-page.js and talks to the API from the browser
+
+async function handleTrackingPage(request, tenant, query) {
+  try {
+    const nonce = randomToken(16);
+    const { locale } = localeContext(request, query);
+    const html = renderTrackingPage(tenant, {
+      apiBase: `${new URL(request.url).origin}${API_PREFIX}`,
+      nonce,
+      locale,
+      token: query.token || null,
+      orderNumber: query.orderNumber || null
+    });
+
+    return new Response(html, {
+      headers: {
+        'Content-Type': 'text/html; charset=utf-8',
+        'Content-Language': locale,
+        'Content-Security-Policy': trackingPageCsp(tenant.trackingPage, tenant, nonce),
+        // Tracking link tokens are in the URL; keep them out of Referer headers
+        'Referrer-Policy': 'no-referrer',
+        'X-Content-Type-Options': 'nosniff',
+        'Cache-Control': 'no-store'
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in /track-page endpoint:', error.detail || error.message);
+    return errorToResponse(error);
+  }
+}
+
+// ==== ADMIN API ====
+// Every route here sits behind requireAdmin (see ROUTES); the keys are in admin-keys.js
+
+// Full status and tracking for any order of the store, without the customer's email
+async function handleAdminOrder(env, tenant, { orderNumber }) {
+  try {
+    const { order, stale } = await lookupOrder(orderNumber, null, env, tenant, { trusted: true });
+    const statusInfo = describeOrder(order, tenant);
+
+    return createResponse({
+      success: true,
+      data: {
+        ...formatTrackingData(order, statusInfo),
+        email: order.email || null,
+        stale
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in /admin/orders endpoint:', error.detail || error.message);
+    return errorToResponse(error);
+  }
+}
+
+async function handleCreateAdminKey(env, admin, body) {
+  try {
+    const { key, record } = await createAdminKey(body, admin, env);
+    console.log(`Admin key ${record.id} (${record.name}) created by ${admin.id} with scopes ${record.scopes.join(', ')}`);
+
+    return createResponse({ success: true, data: { key, record } }, 201);
+
+  } catch (error) {
+    console.error('Error in /admin/keys endpoint:', error.detail || error.message);
+    return errorToResponse(error);
+  }
+}
+
+async function handleListAdminKeys(env) {
+  try {
+    return createResponse({ success: true, data: { keys: await listAdminKeys(env) } });
+
+  } catch (error) {
+    console.error('Error in /admin/keys endpoint:', error.detail || error.message);
+    return errorToResponse(error);
+  }
+}
+
+async function handleRevokeAdminKey(env, admin, { keyId }) {
+  try {
+    const record = await revokeAdminKey(keyId, env);
+    console.log(`Admin key ${record.id} (${record.name}) revoked by ${admin.id}`);
+
+    return createResponse({ success: true, data: record });
+
+  } catch (error) {
+    console.error('Error in /admin/keys endpoint:', error.detail || error.message);
+    return errorToResponse(error);
+  }
+}
+
+// ==== APP INSTALL (OAUTH) ====
+
+function requireOAuthConfig(env) {
+  if (!getShopTokenStore(env) || !env.SHOPIFY_API_KEY || !env.SHOPIFY_API_SECRET) {
+    throw new NotConfiguredError(
+      'App install not configured',
+      'SHOPIFY_API_KEY, SHOPIFY_API_SECRET and the SHOP_TOKENS namespace are required for app installs',
+      'OAUTH_NOT_CONFIGURED'
+    );
+  }
+}
+
+// Start the install handshake - redirects the merchant to Shopify's consent screen
+async function handleAuthInstall(request, env) {
+  requireOAuthConfig(env);
+
+  const shop = normalizeHost(new URL(request.url).searchParams.get('shop'));
+  if (!isValidShopDomain(shop)) {
+    throw new ValidationError(
+      'Invalid shop',
+      'Please provide a shop domain like your-store.myshopify.com',
+      'INVALID_SHOP'
+    );
+  }
+
+  const location = await beginInstall(shop, request, env, getShopTokenStore(env));
+  return new Response(null, {
+    status: 302,
+    headers: { 'Location': location }
+  });
+}
+
+// Shopify redirects back here once the merchant approves the install
+async function handleAuthCallback(request, env) {
+  requireOAuthConfig(env);
+
+  const params = new URL(request.url).searchParams;
+  const shop = normalizeHost(params.get('shop'));
+  const code = params.get('code');
+  const state = params.get('state');
+
+  if (!isValidShopDomain(shop) || !code || !state) {
+    throw new ValidationError(
+      'Invalid callback',
+      'The install callback is missing shop, code or state',
+      'INVALID_OAUTH_CALLBACK'
+    );
+  }
+
+  if (!(await verifyOAuthHmac(params, env.SHOPIFY_API_SECRET)) || !isFreshTimestamp(params.get('timestamp'))) {
+    throw new UnauthorizedError(
+      'Invalid signature',
+      'The install callback signature is invalid or has expired',
+      'INVALID_OAUTH_HMAC'
+    );
+  }
+
+  const store = getShopTokenStore(env);
+  const stateShop = await store.consumeState(state);
+  if (stateShop !== shop) {
+    throw new ForbiddenError(
+      'Invalid state',
+      'The install session has expired or does not match this shop. Please start the install again.',
+      'INVALID_OAUTH_STATE'
+    );
+  }
+
+  // Only the token exchange is reported as OAUTH_EXCHANGE_FAILED; setup and
+  // storage problems surface as their own errors
+  let token;
+  try {
+    token = await exchangeCodeForToken(shop, code, env);
+  } catch (error) {
+    console.error(`Error exchanging install code for ${shop}:`, error.detail || error.message);
+    throw new UpstreamError(
+      'Install failed',
+      'Could not obtain an access token from Shopify',
+      'OAUTH_EXCHANGE_FAILED'
+    );
+  }
+
+  const installation = await completeInstall(shop, token, request, env);
+
+  try {
+    await store.put(installation);
+  } catch (error) {
+    console.error(`Error saving installation for ${shop}:`, error.message);
+    throw new ApiError(
+      'Install failed',
+      'The store was authorized but its installation could not be saved. Please start the install again.',
+      'INSTALL_NOT_SAVED'
+    );
+  }
+
+  console.log(`App installed for ${shop} (scope: ${installation.scope})`);
+
+  const html = `
+<!DOCTYPE html>
+<html>
+<head>
+    <title>Order Tracking Installed</title>
+    <meta charset="utf-8">
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 40px; }
+        .success { color: #28a745; }
+    </style>
+</head>
+<body>
+    <h1 class="success">✅ Order tracking installed</h1>
+    <p>${shop} is connected. You can close this window.</p>
+</body>
+</html>`;
+
+  return new Response(html, {
+    status: 200,
+    headers: { 'Content-Type': 'text/html' }
+  });
+}
+
+// ==== WEBHOOKS ====
+function parseWebhookPayload(rawBody) {
+  try {
+    return JSON.parse(rawBody);
+  } catch (error) {
+    throw new ValidationError(
+      'Invalid payload',
+      'Webhook body is not valid JSON',
+      'INVALID_WEBHOOK_PAYLOAD'
+    );
+  }
+}
+
+async function handleShopifyWebhook(request, env) {
+  const rawBody = await request.text();
+  const signature = request.headers.get('X-Shopify-Hmac-Sha256');
+
+  const topic = request.headers.get('X-Shopify-Topic');
+  const shop = normalizeHost(request.headers.get('X-Shopify-Shop-Domain'));
+
+  // A store on its own custom app signs with that app's secret (the tenant's
+  // webhookSecret); everyone else with the webhook secret or the app secret
+  const tenant = shop ? await resolveTenantForShop(shop, env) : null;
+  const secret = (tenant && tenant.webhookSecret) || env.SHOPIFY_WEBHOOK_SECRET || env.SHOPIFY_API_SECRET;
+
+  if (!(await verifyWebhookHmac(rawBody, signature, secret))) {
+    throw new UnauthorizedError(
+      'Invalid signature',
+      'Webhook signature verification failed',
+      'INVALID_WEBHOOK_SIGNATURE'
+    );
+  }
+
+  if (FULFILLMENT_TOPICS.includes(topic)) {
+    // Carrier aggregators only report numbers they've been given; this is
+    // the one place tracking numbers are handed to them
+    await registerCarrierTracking(parseWebhookPayload(rawBody), env);
+  }
+
+  if (topic === 'app/uninstalled') {
+    // Shopify has already invalidated the token; forget it so lookups stop using it
+    const store = getShopTokenStore(env);
+    const removed = store ? await store.delete(shop) : false;
+    console.log(`App uninstalled from ${shop} - token ${removed ? 'revoked' : 'not found'}`);
+  } else if (ORDER_STORE_TOPICS.includes(topic) || HOLD_TOPICS.includes(topic)) {
+    const store = getOrderStore(env);
+    if (!store) {
+      console.log(`Ignoring webhook topic ${topic} from ${shop} - ORDER_STORE not bound`);
+    } else if (HOLD_TOPICS.includes(topic)) {
+      const payload = parseWebhookPayload(rawBody);
+      const fulfillmentOrderId = payload.fulfillment_order && payload.fulfillment_order.id;
+      const fulfillmentOrder = fulfillmentOrderId && tenant
+        ? await getFulfillmentOrder(fulfillmentOrderId, tenant)
+        : null;
+      if (fulfillmentOrder) {
+        await applyHoldWebhook(store, shop, fulfillmentOrder);
+      } else {
+        console.log(`Webhook ${topic} from ${shop} - unknown store or fulfillment order, skipped`);
+      }
+    } else {
+      const written = await applyOrderWebhook(store, shop, topic, parseWebhookPayload(rawBody));
+      console.log(`Webhook ${topic} from ${shop} - ${written ? 'stored' : 'skipped'}`);
+    }
+  } else {
+    console.log(`Ignoring webhook topic ${topic} from ${shop}`);
+  }
+
+  return createResponse({ success: true });
+}
+
+// ==== ROUTES ====
+// Every endpoint lives under /v1. Routes that predate versioning are marked
+// `legacyAlias: true` and keep their original unversioned path as a
+// deprecated alias, so storefront snippets already in the wild keep working;
+// it answers with a Deprecation header and a Link to the /v1 path. Endpoints
+// added since are served under /v1 only.
+const API_PREFIX = '/v1';
+
+// Unexpected failures are logged here; expected ones by the handler that threw them
+function respondToError(error) {
+  if (!(error instanceof ApiError)) {
+    console.error('Unhandled error:', error);
+  }
+  return errorToResponse(error);
+}
+
+// Storefront-facing routes answer cross-origin calls from the tenant's origins
+async function cors(ctx, next) {
+  return withCORS(await next(), ctx.request, ctx.tenant);
+}
+
+async function rateLimit(ctx, next) {
+  enforceRateLimit(ctx.request);
+  return next();
+}
+
+// Reads the validated body, so it goes in a route's `afterValidation` list
+async function codeConfirmLimit(ctx, next) {
+  enforceCodeConfirmLimit(ctx.request, ctx.body.challengeId);
+  return next();
+}
+
+// Everything that talks to a store needs one
+async function requireTenant(ctx, next) {
+  if (!ctx.tenant) {
+    throw new ValidationError(
+      'Unknown store',
+      'No store is configured for this request. Send a known X-Shop-Domain header or call from a registered domain.',
+      'TENANT_NOT_FOUND'
+    );
+  }
+  return next();
+}
+
+// A link to the hosted page can't send X-Shop-Domain, so it may name its
+// store with ?shop= instead
+async function tenantFromShopQuery(ctx, next) {
+  const shop = ctx.url.searchParams.get('shop');
+  if (shop) {
+    ctx.tenant = await resolveTenantForShop(shop, ctx.env);
+  }
+  return next();
+}
+
+// Admin routes need `Authorization: Bearer <key>` with `scope`. On store routes
+// the key must also be valid for the tenant's shop; elsewhere it must be valid
+// for every store. The caller is handed on as ctx.admin.
+function requireAdmin(scope, storeScoped) {
+  return async (ctx, next) => {
+    const authorization = ctx.request.headers.get('Authorization') || '';
+    const match = authorization.match(/^Bearer\s+(\S+)$/i);
+    try {
+      ctx.admin = await authenticateAdminKey(match ? match[1] : null, ctx.env);
+      assertAdminScope(ctx.admin, scope, storeScoped ? ctx.tenant.shop : null);
+    } catch (error) {
+      console.warn(`Admin request refused (${error.code}): ${ctx.request.method} ${ctx.url.pathname} - IP: ${ctx.request.headers.get('CF-Connecting-IP') || 'unknown'}`);
+      throw error;
+    }
+    return next();
+  };
+}
+
+// Errors are turned into responses here (with CORS, as the worker does for
+// any error) so they get the headers too
+async function deprecatedAlias(ctx, next) {
+  let response;
+  try {
+    response = await next();
+  } catch (error) {
+    response = withCORS(respondToError(error), ctx.request, ctx.tenant);
+  }
+
+  const deprecated = new Response(response.body, response);
+  deprecated.headers.set('Deprecation', 'true');
+  deprecated.headers.set('Link', `<${API_PREFIX}${ctx.url.pathname}>; rel="successor-version"`);
+  return deprecated;
+}
+
+// Check the route's request schemas and hand the handler clean input as
+// ctx.params, ctx.query and ctx.body. Header schemas are only documented.
+function validateRequest(spec) {
+  return async (ctx, next) => {
+    if (spec.params) {
+      ctx.params = assertValid(spec.params, decodeParams(ctx.params));
+    }
+    if (spec.query) {
+      ctx.query = assertValid(spec.query, omitEmpty(Object.fromEntries(ctx.url.searchParams)));
+    }
+    if (spec.body) {
+      ctx.body = assertValid(spec.body, omitEmpty(await readJsonBody(ctx.request)));
+    }
+    return next();
+  };
+}
+
+const STORE = [cors, requireTenant];
+const STORE_LIMITED = [cors, requireTenant, rateLimit];
+const HTML_PAGE = { contentType: 'text/html', description: 'HTML page with the order status and button control script' };
+
+const ROUTES = [
+  {
+    method: 'GET',
+    path: '/health',
+    legacyAlias: true,
+    handler: () => handleHealth(),
+    middleware: [cors],
+    doc: { operationId: 'getHealth', summary: 'Health check', tags: ['system'], responses: { 200: 'HealthResponse' } }
+  },
+  {
+    method: 'GET',
+    path: '/openapi.json',
+    handler: ctx => handleOpenApi(ctx.url),
+    middleware: [cors],
+    doc: {
+      operationId: 'getOpenApi',
+      summary: 'This OpenAPI document',
+      tags: ['system'],
+      responses: { 200: { contentType: 'application/json', description: 'OpenAPI 3.1 document' } }
+    }
+  },
+  {
+    method: 'GET',
+    path: '/auth/install',
+    legacyAlias: true,
+    handler: ctx => handleAuthInstall(ctx.request, ctx.env),
+    request: { query: INSTALL_QUERY },
+    doc: {
+      operationId: 'installApp',
+      summary: "Start the app install; redirects to Shopify's consent screen",
+      tags: ['app'],
+      responses: { 302: { description: 'Redirect to Shopify' } }
+    }
+  },
+  {
+    method: 'GET',
+    path: '/auth/callback',
+    legacyAlias: true,
+    handler: ctx => handleAuthCallback(ctx.request, ctx.env),
+    request: { query: CALLBACK_QUERY },
+    doc: {
+      operationId: 'completeInstall',
+      summary: 'Complete the app install (called by Shopify)',
+      tags: ['app'],
+      responses: { 200: { contentType: 'text/html', description: 'Install confirmation page' } }
+    }
+  },
+  {
+    // The body is verified against its HMAC as raw bytes, so it isn't parsed here
+    method: 'POST',
+    path: '/webhooks/shopify',
+    legacyAlias: true,
+    handler: ctx => handleShopifyWebhook(ctx.request, ctx.env),
+    doc: {
+      operationId: 'receiveWebhook',
+      summary: 'Receive a signed Shopify webhook',
+      tags: ['app'],
+      responses: { 200: { contentType: 'application/json', description: 'Webhook accepted' } }
+    }
+  },
+  {
+    method: 'GET',
+    path: '/debug/:orderNumber',
+    legacyAlias: true,
+    handler: ctx => handleDebug(ctx.params.orderNumber, ctx.tenant),
+    middleware: STORE,
+    adminScope: 'debug',
+    request: { params: ORDER_NUMBER_PARAMS },
+    doc: { operationId: 'debugOrder', summary: 'Raw order data for troubleshooting', tags: ['admin'], responses: { 200: 'DebugResponse' } }
+  },
+  {
+    method: 'GET',
+    path: '/admin/orders/:orderNumber',
+    handler: ctx => handleAdminOrder(ctx.env, ctx.tenant, ctx.params),
+    middleware: STORE,
+    adminScope: 'orders:read',
+    request: { params: ORDER_NUMBER_PARAMS },
+    doc: { operationId: 'adminGetOrder', summary: 'Order status and tracking without ownership checks', tags: ['admin'], responses: { 200: 'AdminOrderResponse' } }
+  },
+  {
+    method: 'POST',
+    path: '/admin/keys',
+    handler: ctx => handleCreateAdminKey(ctx.env, ctx.admin, ctx.body),
+    middleware: [cors],
+    adminScope: 'keys:manage',
+    request: { body: CREATE_ADMIN_KEY_REQUEST },
+    doc: { operationId: 'createAdminKey', summary: 'Create an admin API key; the key is returned once', tags: ['admin'], responses: { 201: 'AdminKeyCreatedResponse' } }
+  },
+  {
+    method: 'GET',
+    path: '/admin/keys',
+    handler: ctx => handleListAdminKeys(ctx.env),
+    middleware: [cors],
+    adminScope: 'keys:manage',
+    doc: { operationId: 'listAdminKeys', summary: 'Admin API keys, including revoked ones', tags: ['admin'], responses: { 200: 'AdminKeyListResponse' } }
+  },
+  {
+    method: 'DELETE',
+    path: '/admin/keys/:keyId',
+    handler: ctx => handleRevokeAdminKey(ctx.env, ctx.admin, ctx.params),
+    middleware: [cors],
+    adminScope: 'keys:manage',
+    request: { params: ADMIN_KEY_PARAMS },
+    doc: { operationId: 'revokeAdminKey', summary: 'Revoke an admin API key', tags: ['admin'], responses: { 200: 'AdminKeyResponse' } }
+  },
+  {
+    method: 'POST',
+    path: '/track',
+    legacyAlias: true,
+    handler: ctx => handleTrack(ctx.request, ctx.env, ctx.tenant, ctx.body),
+    middleware: STORE_LIMITED,
+    request: { body: LOOKUP_REQUEST, headers: VERIFICATION_HEADERS },
+    doc: { operationId: 'trackOrder', summary: 'Order status and tracking', tags: ['tracking'], responses: { 200: 'TrackResponse' } }
+  },
+  {
+    method: 'POST',
+    path: '/track/batch',
+    handler: ctx => handleTrackBatch(ctx.request, ctx.env, ctx.tenant, ctx.body),
+    middleware: STORE_LIMITED,
+    request: { body: TRACK_BATCH_REQUEST, headers: VERIFICATION_HEADERS },
+    doc: { operationId: 'trackOrders', summary: `Order status and tracking for up to ${TRACK_BATCH_MAX_ITEMS} orders`, tags: ['tracking'], responses: { 200: 'TrackBatchResponse' } }
+  },
+  {
+    method: 'GET',
+    path: '/track/:orderNumber/timeline',
+    legacyAlias: true,
+    handler: ctx => handleTimeline(ctx.request, ctx.env, ctx.tenant, ctx.params, ctx.query),
+    middleware: STORE_LIMITED,
+    request: { params: ORDER_NUMBER_PARAMS, query: TIMELINE_QUERY, headers: VERIFICATION_HEADERS },
+    doc: { operationId: 'getOrderTimeline', summary: 'Order milestones for a progress stepper', tags: ['tracking'], responses: { 200: 'TimelineResponse' } }
+  },
+  {
+    method: 'POST',
+    path: '/orders',
+    legacyAlias: true,
+    handler: ctx => handleOrderHistory(ctx.request, ctx.env, ctx.tenant, ctx.body),
+    middleware: STORE_LIMITED,
+    request: { body: ORDER_HISTORY_REQUEST, headers: VERIFICATION_HEADERS },
+    doc: { operationId: 'listOrders', summary: "A customer's orders, newest first", tags: ['tracking'], responses: { 200: 'OrderHistoryResponse' } }
+  },
+  {
+    method: 'POST',
+    path: '/tracking-links',
+    handler: ctx => handleCreateTrackingLink(ctx.request, ctx.env, ctx.tenant, ctx.body),
+    middleware: STORE_LIMITED,
+    request: { body: OWNERSHIP_REQUEST, headers: VERIFICATION_HEADERS },
+    doc: { operationId: 'createTrackingLink', summary: 'Signed, expiring tracking link for one order', tags: ['tracking'], responses: { 201: 'TrackingLinkResponse' } }
+  },
+  {
+    method: 'POST',
+    path: '/verify/start',
+    handler: ctx => handleVerifyStart(ctx.request, ctx.env, ctx.tenant, ctx.body),
+    middleware: STORE_LIMITED,
+    request: { body: OWNERSHIP_REQUEST },
+    doc: { operationId: 'startVerification', summary: "Email a one-time code to the order's address", tags: ['verification'], responses: { 200: 'VerifyStartResponse' } }
+  },
+  {
+    method: 'POST',
+    path: '/verify/confirm',
+    handler: ctx => handleVerifyConfirm(ctx.request, ctx.env, ctx.tenant, ctx.body),
+    middleware: STORE_LIMITED,
+    request: { body: VERIFY_CONFIRM_REQUEST },
+    afterValidation: [codeConfirmLimit],
+    doc: { operationId: 'confirmVerification', summary: 'Exchange a one-time code for a verification session', tags: ['verification'], responses: { 200: 'VerifyConfirmResponse' } }
+  },
+  {
+    method: 'POST',
+    path: '/tracking-links/revoke',
+    handler: ctx => handleRevokeTrackingLink(ctx.request, ctx.env, ctx.body),
+    middleware: [cors, rateLimit],
+    request: { body: REVOKE_TRACKING_LINK_REQUEST },
+    doc: { operationId: 'revokeTrackingLink', summary: 'Revoke a tracking link, or all links for its order', tags: ['tracking'], responses: { 200: 'RevokeTrackingLinkResponse' } }
+  },
+  {
+    // The store is named by the token, so no tenant is needed up front
+    method: 'GET',
+    path: '/t/:token',
+    handler: ctx => handleTrackingLink(ctx.request, ctx.env, ctx.params, ctx.query),
+    middleware: [cors, rateLimit],
+    request: { params: TRACKING_TOKEN_PARAMS, query: TRACKING_LINK_QUERY },
+    doc: { operationId: 'openTrackingLink', summary: 'Order status and tracking for a tracking link', tags: ['tracking'], responses: { 200: 'TrackResponse' } }
+  },
+  {
+    method: 'GET',
+    path: '/track-page',
+    handler: ctx => handleTrackingPage(ctx.request, ctx.tenant, ctx.query),
+    middleware: [tenantFromShopQuery, requireTenant],
+    request: { query: TRACK_PAGE_QUERY },
+    doc: {
+      operationId: 'trackingPage',
+      summary: 'Hosted, branded tracking page for customers',
+      tags: ['storefront'],
+      responses: { 200: { contentType: 'text/html', description: 'Tracking page with a lookup form, status card and progress steps' } }
+    }
+  },
+  {
+    method: 'POST',
+    path: '/button-control',
+    legacyAlias: true,
+    handler: ctx => handleButtonControl(ctx.request, ctx.env, ctx.tenant, ctx.body),
+    middleware: STORE,
+    request: { body: LOOKUP_REQUEST, headers: VERIFICATION_HEADERS },
+    doc: { operationId: 'buttonControlPage', summary: 'Button control page', tags: ['storefront'], responses: { 200: HTML_PAGE } }
+  },
+  {
+    method: 'POST',
+    path: '/shopify-button-control',
+    legacyAlias: true,
+    handler: ctx => handleShopifyButtonControl(ctx.request, ctx.env, ctx.tenant, ctx.body),
+    middleware: STORE,
+    request: { body: LOOKUP_REQUEST, headers: VERIFICATION_HEADERS },
+    doc: {
+      operationId: 'shopifyButtonControlScript',
+      summary: 'Button control script for Shopify themes',
+      tags: ['storefront'],
+      responses: { 200: { contentType: 'application/javascript', description: 'Script that disables or enables the buttons' } }
+    }
+  },
+  {
+    method: 'POST',
+    path: '/inject',
+    legacyAlias: true,
+    handler: ctx => handleCodeInjection(ctx.request, ctx.env, ctx.tenant, ctx.body),
+    middleware: STORE,
+    request: { body: LOOKUP_REQUEST, headers: VERIFICATION_HEADERS },
+    doc: { operationId: 'injectionPage', summary: 'Button control injection page', tags: ['storefront'], responses: { 200: HTML_PAGE } }
+  }
+];
+
+// Built once per isolate; only the server URL depends on the request
+let openApiDocument = null;
+
+async function handleOpenApi(url) {
+  if (!openApiDocument) {
+    openApiDocument = buildOpenApiDocument(
+      ROUTES.map(route => ({ ...route, storeScoped: (route.middleware || []).includes(requireTenant) })),
+      { prefix: API_PREFIX }
+    );
+  }
+  return createResponse({ ...openApiDocument, servers: [{ url: url.origin }] });
+}
+
+// Preflight for any known path; the Allow header lists its methods
+function handlePreflight(ctx, allowedMethods) {
+  const response = new Response(null, { status: 200, headers: { 'Allow': allowedMethods.join(', ') } });
+  return withCORS(response, ctx.request, ctx.tenant);
+}
+
+// Auth runs after the tenant is known and before the request is validated
+function buildRouter() {
+  const router = new Router({ preflight: handlePreflight });
+  for (const route of ROUTES) {
+    const middleware = [...(route.middleware || [])];
+    if (route.adminScope) {
+      middleware.push(requireAdmin(route.adminScope, middleware.includes(requireTenant)));
+    }
+    if (route.request) {
+      middleware.push(validateRequest(route.request));
+    }
+    middleware.push(...(route.afterValidation || []));
+    router.on(route.method, `${API_PREFIX}${route.path}`, route.handler, middleware);
+    if (route.legacyAlias) {
+      router.on(route.method, route.path, route.handler, [deprecatedAlias, ...middleware]);
+    }
+  }
+  return router;
+}
+
+const router = buildRouter();
+
+// ==== MAIN WORKER ====
+export default {
+  async fetch(request, env, ctx) {
+    let tenant = null;
+
+    try {
+      tenant = await resolveTenant(request, env);
+
+      // Log request
+      console.log(`${new Date().toISOString()} - ${request.method} ${new URL(request.url).pathname} - IP: ${request.headers.get('CF-Connecting-IP') || 'unknown'} - Tenant: ${tenant ? tenant.id : 'none'}`);
+
+      return await router.handle({ request, env, tenant });
+
+    } catch (error) {
+      return withCORS(respondToError(error), request, tenant);
     }
   }
 };
@@ -0,0 +1,116 @@
+// German
+export default {
+  statuses: {
+    cancelled: 'Storniert',
+    refunded: 'Erstattet',
+    on_hold: 'Angehalten',
+    payment_pending: 'Zahlung ausstehend',
+    partially_shipped: 'Teilweise versendet',
+    delivered: 'Bestellung zugestellt',
+    delivery_failed: 'Zustellung fehlgeschlagen',
+    delivery_attempted: 'Zustellversuch',
+    out_for_delivery: 'In Zustellung',
+    in_transit: 'Unterwegs',
+    partially_refunded: 'Teilweise erstattet',
+    processing: 'Bestellung in Bearbeitung'
+  },
+
+  disabledReasons: {
+    cancelled: 'Diese Bestellung wurde storniert',
+    refunded: 'Diese Bestellung wurde erstattet',
+    on_hold: 'Diese Bestellung ist angehalten',
+    payment_pending: 'Die Zahlung für diese Bestellung steht noch aus',
+    partially_shipped: 'Ein Teil Ihrer Bestellung wurde versendet',
+    delivered: 'Die Bestellung wurde zugestellt',
+    delivery_failed: 'Der Versanddienstleister konnte Ihre Bestellung nicht zustellen',
+    delivery_attempted: 'Der Versanddienstleister hat einen Zustellversuch unternommen',
+    out_for_delivery: 'Die Bestellung ist in Zustellung',
+    in_transit: 'Die Bestellung ist unterwegs',
+    partially_refunded: 'Ein Teil dieser Bestellung wurde erstattet',
+    processing_window_passed: 'Die Bestellung ist unterwegs (mehr als {hours} Geschäftsstunden)'
+  },
+
+  buttonLabels: {
+    in_transit: 'Bestellung unterwegs',
+    cancelled: 'Bestellung storniert',
+    refunded: 'Bestellung erstattet'
+  },
+
+  milestones: {
+    order_placed: 'Bestellung aufgegeben',
+    payment_captured: 'Zahlung erhalten',
+    fulfillment_created: 'Versendet',
+    label_printed: 'Versandetikett erstellt',
+    label_purchased: 'Versandetikett erstellt',
+    confirmed: 'Vom Versanddienstleister bestätigt',
+    picked_up: 'Vom Versanddienstleister abgeholt',
+    in_transit: 'Unterwegs',
+    out_for_delivery: 'In Zustellung',
+    attempted_delivery: 'Zustellversuch',
+    ready_for_pickup: 'Zur Abholung bereit',
+    delivered: 'Zugestellt',
+    failure: 'Zustellung fehlgeschlagen',
+    exception: 'Zustellproblem',
+    cancelled: 'Bestellung storniert'
+  },
+
+  notifications: {
+    orderStatus: 'Bestellstatus',
+    addToCartDisabled: 'In den Warenkorb wegen des Bestellstatus deaktiviert',
+    checkoutDisabled: 'Kasse wegen des Bestellstatus deaktiviert',
+    buttonDisabled: 'Schaltfläche wegen des Bestellstatus deaktiviert',
+    addToCartUnavailable: 'In den Warenkorb ist für diese Bestellung derzeit deaktiviert',
+    buttonsDisabled: 'Die Schaltflächen „In den Warenkorb“ wurden deaktiviert'
+  },
+
+  details: {
+    orderNumber: 'Bestellnummer',
+    status: 'Status',
+    reason: 'Grund',
+    trackingNumber: 'Sendungsnummer',
+    verifyToSee: 'Bestätigen Sie Ihre E-Mail-Adresse, um sie zu sehen',
+    orderDate: 'Bestelldatum',
+    processingDeadline: 'Bearbeitungsfrist',
+    deliveredAt: 'Zugestellt am',
+    estimatedDelivery: 'Voraussichtliche Zustellung',
+    shipments: 'Sendungen',
+    package: 'Paket {number}',
+    item: 'Artikel',
+    noTracking: 'Noch keine Sendungsverfolgung'
+  },
+
+  verificationEmail: {
+    subject: 'Ihr Bestätigungscode für Bestellung {order}',
+    text: 'Ihr Bestätigungscode lautet {code}. Er läuft in {minutes} Minuten ab.\n\nWenn Sie diesen Code nicht angefordert haben, können Sie diese E-Mail ignorieren.'
+  },
+
+  trackingPage: {
+    title: 'Bestellung verfolgen',
+    intro: 'Geben Sie Ihre Bestellnummer und die beim Kauf verwendete E-Mail-Adresse ein.',
+    orderNumber: 'Bestellnummer',
+    email: 'E-Mail-Adresse',
+    submit: 'Bestellung verfolgen',
+    order: 'Bestellung',
+    steps: ['Bestellt', 'Versendet', 'In Zustellung', 'Zugestellt'],
+    orderDate: 'Bestellt am',
+    estimatedDelivery: 'Voraussichtliche Zustellung',
+    deliveredAt: 'Zugestellt am',
+    carrier: 'Versanddienstleister',
+    trackingNumber: 'Sendungsnummer',
+    latestUpdate: 'Letzte Aktualisierung',
+    trackPackage: 'Paket verfolgen',
+    packages: 'Pakete',
+    package: 'Paket',
+    noTracking: 'Noch keine Sendungsverfolgung',
+    history: 'Verlauf',
+    stale: 'Stand unserer letzten Aktualisierung; die Live-Verfolgung ist vorübergehend nicht verfügbar.',
+    verifyIntro: 'Um Sendungsnummern und Zustellorte zu sehen, bestätigen Sie Ihre Identität mit einem Code, den wir Ihnen per E-Mail senden.',
+    sendCode: 'Code per E-Mail senden',
+    codeSent: 'Wir haben einen 6-stelligen Code gesendet an',
+    code: 'Code',
+    confirmCode: 'Bestätigen',
+    trackAnother: 'Andere Bestellung verfolgen',
+    support: 'Brauchen Sie Hilfe?',
+    genericError: 'Etwas ist schiefgelaufen. Bitte versuchen Sie es erneut.'
+  }
+};
@@ -0,0 +1,124 @@
+// English. Also the fallback for any message another locale leaves out.
+export default {
+  // Status labels by status code
+  statuses: {
+    cancelled: 'Cancelled',
+    refunded: 'Refunded',
+    on_hold: 'On Hold',
+    payment_pending: 'Payment Pending',
+    partially_shipped: 'Partially Shipped',
+    delivered: 'Order Delivered',
+    delivery_failed: 'Delivery Failed',
+    delivery_attempted: 'Delivery Attempted',
+    out_for_delivery: 'Out for Delivery',
+    in_transit: 'In Transit',
+    partially_refunded: 'Partially Refunded',
+    processing: 'Order Processing'
+  },
+
+  // Why the buttons are disabled, by reason code
+  disabledReasons: {
+    cancelled: 'This order has been cancelled',
+    refunded: 'This order has been refunded',
+    on_hold: 'This order is on hold',
+    payment_pending: 'Payment for this order is still pending',
+    partially_shipped: 'Part of your order has shipped',
+    delivered: 'Order has been delivered',
+    delivery_failed: 'The carrier could not deliver your order',
+    delivery_attempted: 'The carrier attempted delivery',
+    out_for_delivery: 'Order is out for delivery',
+    in_transit: 'Order is in transit',
+    partially_refunded: 'Part of this order has been refunded',
+    processing_window_passed: 'Order is in transit ({hours}+ business hours)'
+  },
+
+  // Text on a disabled Add to Cart button, by status code; other statuses use their label
+  buttonLabels: {
+    in_transit: 'Order In Transit',
+    cancelled: 'Order Cancelled',
+    refunded: 'Order Refunded'
+  },
+
+  // Timeline milestones, by milestone code
+  milestones: {
+    order_placed: 'Order placed',
+    payment_captured: 'Payment received',
+    fulfillment_created: 'Shipped',
+    label_printed: 'Shipping label created',
+    label_purchased: 'Shipping label created',
+    confirmed: 'Confirmed by carrier',
+    picked_up: 'Picked up by carrier',
+    in_transit: 'In transit',
+    out_for_delivery: 'Out for delivery',
+    attempted_delivery: 'Delivery attempted',
+    ready_for_pickup: 'Ready for pickup',
+    delivered: 'Delivered',
+    failure: 'Delivery failed',
+    exception: 'Delivery exception',
+    cancelled: 'Order cancelled'
+  },
+
+  // Button titles and notifications in the generated storefront scripts
+  notifications: {
+    orderStatus: 'Order Status',
+    addToCartDisabled: 'Add to Cart disabled due to order status',
+    checkoutDisabled: 'Checkout disabled due to order status',
+    buttonDisabled: 'Button disabled due to order status',
+    addToCartUnavailable: 'Add to Cart is currently disabled for this order',
+    buttonsDisabled: 'Add to Cart buttons have been disabled'
+  },
+
+  // Order details on the HTML pages
+  details: {
+    orderNumber: 'Order Number',
+    status: 'Status',
+    reason: 'Reason',
+    trackingNumber: 'Tracking Number',
+    verifyToSee: 'Verify your email address to see it',
+    orderDate: 'Order Date',
+    processingDeadline: 'Processing Deadline',
+    deliveredAt: 'Delivered At',
+    estimatedDelivery: 'Estimated Delivery',
+    shipments: 'Shipments',
+    package: 'Package {number}',
+    item: 'Item',
+    noTracking: 'No tracking yet'
+  },
+
+  // The one-time code email (/verify/start)
+  verificationEmail: {
+    subject: 'Your verification code for order {order}',
+    text: "Your verification code is {code}. It expires in {minutes} minutes.\n\nIf you didn't ask for this code, you can ignore this email."
+  },
+
+  // The hosted tracking page
+  trackingPage: {
+    title: 'Track your order',
+    intro: 'Enter your order number and the email address you used at checkout.',
+    orderNumber: 'Order number',
+    email: 'Email address',
+    submit: 'Track order',
+    order: 'Order',
+    steps: ['Ordered', 'Shipped', 'Out for delivery', 'Delivered'],
+    orderDate: 'Ordered',
+    estimatedDelivery: 'Estimated delivery',
+    deliveredAt: 'Delivered',
+    carrier: 'Carrier',
+    trackingNumber: 'Tracking number',
+    latestUpdate: 'Latest update',
+    trackPackage: 'Track package',
+    packages: 'Packages',
+    package: 'Package',
+    noTracking: 'No tracking yet',
+    history: 'History',
+    stale: 'Shown from our last update; live tracking is temporarily unavailable.',
+    verifyIntro: 'To see tracking numbers and delivery locations, confirm it is you with a code sent to your email.',
+    sendCode: 'Email me a code',
+    codeSent: 'We sent a 6-digit code to',
+    code: 'Code',
+    confirmCode: 'Confirm',
+    trackAnother: 'Track another order',
+    support: 'Need help?',
+    genericError: 'Something went wrong. Please try again.'
+  }
+};
@@ -0,0 +1,116 @@
+// Spanish
+export default {
+  statuses: {
+    cancelled: 'Cancelado',
+    refunded: 'Reembolsado',
+    on_hold: 'En espera',
+    payment_pending: 'Pago pendiente',
+    partially_shipped: 'Enviado parcialmente',
+    delivered: 'Pedido entregado',
+    delivery_failed: 'Entrega fallida',
+    delivery_attempted: 'Intento de entrega',
+    out_for_delivery: 'En reparto',
+    in_transit: 'En tránsito',
+    partially_refunded: 'Reembolsado parcialmente',
+    processing: 'Pedido en preparación'
+  },
+
+  disabledReasons: {
+    cancelled: 'Este pedido ha sido cancelado',
+    refunded: 'Este pedido ha sido reembolsado',
+    on_hold: 'Este pedido está en espera',
+    payment_pending: 'El pago de este pedido aún está pendiente',
+    partially_shipped: 'Parte de tu pedido ya se ha enviado',
+    delivered: 'El pedido ha sido entregado',
+    delivery_failed: 'El transportista no pudo entregar tu pedido',
+    delivery_attempted: 'El transportista intentó realizar la entrega',
+    out_for_delivery: 'El pedido está en reparto',
+    in_transit: 'El pedido está en tránsito',
+    partially_refunded: 'Parte de este pedido ha sido reembolsada',
+    processing_window_passed: 'El pedido está en tránsito (más de {hours} horas hábiles)'
+  },
+
+  buttonLabels: {
+    in_transit: 'Pedido en tránsito',
+    cancelled: 'Pedido cancelado',
+    refunded: 'Pedido reembolsado'
+  },
+
+  milestones: {
+    order_placed: 'Pedido realizado',
+    payment_captured: 'Pago recibido',
+    fulfillment_created: 'Enviado',
+    label_printed: 'Etiqueta de envío creada',
+    label_purchased: 'Etiqueta de envío creada',
+    confirmed: 'Confirmado por el transportista',
+    picked_up: 'Recogido por el transportista',
+    in_transit: 'En tránsito',
+    out_for_delivery: 'En reparto',
+    attempted_delivery: 'Intento de entrega',
+    ready_for_pickup: 'Listo para recoger',
+    delivered: 'Entregado',
+    failure: 'Entrega fallida',
+    exception: 'Incidencia en la entrega',
+    cancelled: 'Pedido cancelado'
+  },
+
+  notifications: {
+    orderStatus: 'Estado del pedido',
+    addToCartDisabled: 'Añadir al carrito no está disponible por el estado del pedido',
+    checkoutDisabled: 'El pago no está disponible por el estado del pedido',
+    buttonDisabled: 'Botón desactivado por el estado del pedido',
+    addToCartUnavailable: 'Añadir al carrito no está disponible para este pedido',
+    buttonsDisabled: 'Se han desactivado los botones de Añadir al carrito'
+  },
+
+  details: {
+    orderNumber: 'Número de pedido',
+    status: 'Estado',
+    reason: 'Motivo',
+    trackingNumber: 'Número de seguimiento',
+    verifyToSee: 'Verifica tu correo electrónico para verlo',
+    orderDate: 'Fecha del pedido',
+    processingDeadline: 'Plazo de preparación',
+    deliveredAt: 'Entregado el',
+    estimatedDelivery: 'Entrega estimada',
+    shipments: 'Envíos',
+    package: 'Paquete {number}',
+    item: 'Artículo',
+    noTracking: 'Aún sin seguimiento'
+  },
+
+  verificationEmail: {
+    subject: 'Tu código de verificación para el pedido {order}',
+    text: 'Tu código de verificación es {code}. Caduca en {minutes} minutos.\n\nSi no has solicitado este código, puedes ignorar este correo.'
+  },
+
+  trackingPage: {
+    title: 'Sigue tu pedido',
+    intro: 'Introduce tu número de pedido y el correo electrónico que usaste al comprar.',
+    orderNumber: 'Número de pedido',
+    email: 'Correo electrónico',
+    submit: 'Seguir pedido',
+    order: 'Pedido',
+    steps: ['Pedido', 'Enviado', 'En reparto', 'Entregado'],
+    orderDate: 'Fecha del pedido',
+    estimatedDelivery: 'Entrega estimada',
+    deliveredAt: 'Entregado',
+    carrier: 'Transportista',
+    trackingNumber: 'Número de seguimiento',
+    latestUpdate: 'Última actualización',
+    trackPackage: 'Seguir paquete',
+    packages: 'Paquetes',
+    package: 'Paquete',
+    noTracking: 'Aún sin seguimiento',
+    history: 'Historial',
+    stale: 'Mostrado según nuestra última actualización; el seguimiento en directo no está disponible ahora mismo.',
+    verifyIntro: 'Para ver los números de seguimiento y las ubicaciones de entrega, confirma que eres tú con un código que te enviaremos por correo.',
+    sendCode: 'Enviarme un código',
+    codeSent: 'Hemos enviado un código de 6 dígitos a',
+    code: 'Código',
+    confirmCode: 'Confirmar',
+    trackAnother: 'Seguir otro pedido',
+    support: '¿Necesitas ayuda?',
+    genericError: 'Algo salió mal. Inténtalo de nuevo.'
+  }
+};
@@ -0,0 +1,116 @@
+// French
+export default {
+  statuses: {
+    cancelled: 'Annulée',
+    refunded: 'Remboursée',
+    on_hold: 'En attente',
+    payment_pending: 'Paiement en attente',
+    partially_shipped: 'Partiellement expédiée',
+    delivered: 'Commande livrée',
+    delivery_failed: 'Échec de la livraison',
+    delivery_attempted: 'Tentative de livraison',
+    out_for_delivery: 'En cours de livraison',
+    in_transit: 'En transit',
+    partially_refunded: 'Partiellement remboursée',
+    processing: 'Commande en préparation'
+  },
+
+  disabledReasons: {
+    cancelled: 'Cette commande a été annulée',
+    refunded: 'Cette commande a été remboursée',
+    on_hold: 'Cette commande est en attente',
+    payment_pending: 'Le paiement de cette commande est toujours en attente',
+    partially_shipped: "Une partie de votre commande a été expédiée",
+    delivered: 'La commande a été livrée',
+    delivery_failed: "Le transporteur n'a pas pu livrer votre commande",
+    delivery_attempted: 'Le transporteur a tenté de livrer',
+    out_for_delivery: 'La commande est en cours de livraison',
+    in_transit: 'La commande est en transit',
+    partially_refunded: 'Une partie de cette commande a été remboursée',
+    processing_window_passed: 'La commande est en transit (plus de {hours} heures ouvrées)'
+  },
+
+  buttonLabels: {
+    in_transit: 'Commande en transit',
+    cancelled: 'Commande annulée',
+    refunded: 'Commande remboursée'
+  },
+
+  milestones: {
+    order_placed: 'Commande passée',
+    payment_captured: 'Paiement reçu',
+    fulfillment_created: 'Expédiée',
+    label_printed: "Étiquette d'expédition créée",
+    label_purchased: "Étiquette d'expédition créée",
+    confirmed: 'Confirmée par le transporteur',
+    picked_up: 'Prise en charge par le transporteur',
+    in_transit: 'En transit',
+    out_for_delivery: 'En cours de livraison',
+    attempted_delivery: 'Tentative de livraison',
+    ready_for_pickup: 'Prête à être retirée',
+    delivered: 'Livrée',
+    failure: 'Échec de la livraison',
+    exception: 'Incident de livraison',
+    cancelled: 'Commande annulée'
+  },
+
+  notifications: {
+    orderStatus: 'Statut de la commande',
+    addToCartDisabled: "Ajout au panier indisponible en raison du statut de la commande",
+    checkoutDisabled: 'Paiement indisponible en raison du statut de la commande',
+    buttonDisabled: 'Bouton désactivé en raison du statut de la commande',
+    addToCartUnavailable: "L'ajout au panier est désactivé pour cette commande",
+    buttonsDisabled: "Les boutons d'ajout au panier ont été désactivés"
+  },
+
+  details: {
+    orderNumber: 'Numéro de commande',
+    status: 'Statut',
+    reason: 'Motif',
+    trackingNumber: 'Numéro de suivi',
+    verifyToSee: 'Vérifiez votre adresse e-mail pour le voir',
+    orderDate: 'Date de commande',
+    processingDeadline: 'Délai de préparation',
+    deliveredAt: 'Livrée le',
+    estimatedDelivery: 'Livraison estimée',
+    shipments: 'Envois',
+    package: 'Colis {number}',
+    item: 'Article',
+    noTracking: 'Pas encore de suivi'
+  },
+
+  verificationEmail: {
+    subject: 'Votre code de vérification pour la commande {order}',
+    text: "Votre code de vérification est {code}. Il expire dans {minutes} minutes.\n\nSi vous n'avez pas demandé ce code, vous pouvez ignorer cet e-mail."
+  },
+
+  trackingPage: {
+    title: 'Suivre votre commande',
+    intro: "Saisissez votre numéro de commande et l'adresse e-mail utilisée lors de l'achat.",
+    orderNumber: 'Numéro de commande',
+    email: 'Adresse e-mail',
+    submit: 'Suivre la commande',
+    order: 'Commande',
+    steps: ['Commandée', 'Expédiée', 'En livraison', 'Livrée'],
+    orderDate: 'Commandée le',
+    estimatedDelivery: 'Livraison estimée',
+    deliveredAt: 'Livrée le',
+    carrier: 'Transporteur',
+    trackingNumber: 'Numéro de suivi',
+    latestUpdate: 'Dernière mise à jour',
+    trackPackage: 'Suivre le colis',
+    packages: 'Colis',
+    package: 'Colis',
+    noTracking: 'Pas encore de suivi',
+    history: 'Historique',
+    stale: 'Affiché selon notre dernière mise à jour ; le suivi en direct est temporairement indisponible.',
+    verifyIntro: "Pour voir les numéros de suivi et les lieux de livraison, confirmez votre identité avec un code envoyé par e-mail.",
+    sendCode: "M'envoyer un code",
+    codeSent: 'Nous avons envoyé un code à 6 chiffres à',
+    code: 'Code',
+    confirmCode: 'Confirmer',
+    trackAnother: 'Suivre une autre commande',
+    support: "Besoin d'aide ?",
+    genericError: "Une erreur s'est produite. Veuillez réessayer."
+  }
+};
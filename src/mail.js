@@ -0,0 +1,108 @@
+import { hmacSha256, toBase64 } from './crypto.js';
+
+// ==== MAIL TRANSPORTS ====
+//
+// Outgoing email (one-time verification codes) goes through a transport.
+// Every transport implements:
+//
+//   send({ to, subject, text }) -> resolves once the message is accepted
+//
+// and throws when it isn't. The transport is picked by MAIL_TRANSPORT, or by
+// whichever credentials are set:
+//   resend   RESEND_API_KEY + MAIL_FROM         - Resend's HTTP API
+//   webhook  MAIL_WEBHOOK_URL (+ _SECRET)       - POSTs the message as JSON to
+//                                                 your own mailer, signed like
+//                                                 Shopify webhooks
+//   log      MAIL_TRANSPORT=log                 - logs the message; refused in
+//                                                 production
+// MAIL_API_BASE_URL points the resend transport at a local mock server.
+
+const SEND_TIMEOUT_MS = 5000;
+
+async function postJson(url, body, headers) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), SEND_TIMEOUT_MS);
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body,
+      signal: controller.signal
+    });
+    if (!response.ok) {
+      throw new Error(`Mail transport answered HTTP ${response.status}`);
+    }
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+export class ResendTransport {
+  constructor(apiKey, from, baseUrl) {
+    this.name = 'resend';
+    this.apiKey = apiKey;
+    this.from = from;
+    this.baseUrl = baseUrl;
+  }
+
+  async send({ to, subject, text }) {
+    await postJson(`${this.baseUrl}/emails`, JSON.stringify({ from: this.from, to: [to], subject, text }), {
+      'Authorization': `Bearer ${this.apiKey}`
+    });
+  }
+}
+
+// X-Mail-Signature is the base64 HMAC-SHA256 of the body with MAIL_WEBHOOK_SECRET
+export class WebhookTransport {
+  constructor(url, secret) {
+    this.name = 'webhook';
+    this.url = url;
+    this.secret = secret;
+  }
+
+  async send({ to, subject, text }) {
+    const body = JSON.stringify({ to, subject, text });
+    const headers = this.secret
+      ? { 'X-Mail-Signature': toBase64(await hmacSha256(this.secret, body)) }
+      : {};
+    await postJson(this.url, body, headers);
+  }
+}
+
+// Development only: the message, code included, ends up in the logs
+export class LogTransport {
+  constructor() {
+    this.name = 'log';
+  }
+
+  async send({ to, subject, text }) {
+    console.log(`[mail] To: ${to} | Subject: ${subject}\n${text}`);
+  }
+}
+
+// The configured transport, or null when mail isn't set up
+export function getMailTransport(env) {
+  const choice = env.MAIL_TRANSPORT
+    || (env.RESEND_API_KEY ? 'resend' : null)
+    || (env.MAIL_WEBHOOK_URL ? 'webhook' : null);
+
+  if (choice === 'resend' && env.RESEND_API_KEY && env.MAIL_FROM) {
+    const baseUrl = (env.MAIL_API_BASE_URL || 'https://api.resend.com').replace(/\/$/, '');
+    return new ResendTransport(env.RESEND_API_KEY, env.MAIL_FROM, baseUrl);
+  }
+  if (choice === 'webhook' && env.MAIL_WEBHOOK_URL) {
+    return new WebhookTransport(env.MAIL_WEBHOOK_URL, env.MAIL_WEBHOOK_SECRET || null);
+  }
+  if (choice === 'log') {
+    if (env.NODE_ENV === 'production') {
+      console.error('MAIL_TRANSPORT=log is ignored in production');
+      return null;
+    }
+    return new LogTransport();
+  }
+
+  if (choice) {
+    console.error(`Mail transport "${choice}" is missing its settings`);
+  }
+  return null;
+}
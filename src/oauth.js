@@ -0,0 +1,256 @@
+import { hmacSha256, toHex, toBase64, timingSafeEqual, randomToken } from './crypto.js';
+import { getAdminOrigin, shopifyGraphQL } from './shopify.js';
+import { getShopifyClient, shopifyApiError } from './shopify-client.js';
+import { UpstreamError } from './errors.js';
+
+// ==== SHOPIFY OAUTH ====
+//
+// Install flow:
+//   GET /v1/auth/install?shop=<shop>.myshopify.com
+//     -> redirect to https://<shop>/admin/oauth/authorize with a one-time state
+//   GET /v1/auth/callback?code&hmac&shop&state&timestamp
+//     -> verify hmac + state, exchange code for an offline token, store it
+//   POST /v1/webhooks/shopify (topic app/uninstalled)
+//     -> drop the stored token; order/fulfillment topics feed the order store
+//
+// SHOPIFY_ADMIN_BASE_URL (e.g. "http://127.0.0.1:8788/{shop}") points every
+// admin/OAuth call at a local fake server for testing.
+
+// Fulfillment orders are read to see which order a hold webhook is about
+export const DEFAULT_SCOPES = 'read_orders,read_merchant_managed_fulfillment_orders,read_third_party_fulfillment_orders';
+
+const STATE_TTL_SECONDS = 600;
+const CALLBACK_MAX_AGE_SECONDS = 3600;
+
+const SHOP_DOMAIN_REGEX = /^[a-z0-9][a-z0-9-]*\.myshopify\.com$/;
+
+const SHOP_DOMAIN_QUERY = `
+  query ShopDomain {
+    shop {
+      primaryDomain {
+        host
+        url
+      }
+    }
+  }
+`;
+
+// Subscribed on install: uninstall cleanup plus everything the order store needs
+const WEBHOOK_TOPICS = [
+  'APP_UNINSTALLED',
+  'ORDERS_CREATE',
+  'ORDERS_UPDATED',
+  'ORDERS_CANCELLED',
+  'FULFILLMENTS_CREATE',
+  'FULFILLMENTS_UPDATE',
+  'FULFILLMENT_EVENTS_CREATE',
+  'FULFILLMENT_ORDERS_PLACED_ON_HOLD',
+  'FULFILLMENT_ORDERS_HOLD_RELEASED'
+];
+
+const WEBHOOK_SUBSCRIPTION_MUTATION = `
+  mutation RegisterWebhook($topic: WebhookSubscriptionTopic!, $callbackUrl: URL!) {
+    webhookSubscriptionCreate(
+      topic: $topic,
+      webhookSubscription: { callbackUrl: $callbackUrl, format: JSON }
+    ) {
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+export function isValidShopDomain(shop) {
+  return typeof shop === 'string' && SHOP_DOMAIN_REGEX.test(shop);
+}
+
+// ==== SHOP TOKEN STORE ====
+// KV layout (binding SHOP_TOKENS):
+//   install:<shop>     -> { shop, accessToken, scope, installedAt, domains, allowedOrigins }
+//   domain:<host>      -> <shop>   (storefront domain index)
+//   oauth-state:<nonce> -> <shop>  (expires after STATE_TTL_SECONDS)
+export class ShopTokenStore {
+  constructor(kv) {
+    this.kv = kv;
+  }
+
+  async get(shop) {
+    return this.kv.get(`install:${shop}`, 'json');
+  }
+
+  async findByHost(host) {
+    const installation = await this.get(host);
+    if (installation) {
+      return installation;
+    }
+    const shop = await this.kv.get(`domain:${host}`);
+    return shop ? this.get(shop) : null;
+  }
+
+  async put(installation) {
+    await this.kv.put(`install:${installation.shop}`, JSON.stringify(installation));
+    for (const host of installation.domains || []) {
+      await this.kv.put(`domain:${host}`, installation.shop);
+    }
+  }
+
+  async delete(shop) {
+    const installation = await this.get(shop);
+    if (!installation) {
+      return false;
+    }
+    for (const host of installation.domains || []) {
+      await this.kv.delete(`domain:${host}`);
+    }
+    await this.kv.delete(`install:${shop}`);
+    return true;
+  }
+
+  async saveState(state, shop) {
+    await this.kv.put(`oauth-state:${state}`, shop, { expirationTtl: STATE_TTL_SECONDS });
+  }
+
+  // States are single-use: reading one deletes it
+  async consumeState(state) {
+    const key = `oauth-state:${state}`;
+    const shop = await this.kv.get(key);
+    if (shop) {
+      await this.kv.delete(key);
+    }
+    return shop;
+  }
+}
+
+export function getShopTokenStore(env) {
+  return env.SHOP_TOKENS ? new ShopTokenStore(env.SHOP_TOKENS) : null;
+}
+
+export function getAppUrl(request, env) {
+  return (env.APP_URL || new URL(request.url).origin).replace(/\/$/, '');
+}
+
+export async function beginInstall(shop, request, env, store) {
+  const state = randomToken();
+  await store.saveState(state, shop);
+
+  const params = new URLSearchParams({
+    client_id: env.SHOPIFY_API_KEY,
+    scope: env.SHOPIFY_SCOPES || DEFAULT_SCOPES,
+    redirect_uri: `${getAppUrl(request, env)}/v1/auth/callback`,
+    state
+  });
+
+  return `${getAdminOrigin(shop, env.SHOPIFY_ADMIN_BASE_URL)}/admin/oauth/authorize?${params.toString()}`;
+}
+
+// Shopify signs the callback query: every param except hmac, sorted, joined as k=v&k=v
+export async function verifyOAuthHmac(searchParams, secret) {
+  const hmac = searchParams.get('hmac');
+  if (!hmac || !secret) {
+    return false;
+  }
+
+  const message = [...searchParams.entries()]
+    .filter(([key]) => key !== 'hmac' && key !== 'signature')
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([key, value]) => `${key}=${value}`)
+    .join('&');
+
+  const expected = toHex(await hmacSha256(secret, message));
+  return timingSafeEqual(expected, hmac.toLowerCase());
+}
+
+export function isFreshTimestamp(timestamp, now = Date.now()) {
+  const seconds = Number(timestamp);
+  return Number.isFinite(seconds) && Math.abs(now / 1000 - seconds) <= CALLBACK_MAX_AGE_SECONDS;
+}
+
+// The code is single-use, so the exchange is sent once and never retried
+export async function exchangeCodeForToken(shop, code, env) {
+  const url = `${getAdminOrigin(shop, env.SHOPIFY_ADMIN_BASE_URL)}/admin/oauth/access_token`;
+  const response = await getShopifyClient(shop).requestOnce(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json'
+    },
+    body: JSON.stringify({
+      client_id: env.SHOPIFY_API_KEY,
+      client_secret: env.SHOPIFY_API_SECRET,
+      code
+    })
+  });
+
+  if (!response.ok) {
+    throw shopifyApiError(response.status);
+  }
+
+  const data = await response.json();
+  if (!data.access_token) {
+    const error = new UpstreamError('Install failed', 'Shopify did not issue an access token', 'OAUTH_EXCHANGE_FAILED');
+    error.detail = 'Shopify OAuth response did not include an access token';
+    throw error;
+  }
+
+  return {
+    accessToken: data.access_token,
+    scope: data.scope || null
+  };
+}
+
+// Post-install setup. Failures are logged rather than failing the install:
+// the token is already valid and every step can be redone by reinstalling.
+export async function completeInstall(shop, token, request, env) {
+  const session = {
+    shop,
+    accessToken: token.accessToken,
+    apiVersion: env.SHOPIFY_API_VERSION || null,
+    adminBaseUrl: env.SHOPIFY_ADMIN_BASE_URL || null
+  };
+
+  const installation = {
+    shop,
+    accessToken: token.accessToken,
+    scope: token.scope,
+    installedAt: new Date().toISOString(),
+    domains: [],
+    allowedOrigins: []
+  };
+
+  try {
+    const data = await shopifyGraphQL(SHOP_DOMAIN_QUERY, {}, session);
+    const primaryDomain = data.shop && data.shop.primaryDomain;
+    if (primaryDomain && primaryDomain.host !== shop) {
+      installation.domains.push(primaryDomain.host);
+      installation.allowedOrigins.push(primaryDomain.url.replace(/\/$/, ''));
+    }
+  } catch (error) {
+    console.error(`Could not read primary domain for ${shop}:`, error.message);
+  }
+
+  const callbackUrl = `${getAppUrl(request, env)}/v1/webhooks/shopify`;
+  for (const topic of WEBHOOK_TOPICS) {
+    try {
+      const data = await shopifyGraphQL(WEBHOOK_SUBSCRIPTION_MUTATION, { topic, callbackUrl }, session);
+      const userErrors = data.webhookSubscriptionCreate.userErrors;
+      if (userErrors.length > 0) {
+        console.error(`${topic} webhook not registered for ${shop}:`, userErrors.map(e => e.message).join('; '));
+      }
+    } catch (error) {
+      console.error(`${topic} webhook not registered for ${shop}:`, error.message);
+    }
+  }
+
+  return installation;
+}
+
+// Webhooks are signed with the app secret: base64 HMAC-SHA256 of the raw body
+export async function verifyWebhookHmac(rawBody, hmacHeader, secret) {
+  if (!hmacHeader || !secret) {
+    return false;
+  }
+  const expected = toBase64(await hmacSha256(secret, rawBody));
+  return timingSafeEqual(expected, hmacHeader);
+}
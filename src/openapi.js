@@ -0,0 +1,139 @@
+import { COMPONENT_SCHEMAS } from './api-schemas.js';
+
+// ==== OPENAPI DOCUMENT ====
+//
+// Generated from the route table in index.js, so the published contract and
+// the validation that runs are the same schemas. Each route may describe
+// itself with:
+//   request:   { params, query, body, headers }  JSON Schemas (see api-schemas.js)
+//   doc:       { operationId, summary, tags, responses }
+//   adminScope: the admin key scope it needs (published as bearer security)
+//   legacyAlias: also served at its unversioned path (noted in the description)
+// where responses maps a status to a component schema name, or to
+// { contentType, description } for HTML, scripts and redirects.
+// Only the /v1 paths are published; the unversioned aliases are deprecated.
+
+const ERROR_RESPONSE = {
+  description: 'Error',
+  content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } }
+};
+
+const SHOP_DOMAIN_HEADER = {
+  name: 'X-Shop-Domain',
+  in: 'header',
+  required: false,
+  description: 'Store to run against. Defaults to the store matching Origin or the request host.',
+  schema: { type: 'string', examples: ['store-a.myshopify.com'] }
+};
+
+// "/track/:orderNumber/timeline" -> "/track/{orderNumber}/timeline"
+function toOpenApiPath(path) {
+  return path.replace(/:([A-Za-z0-9_]+)/g, '{$1}');
+}
+
+function parametersFor(schema, location) {
+  if (!schema) {
+    return [];
+  }
+  const required = schema.required || [];
+  return Object.entries(schema.properties || {}).map(([name, propertySchema]) => {
+    const { description, ...rest } = propertySchema;
+    return {
+      name,
+      in: location,
+      required: location === 'path' || required.includes(name),
+      ...(description ? { description } : {}),
+      schema: rest
+    };
+  });
+}
+
+function responseFor(spec) {
+  if (typeof spec === 'string') {
+    return {
+      description: 'Success',
+      content: { 'application/json': { schema: { $ref: `#/components/schemas/${spec}` } } }
+    };
+  }
+  if (!spec.contentType) {
+    return { description: spec.description };
+  }
+  return {
+    description: spec.description,
+    content: { [spec.contentType]: { schema: { type: 'string' } } }
+  };
+}
+
+function operationFor(route) {
+  const doc = route.doc || {};
+  const request = route.request || {};
+  const operation = {
+    operationId: doc.operationId,
+    summary: doc.summary,
+    tags: doc.tags || [],
+    parameters: [
+      ...parametersFor(request.params, 'path'),
+      ...parametersFor(request.query, 'query'),
+      ...parametersFor(request.headers, 'header'),
+      ...(route.storeScoped ? [SHOP_DOMAIN_HEADER] : [])
+    ],
+    responses: {}
+  };
+
+  const notes = [];
+  if (route.adminScope) {
+    operation.security = [{ adminKey: [] }];
+    notes.push(`Needs an admin API key with the \`${route.adminScope}\` scope.`);
+  }
+  if (route.legacyAlias) {
+    notes.push(`Also served at the deprecated unversioned path \`${toOpenApiPath(route.path)}\`.`);
+  }
+  if (notes.length) {
+    operation.description = notes.join(' ');
+  }
+
+  if (request.body) {
+    operation.requestBody = {
+      required: true,
+      content: { 'application/json': { schema: request.body } }
+    };
+  }
+
+  for (const [status, spec] of Object.entries(doc.responses || {})) {
+    operation.responses[status] = responseFor(spec);
+  }
+  operation.responses['4XX'] = ERROR_RESPONSE;
+  operation.responses['5XX'] = ERROR_RESPONSE;
+
+  if (!operation.parameters.length) {
+    delete operation.parameters;
+  }
+  return operation;
+}
+
+export function buildOpenApiDocument(routes, { prefix = '', serverUrl = null } = {}) {
+  const paths = {};
+  for (const route of routes) {
+    const path = toOpenApiPath(`${prefix}${route.path}`);
+    paths[path] = paths[path] || {};
+    paths[path][route.method.toLowerCase()] = operationFor(route);
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Shopify Tracking API',
+      version: '1.0.0',
+      description: 'Order tracking, status and button control for Shopify storefronts. '
+        + `Endpoints that predate versioning also answer without ${prefix}; those unversioned paths are deprecated.`
+    },
+    ...(serverUrl ? { servers: [{ url: serverUrl }] } : {}),
+    paths,
+    components: {
+      schemas: COMPONENT_SCHEMAS,
+      securitySchemes: {
+        adminKey: { type: 'http', scheme: 'bearer', description: 'Admin API key (sta_...)' }
+      }
+    }
+  };
+}
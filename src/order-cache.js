@@ -0,0 +1,180 @@
+import { getOrder, getOrders } from './shopify.js';
+import { sha256Hex } from './crypto.js';
+import { UpstreamUnavailableError } from './errors.js';
+
+// ==== ORDER LOOKUP CACHE ====
+//
+// Sits in front of getOrder. Entries are fresh for a status-dependent TTL and
+// kept for STALE_RETENTION_SECONDS after that so a Shopify 5xx can be answered
+// with the last known order (flagged stale). Storage is the ORDER_CACHE KV
+// namespace when bound, otherwise the colo-local Workers Cache API.
+
+// Fresh lifetime per computed status code
+export const CACHE_TTL_SECONDS = {
+  processing: 60,
+  in_transit: 5 * 60,
+  partially_shipped: 5 * 60,
+  out_for_delivery: 60,
+  delivery_attempted: 5 * 60,
+  delivered: 24 * 60 * 60,
+  cancelled: 24 * 60 * 60,
+  refunded: 24 * 60 * 60
+};
+
+const DEFAULT_TTL_SECONDS = 2 * 60;
+const STALE_RETENTION_SECONDS = 7 * 24 * 60 * 60;
+const CACHE_KEY_ORIGIN = 'https://order-cache.internal';
+
+// Lookups currently waiting on Shopify, so concurrent identical requests
+// within this isolate share one upstream call
+const inFlightLookups = new Map();
+
+class KvOrderCacheStore {
+  constructor(kv) {
+    this.kv = kv;
+  }
+
+  async read(key) {
+    return this.kv.get(key, 'json');
+  }
+
+  async write(key, entry) {
+    await this.kv.put(key, JSON.stringify(entry), { expirationTtl: STALE_RETENTION_SECONDS });
+  }
+}
+
+class EdgeOrderCacheStore {
+  constructor(cache) {
+    this.cache = cache;
+  }
+
+  async read(key) {
+    const response = await this.cache.match(`${CACHE_KEY_ORIGIN}/${key}`);
+    return response ? response.json() : null;
+  }
+
+  async write(key, entry) {
+    await this.cache.put(`${CACHE_KEY_ORIGIN}/${key}`, new Response(JSON.stringify(entry), {
+      headers: {
+        'Content-Type': 'application/json',
+        'Cache-Control': `max-age=${STALE_RETENTION_SECONDS}`
+      }
+    }));
+  }
+}
+
+function getCacheStore(env) {
+  if (env.ORDER_CACHE) {
+    return new KvOrderCacheStore(env.ORDER_CACHE);
+  }
+  if (typeof caches !== 'undefined' && caches.default) {
+    return new EdgeOrderCacheStore(caches.default);
+  }
+  return null;
+}
+
+export function getCacheTtlSeconds(status) {
+  return Object.hasOwn(CACHE_TTL_SECONDS, status) ? CACHE_TTL_SECONDS[status] : DEFAULT_TTL_SECONDS;
+}
+
+// Emails are hashed so they never appear in cache keys
+async function buildCacheKey(orderNumber, email, tenant) {
+  const name = orderNumber ? orderNumber.replace(/^#/, '').toLowerCase() : '';
+  const digest = await sha256Hex(`${name}|${email ? email.toLowerCase() : ''}`);
+  return `orders/${tenant.shop}/${digest}`;
+}
+
+async function lookupOrder(key, orderNumber, email, tenant, store, statusOf) {
+  const entry = store ? await store.read(key) : null;
+
+  if (entry && entry.freshUntil > Date.now()) {
+    return { order: entry.order, stale: false, cachedAt: entry.cachedAt };
+  }
+
+  let order;
+  try {
+    order = await getOrder(orderNumber, email, tenant);
+  } catch (error) {
+    if (entry && error instanceof UpstreamUnavailableError) {
+      console.warn(`Serving stale order for ${tenant.shop} cached at ${entry.cachedAt}:`, error.detail || error.message);
+      return { order: entry.order, stale: true, cachedAt: entry.cachedAt };
+    }
+    throw error;
+  }
+
+  await writeEntry(store, key, order, statusOf);
+  return { order, stale: false, cachedAt: null };
+}
+
+// Misses aren't cached: the order may simply not have synced yet
+async function writeEntry(store, key, order, statusOf) {
+  if (!order || !store) {
+    return;
+  }
+
+  const now = Date.now();
+  const ttlSeconds = getCacheTtlSeconds(statusOf(order));
+  try {
+    await store.write(key, {
+      order,
+      cachedAt: new Date(now).toISOString(),
+      freshUntil: now + ttlSeconds * 1000
+    });
+  } catch (error) {
+    console.error('Error writing order cache:', error.message);
+  }
+}
+
+// Cached getOrder. `statusOf(order)` returns the status code that picks the TTL.
+// Resolves to { order, stale, cachedAt }.
+export async function getCachedOrder(orderNumber, email, tenant, env, statusOf) {
+  const key = await buildCacheKey(orderNumber, email, tenant);
+
+  if (inFlightLookups.has(key)) {
+    return inFlightLookups.get(key);
+  }
+
+  const lookup = lookupOrder(key, orderNumber, email, tenant, getCacheStore(env), statusOf)
+    .finally(() => inFlightLookups.delete(key));
+  inFlightLookups.set(key, lookup);
+  return lookup;
+}
+
+// Batch getCachedOrder for [{ orderNumber, email }, ...]. Fresh entries are
+// served from the cache and every miss goes to Shopify in one getOrders()
+// call. Resolves to one { order, stale, cachedAt, error } per lookup, in
+// order: when Shopify fails, lookups with a cached entry are answered stale
+// and the rest carry the error instead of failing the whole batch.
+export async function getCachedOrders(lookups, tenant, env, statusOf) {
+  const store = getCacheStore(env);
+  const keys = await Promise.all(lookups.map(({ orderNumber, email }) => buildCacheKey(orderNumber, email, tenant)));
+  const entries = store ? await Promise.all(keys.map(key => store.read(key))) : keys.map(() => null);
+
+  const results = entries.map(entry => (entry && entry.freshUntil > Date.now()
+    ? { order: entry.order, stale: false, cachedAt: entry.cachedAt, error: null }
+    : null));
+  const misses = [...results.keys()].filter(index => !results[index]);
+  if (misses.length === 0) {
+    return results;
+  }
+
+  let orders;
+  try {
+    orders = await getOrders(misses.map(index => lookups[index]), tenant);
+  } catch (error) {
+    console.warn(`Batch lookup failed for ${tenant.shop}; serving stale entries where cached:`, error.detail || error.message);
+    for (const index of misses) {
+      const entry = entries[index];
+      results[index] = entry && error instanceof UpstreamUnavailableError
+        ? { order: entry.order, stale: true, cachedAt: entry.cachedAt, error: null }
+        : { order: null, stale: false, cachedAt: null, error };
+    }
+    return results;
+  }
+
+  await Promise.all(misses.map(async (index, i) => {
+    await writeEntry(store, keys[index], orders[i], statusOf);
+    results[index] = { order: orders[i], stale: false, cachedAt: null, error: null };
+  }));
+  return results;
+}
@@ -0,0 +1,267 @@
+import { sha256Hex } from './crypto.js';
+
+// ==== ORDER STATUS STORE ====
+//
+// Compact per-order records kept up to date by Shopify webhooks so tracking
+// lookups can be answered without calling the Admin API. Records use the same
+// REST-style shape as getOrder, except the email is replaced by its hash.
+//
+// KV layout (binding ORDER_STORE):
+//   order:<shop>:<name>        -> record (name lowercased, without '#')
+//   order-id:<shop>:<id>       -> <name>  (fulfillment and event webhooks only carry order_id)
+//   email:<shop>:<email hash>  -> { name, created_at } of the customer's latest order
+//   holds:<shop>:<id>          -> IDs of the order's fulfillment orders on hold
+//
+// Holds are kept apart from the record because their webhooks name only the
+// fulfillment order; the order is looked up in Shopify (getFulfillmentOrder)
+// and may not be in the store yet.
+
+export const ORDER_TOPICS = ['orders/create', 'orders/updated', 'orders/cancelled'];
+export const FULFILLMENT_TOPICS = ['fulfillments/create', 'fulfillments/update'];
+export const FULFILLMENT_EVENT_TOPICS = ['fulfillment_events/create'];
+export const HOLD_TOPICS = ['fulfillment_orders/placed_on_hold', 'fulfillment_orders/hold_released'];
+export const ORDER_STORE_TOPICS = [...ORDER_TOPICS, ...FULFILLMENT_TOPICS, ...FULFILLMENT_EVENT_TOPICS];
+
+function normalizeName(name) {
+  return String(name).replace(/^#/, '').toLowerCase();
+}
+
+export async function hashEmail(email) {
+  return sha256Hex(email.trim().toLowerCase());
+}
+
+// Webhooks can arrive out of order; never let an older payload overwrite a newer one
+function isOlder(candidate, current) {
+  return Boolean(candidate && current && new Date(candidate) < new Date(current));
+}
+
+export class OrderStatusStore {
+  constructor(kv) {
+    this.kv = kv;
+  }
+
+  async get(shop, name) {
+    return this.kv.get(`order:${shop}:${normalizeName(name)}`, 'json');
+  }
+
+  async getById(shop, id) {
+    const name = await this.kv.get(`order-id:${shop}:${id}`);
+    return name ? this.get(shop, name) : null;
+  }
+
+  async getLatestForEmail(shop, emailHash) {
+    const pointer = await this.kv.get(`email:${shop}:${emailHash}`, 'json');
+    return pointer ? this.get(shop, pointer.name) : null;
+  }
+
+  async getHolds(shop, orderId) {
+    return (await this.kv.get(`holds:${shop}:${orderId}`, 'json')) || [];
+  }
+
+  async setHold(shop, orderId, fulfillmentOrderId, onHold) {
+    const holds = (await this.getHolds(shop, orderId)).filter(id => id !== fulfillmentOrderId);
+    if (onHold) {
+      holds.push(fulfillmentOrderId);
+    }
+    await this.kv.put(`holds:${shop}:${orderId}`, JSON.stringify(holds));
+    return holds;
+  }
+
+  async put(shop, record) {
+    await this.kv.put(`order:${shop}:${normalizeName(record.name)}`, JSON.stringify(record));
+    await this.kv.put(`order-id:${shop}:${record.id}`, record.name);
+
+    if (record.email_hash) {
+      const key = `email:${shop}:${record.email_hash}`;
+      const pointer = await this.kv.get(key, 'json');
+      if (!pointer || !isOlder(record.created_at, pointer.created_at)) {
+        await this.kv.put(key, JSON.stringify({ name: record.name, created_at: record.created_at }));
+      }
+    }
+  }
+}
+
+export function getOrderStore(env) {
+  return env.ORDER_STORE ? new OrderStatusStore(env.ORDER_STORE) : null;
+}
+
+function compactFulfillment(fulfillment) {
+  const trackingNumbers = fulfillment.tracking_numbers
+    || (fulfillment.tracking_number ? [fulfillment.tracking_number] : []);
+
+  return {
+    id: String(fulfillment.id),
+    status: fulfillment.status || null,
+    shipment_status: fulfillment.shipment_status || null,
+    estimated_delivery_at: fulfillment.estimated_delivery_at || null,
+    events: [],
+    tracking_company: fulfillment.tracking_company || null,
+    tracking_numbers: trackingNumbers,
+    tracking_urls: fulfillment.tracking_urls || (fulfillment.tracking_url ? [fulfillment.tracking_url] : []),
+    tracking_number: trackingNumbers.length > 0 ? trackingNumbers[0] : null,
+    created_at: fulfillment.created_at || null,
+    updated_at: fulfillment.updated_at || null,
+    line_items: (fulfillment.line_items || []).map(item => ({
+      name: item.name || null,
+      sku: item.sku || null,
+      quantity: item.quantity
+    }))
+  };
+}
+
+async function compactOrder(payload) {
+  return {
+    id: String(payload.id),
+    name: payload.name,
+    email: null,
+    email_hash: payload.email ? await hashEmail(payload.email) : null,
+    created_at: payload.created_at,
+    processed_at: payload.processed_at || null,
+    updated_at: payload.updated_at || null,
+    closed_at: payload.closed_at || null,
+    cancelled_at: payload.cancelled_at || null,
+    tags: payload.tags || '',
+    shipping_address: payload.shipping_address
+      ? {
+          country_code: payload.shipping_address.country_code || null,
+          province_code: payload.shipping_address.province_code || null,
+          zip: payload.shipping_address.zip || null
+        }
+      : null,
+    fulfillment_status: payload.fulfillment_status || null,
+    financial_status: payload.financial_status || null,
+    fulfillments: (payload.fulfillments || []).map(compactFulfillment),
+    source: 'webhook'
+  };
+}
+
+function compactEvent(payload) {
+  return {
+    id: String(payload.id),
+    status: payload.status || null,
+    happened_at: payload.happened_at || payload.created_at || null,
+    message: payload.message || null
+  };
+}
+
+// Order and fulfillment payloads don't carry fulfillment events; keep the ones
+// already stored
+function carryEvents(fulfillment, existingFulfillments) {
+  const current = existingFulfillments.find(f => f.id === fulfillment.id);
+  return { ...fulfillment, events: current && current.events ? current.events : [] };
+}
+
+// Apply one webhook to the store. Returns true when a record was written.
+export async function applyOrderWebhook(store, shop, topic, payload) {
+  if (ORDER_TOPICS.includes(topic)) {
+    const existing = await store.get(shop, payload.name);
+    if (existing && isOlder(payload.updated_at, existing.updated_at)) {
+      console.log(`Skipping out-of-date ${topic} for ${payload.name}`);
+      return false;
+    }
+
+    const record = await compactOrder(payload);
+    if (existing) {
+      record.fulfillments = record.fulfillments.map(f => carryEvents(f, existing.fulfillments));
+    }
+    await store.put(shop, record);
+    return true;
+  }
+
+  if (FULFILLMENT_TOPICS.includes(topic)) {
+    const existing = await store.getById(shop, payload.order_id);
+    if (!existing) {
+      // The order itself hasn't been seen yet; orders/updated will carry this fulfillment
+      console.log(`Skipping ${topic} for unknown order ${payload.order_id}`);
+      return false;
+    }
+
+    const fulfillment = carryEvents(compactFulfillment(payload), existing.fulfillments);
+    const current = existing.fulfillments.find(f => f.id === fulfillment.id);
+    if (current && isOlder(fulfillment.updated_at, current.updated_at)) {
+      console.log(`Skipping out-of-date ${topic} for ${existing.name}`);
+      return false;
+    }
+
+    existing.fulfillments = [
+      ...existing.fulfillments.filter(f => f.id !== fulfillment.id),
+      fulfillment
+    ].sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+
+    await store.put(shop, existing);
+    return true;
+  }
+
+  if (FULFILLMENT_EVENT_TOPICS.includes(topic)) {
+    const existing = await store.getById(shop, payload.order_id);
+    const fulfillment = existing
+      ? existing.fulfillments.find(f => f.id === String(payload.fulfillment_id))
+      : null;
+    if (!fulfillment) {
+      console.log(`Skipping ${topic} for unknown fulfillment ${payload.fulfillment_id}`);
+      return false;
+    }
+
+    const event = compactEvent(payload);
+    fulfillment.events = [
+      ...(fulfillment.events || []).filter(e => e.id !== event.id),
+      event
+    ].sort((a, b) => new Date(a.happened_at) - new Date(b.happened_at));
+    // The newest event is the parcel's current status
+    fulfillment.shipment_status = fulfillment.events[fulfillment.events.length - 1].status;
+
+    await store.put(shop, existing);
+    return true;
+  }
+
+  return false;
+}
+
+// Record a hold or its release. `fulfillmentOrder` is what
+// getFulfillmentOrder read from Shopify for the webhook's fulfillment order.
+export async function applyHoldWebhook(store, shop, fulfillmentOrder) {
+  const onHold = fulfillmentOrder.status === 'on_hold';
+  const holds = await store.setHold(shop, fulfillmentOrder.orderId, fulfillmentOrder.id, onHold);
+  console.log(`Order ${fulfillmentOrder.orderId} on ${shop}: ${holds.length} fulfillment order(s) on hold`);
+}
+
+// An order with nothing left to fulfil can't be on hold
+function mayBeOnHold(record) {
+  return !record.cancelled_at && record.fulfillment_status !== 'fulfilled';
+}
+
+// Store-first lookup with the same matching rules as getOrder.
+// Returns null on a miss so the caller falls back to the Admin API. Orders
+// with a hold recorded come back as fulfillment_status "on_hold", as the
+// Admin API reports them.
+export async function findStoredOrder(orderNumber, email, tenant, env) {
+  const store = getOrderStore(env);
+  if (!store) {
+    return null;
+  }
+
+  let record = null;
+  try {
+    if (orderNumber) {
+      record = await store.get(tenant.shop, orderNumber);
+    } else if (email) {
+      record = await store.getLatestForEmail(tenant.shop, await hashEmail(email));
+    }
+  } catch (error) {
+    // A store outage shouldn't break tracking; the API is still there
+    console.error('Error reading order store:', error.message);
+  }
+
+  if (record && mayBeOnHold(record)) {
+    try {
+      if ((await store.getHolds(tenant.shop, record.id)).length > 0) {
+        return { ...record, fulfillment_status: 'on_hold' };
+      }
+    } catch (error) {
+      // Without the hold state the record can't be trusted; let the API answer
+      console.error('Error reading order holds:', error.message);
+      return null;
+    }
+  }
+  return record;
+}
@@ -0,0 +1,106 @@
+import { NotFoundError, MethodNotAllowedError } from './errors.js';
+
+// ==== ROUTER ====
+//
+// Method + path routing with ":name" path params and per-route middleware.
+//
+//   router.get('/v1/track/:orderNumber/timeline', handler, [rateLimit, cors]);
+//
+// Handlers and middleware receive one context object:
+//   { request, env, tenant, url, params, route }
+// Middleware is `async (ctx, next) => Response` and runs in the order listed;
+// it can short-circuit by returning or throwing instead of calling next().
+//
+// A path that exists under other methods throws MethodNotAllowedError (405,
+// with an Allow header); an unknown path throws NotFoundError. OPTIONS on a
+// known path is answered by the `preflight` option.
+
+function compilePattern(pattern) {
+  const names = [];
+  const source = pattern
+    .split('/')
+    .map(segment => {
+      if (segment.startsWith(':')) {
+        names.push(segment.slice(1));
+        return '([^/]+)';
+      }
+      return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('/');
+  return { regex: new RegExp(`^${source}/?$`), names };
+}
+
+function runMiddleware(middleware, ctx, handler) {
+  const dispatch = index => (index < middleware.length
+    ? middleware[index](ctx, () => dispatch(index + 1))
+    : handler(ctx));
+  return dispatch(0);
+}
+
+export class Router {
+  constructor({ preflight = null } = {}) {
+    this.routes = [];
+    this.preflight = preflight;
+  }
+
+  on(method, pattern, handler, middleware = []) {
+    this.routes.push({ method, pattern, handler, middleware, ...compilePattern(pattern) });
+    return this;
+  }
+
+  get(pattern, handler, middleware) {
+    return this.on('GET', pattern, handler, middleware);
+  }
+
+  post(pattern, handler, middleware) {
+    return this.on('POST', pattern, handler, middleware);
+  }
+
+  // Routes whose pattern matches `path`, with their params (still URL-encoded)
+  match(path) {
+    const matches = [];
+    for (const route of this.routes) {
+      const found = path.match(route.regex);
+      if (found) {
+        const params = {};
+        route.names.forEach((name, i) => {
+          params[name] = found[i + 1];
+        });
+        matches.push({ route, params });
+      }
+    }
+    return matches;
+  }
+
+  async handle(ctx) {
+    const url = new URL(ctx.request.url);
+    const method = ctx.request.method;
+    const matches = this.match(url.pathname);
+
+    if (matches.length === 0) {
+      throw new NotFoundError(
+        'Endpoint not found',
+        `The requested endpoint ${method} ${url.pathname} does not exist`,
+        'ENDPOINT_NOT_FOUND'
+      );
+    }
+
+    const allowed = [...new Set(matches.map(m => m.route.method))];
+    if (method === 'OPTIONS' && this.preflight) {
+      return this.preflight({ ...ctx, url }, [...allowed, 'OPTIONS']);
+    }
+
+    const matched = matches.find(m => m.route.method === method);
+    if (!matched) {
+      throw new MethodNotAllowedError(
+        'Method not allowed',
+        `${method} is not supported on ${url.pathname}. Use ${allowed.join(', ')}.`,
+        'METHOD_NOT_ALLOWED',
+        [...allowed, 'OPTIONS']
+      );
+    }
+
+    const routeCtx = { ...ctx, url, params: matched.params, route: matched.route };
+    return runMiddleware(matched.route.middleware, routeCtx, matched.route.handler);
+  }
+}
@@ -0,0 +1,150 @@
+// ==== SCHEMA VALIDATION ====
+//
+// Checks request input against the JSON Schemas in api-schemas.js, the same
+// schemas the OpenAPI document publishes. Only the keywords those schemas use
+// are implemented:
+//
+//   type (string or list), enum, minLength, maxLength, pattern,
+//   format ("email"), minimum, maximum, properties, required,
+//   items, minItems, maxItems, anyOf
+//
+// Annotations (description, examples, default) are ignored. A schema can
+// carry `x-error: { title, message, code }`: a failure anywhere inside it is
+// reported with that payload, the innermost one winning, so the API keeps
+// its stable error codes (INVALID_EMAIL, MISSING_FIELDS, ...). Failures with
+// no x-error are reported as INVALID_REQUEST with the offending path.
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const FORMATS = {
+  email: value => EMAIL_PATTERN.test(value)
+};
+
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (Number.isInteger(value)) {
+    return 'integer';
+  }
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function fail(path, problem) {
+  return { path, problem };
+}
+
+// First problem with `value`, or null. The x-error of the innermost schema
+// that has one is attached on the way out.
+function check(schema, value, path) {
+  const error = checkKeywords(schema, value, path);
+  if (error && !error.payload && schema['x-error']) {
+    error.payload = schema['x-error'];
+  }
+  return error;
+}
+
+function checkKeywords(schema, value, path) {
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      return fail(path, `must be ${types.join(' or ')}`);
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return fail(path, `must be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      return fail(path, `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      return fail(path, `must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      return fail(path, `must match ${schema.pattern}`);
+    }
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+      return fail(path, `must be a valid ${schema.format}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      return fail(path, `must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      return fail(path, `must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      return fail(path, `must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      return fail(path, `must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      for (const [index, item] of value.entries()) {
+        const error = check(schema.items, item, `${path}[${index}]`);
+        if (error) {
+          return error;
+        }
+      }
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const [name, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[name] !== undefined) {
+        const error = check(propertySchema, value[name], path ? `${path}.${name}` : name);
+        if (error) {
+          return error;
+        }
+      }
+    }
+    const missing = (schema.required || []).find(name => value[name] === undefined);
+    if (missing) {
+      return fail(path ? `${path}.${missing}` : missing, 'is required');
+    }
+  }
+
+  if (schema.anyOf && !schema.anyOf.some(branch => !check(branch, value, path))) {
+    return fail(path, `must match one of: ${schema.anyOf.map(describeBranch).join('; ')}`);
+  }
+
+  return null;
+}
+
+function describeBranch(branch) {
+  if (branch.required) {
+    return `has ${branch.required.join(' and ')}`;
+  }
+  return branch.type ? `is ${[].concat(branch.type).join(' or ')}` : 'matches the schema';
+}
+
+// Returns { title, message, code } for the first problem, or null when valid
+export function validateSchema(schema, value, label = '') {
+  const error = check(schema, value, label);
+  if (!error) {
+    return null;
+  }
+  if (error.payload) {
+    return error.payload;
+  }
+  return {
+    title: 'Invalid request',
+    message: `${error.path || 'request'} ${error.problem}`,
+    code: 'INVALID_REQUEST'
+  };
+}
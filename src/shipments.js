@@ -0,0 +1,119 @@
+import { detectCarrier, buildTrackingUrl } from './carriers.js';
+
+// ==== SHIPMENTS ====
+//
+// Customer-facing view of an order's fulfillments: one shipment per package,
+// with its carrier (see carriers.js), every tracking number and link, the
+// carrier's latest status (shipment_status / fulfillment events) and the line
+// items inside. Works on both the Admin API shape (normalizeOrder) and
+// webhook-stored records.
+
+function trackingNumbersOf(fulfillment) {
+  if (fulfillment.tracking_numbers && fulfillment.tracking_numbers.length > 0) {
+    return fulfillment.tracking_numbers;
+  }
+  if (fulfillment.tracking_number) {
+    return [fulfillment.tracking_number];
+  }
+  if (fulfillment.trackingNumber) {
+    return [fulfillment.trackingNumber];
+  }
+  // Older payloads put the number on the line items
+  return (fulfillment.line_items || []).map(item => item.tracking_number).filter(Boolean);
+}
+
+// Shopify's fulfillment events plus any checkpoints carrier-tracking.js
+// attached, oldest first
+function eventsOf(fulfillment) {
+  return [
+    ...(fulfillment.events || []).map(event => ({ ...event, source: 'shopify' })),
+    ...(fulfillment.carrier_events || [])
+  ].sort((a, b) => new Date(a.happened_at) - new Date(b.happened_at));
+}
+
+// Latest carrier status. Checkpoints straight from the carrier are fresher
+// than anything Shopify has; otherwise Shopify's shipment_status, else its
+// newest event.
+function shipmentStatusOf(fulfillment, events) {
+  if (fulfillment.carrier_events && fulfillment.carrier_events.length > 0) {
+    return events[events.length - 1].status;
+  }
+  if (fulfillment.shipment_status) {
+    return fulfillment.shipment_status;
+  }
+  return events.length > 0 ? events[events.length - 1].status : null;
+}
+
+// When the carrier delivered the package, from the delivered event if there
+// is one. Webhook records may only know the status, so fall back to the time
+// the fulfillment last changed.
+function deliveredAtOf(fulfillment, events, shipmentStatus) {
+  if (fulfillment.delivered_at) {
+    return fulfillment.delivered_at;
+  }
+  const delivered = events.filter(event => event.status === 'delivered');
+  if (delivered.length > 0) {
+    return delivered[delivered.length - 1].happened_at;
+  }
+  return shipmentStatus === 'delivered' ? fulfillment.updated_at || null : null;
+}
+
+// Shopify's URLs when the merchant set them, otherwise the carrier's own page
+function trackingUrlsOf(fulfillment, carrier, trackingNumbers) {
+  if (fulfillment.tracking_urls && fulfillment.tracking_urls.length > 0) {
+    return fulfillment.tracking_urls;
+  }
+  return trackingNumbers.map(number => buildTrackingUrl(carrier, number)).filter(Boolean);
+}
+
+function buildShipment(fulfillment) {
+  const events = eventsOf(fulfillment);
+  const shipmentStatus = shipmentStatusOf(fulfillment, events);
+  const trackingNumbers = trackingNumbersOf(fulfillment);
+  const carrier = detectCarrier(fulfillment.tracking_company, trackingNumbers[0]);
+
+  return {
+    id: fulfillment.id ? String(fulfillment.id) : null,
+    status: fulfillment.status || null,
+    shipmentStatus,
+    carrier: carrier ? carrier.code : null,
+    carrierName: carrier ? carrier.name : fulfillment.tracking_company || null,
+    trackingNumbers,
+    trackingUrls: trackingUrlsOf(fulfillment, carrier, trackingNumbers),
+    shippedAt: fulfillment.created_at || null,
+    deliveredAt: deliveredAtOf(fulfillment, events, shipmentStatus),
+    estimatedDeliveryAt: fulfillment.estimated_delivery_at || null,
+    lineItems: (fulfillment.line_items || []).map(item => ({
+      name: item.name || null,
+      sku: item.sku || null,
+      quantity: item.quantity
+    }))
+  };
+}
+
+// Cancelled fulfillments never left the warehouse
+function activeFulfillments(order) {
+  return (order.fulfillments || []).filter(fulfillment => fulfillment.status !== 'cancelled');
+}
+
+export function buildShipments(order) {
+  return activeFulfillments(order).map(buildShipment);
+}
+
+// Every checkpoint across the order's packages, newest first
+export function buildTrackingEvents(order) {
+  return activeFulfillments(order)
+    .flatMap(fulfillment => {
+      const trackingNumbers = trackingNumbersOf(fulfillment);
+      return eventsOf(fulfillment).map(event => ({
+        shipmentId: fulfillment.id ? String(fulfillment.id) : null,
+        trackingNumber: event.tracking_number || trackingNumbers[0] || null,
+        code: event.status,
+        description: event.message || null,
+        location: event.location || null,
+        timestamp: event.happened_at,
+        source: event.source
+      }));
+    })
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+}
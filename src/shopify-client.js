@@ -0,0 +1,346 @@
+import {
+  RateLimitedError,
+  UpstreamAuthError,
+  UpstreamError,
+  UpstreamUnavailableError
+} from './errors.js';
+
+// ==== RESILIENT SHOPIFY HTTP CLIENT ====
+//
+// One client per shop per isolate, shared by every Admin API and OAuth call:
+//   - bounded exponential backoff with full jitter on 429, 5xx, timeouts and
+//     network errors
+//   - honours Retry-After, and GraphQL THROTTLED responses wait for the
+//     bucket to refill
+//   - per-attempt timeouts through AbortController
+//   - a circuit breaker that fails fast after repeated upstream failures
+//   - tracks the API call bucket (X-Shopify-Shop-Api-Call-Limit for REST,
+//     extensions.cost.throttleStatus for GraphQL) and the last GraphQL query's
+//     cost for getState(), and logs every query's requested cost
+//
+// Failures surface as typed errors from errors.js (see shopifyApiError); the
+// Shopify status is kept on `error.upstreamStatus`.
+
+export const DEFAULT_CLIENT_OPTIONS = {
+  maxRetries: 3,
+  baseDelayMs: 250,
+  maxDelayMs: 4000,
+  // A Retry-After longer than this isn't worth holding the request open for
+  maxRetryAfterMs: 10000,
+  timeoutMs: 8000,
+  failureThreshold: 5,
+  resetTimeoutMs: 30000
+};
+
+const clients = new Map();
+
+// Map a Shopify HTTP status onto the error the API reports to its callers.
+// `detail` is only logged; it never reaches the client.
+export function shopifyApiError(status, detail = null, retryAfterSeconds = null) {
+  let error;
+
+  if (status === 401) {
+    error = new UpstreamAuthError('Authentication failed', 'Shopify API authentication error', 'SHOPIFY_AUTH_ERROR', status);
+  } else if (status === 403) {
+    error = new UpstreamAuthError('Access denied', 'Shopify API access denied', 'SHOPIFY_ACCESS_DENIED', status);
+  } else if (status === 429) {
+    error = new RateLimitedError('Too many requests', 'Shopify API rate limit reached, please try again shortly', 'SHOPIFY_RATE_LIMITED', retryAfterSeconds);
+    error.upstreamStatus = status;
+  } else if (status >= 500) {
+    error = new UpstreamUnavailableError('Service unavailable', 'Shopify API is currently unavailable', 'SHOPIFY_SERVICE_UNAVAILABLE', status);
+  } else {
+    error = new UpstreamError('Upstream error', `Shopify API returned an unexpected ${status} response`, 'SHOPIFY_API_ERROR', status);
+  }
+
+  error.detail = `Shopify API error: ${status}${detail ? ` (${detail})` : ''}`;
+  return error;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Retry-After is either delta-seconds or an HTTP date
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// ==== CIRCUIT BREAKER ====
+// closed -> open after `failureThreshold` consecutive failures; open -> half-open
+// once `resetTimeoutMs` has passed, letting one trial request through. Every
+// other request fails fast until the trial records a result.
+export class CircuitBreaker {
+  constructor(failureThreshold, resetTimeoutMs) {
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  canRequest(now = Date.now()) {
+    if (this.state === 'open' && now - this.openedAt >= this.resetTimeoutMs) {
+      this.state = 'half-open';
+    }
+    if (this.state === 'open') {
+      return false;
+    }
+    if (this.state === 'half-open') {
+      if (this.trialInFlight) {
+        return false;
+      }
+      this.trialInFlight = true;
+    }
+    return true;
+  }
+
+  recordSuccess() {
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  recordFailure(now = Date.now()) {
+    this.failures++;
+    this.trialInFlight = false;
+    if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = now;
+    }
+  }
+
+  // The trial ended without saying whether Shopify recovered (it was
+  // throttled); let the next request try instead
+  releaseTrial() {
+    this.trialInFlight = false;
+  }
+
+  getState() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      trialInFlight: this.trialInFlight
+    };
+  }
+}
+
+export class ShopifyClient {
+  constructor(shop, options = {}) {
+    this.shop = shop;
+    this.options = { ...DEFAULT_CLIENT_OPTIONS, ...options };
+    this.breaker = new CircuitBreaker(this.options.failureThreshold, this.options.resetTimeoutMs);
+    this.bucket = null;
+    this.lastQueryCost = null;
+  }
+
+  getState() {
+    return {
+      shop: this.shop,
+      bucket: this.bucket,
+      lastQueryCost: this.lastQueryCost,
+      circuit: this.breaker.getState()
+    };
+  }
+
+  updateBucketFromHeaders(headers) {
+    const callLimit = headers.get('X-Shopify-Shop-Api-Call-Limit');
+    if (!callLimit) {
+      return;
+    }
+    const [used, limit] = callLimit.split('/').map(Number);
+    if (Number.isFinite(used) && Number.isFinite(limit)) {
+      this.bucket = {
+        source: 'rest',
+        used,
+        limit,
+        available: limit - used,
+        restoreRate: null,
+        updatedAt: new Date().toISOString()
+      };
+    }
+  }
+
+  updateBucketFromCost(cost) {
+    const throttleStatus = cost && cost.throttleStatus;
+    if (!throttleStatus) {
+      return;
+    }
+    this.bucket = {
+      source: 'graphql',
+      used: throttleStatus.maximumAvailable - throttleStatus.currentlyAvailable,
+      limit: throttleStatus.maximumAvailable,
+      available: throttleStatus.currentlyAvailable,
+      restoreRate: throttleStatus.restoreRate,
+      updatedAt: new Date().toISOString()
+    };
+  }
+
+  // Shopify's own figure for the query, to check the limits in shopify.js against
+  recordQueryCost(cost) {
+    if (!cost || cost.requestedQueryCost === undefined) {
+      return;
+    }
+    this.lastQueryCost = {
+      requested: cost.requestedQueryCost,
+      actual: cost.actualQueryCost ?? null,
+      updatedAt: new Date().toISOString()
+    };
+    console.log(`Shopify ${this.shop}: query cost ${cost.requestedQueryCost} requested, ${cost.actualQueryCost ?? 'n/a'} actual`);
+  }
+
+  backoffDelay(attempt) {
+    const ceiling = Math.min(this.options.maxDelayMs, this.options.baseDelayMs * 2 ** attempt);
+    return Math.floor(Math.random() * ceiling);
+  }
+
+  async fetchWithTimeout(url, init) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.options.timeoutMs);
+    try {
+      return await fetch(url, { ...init, signal: controller.signal });
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // A single fetch with the timeout but no retries, for requests that can't be
+  // repeated (an OAuth code works once, so a retry after a timeout could only
+  // fail). Resolves with whatever Shopify answered.
+  async requestOnce(url, init = {}) {
+    try {
+      return await this.fetchWithTimeout(url, init);
+    } catch (error) {
+      throw error.name === 'AbortError'
+        ? shopifyApiError(504, `timed out after ${this.options.timeoutMs}ms`)
+        : shopifyApiError(502, error.message);
+    }
+  }
+
+  // fetch with retries. Resolves with the final Response (which may still be a
+  // 429/5xx once retries are exhausted); rejects only when no response was ever
+  // received or the circuit is open.
+  async request(url, init = {}) {
+    if (!this.breaker.canRequest()) {
+      throw shopifyApiError(503, 'circuit open');
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      let response = null;
+      let failure = null;
+
+      try {
+        response = await this.fetchWithTimeout(url, init);
+      } catch (error) {
+        failure = error.name === 'AbortError'
+          ? shopifyApiError(504, `timed out after ${this.options.timeoutMs}ms`)
+          : shopifyApiError(502, error.message);
+      }
+
+      if (response) {
+        this.updateBucketFromHeaders(response.headers);
+
+        if (response.status !== 429 && response.status < 500) {
+          this.breaker.recordSuccess();
+          return response;
+        }
+      }
+
+      let delay = this.backoffDelay(attempt);
+      if (response && response.status === 429) {
+        const retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+        if (retryAfter !== null) {
+          delay = retryAfter;
+        }
+      }
+
+      const exhausted = attempt >= this.options.maxRetries || delay > this.options.maxRetryAfterMs;
+      if (exhausted) {
+        // Throttling means Shopify is up, so only real failures count toward the breaker
+        if (!response || response.status >= 500) {
+          this.breaker.recordFailure();
+        } else {
+          this.breaker.releaseTrial();
+        }
+        if (failure) {
+          throw failure;
+        }
+        return response;
+      }
+
+      console.warn(`Shopify ${this.shop}: ${failure ? failure.detail : `HTTP ${response.status}`}, retry ${attempt + 1}/${this.options.maxRetries} in ${delay}ms`);
+      await sleep(delay);
+    }
+  }
+
+  async graphql(url, accessToken, query, variables) {
+    for (let attempt = 0; ; attempt++) {
+      const response = await this.request(url, {
+        method: 'POST',
+        headers: {
+          'X-Shopify-Access-Token': accessToken,
+          'Content-Type': 'application/json',
+          'Accept': 'application/json'
+        },
+        body: JSON.stringify({ query, variables })
+      });
+
+      if (!response.ok) {
+        const retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+        throw shopifyApiError(response.status, null, retryAfter === null ? null : Math.ceil(retryAfter / 1000));
+      }
+
+      const payload = await response.json();
+      const cost = payload.extensions && payload.extensions.cost;
+      this.updateBucketFromCost(cost);
+      this.recordQueryCost(cost);
+
+      if (payload.errors && payload.errors.length > 0) {
+        // Throttling is reported as a 200 with a THROTTLED error code
+        const throttled = payload.errors.some(e => e.extensions && e.extensions.code === 'THROTTLED');
+        if (!throttled) {
+          const error = new UpstreamError('Upstream error', 'Shopify API rejected the query', 'SHOPIFY_API_ERROR');
+          error.detail = `Shopify GraphQL error: ${payload.errors.map(e => e.message).join('; ')}`;
+          throw error;
+        }
+
+        const delay = this.throttleDelay(cost, attempt);
+        if (attempt >= this.options.maxRetries || delay > this.options.maxRetryAfterMs) {
+          throw shopifyApiError(429, 'throttled', Math.ceil(delay / 1000));
+        }
+        console.warn(`Shopify ${this.shop}: GraphQL throttled, retry ${attempt + 1}/${this.options.maxRetries} in ${delay}ms`);
+        await sleep(delay);
+        continue;
+      }
+
+      return payload.data;
+    }
+  }
+
+  // Time until the bucket holds enough points for the query, or plain backoff
+  throttleDelay(cost, attempt) {
+    const throttleStatus = cost && cost.throttleStatus;
+    if (!throttleStatus || !throttleStatus.restoreRate) {
+      return this.backoffDelay(attempt);
+    }
+    const needed = (cost.requestedQueryCost || 0) - throttleStatus.currentlyAvailable;
+    return Math.max(0, Math.ceil(needed / throttleStatus.restoreRate * 1000));
+  }
+}
+
+export function getShopifyClient(shop, options) {
+  if (!clients.has(shop)) {
+    clients.set(shop, new ShopifyClient(shop, options));
+  }
+  return clients.get(shop);
+}
@@ -0,0 +1,492 @@
+import { getShopifyClient } from './shopify-client.js';
+import { ValidationError } from './errors.js';
+
+// ==== SHOPIFY GRAPHQL ADMIN API ====
+
+// Used when neither the tenant nor SHOPIFY_API_VERSION sets a version. Bump
+// this (and wrangler.toml) before the pinned version reaches its sunset date.
+export const DEFAULT_API_VERSION = '2025-10';
+
+// Shopify refuses any query whose requested cost is over 1000 points. A list
+// or connection costs its `first` times what each item selects, so nested
+// limits multiply: a search page is about ORDERS_PAGE_SIZE x
+// FULFILLMENTS_PER_ORDER x what one fulfillment selects. Search pages
+// therefore select only what every order's status needs (each fulfillment's
+// newest event), and line items and the event history are fetched for the
+// matched order alone (ORDER_DETAILS_QUERY). Payment transactions are only
+// read by the timeline, which fetches them itself (ORDER_TRANSACTIONS_QUERY).
+// The client logs each query's requested cost; test/shopify.test.js checks
+// the worst case.
+const ORDERS_PAGE_SIZE = 10;
+const MAX_ORDER_PAGES = 4;
+const FULFILLMENTS_PER_ORDER = 10;
+const TRACKING_INFO_PER_FULFILLMENT = 3;
+const LINE_ITEMS_PER_FULFILLMENT = 25;
+const EVENTS_PER_FULFILLMENT = 20;
+const TRANSACTIONS_PER_ORDER = 10;
+// Search terms OR'd into one query by getOrders(); a page holds ORDERS_PAGE_SIZE orders
+const BATCH_TERMS_PER_QUERY = 10;
+
+// What determineOrderStatus, the shipment details, the timeline and the
+// debug endpoint read for every order in a search. Transactions are left to
+// ORDER_TRANSACTIONS_QUERY.
+const ORDER_FIELDS_FRAGMENT = `
+  fragment OrderFields on Order {
+    id
+    legacyResourceId
+    name
+    email
+    createdAt
+    processedAt
+    closedAt
+    cancelledAt
+    tags
+    shippingAddress {
+      countryCodeV2
+      provinceCode
+      zip
+    }
+    displayFulfillmentStatus
+    displayFinancialStatus
+    fulfillments(first: ${FULFILLMENTS_PER_ORDER}) {
+      id
+      legacyResourceId
+      status
+      displayStatus
+      createdAt
+      updatedAt
+      deliveredAt
+      estimatedDeliveryAt
+      trackingInfo(first: ${TRACKING_INFO_PER_FULFILLMENT}) {
+        company
+        number
+        url
+      }
+      events(first: 1, sortKey: HAPPENED_AT, reverse: true) {
+        nodes {
+          status
+          happenedAt
+          message
+        }
+      }
+    }
+  }
+`;
+
+const ORDER_SEARCH_QUERY = `
+  query OrderSearch($query: String!, $first: Int!, $after: String) {
+    orders(first: $first, after: $after, query: $query, sortKey: CREATED_AT, reverse: true) {
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+      edges {
+        cursor
+        node {
+          ...OrderFields
+        }
+      }
+    }
+  }
+  ${ORDER_FIELDS_FRAGMENT}
+`;
+
+// The rest of one order, once a search has picked it
+const ORDER_DETAILS_QUERY = `
+  query OrderDetails($id: ID!) {
+    order(id: $id) {
+      fulfillments(first: ${FULFILLMENTS_PER_ORDER}) {
+        id
+        fulfillmentLineItems(first: ${LINE_ITEMS_PER_FULFILLMENT}) {
+          nodes {
+            quantity
+            lineItem {
+              name
+              sku
+            }
+          }
+        }
+        events(first: ${EVENTS_PER_FULFILLMENT}, sortKey: HAPPENED_AT, reverse: true) {
+          nodes {
+            status
+            happenedAt
+            message
+          }
+        }
+      }
+    }
+  }
+`;
+
+// One order's payment transactions, for the timeline
+const ORDER_TRANSACTIONS_QUERY = `
+  query OrderTransactions($id: ID!) {
+    order(id: $id) {
+      transactions(first: ${TRANSACTIONS_PER_ORDER}) {
+        kind
+        status
+        processedAt
+      }
+    }
+  }
+`;
+
+// The order a fulfillment order belongs to and its current status. Hold
+// webhooks carry only the fulfillment order's ID.
+const FULFILLMENT_ORDER_QUERY = `
+  query FulfillmentOrderStatus($id: ID!) {
+    fulfillmentOrder(id: $id) {
+      id
+      status
+      order {
+        legacyResourceId
+      }
+    }
+  }
+`;
+
+// GraphQL enum -> REST-style fulfillment_status value
+const FULFILLMENT_STATUS_MAP = {
+  FULFILLED: 'fulfilled',
+  PARTIALLY_FULFILLED: 'partial',
+  UNFULFILLED: null,
+  RESTOCKED: 'restocked'
+};
+
+// Base URL for a shop's admin API. `adminBaseUrl` is a template such as
+// "http://127.0.0.1:8788/{shop}" used to point at a local fake server.
+export function getAdminOrigin(shop, adminBaseUrl) {
+  return (adminBaseUrl || 'https://{shop}').replace('{shop}', shop).replace(/\/$/, '');
+}
+
+export function getApiVersion(tenant) {
+  return tenant.apiVersion || DEFAULT_API_VERSION;
+}
+
+export async function shopifyGraphQL(query, variables, tenant) {
+  const url = `${getAdminOrigin(tenant.shop, tenant.adminBaseUrl)}/admin/api/${getApiVersion(tenant)}/graphql.json`;
+  return getShopifyClient(tenant.shop).graphql(url, tenant.accessToken, query, variables);
+}
+
+// Fulfillment displayStatus values that are also REST shipment_status values;
+// the rest (FULFILLED, SUBMITTED, ...) say nothing about the parcel
+const SHIPMENT_DISPLAY_STATUSES = [
+  'LABEL_PRINTED',
+  'LABEL_PURCHASED',
+  'CONFIRMED',
+  'READY_FOR_PICKUP',
+  'PICKED_UP',
+  'IN_TRANSIT',
+  'OUT_FOR_DELIVERY',
+  'ATTEMPTED_DELIVERY',
+  'DELIVERED',
+  'FAILURE'
+];
+
+// Wrap a value for Shopify's search syntax so spaces and colons are literal
+export function quoteSearchValue(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+function lowerEnum(value) {
+  return value ? value.toLowerCase() : null;
+}
+
+function normalizeLineItems(fulfillment) {
+  const nodes = fulfillment.fulfillmentLineItems ? fulfillment.fulfillmentLineItems.nodes : [];
+  return nodes.map(item => ({
+    name: item.lineItem ? item.lineItem.name : null,
+    sku: item.lineItem ? item.lineItem.sku : null,
+    quantity: item.quantity
+  }));
+}
+
+// Fetched newest first so the cap drops the oldest; stored oldest first like webhooks
+function normalizeEvents(fulfillment) {
+  return (fulfillment.events ? fulfillment.events.nodes : [])
+    .map(event => ({
+      status: lowerEnum(event.status),
+      happened_at: event.happenedAt,
+      message: event.message || null
+    }))
+    .reverse();
+}
+
+function normalizeFulfillment(fulfillment) {
+  const trackingInfo = fulfillment.trackingInfo || [];
+  const trackingNumbers = trackingInfo.map(t => t.number).filter(Boolean);
+
+  return {
+    id: fulfillment.legacyResourceId,
+    admin_graphql_api_id: fulfillment.id,
+    status: lowerEnum(fulfillment.status),
+    shipment_status: SHIPMENT_DISPLAY_STATUSES.includes(fulfillment.displayStatus)
+      ? lowerEnum(fulfillment.displayStatus)
+      : null,
+    delivered_at: fulfillment.deliveredAt || null,
+    estimated_delivery_at: fulfillment.estimatedDeliveryAt || null,
+    // Only the newest from a search; withOrderDetails fills in the history
+    events: normalizeEvents(fulfillment),
+    tracking_company: trackingInfo.length > 0 ? trackingInfo[0].company : null,
+    tracking_numbers: trackingNumbers,
+    tracking_urls: trackingInfo.map(t => t.url).filter(Boolean),
+    tracking_number: trackingNumbers.length > 0 ? trackingNumbers[0] : null,
+    created_at: fulfillment.createdAt || null,
+    updated_at: fulfillment.updatedAt || null,
+    line_items: normalizeLineItems(fulfillment)
+  };
+}
+
+// Map a GraphQL order node onto the REST-style shape the status logic expects
+export function normalizeOrder(node) {
+  const fulfillmentStatus = node.displayFulfillmentStatus;
+
+  return {
+    id: node.legacyResourceId,
+    admin_graphql_api_id: node.id,
+    name: node.name,
+    email: node.email,
+    created_at: node.createdAt,
+    processed_at: node.processedAt || null,
+    closed_at: node.closedAt,
+    cancelled_at: node.cancelledAt || null,
+    tags: node.tags || [],
+    // Only what the delivery estimate needs; no names or street addresses
+    shipping_address: node.shippingAddress
+      ? {
+          country_code: node.shippingAddress.countryCodeV2,
+          province_code: node.shippingAddress.provinceCode,
+          zip: node.shippingAddress.zip
+        }
+      : null,
+    fulfillment_status: fulfillmentStatus in FULFILLMENT_STATUS_MAP
+      ? FULFILLMENT_STATUS_MAP[fulfillmentStatus]
+      : lowerEnum(fulfillmentStatus),
+    financial_status: lowerEnum(node.displayFinancialStatus),
+    fulfillments: (node.fulfillments || []).map(normalizeFulfillment)
+  };
+}
+
+// One page of the orders connection, newest first, with a cursor per order.
+// Pages hold at most ORDERS_PAGE_SIZE orders, whatever `first` asks for, and
+// leave out line items and all but the newest event (see withOrderDetails).
+export async function listOrders(searchQuery, tenant, { first = ORDERS_PAGE_SIZE, after = null } = {}) {
+  const data = await shopifyGraphQL(ORDER_SEARCH_QUERY, {
+    query: searchQuery,
+    first: Math.min(first, ORDERS_PAGE_SIZE),
+    after
+  }, tenant);
+
+  return {
+    edges: data.orders.edges.map(edge => ({ cursor: edge.cursor, order: normalizeOrder(edge.node) })),
+    pageInfo: data.orders.pageInfo
+  };
+}
+
+// Copy of a searched order with what ORDER_DETAILS_QUERY adds: each
+// fulfillment's line items and event history. Orders that haven't shipped
+// need no query.
+export async function withOrderDetails(order, tenant) {
+  if (!order || order.fulfillments.length === 0) {
+    return order;
+  }
+
+  const data = await shopifyGraphQL(ORDER_DETAILS_QUERY, { id: order.admin_graphql_api_id }, tenant);
+  const details = (data.order && data.order.fulfillments) || [];
+
+  return {
+    ...order,
+    fulfillments: order.fulfillments.map(fulfillment => {
+      const detail = details.find(d => d.id === fulfillment.admin_graphql_api_id);
+      return detail
+        ? { ...fulfillment, line_items: normalizeLineItems(detail), events: normalizeEvents(detail) }
+        : fulfillment;
+    })
+  };
+}
+
+// { id, status, orderId } of a fulfillment order, or null when Shopify
+// doesn't know it. The status is read now rather than taken from the webhook,
+// so a hold and its release arriving out of order still end up right.
+export async function getFulfillmentOrder(id, tenant) {
+  const data = await shopifyGraphQL(FULFILLMENT_ORDER_QUERY, { id }, tenant);
+  const fulfillmentOrder = data.fulfillmentOrder;
+  return fulfillmentOrder
+    ? { id: fulfillmentOrder.id, status: lowerEnum(fulfillmentOrder.status), orderId: fulfillmentOrder.order.legacyResourceId }
+    : null;
+}
+
+// Copy of an order with its payment transactions (amounts aren't needed), for
+// the timeline. Orders from the webhook store have no GraphQL id and are
+// returned as they are; the timeline falls back to processed_at for them.
+export async function withOrderTransactions(order, tenant) {
+  if (!order || !order.admin_graphql_api_id) {
+    return order;
+  }
+
+  const data = await shopifyGraphQL(ORDER_TRANSACTIONS_QUERY, { id: order.admin_graphql_api_id }, tenant);
+  const transactions = (data.order && data.order.transactions) || [];
+
+  return {
+    ...order,
+    transactions: transactions.map(transaction => ({
+      kind: lowerEnum(transaction.kind),
+      status: lowerEnum(transaction.status),
+      processed_at: transaction.processedAt || null
+    }))
+  };
+}
+
+// Walk the orders connection page by page. Stops early once `stopWhen`
+// matches an order so exact lookups don't fetch more than they need.
+export async function searchOrders(searchQuery, tenant, options = {}) {
+  const {
+    pageSize = ORDERS_PAGE_SIZE,
+    maxPages = MAX_ORDER_PAGES,
+    stopWhen = null
+  } = options;
+
+  const orders = [];
+  let after = null;
+
+  for (let page = 0; page < maxPages; page++) {
+    const { edges, pageInfo } = await listOrders(searchQuery, tenant, { first: pageSize, after });
+    const pageOrders = edges.map(edge => edge.order);
+    orders.push(...pageOrders);
+
+    if (stopWhen && pageOrders.some(stopWhen)) {
+      break;
+    }
+
+    if (!pageInfo.hasNextPage) {
+      break;
+    }
+    after = pageInfo.endCursor;
+  }
+
+  return orders;
+}
+
+function orderName(orderNumber) {
+  return orderNumber.startsWith('#') ? orderNumber : `#${orderNumber}`;
+}
+
+export async function getOrder(orderNumber, email, tenant) {
+  try {
+    if (!orderNumber && !email) {
+      throw new ValidationError(
+        'Missing required fields',
+        'Please provide either order number or email address',
+        'MISSING_FIELDS'
+      );
+    }
+
+    // Shopify's name search also matches other names containing the number
+    // (#1001 finds #10010), so an order number only counts on an exact name,
+    // the same as in a batch
+    const { term, matches } = batchLookup({ orderNumber, email });
+
+    // Email-only lookups only need the most recent order, which is first in the sort
+    const orders = await searchOrders(term, tenant, orderNumber
+      ? { stopWhen: matches }
+      : { pageSize: 1, maxPages: 1 });
+
+    if (orderNumber) {
+      // With an email too, only an order placed with that email counts;
+      // anyone else's order with that number is not a match
+      return withOrderDetails(orders.find(matches) || null, tenant);
+    }
+
+    // Email only: the most recent order
+    return withOrderDetails(orders.sort((a, b) => new Date(b.created_at) - new Date(a.created_at))[0] || null, tenant);
+
+  } catch (error) {
+    console.error(`Error fetching order from Shopify (${tenant.shop}):`, error.detail || error.message);
+    throw error;
+  }
+}
+
+// The search term a lookup runs on, and which results answer it
+function batchLookup({ orderNumber, email }) {
+  const name = orderNumber ? orderName(orderNumber).toLowerCase() : null;
+  const address = email ? email.toLowerCase() : null;
+  const nameMatches = o => Boolean(name && o.name && o.name.toLowerCase() === name);
+  const emailMatches = o => Boolean(address && o.email && o.email.toLowerCase() === address);
+
+  let matches = emailMatches;
+  if (name) {
+    matches = address ? o => nameMatches(o) && emailMatches(o) : nameMatches;
+  }
+
+  return {
+    term: name ? `name:${quoteSearchValue(orderName(orderNumber))}` : `email:${quoteSearchValue(email)}`,
+    matches,
+    order: null
+  };
+}
+
+// getOrder() for many lookups at once. Distinct search terms are OR'd
+// together, BATCH_TERMS_PER_QUERY to a query, and each query is paged
+// (newest first) until every lookup in it has its match or MAX_ORDER_PAGES
+// run out. Resolves to one order (or null) per lookup, in order, with the
+// same choice getOrder() would make:
+//   - order number + email: the order with that number placed with that email
+//   - order number only: the order with that number
+//   - email only: the most recent order for that email
+export async function getOrders(lookups, tenant) {
+  const pending = lookups.map(batchLookup);
+  const terms = [...new Set(pending.map(lookup => lookup.term))];
+
+  try {
+    for (let start = 0; start < terms.length; start += BATCH_TERMS_PER_QUERY) {
+      const chunkTerms = terms.slice(start, start + BATCH_TERMS_PER_QUERY);
+      const chunk = pending.filter(lookup => chunkTerms.includes(lookup.term));
+      const searchQuery = chunkTerms.join(' OR ');
+      let after = null;
+
+      for (let page = 0; page < MAX_ORDER_PAGES; page++) {
+        const { edges, pageInfo } = await listOrders(searchQuery, tenant, { after });
+
+        for (const { order } of edges) {
+          for (const lookup of chunk) {
+            if (!lookup.order && lookup.matches(order)) {
+              lookup.order = order;
+            }
+          }
+        }
+
+        if (chunk.every(lookup => lookup.order) || !pageInfo.hasNextPage) {
+          break;
+        }
+        after = pageInfo.endCursor;
+      }
+    }
+
+    // Details once per order, however many lookups it answers
+    const found = [...new Map(pending.filter(lookup => lookup.order).map(lookup => [lookup.order.id, lookup.order])).values()];
+    const detailed = await Promise.all(found.map(order => withOrderDetails(order, tenant)));
+    for (const lookup of pending) {
+      if (lookup.order) {
+        lookup.order = detailed.find(order => order.id === lookup.order.id);
+      }
+    }
+  } catch (error) {
+    console.error(`Error fetching orders from Shopify (${tenant.shop}):`, error.detail || error.message);
+    throw error;
+  }
+
+  console.log(`Batch lookup on ${tenant.shop}: ${pending.filter(lookup => lookup.order).length}/${lookups.length} found in ${terms.length} search terms`);
+  return pending.map(lookup => lookup.order);
+}
+
+// Search string for every order placed with an email, optionally within a date range
+export function customerOrdersQuery(email, { from = null, to = null } = {}) {
+  const terms = [`email:${quoteSearchValue(email)}`];
+  if (from) {
+    terms.push(`created_at:>='${from}'`);
+  }
+  if (to) {
+    terms.push(`created_at:<='${to}'`);
+  }
+  return terms.join(' AND ');
+}
@@ -0,0 +1,385 @@
+import dayjs from 'dayjs';
+import { buildShipments, buildTrackingEvents } from './shipments.js';
+import { DEFAULT_LOCALE, localizedText, translate } from './i18n.js';
+import { computeProcessingDeadline } from './business-calendar.js';
+
+// ==== ORDER STATUS RULES ====
+//
+// determineOrderStatus is driven by an ordered list of declarative rules; the
+// first rule whose conditions all hold decides the status. Stores can supply
+// their own list as `statusRules` in their tenant config (TENANTS_CONFIG or the
+// TENANTS KV record). The default rules, built from the store's
+// statusSettings, are always appended after a custom list, so it only needs
+// the states it adds or overrides.
+//
+// Rule shape:
+//   {
+//     "name": "delivered",                  // for logs only
+//     "when": {
+//       "hasTracking": true,                 // any shipment has a tracking number
+//       "shipmentStatusAny": ["out_for_delivery"], // any shipment's carrier status is one of these
+//       "shipmentStatusAll": ["delivered"],  // every shipment's is (needs at least one shipment)
+//       "fields": {                          // order fields, REST names
+//         "closed_at": { "exists": true },   //   present / absent
+//         "financial_status": ["pending"],   //   one of (case-insensitive)
+//         "fulfillment_status": null         //   empty
+//       },
+//       "withinProcessingWindow": true,      // before the processing deadline (business hours)
+//       "minAgeHours": 48,                   // age >= minAgeHours
+//       "maxAgeHours": 48,                   // age <  maxAgeHours
+//       "tagsAny": ["preorder"],             // at least one of these order tags
+//       "tagsAll": ["vip", "gift"],          // every one of these tags
+//       "tagsNone": ["hold"]                 // none of these tags
+//     },
+//     "code": "delivered",                 // stable status code returned as statusCode
+//     "status": "Order Delivered",         // label; a string or { "en": ..., "fr": ... }
+//     "buttonsDisabled": true,
+//     "disabledReason": "Order has been delivered", // a string or a locale map
+//     "delivered": true                      // report the delivery time as deliveredAt
+//   }
+//
+// A rule without `when` always matches. Ages are wall-clock hours; the
+// processing deadline follows the store's business calendar (see
+// business-calendar.js).
+//
+// Labels and reasons are localized (see i18n.js). The default rules carry
+// only a status `code` and a `reason` code and take their text from the
+// message catalogue. A custom rule can do the same, using a `code` from the
+// catalogue and leaving out `status`, or give its own text. Without a `code`
+// one is derived from the English label ("Awaiting Stock" -> awaiting_stock).
+
+const CONDITION_KEYS = ['hasTracking', 'shipmentStatusAny', 'shipmentStatusAll', 'fields', 'withinProcessingWindow', 'minAgeHours', 'maxAgeHours', 'tagsAny', 'tagsAll', 'tagsNone'];
+const LIST_CONDITIONS = ['shipmentStatusAny', 'shipmentStatusAll', 'tagsAny', 'tagsAll', 'tagsNone'];
+const STATUS_CODE_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+// The built-in states, with the processing window as a setting. Cancellation,
+// refunds, holds and unpaid orders win over shipping progress. Delivery comes
+// from the carrier status on each shipment, never from closed_at: merchants
+// archive orders for reasons that have nothing to do with delivery.
+export function buildDefaultStatusRules({ processingWindowHours }) {
+  return [
+    {
+      name: 'cancelled',
+      when: { fields: { cancelled_at: { exists: true } } },
+      code: 'cancelled',
+      buttonsDisabled: true,
+      reason: 'cancelled'
+    },
+    {
+      name: 'refunded',
+      when: { fields: { financial_status: ['refunded'] } },
+      code: 'refunded',
+      buttonsDisabled: true,
+      reason: 'refunded'
+    },
+    {
+      // ON_HOLD from the Admin API; the order store keeps holds from the
+      // fulfillment-order webhooks (see findStoredOrder)
+      name: 'on-hold',
+      when: { fields: { fulfillment_status: ['on_hold'] } },
+      code: 'on_hold',
+      buttonsDisabled: true,
+      reason: 'on_hold'
+    },
+    {
+      name: 'payment-pending',
+      when: { fields: { financial_status: ['pending'] } },
+      code: 'payment_pending',
+      buttonsDisabled: false,
+      reason: 'payment_pending'
+    },
+    {
+      name: 'partially-shipped',
+      when: { fields: { fulfillment_status: ['partial'] } },
+      code: 'partially_shipped',
+      buttonsDisabled: true,
+      reason: 'partially_shipped'
+    },
+    {
+      name: 'delivered',
+      when: { shipmentStatusAll: ['delivered'] },
+      code: 'delivered',
+      buttonsDisabled: true,
+      reason: 'delivered',
+      delivered: true
+    },
+    {
+      // A carrier `exception` (see carrier-tracking.js) is a failed delivery too
+      name: 'delivery-failed',
+      when: { shipmentStatusAny: ['failure', 'exception'] },
+      code: 'delivery_failed',
+      buttonsDisabled: true,
+      reason: 'delivery_failed'
+    },
+    {
+      name: 'delivery-attempted',
+      when: { shipmentStatusAny: ['attempted_delivery'] },
+      code: 'delivery_attempted',
+      buttonsDisabled: true,
+      reason: 'delivery_attempted'
+    },
+    {
+      name: 'out-for-delivery',
+      when: { shipmentStatusAny: ['out_for_delivery'] },
+      code: 'out_for_delivery',
+      buttonsDisabled: true,
+      reason: 'out_for_delivery'
+    },
+    {
+      name: 'tracking-added',
+      when: { hasTracking: true },
+      code: 'in_transit',
+      buttonsDisabled: true,
+      reason: 'in_transit'
+    },
+    {
+      // Only once nothing is on its way; shipping progress matters more
+      name: 'partially-refunded',
+      when: { fields: { financial_status: ['partially_refunded'] } },
+      code: 'partially_refunded',
+      buttonsDisabled: true,
+      reason: 'partially_refunded'
+    },
+    {
+      name: 'processing',
+      when: { withinProcessingWindow: true },
+      code: 'processing',
+      buttonsDisabled: false
+    },
+    {
+      name: 'processing-window-passed',
+      code: 'in_transit',
+      buttonsDisabled: true,
+      reason: 'processing_window_passed',
+      reasonParams: { hours: processingWindowHours }
+    }
+  ];
+}
+
+export const DEFAULT_PROCESSING_WINDOW_HOURS = 48;
+
+export const DEFAULT_STATUS_RULES = buildDefaultStatusRules({ processingWindowHours: DEFAULT_PROCESSING_WINDOW_HOURS });
+
+function isNonNegativeNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+// A string, or an object of locale to non-empty string
+function isLocalizedText(value) {
+  if (typeof value === 'string') {
+    return value.length > 0;
+  }
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+    && Object.keys(value).length > 0
+    && Object.values(value).every(text => typeof text === 'string' && text.length > 0);
+}
+
+// Returns a description of the first problem in `rules`, or null when valid
+export function validateStatusRules(rules) {
+  if (!Array.isArray(rules) || rules.length === 0) {
+    return 'statusRules must be a non-empty array';
+  }
+
+  for (const [index, rule] of rules.entries()) {
+    const label = `statusRules[${index}]`;
+    if (!rule || typeof rule !== 'object') {
+      return `${label} must be an object`;
+    }
+    if ('code' in rule && (typeof rule.code !== 'string' || !STATUS_CODE_PATTERN.test(rule.code))) {
+      return `${label}.code must be lowercase letters, digits and underscores, starting with a letter`;
+    }
+    if ('status' in rule ? !isLocalizedText(rule.status) : !translate(DEFAULT_LOCALE, `statuses.${rule.code}`)) {
+      return `${label}.status must be a non-empty string or a map of locale to text (or code a built-in status)`;
+    }
+    if (rule.disabledReason != null && !isLocalizedText(rule.disabledReason)) {
+      return `${label}.disabledReason must be a non-empty string or a map of locale to text`;
+    }
+    if (rule.reason != null && !translate(DEFAULT_LOCALE, `disabledReasons.${rule.reason}`)) {
+      return `${label}.reason "${rule.reason}" is not a known reason code`;
+    }
+
+    const when = rule.when || {};
+    const unknown = Object.keys(when).find(key => !CONDITION_KEYS.includes(key));
+    if (unknown) {
+      return `${label}.when has unknown condition "${unknown}"`;
+    }
+    if ('withinProcessingWindow' in when && typeof when.withinProcessingWindow !== 'boolean') {
+      return `${label}.when.withinProcessingWindow must be true or false`;
+    }
+    for (const key of ['minAgeHours', 'maxAgeHours']) {
+      if (key in when && !isNonNegativeNumber(when[key])) {
+        return `${label}.when.${key} must be a number of hours`;
+      }
+    }
+    for (const key of LIST_CONDITIONS) {
+      if (key in when && (!Array.isArray(when[key]) || when[key].some(value => typeof value !== 'string'))) {
+        return `${label}.when.${key} must be an array of strings`;
+      }
+    }
+    if ('fields' in when && (!when.fields || typeof when.fields !== 'object' || Array.isArray(when.fields))) {
+      return `${label}.when.fields must be an object`;
+    }
+  }
+
+  return null;
+}
+
+// Webhook payloads carry tags as "a, b"; GraphQL as an array
+function parseTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  return list.map(tag => tag.trim().toLowerCase()).filter(Boolean);
+}
+
+// Everything a rule can test, computed once per order. Without a deadline
+// from the store's calendar the window is plain wall-clock hours.
+export function buildOrderFacts(order, now = Date.now(), processingDeadline = null) {
+  const shipments = buildShipments(order);
+  // The first tracked package stands in for the order in the top-level fields
+  const primary = shipments.find(shipment => shipment.trackingNumbers.length > 0) || null;
+
+  return {
+    order,
+    shipments,
+    primaryShipment: primary,
+    trackingNumber: primary ? primary.trackingNumbers[0] : null,
+    shipmentStatuses: shipments.map(shipment => shipment.shipmentStatus),
+    events: buildTrackingEvents(order),
+    ageHours: dayjs(now).diff(dayjs(order.created_at), 'hour'),
+    now: dayjs(now),
+    processingDeadline: processingDeadline
+      || dayjs(order.created_at).add(DEFAULT_PROCESSING_WINDOW_HOURS, 'hour').toISOString(),
+    tags: parseTags(order.tags)
+  };
+}
+
+function isEmpty(value) {
+  return value === null || value === undefined || value === '';
+}
+
+function normalizeValue(value) {
+  return typeof value === 'string' ? value.toLowerCase() : value;
+}
+
+function matchesField(actual, expected) {
+  if (expected === null) {
+    return isEmpty(actual);
+  }
+  if (expected && typeof expected === 'object' && !Array.isArray(expected)) {
+    return 'exists' in expected ? expected.exists === !isEmpty(actual) : false;
+  }
+  const allowed = Array.isArray(expected) ? expected : [expected];
+  return allowed.map(normalizeValue).includes(normalizeValue(actual));
+}
+
+export function matchesRule(rule, facts) {
+  const when = rule.when || {};
+
+  if ('hasTracking' in when && when.hasTracking !== Boolean(facts.trackingNumber)) {
+    return false;
+  }
+  if (when.shipmentStatusAny && !facts.shipmentStatuses.some(status => when.shipmentStatusAny.includes(status))) {
+    return false;
+  }
+  if (when.shipmentStatusAll && (facts.shipmentStatuses.length === 0
+    || !facts.shipmentStatuses.every(status => when.shipmentStatusAll.includes(status)))) {
+    return false;
+  }
+  if ('withinProcessingWindow' in when
+    && when.withinProcessingWindow !== facts.now.isBefore(facts.processingDeadline)) {
+    return false;
+  }
+  if ('minAgeHours' in when && facts.ageHours < when.minAgeHours) {
+    return false;
+  }
+  if ('maxAgeHours' in when && facts.ageHours >= when.maxAgeHours) {
+    return false;
+  }
+
+  for (const [field, expected] of Object.entries(when.fields || {})) {
+    if (!matchesField(facts.order[field], expected)) {
+      return false;
+    }
+  }
+
+  const hasTag = tag => facts.tags.includes(tag.toLowerCase());
+  if (when.tagsAny && !when.tagsAny.some(hasTag)) {
+    return false;
+  }
+  if (when.tagsAll && !when.tagsAll.every(hasTag)) {
+    return false;
+  }
+  if (when.tagsNone && when.tagsNone.some(hasTag)) {
+    return false;
+  }
+
+  return true;
+}
+
+// An order is delivered when its last package is
+function latestDeliveredAt(shipments) {
+  const times = shipments.map(shipment => shipment.deliveredAt).filter(Boolean).sort();
+  return times.length > 0 ? times[times.length - 1] : null;
+}
+
+// "Awaiting Stock" -> "awaiting_stock", for custom rules without a code
+function statusCodeFor(rule) {
+  if (rule.code) {
+    return rule.code;
+  }
+  const slug = String(localizedText(rule.status, DEFAULT_LOCALE)).toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+  if (!slug) {
+    return 'custom';
+  }
+  return /^[a-z]/.test(slug) ? slug : `status_${slug}`;
+}
+
+function ruleResult(rule, facts, locale) {
+  const statusCode = statusCodeFor(rule);
+  const reasonCode = rule.reason || (rule.disabledReason ? statusCode : null);
+  return {
+    statusCode,
+    status: localizedText(rule.status, locale) || translate(locale, `statuses.${statusCode}`),
+    trackingNumber: facts.trackingNumber,
+    carrier: facts.primaryShipment ? facts.primaryShipment.carrier : null,
+    carrierName: facts.primaryShipment ? facts.primaryShipment.carrierName : null,
+    trackingUrl: facts.primaryShipment ? facts.primaryShipment.trackingUrls[0] || null : null,
+    shipments: facts.shipments,
+    events: facts.events,
+    latestCheckpoint: facts.events.length > 0 ? facts.events[0] : null,
+    deliveredAt: rule.delivered ? latestDeliveredAt(facts.shipments) : null,
+    processingDeadline: facts.processingDeadline,
+    buttonsDisabled: Boolean(rule.buttonsDisabled),
+    disabledReasonCode: reasonCode,
+    disabledReason: localizedText(rule.disabledReason, locale)
+      || (rule.reason ? translate(locale, `disabledReasons.${rule.reason}`, rule.reasonParams) : null),
+    locale,
+    rule: rule.name || null
+  };
+}
+
+// Evaluate `rules` in order against an order. The default rules are a
+// safety net for a list without a catch-all rule. Labels and reasons are in
+// `locale`; statusCode and disabledReasonCode are the same in every locale.
+export function evaluateStatusRules(order, rules = DEFAULT_STATUS_RULES, { now = Date.now(), processingDeadline = null, locale = DEFAULT_LOCALE } = {}) {
+  const facts = buildOrderFacts(order, now, processingDeadline);
+  const rule = rules.find(r => matchesRule(r, facts))
+    || DEFAULT_STATUS_RULES.find(r => matchesRule(r, facts));
+  return ruleResult(rule, facts, locale);
+}
+
+// The tenant's rules for one order. The processing window is counted on the
+// tenant's business calendar. Labels and reasons are in `locale`; statusCode
+// is the same in every locale.
+export function determineOrderStatus(order, tenant, locale = DEFAULT_LOCALE, { now = Date.now() } = {}) {
+  const processingDeadline = computeProcessingDeadline(
+    order.created_at,
+    tenant.statusSettings.processingWindowHours,
+    tenant.businessCalendar
+  );
+
+  return evaluateStatusRules(order, tenant.statusRules, { now, processingDeadline, locale });
+}
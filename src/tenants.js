@@ -0,0 +1,290 @@
+import { getShopTokenStore } from './oauth.js';
+import { buildDefaultStatusRules, validateStatusRules } from './status-rules.js';
+import { DEFAULT_DELIVERY_ESTIMATES, validateDeliveryEstimates } from './delivery-estimate.js';
+import { normalizeBusinessCalendar } from './business-calendar.js';
+import { normalizeTrackingPage } from './tracking-page.js';
+
+// ==== TENANT REGISTRY ====
+//
+// Each request runs against one storefront ("tenant"). Tenants come from, in
+// order of preference:
+//   1. TENANTS_CONFIG - a JSON array of tenant objects (var or secret)
+//   2. TENANTS        - a KV namespace with `tenant:<id>` records and
+//                       `domain:<hostname>` -> <id> index entries
+//   3. SHOPIFY_SHOP / SHOPIFY_ACCESS_TOKEN - the original single-store setup
+//
+// Shops installed through the OAuth flow (SHOP_TOKENS) are tenants too: their
+// stored token takes precedence over any configured one, and an installed
+// shop that is not in the registry resolves by its shop or primary domain.
+//
+// Tenant config shape:
+//   {
+//     "id": "zevana",
+//     "shop": "zevana.myshopify.com",
+//     "accessToken": "shpat_...",             // or
+//     "accessTokenSecret": "ZEVANA_TOKEN",   // name of a worker secret holding the token
+//     "webhookSecret": "...",                // or
+//     "webhookSecretName": "ZEVANA_WEBHOOK_SECRET",  // custom app's webhook signing secret
+//     "apiVersion": "2025-10",
+//     "domains": ["zevana.co", "www.zevana.co"],
+//     "allowedOrigins": ["https://zevana.co", "https://www.zevana.co"],
+//     "statusSettings": { "processingWindowHours": 48 },  // business hours
+//     "businessCalendar": { ... },            // see business-calendar.js
+//     "statusRules": [ ... ],                 // see status-rules.js
+//     "deliveryEstimates": { ... },           // see delivery-estimate.js
+//     "verification": "strict",               // lenient (default), strict or code
+//     "trackingPage": { ... }                 // branding, see tracking-page.js
+//   }
+
+export const DEFAULT_STATUS_SETTINGS = {
+  processingWindowHours: 48
+};
+
+// What a lookup must prove about the customer:
+//   lenient - an order number or an email on its own is enough (the original behaviour)
+//   strict  - both are required and must belong to the same order
+//   code    - strict, and tracking numbers, links and checkpoint locations are
+//             withheld until a one-time code sent to the order's email is confirmed
+export const VERIFICATION_MODES = ['lenient', 'strict', 'code'];
+
+// An unrecognised mode fails closed
+function normalizeVerification(mode, label) {
+  if (mode === undefined || mode === null || mode === '') {
+    return 'lenient';
+  }
+  if (VERIFICATION_MODES.includes(mode)) {
+    return mode;
+  }
+  console.error(`Invalid verification mode "${mode}" for ${label}; using "strict"`);
+  return 'strict';
+}
+
+// Accepts an origin URL, a host header or a bare domain and returns the hostname
+export function normalizeHost(value) {
+  if (!value) {
+    return null;
+  }
+
+  let host = String(value).trim().toLowerCase();
+  if (host.includes('://')) {
+    try {
+      host = new URL(host).hostname;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  return host.replace(/:\d+$/, '').replace(/\.$/, '') || null;
+}
+
+function parseList(value) {
+  if (!value) {
+    return [];
+  }
+  if (Array.isArray(value)) {
+    return value;
+  }
+  return String(value).split(',').map(v => v.trim()).filter(Boolean);
+}
+
+// Store rules first, then the defaults. A broken rule set is logged and
+// ignored rather than taking the store's tracking down.
+function buildStatusRules(config, statusSettings) {
+  const defaults = buildDefaultStatusRules(statusSettings);
+  if (!config.statusRules) {
+    return defaults;
+  }
+
+  const problem = validateStatusRules(config.statusRules);
+  if (problem) {
+    console.error(`Ignoring status rules for ${config.id || config.shop}: ${problem}`);
+    return defaults;
+  }
+  return [...config.statusRules, ...defaults];
+}
+
+function buildDeliveryEstimates(config) {
+  if (!config.deliveryEstimates) {
+    return DEFAULT_DELIVERY_ESTIMATES;
+  }
+
+  const problem = validateDeliveryEstimates(config.deliveryEstimates);
+  if (problem) {
+    console.error(`Ignoring delivery estimates for ${config.id || config.shop}: ${problem}`);
+    return DEFAULT_DELIVERY_ESTIMATES;
+  }
+  return { ...DEFAULT_DELIVERY_ESTIMATES, ...config.deliveryEstimates };
+}
+
+export function normalizeTenant(config, env) {
+  const accessToken = config.accessToken
+    || (config.accessTokenSecret ? env[config.accessTokenSecret] : null)
+    || null;
+  // Only stores running their own custom app have one; the rest sign with the app secret
+  const webhookSecret = config.webhookSecret
+    || (config.webhookSecretName ? env[config.webhookSecretName] : null)
+    || null;
+  const statusSettings = {
+    ...DEFAULT_STATUS_SETTINGS,
+    ...(config.statusSettings || {})
+  };
+
+  return {
+    id: config.id || normalizeHost(config.shop),
+    shop: normalizeHost(config.shop),
+    accessToken,
+    webhookSecret,
+    apiVersion: config.apiVersion || env.SHOPIFY_API_VERSION || null,
+    adminBaseUrl: env.SHOPIFY_ADMIN_BASE_URL || null,
+    domains: parseList(config.domains).map(normalizeHost).filter(Boolean),
+    allowedOrigins: parseList(config.allowedOrigins),
+    statusSettings,
+    statusRules: buildStatusRules(config, statusSettings),
+    businessCalendar: normalizeBusinessCalendar(config.businessCalendar, env, config.id || config.shop),
+    verification: normalizeVerification(config.verification, config.id || config.shop),
+    trackingPage: normalizeTrackingPage(config.trackingPage, config.id || config.shop),
+    deliveryEstimates: buildDeliveryEstimates(config)
+  };
+}
+
+function tenantMatchesHost(tenant, host) {
+  return tenant.shop === host || tenant.domains.includes(host);
+}
+
+// Registry backed by a static list (TENANTS_CONFIG or the legacy env vars)
+class StaticTenantRegistry {
+  constructor(tenants, defaultTenantId) {
+    this.tenants = tenants;
+    this.defaultTenantId = defaultTenantId;
+  }
+
+  async findByHost(host) {
+    return this.tenants.find(t => tenantMatchesHost(t, host)) || null;
+  }
+
+  async get(id) {
+    return this.tenants.find(t => t.id === id) || null;
+  }
+
+  async getDefault() {
+    if (this.defaultTenantId) {
+      return this.get(this.defaultTenantId);
+    }
+    return this.tenants.length === 1 ? this.tenants[0] : null;
+  }
+}
+
+// Registry backed by a KV namespace
+class KvTenantRegistry {
+  constructor(kv, env) {
+    this.kv = kv;
+    this.env = env;
+  }
+
+  async findByHost(host) {
+    const id = await this.kv.get(`domain:${host}`);
+    return id ? this.get(id) : null;
+  }
+
+  async get(id) {
+    const config = await this.kv.get(`tenant:${id}`, 'json');
+    return config ? normalizeTenant({ id, ...config }, this.env) : null;
+  }
+
+  async getDefault() {
+    return this.env.DEFAULT_TENANT ? this.get(this.env.DEFAULT_TENANT) : null;
+  }
+}
+
+// TENANTS_CONFIG is parsed once per isolate rather than on every request
+let cachedConfigSource = null;
+let cachedConfigRegistry = null;
+
+export function getTenantRegistry(env) {
+  if (env.TENANTS_CONFIG) {
+    if (cachedConfigSource !== env.TENANTS_CONFIG) {
+      const configs = typeof env.TENANTS_CONFIG === 'string'
+        ? JSON.parse(env.TENANTS_CONFIG)
+        : env.TENANTS_CONFIG;
+      cachedConfigRegistry = new StaticTenantRegistry(
+        configs.map(config => normalizeTenant(config, env)),
+        env.DEFAULT_TENANT
+      );
+      cachedConfigSource = env.TENANTS_CONFIG;
+    }
+    return cachedConfigRegistry;
+  }
+
+  if (env.TENANTS) {
+    return new KvTenantRegistry(env.TENANTS, env);
+  }
+
+  // Legacy single-store deployment
+  const tenants = env.SHOPIFY_SHOP
+    ? [normalizeTenant({
+        id: 'default',
+        shop: env.SHOPIFY_SHOP,
+        accessToken: env.SHOPIFY_ACCESS_TOKEN,
+        allowedOrigins: env.ALLOWED_ORIGINS,
+        verification: env.OWNERSHIP_VERIFICATION,
+        trackingPage: env.TRACKING_PAGE_CONFIG
+      }, env)]
+    : [];
+  return new StaticTenantRegistry(tenants, null);
+}
+
+// Look a host up in the registry, then among OAuth installations
+async function findTenantByHost(host, registry, tokenStore, env) {
+  const tenant = await registry.findByHost(host);
+  if (tenant || !tokenStore) {
+    return tenant;
+  }
+
+  const installation = await tokenStore.findByHost(host);
+  return installation ? normalizeTenant(installation, env) : null;
+}
+
+// Prefer the token issued by the OAuth install over a configured one
+async function withInstalledToken(tenant, tokenStore) {
+  if (!tenant || !tokenStore) {
+    return tenant;
+  }
+
+  const installation = await tokenStore.get(tenant.shop);
+  return installation ? { ...tenant, accessToken: installation.accessToken } : tenant;
+}
+
+// The tenant for a known shop domain, or null. Used for X-Shop-Domain and for
+// anything that names its store itself, like a signed tracking link.
+export async function resolveTenantForShop(shop, env) {
+  const tokenStore = getShopTokenStore(env);
+  const tenant = await findTenantByHost(normalizeHost(shop), getTenantRegistry(env), tokenStore, env);
+  return withInstalledToken(tenant, tokenStore);
+}
+
+// Resolve the tenant for a request by X-Shop-Domain header, then Origin,
+// then the request host. Falls back to the default tenant when none match.
+export async function resolveTenant(request, env) {
+  const registry = getTenantRegistry(env);
+  const tokenStore = getShopTokenStore(env);
+
+  const shopHeader = normalizeHost(request.headers.get('X-Shop-Domain'));
+  if (shopHeader) {
+    // An explicit shop that we don't know about is an error, not a fallback
+    return resolveTenantForShop(shopHeader, env);
+  }
+
+  const candidates = [
+    normalizeHost(request.headers.get('Origin')),
+    normalizeHost(new URL(request.url).hostname)
+  ].filter(Boolean);
+
+  for (const host of candidates) {
+    const tenant = await findTenantByHost(host, registry, tokenStore, env);
+    if (tenant) {
+      return withInstalledToken(tenant, tokenStore);
+    }
+  }
+
+  return withInstalledToken(await registry.getDefault(), tokenStore);
+}
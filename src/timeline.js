@@ -0,0 +1,116 @@
+import { DEFAULT_LOCALE, translate } from './i18n.js';
+
+// ==== ORDER TIMELINE ====
+//
+// Chronological milestones for a progress stepper, built from the order, its
+// payment transactions and each shipment's events (Shopify's plus any carrier
+// checkpoints attached by carrier-tracking.js):
+//
+//   order_placed          created_at
+//   payment_captured      first successful sale/capture transaction
+//   fulfillment_created   one per package, when it shipped
+//   <shipment status>     each change of a package's carrier status
+//                         (in_transit, out_for_delivery, delivered, ...)
+//   cancelled             cancelled_at
+//
+// Milestone shape:
+//   { code, label, timestamp, shipmentId, trackingNumber, location, description }
+// Shipment fields are null on order-level milestones. Labels come from the
+// `milestones` section of the message catalogue (i18n.js).
+
+// Financial statuses that mean the money was taken at some point
+const CAPTURED_FINANCIAL_STATUSES = ['paid', 'partially_refunded', 'refunded'];
+
+function labelFor(code, locale) {
+  return translate(locale, `milestones.${code}`) || code;
+}
+
+function milestone(code, timestamp, locale, details = {}) {
+  return {
+    code,
+    label: labelFor(code, locale),
+    timestamp,
+    shipmentId: details.shipmentId || null,
+    trackingNumber: details.trackingNumber || null,
+    location: details.location || null,
+    description: details.description || null
+  };
+}
+
+// When the payment was captured. Webhook-stored orders have no transactions,
+// so a paid order falls back to the time Shopify processed it.
+function paymentCapturedAt(order) {
+  const captures = (order.transactions || [])
+    .filter(t => ['sale', 'capture'].includes(t.kind) && t.status === 'success' && t.processed_at)
+    .map(t => t.processed_at)
+    .sort();
+  if (captures.length > 0) {
+    return captures[0];
+  }
+  return CAPTURED_FINANCIAL_STATUSES.includes(order.financial_status)
+    ? order.processed_at || order.created_at
+    : null;
+}
+
+// Status changes for one package: consecutive repeats of a status collapse
+// into the first checkpoint that reported it
+function shipmentMilestones(shipment, events, locale) {
+  const milestones = [];
+  let previous = null;
+
+  const ownEvents = events
+    .filter(event => event.shipmentId === shipment.id && event.code)
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+  for (const event of ownEvents) {
+    if (event.code === previous) {
+      continue;
+    }
+    milestones.push(milestone(event.code, event.timestamp, locale, {
+      shipmentId: shipment.id,
+      trackingNumber: event.trackingNumber,
+      location: event.location,
+      description: event.description
+    }));
+    previous = event.code;
+  }
+
+  // Webhook records can know a package was delivered without a delivered event
+  if (shipment.deliveredAt && previous !== 'delivered') {
+    milestones.push(milestone('delivered', shipment.deliveredAt, locale, {
+      shipmentId: shipment.id,
+      trackingNumber: shipment.trackingNumbers[0]
+    }));
+  }
+
+  return milestones;
+}
+
+// `statusInfo` is the result of determineOrderStatus for the same order
+export function buildOrderTimeline(order, statusInfo, locale = DEFAULT_LOCALE) {
+  const milestones = [milestone('order_placed', order.created_at, locale)];
+
+  const paidAt = paymentCapturedAt(order);
+  if (paidAt) {
+    milestones.push(milestone('payment_captured', paidAt, locale));
+  }
+
+  for (const shipment of statusInfo.shipments) {
+    if (shipment.shippedAt) {
+      milestones.push(milestone('fulfillment_created', shipment.shippedAt, locale, {
+        shipmentId: shipment.id,
+        trackingNumber: shipment.trackingNumbers[0]
+      }));
+    }
+    milestones.push(...shipmentMilestones(shipment, statusInfo.events, locale));
+  }
+
+  if (order.cancelled_at) {
+    milestones.push(milestone('cancelled', order.cancelled_at, locale));
+  }
+
+  // Stable sort: milestones sharing a timestamp keep the order they were added in
+  return milestones
+    .filter(m => m.timestamp)
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+}
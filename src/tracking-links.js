@@ -0,0 +1,180 @@
+import { hmacSha256, toBase64Url, fromBase64Url, timingSafeEqual, randomToken } from './crypto.js';
+import { UnauthorizedError, NotConfiguredError } from './errors.js';
+
+// ==== TRACKING LINKS ====
+//
+// Signed, expiring tokens for "Track your order" links in shipping emails and
+// SMS. A token is bound to one order of one store:
+//
+//   <keyId>.<claims>.<signature>
+//
+// claims is base64url JSON { shop, order, name, iat, exp, jti } (order is the
+// Shopify order ID, name is kept so the lookup can use the order store and
+// cache) and signature is base64url HMAC-SHA256 of "<keyId>.<claims>".
+//
+// Signing keys come from TRACKING_LINK_KEYS, a JSON object of keyId -> secret.
+// New tokens are signed with TRACKING_LINK_KEY_ID (default: the first key);
+// every listed key still verifies. To rotate, add a key, point
+// TRACKING_LINK_KEY_ID at it, and drop the old one once its links have expired.
+//
+// Revocation needs the TRACKING_LINKS KV namespace: one token by its jti, or
+// every token issued for an order up to now.
+
+export const DEFAULT_LINK_TTL_DAYS = 30;
+
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+const DAY_SECONDS = 24 * 60 * 60;
+
+// TRACKING_LINK_KEYS is parsed once per isolate into a Map, so a key ID taken
+// from a token ("constructor", "__proto__") can't find an inherited property
+let cachedKeySource = null;
+let cachedKeys = null;
+
+function getSigningKeys(env) {
+  if (!env.TRACKING_LINK_KEYS) {
+    return null;
+  }
+  if (cachedKeySource !== env.TRACKING_LINK_KEYS) {
+    const keys = typeof env.TRACKING_LINK_KEYS === 'string'
+      ? JSON.parse(env.TRACKING_LINK_KEYS)
+      : env.TRACKING_LINK_KEYS;
+    const invalid = Object.keys(keys).filter(keyId => !KEY_ID_PATTERN.test(keyId) || !keys[keyId]);
+    if (invalid.length > 0) {
+      console.error(`Ignoring tracking link keys with bad IDs or empty secrets: ${invalid.join(', ')}`);
+    }
+    cachedKeys = new Map(Object.entries(keys).filter(([keyId]) => !invalid.includes(keyId)));
+    cachedKeySource = env.TRACKING_LINK_KEYS;
+  }
+  return cachedKeys.size > 0 ? cachedKeys : null;
+}
+
+export function getLinkTtlDays(env) {
+  const days = Number(env.TRACKING_LINK_TTL_DAYS);
+  return Number.isFinite(days) && days > 0 ? days : DEFAULT_LINK_TTL_DAYS;
+}
+
+function requireSigningKeys(env) {
+  const keys = getSigningKeys(env);
+  if (!keys) {
+    throw new NotConfiguredError(
+      'Tracking links not configured',
+      'Tracking links need TRACKING_LINK_KEYS to be set',
+      'TRACKING_LINKS_NOT_CONFIGURED'
+    );
+  }
+  return keys;
+}
+
+function invalidLink(message = 'This tracking link is not valid') {
+  return new UnauthorizedError('Invalid tracking link', message, 'INVALID_TRACKING_LINK');
+}
+
+async function sign(secret, keyId, encodedClaims) {
+  return toBase64Url(await hmacSha256(secret, `${keyId}.${encodedClaims}`));
+}
+
+// Token for `order` of `tenant`. Resolves to { token, expiresAt }.
+export async function mintTrackingToken(order, tenant, env) {
+  const keys = requireSigningKeys(env);
+  const keyId = env.TRACKING_LINK_KEY_ID || keys.keys().next().value;
+  if (!keys.has(keyId)) {
+    throw new NotConfiguredError(
+      'Tracking links not configured',
+      `TRACKING_LINK_KEY_ID "${keyId}" is not one of TRACKING_LINK_KEYS`,
+      'TRACKING_LINKS_NOT_CONFIGURED'
+    );
+  }
+
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const claims = {
+    shop: tenant.shop,
+    order: String(order.id),
+    name: order.name,
+    iat: issuedAt,
+    exp: issuedAt + Math.round(getLinkTtlDays(env) * DAY_SECONDS),
+    jti: randomToken(12)
+  };
+  const encodedClaims = toBase64Url(JSON.stringify(claims));
+  const signature = await sign(keys.get(keyId), keyId, encodedClaims);
+
+  return {
+    token: `${keyId}.${encodedClaims}.${signature}`,
+    expiresAt: new Date(claims.exp * 1000).toISOString()
+  };
+}
+
+// Claims of a token that is well-formed, signed by a known key, unexpired
+// and not revoked. Throws UnauthorizedError otherwise.
+export async function verifyTrackingToken(token, env) {
+  const keys = requireSigningKeys(env);
+  const [keyId, encodedClaims, signature, ...rest] = String(token).split('.');
+  if (!keyId || !encodedClaims || !signature || rest.length > 0 || !keys.has(keyId)) {
+    throw invalidLink();
+  }
+
+  const expected = await sign(keys.get(keyId), keyId, encodedClaims);
+  if (!timingSafeEqual(expected, signature)) {
+    throw invalidLink();
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(new TextDecoder().decode(fromBase64Url(encodedClaims)));
+  } catch (error) {
+    throw invalidLink();
+  }
+  if (!claims || !claims.shop || !claims.order || !claims.name || !claims.jti) {
+    throw invalidLink();
+  }
+
+  if (!(claims.exp * 1000 > Date.now())) {
+    throw new UnauthorizedError(
+      'Tracking link expired',
+      'This tracking link has expired. Look your order up with its order number and email instead.',
+      'TRACKING_LINK_EXPIRED'
+    );
+  }
+
+  const revocations = getRevokedLinkStore(env);
+  if (revocations && await revocations.isRevoked(claims)) {
+    throw new UnauthorizedError(
+      'Tracking link revoked',
+      'This tracking link is no longer valid',
+      'TRACKING_LINK_REVOKED'
+    );
+  }
+
+  return claims;
+}
+
+// Revoked token IDs live until the token would have expired anyway; an order
+// revocation is a timestamp that every token issued at or before it fails
+export class RevokedLinkStore {
+  constructor(kv, env) {
+    this.kv = kv;
+    this.env = env;
+  }
+
+  async isRevoked(claims) {
+    const [tokenRevoked, orderRevokedAt] = await Promise.all([
+      this.kv.get(`revoked/${claims.jti}`),
+      this.kv.get(`revoked-order/${claims.shop}/${claims.order}`)
+    ]);
+    return Boolean(tokenRevoked) || (orderRevokedAt !== null && claims.iat <= Number(orderRevokedAt));
+  }
+
+  async revokeToken(claims) {
+    // KV won't take an expiration under 60 seconds
+    const ttlSeconds = Math.max(60, claims.exp - Math.floor(Date.now() / 1000));
+    await this.kv.put(`revoked/${claims.jti}`, '1', { expirationTtl: ttlSeconds });
+  }
+
+  async revokeOrder(shop, orderId) {
+    const ttlSeconds = Math.round(getLinkTtlDays(this.env) * DAY_SECONDS);
+    await this.kv.put(`revoked-order/${shop}/${orderId}`, String(Math.floor(Date.now() / 1000)), { expirationTtl: ttlSeconds });
+  }
+}
+
+export function getRevokedLinkStore(env) {
+  return env.TRACKING_LINKS ? new RevokedLinkStore(env.TRACKING_LINKS, env) : null;
+}
@@ -0,0 +1,530 @@
+import { escapeHtml, toScriptJson } from './html.js';
+import { DEFAULT_LOCALE, localizedText, translate } from './i18n.js';
+
+// ==== HOSTED TRACKING PAGE ====
+//
+// A customer-facing page (GET /v1/track-page) that stores can link to or embed
+// instead of building their own frontend. The page is a static shell: its
+// script calls the public API (/track, the timeline, /verify/* and /t/:token)
+// from the browser, so it shows exactly what the API would. The page's text
+// comes from the `trackingPage` section of the message catalogue, and its
+// API calls ask for the same locale.
+//
+// Branding comes from the tenant's `trackingPage` object (TRACKING_PAGE_CONFIG
+// for a single-store setup):
+//   {
+//     "title": "Track your order",          // or { "en": ..., "fr": ... }
+//     "logoUrl": "https://cdn.example.com/logo.svg",
+//     "colors": { "primary": "#111827", "accent": "#2563eb", "background": "#f3f4f6",
+//                 "surface": "#ffffff", "text": "#111827", "muted": "#6b7280" },
+//     "font": { "family": "Inter, sans-serif", "stylesheetUrl": "https://fonts.googleapis.com/css2?family=Inter" },
+//     "support": { "email": "help@example.com", "phone": "+1 555 0100", "url": "https://example.com/contact" },
+//     "customCss": ".tp-card { border-radius: 0; }"
+//   }
+// Everything is optional. Values that could break out of the page's CSS or
+// HTML are logged and dropped.
+
+export const DEFAULT_PAGE_COLORS = {
+  primary: '#111827',
+  accent: '#2563eb',
+  background: '#f3f4f6',
+  surface: '#ffffff',
+  text: '#111827',
+  muted: '#6b7280'
+};
+
+const DEFAULT_FONT_FAMILY = "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif";
+const MAX_CUSTOM_CSS_LENGTH = 20000;
+
+// Hex, rgb()/hsl() or a named colour; nothing that could end the declaration
+const COLOR_PATTERN = /^(#[0-9a-fA-F]{3,8}|(rgb|rgba|hsl|hsla)\([0-9\s.,%deg/]+\)|[a-zA-Z]+)$/;
+const FONT_FAMILY_PATTERN = /^[A-Za-z0-9\s,'"-]+$/;
+
+// Where each status code sits on the progress steps; statuses not listed
+// (cancelled, refunded, custom rules) show no steps
+const STEP_FOR_STATUS = {
+  payment_pending: 0,
+  on_hold: 0,
+  processing: 0,
+  partially_shipped: 1,
+  in_transit: 1,
+  out_for_delivery: 2,
+  delivery_attempted: 2,
+  delivery_failed: 2,
+  delivered: 3
+};
+
+// The page's text in `locale`, with English for anything it leaves out
+function pageText(locale) {
+  return { ...translate(DEFAULT_LOCALE, 'trackingPage'), ...translate(locale, 'trackingPage') };
+}
+
+function isHttpsUrl(value) {
+  try {
+    return new URL(value).protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+function pick(value, isValid, field, label) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (typeof value === 'string' && isValid(value)) {
+    return value;
+  }
+  console.error(`Ignoring tracking page ${field} for ${label}: ${JSON.stringify(value).slice(0, 100)}`);
+  return null;
+}
+
+// Up to 100 characters, or a map of locale to such a title
+function pickTitle(value, label) {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    const titles = Object.values(value);
+    if (titles.length > 0 && titles.every(title => typeof title === 'string' && title.length > 0 && title.length <= 100)) {
+      return value;
+    }
+    console.error(`Ignoring tracking page title for ${label}: ${JSON.stringify(value).slice(0, 100)}`);
+    return null;
+  }
+  return pick(value, v => v.length <= 100, 'title', label);
+}
+
+// The page config for a tenant, with defaults filled in. Accepts an object or
+// a JSON string; a config that doesn't parse falls back to the defaults.
+export function normalizeTrackingPage(config, label) {
+  let source = config || {};
+  if (typeof source === 'string') {
+    try {
+      source = JSON.parse(source);
+    } catch (error) {
+      console.error(`Ignoring tracking page config for ${label}: ${error.message}`);
+      source = {};
+    }
+  }
+
+  const colors = { ...DEFAULT_PAGE_COLORS };
+  for (const [name, value] of Object.entries(source.colors || {})) {
+    if (!(name in DEFAULT_PAGE_COLORS)) {
+      console.error(`Ignoring unknown tracking page colour "${name}" for ${label}`);
+      continue;
+    }
+    colors[name] = pick(value, v => COLOR_PATTERN.test(v), `colour ${name}`, label) || colors[name];
+  }
+
+  const font = source.font || {};
+  const support = source.support || {};
+  const customCss = pick(source.customCss, css => css.length <= MAX_CUSTOM_CSS_LENGTH && !/<\//.test(css), 'customCss', label);
+
+  return {
+    // null: the catalogue's title in the visitor's language
+    title: pickTitle(source.title, label),
+    logoUrl: pick(source.logoUrl, isHttpsUrl, 'logoUrl', label),
+    colors,
+    font: {
+      family: pick(font.family, v => FONT_FAMILY_PATTERN.test(v), 'font family', label) || DEFAULT_FONT_FAMILY,
+      stylesheetUrl: pick(font.stylesheetUrl, isHttpsUrl, 'font stylesheetUrl', label)
+    },
+    support: {
+      email: pick(support.email, v => /^[^\s@<>]+@[^\s@<>]+$/.test(v), 'support email', label),
+      phone: pick(support.phone, v => /^[0-9+()\s.-]{3,30}$/.test(v), 'support phone', label),
+      url: pick(support.url, isHttpsUrl, 'support url', label)
+    },
+    customCss
+  };
+}
+
+// Content-Security-Policy for the page: only its own nonce'd script and
+// styles run, it only talks to this worker, and it can only be framed by
+// the store's own origins
+export function trackingPageCsp(page, tenant, nonce) {
+  const fontOrigin = page.font.stylesheetUrl ? ` ${new URL(page.font.stylesheetUrl).origin}` : '';
+  const frameAncestors = ["'self'", ...tenant.allowedOrigins].join(' ');
+  return [
+    "default-src 'none'",
+    `script-src 'nonce-${nonce}'`,
+    `style-src 'nonce-${nonce}'${fontOrigin}`,
+    'font-src https: data:',
+    'img-src https: data:',
+    "connect-src 'self'",
+    "base-uri 'none'",
+    "form-action 'none'",
+    `frame-ancestors ${frameAncestors}`
+  ].join('; ');
+}
+
+function renderSupportHtml(support, text) {
+  const links = [
+    support.email ? `<a href="mailto:${escapeHtml(support.email)}">${escapeHtml(support.email)}</a>` : '',
+    support.phone ? `<a href="tel:${escapeHtml(support.phone.replace(/[^0-9+]/g, ''))}">${escapeHtml(support.phone)}</a>` : '',
+    support.url ? `<a href="${escapeHtml(support.url)}" target="_blank" rel="noopener">${escapeHtml(new URL(support.url).hostname)}</a>` : ''
+  ].filter(Boolean);
+  if (links.length === 0) {
+    return '';
+  }
+  return `<footer class="tp-footer"><span>${escapeHtml(text.support)}</span> ${links.join('<span aria-hidden="true"> · </span>')}</footer>`;
+}
+
+const BASE_CSS = `
+*, *::before, *::after { box-sizing: border-box; }
+body { margin: 0; background: var(--tp-background); color: var(--tp-text); font-family: var(--tp-font); font-size: 16px; line-height: 1.5; -webkit-font-smoothing: antialiased; }
+[hidden] { display: none !important; }
+.tp-header { display: flex; justify-content: center; padding: 20px 16px 8px; }
+.tp-header img { max-height: 48px; max-width: 200px; }
+.tp-main { max-width: 560px; margin: 0 auto; padding: 8px 16px 32px; }
+.tp-card { background: var(--tp-surface); border-radius: 12px; padding: 20px; margin-bottom: 16px; box-shadow: 0 1px 3px rgba(0, 0, 0, 0.08); }
+.tp-card h1 { font-size: 1.375rem; margin: 0 0 4px; }
+.tp-card h2 { font-size: 1rem; margin: 24px 0 8px; }
+.tp-muted { color: var(--tp-muted); font-size: 0.875rem; }
+.tp-form { display: grid; gap: 12px; margin-top: 16px; }
+.tp-form label { display: grid; gap: 4px; font-size: 0.875rem; font-weight: 600; }
+.tp-form input { font: inherit; padding: 12px; border: 1px solid #d1d5db; border-radius: 8px; width: 100%; background: #fff; color: #111827; }
+.tp-form input:focus { outline: 2px solid var(--tp-accent); outline-offset: 1px; border-color: transparent; }
+.tp-button { display: inline-flex; justify-content: center; align-items: center; gap: 8px; font: inherit; font-weight: 600; padding: 12px 16px; border: 0; border-radius: 8px; background: var(--tp-primary); color: #fff; text-decoration: none; cursor: pointer; width: 100%; }
+.tp-button[disabled] { opacity: 0.6; cursor: progress; }
+.tp-button-secondary { background: transparent; color: var(--tp-accent); border: 1px solid currentColor; }
+.tp-link { font: inherit; background: none; border: 0; padding: 0; color: var(--tp-accent); text-decoration: underline; cursor: pointer; }
+.tp-error { color: #b91c1c; font-size: 0.875rem; margin: 8px 0 0; }
+.tp-status { display: flex; flex-wrap: wrap; align-items: center; justify-content: space-between; gap: 8px; }
+.tp-badge { display: inline-block; padding: 4px 12px; border-radius: 999px; background: var(--tp-accent); color: #fff; font-weight: 600; font-size: 0.875rem; }
+.tp-steps { list-style: none; display: grid; grid-template-columns: repeat(4, 1fr); gap: 4px; padding: 0; margin: 20px 0 8px; counter-reset: step; }
+.tp-steps li { position: relative; padding-top: 28px; text-align: center; font-size: 0.75rem; color: var(--tp-muted); }
+.tp-steps li::before { content: ''; position: absolute; top: 8px; left: 0; right: 0; height: 4px; border-radius: 2px; background: #e5e7eb; }
+.tp-steps li::after { content: ''; position: absolute; top: 2px; left: calc(50% - 8px); width: 16px; height: 16px; border-radius: 50%; background: #e5e7eb; }
+.tp-steps li.tp-done, .tp-steps li.tp-current { color: var(--tp-text); font-weight: 600; }
+.tp-steps li.tp-done::before, .tp-steps li.tp-done::after, .tp-steps li.tp-current::after { background: var(--tp-accent); }
+.tp-steps li.tp-current::before { background: linear-gradient(to right, var(--tp-accent) 50%, #e5e7eb 50%); }
+.tp-details { display: grid; grid-template-columns: auto 1fr; gap: 8px 16px; margin: 16px 0; }
+.tp-details dt { color: var(--tp-muted); font-size: 0.875rem; }
+.tp-details dd { margin: 0; text-align: right; word-break: break-word; }
+.tp-verify { border-top: 1px solid #e5e7eb; margin-top: 16px; padding-top: 16px; }
+.tp-list { list-style: none; padding: 0; margin: 0; }
+.tp-list li { padding: 8px 0; border-bottom: 1px solid #f3f4f6; }
+.tp-list li:last-child { border-bottom: 0; }
+.tp-history time { display: block; color: var(--tp-muted); font-size: 0.8125rem; }
+.tp-note { background: #fef3c7; color: #92400e; border-radius: 8px; padding: 8px 12px; font-size: 0.875rem; }
+.tp-footer { text-align: center; color: var(--tp-muted); font-size: 0.875rem; padding: 0 16px 24px; }
+.tp-footer a { color: var(--tp-accent); }
+@media (min-width: 640px) {
+  .tp-main { padding-top: 24px; }
+  .tp-card { padding: 28px; }
+  .tp-form .tp-button, .tp-result .tp-button { width: auto; }
+}
+`;
+
+// Runs in the browser. CONFIG is { apiBase, shop, token, locale, steps, text }.
+// Customer data only ever goes in through textContent.
+const PAGE_SCRIPT = `
+(function () {
+  var T = CONFIG.text;
+  var SESSION_KEY = 'tp-session:' + CONFIG.shop;
+  var $ = function (id) { return document.getElementById(id); };
+  var lookup = null;
+
+  function session() {
+    try { return sessionStorage.getItem(SESSION_KEY); } catch (e) { return null; }
+  }
+
+  function api(method, path, body) {
+    var headers = { 'X-Shop-Domain': CONFIG.shop };
+    if (body) headers['Content-Type'] = 'application/json';
+    if (session()) headers['X-Verification-Token'] = session();
+    return fetch(CONFIG.apiBase + path, { method: method, headers: headers, body: body ? JSON.stringify(body) : undefined })
+      .then(function (response) {
+        return response.json().catch(function () { return {}; }).then(function (payload) {
+          if (!response.ok) throw new Error(payload.message || T.genericError);
+          return payload.data;
+        });
+      });
+  }
+
+  // Timestamps in the visitor's own timezone; calendar dates (estimates)
+  // as they are
+  function formatDate(value, withTime) {
+    if (!value) return null;
+    var dateOnly = /^\\d{4}-\\d{2}-\\d{2}$/.test(value);
+    var date = new Date(dateOnly ? value + 'T00:00:00Z' : value);
+    if (isNaN(date)) return null;
+    var options = { year: 'numeric', month: 'short', day: 'numeric' };
+    if (dateOnly) options.timeZone = 'UTC';
+    else if (withTime) { options.hour = 'numeric'; options.minute = '2-digit'; }
+    return date.toLocaleString(CONFIG.locale, options);
+  }
+
+  function el(tag, className, text) {
+    var node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined && text !== null) node.textContent = text;
+    return node;
+  }
+
+  function safeUrl(value) {
+    return /^https?:\\/\\//i.test(value || '') ? value : null;
+  }
+
+  function renderSteps(statusCode) {
+    var list = $('tp-steps');
+    list.textContent = '';
+    var current = CONFIG.steps[statusCode];
+    list.hidden = current === undefined;
+    if (current === undefined) return;
+    T.steps.forEach(function (label, index) {
+      var step = el('li', index < current ? 'tp-done' : index === current ? 'tp-current' : '', label);
+      if (index === current) step.setAttribute('aria-current', 'step');
+      list.appendChild(step);
+    });
+  }
+
+  function renderDetails(data) {
+    var details = $('tp-details');
+    details.textContent = '';
+    var estimate = data.estimatedDelivery;
+    var estimateText = estimate
+      ? (estimate.earliest === estimate.latest ? formatDate(estimate.earliest) : formatDate(estimate.earliest) + ' - ' + formatDate(estimate.latest))
+      : null;
+    var checkpoint = data.latestCheckpoint;
+    var rows = [
+      [T.orderDate, formatDate(data.orderDate)],
+      [T.deliveredAt, formatDate(data.deliveredAt, true)],
+      [T.estimatedDelivery, data.deliveredAt ? null : estimateText],
+      [T.carrier, data.carrierName],
+      [T.trackingNumber, data.trackingNumber],
+      [T.latestUpdate, checkpoint ? [checkpoint.description, checkpoint.location, formatDate(checkpoint.timestamp, true)].filter(Boolean).join(' · ') : null]
+    ];
+    rows.forEach(function (row) {
+      if (!row[1]) return;
+      details.appendChild(el('dt', null, row[0]));
+      details.appendChild(el('dd', null, row[1]));
+    });
+  }
+
+  function renderShipments(shipments) {
+    var list = $('tp-shipments');
+    list.textContent = '';
+    $('tp-shipments-section').hidden = !shipments || shipments.length < 2;
+    (shipments || []).forEach(function (shipment, index) {
+      var item = el('li');
+      item.appendChild(el('strong', null, T.package + ' ' + (index + 1) + (shipment.carrierName ? ' (' + shipment.carrierName + ')' : '')));
+      item.appendChild(document.createElement('br'));
+      if (shipment.trackingNumbers.length === 0) {
+        item.appendChild(el('span', 'tp-muted', T.noTracking));
+      }
+      shipment.trackingNumbers.forEach(function (number, i) {
+        var url = safeUrl(shipment.trackingUrls[i]);
+        var node = el(url ? 'a' : 'span', null, number);
+        if (url) { node.href = url; node.target = '_blank'; node.rel = 'noopener noreferrer'; }
+        if (i > 0) item.appendChild(document.createTextNode(', '));
+        item.appendChild(node);
+      });
+      list.appendChild(item);
+    });
+  }
+
+  function renderHistory(milestones) {
+    var list = $('tp-history');
+    list.textContent = '';
+    $('tp-history-section').hidden = !milestones || milestones.length === 0;
+    (milestones || []).slice().reverse().forEach(function (milestone) {
+      var item = el('li');
+      item.appendChild(el('time', null, formatDate(milestone.timestamp, true)));
+      item.appendChild(el('span', null, [milestone.label, milestone.location].filter(Boolean).join(' · ')));
+      list.appendChild(item);
+    });
+  }
+
+  function render(data) {
+    $('tp-lookup').hidden = true;
+    $('tp-result').hidden = false;
+    $('tp-order').textContent = T.order + ' #' + data.orderNumber;
+    $('tp-status').textContent = data.status;
+    renderSteps(data.statusCode);
+    renderDetails(data);
+    renderShipments(data.shipments);
+    var trackLink = $('tp-track-link');
+    var url = safeUrl(data.trackingUrl);
+    trackLink.hidden = !url;
+    if (url) trackLink.href = url;
+    $('tp-stale').hidden = !data.stale;
+    $('tp-verify').hidden = !(data.verificationRequired && lookup && lookup.email);
+    renderHistory(null);
+  }
+
+  function showError(id, error) {
+    var node = $(id);
+    node.textContent = error ? error.message || T.genericError : '';
+    node.hidden = !error;
+  }
+
+  function busy(button, isBusy) {
+    button.disabled = isBusy;
+  }
+
+  function track() {
+    var button = $('tp-submit');
+    busy(button, true);
+    showError('tp-error', null);
+    return api('POST', '/track', lookup)
+      .then(function (data) {
+        render(data);
+        var query = '?locale=' + CONFIG.locale + (lookup.email ? '&email=' + encodeURIComponent(lookup.email) : '');
+        return api('GET', '/track/' + encodeURIComponent(data.orderNumber) + '/timeline' + query)
+          .then(function (timeline) { renderHistory(timeline.milestones); })
+          .catch(function () {});
+      })
+      .catch(function (error) {
+        $('tp-lookup').hidden = false;
+        $('tp-result').hidden = true;
+        showError('tp-error', error);
+      })
+      .then(function () { busy(button, false); });
+  }
+
+  $('tp-form').addEventListener('submit', function (event) {
+    event.preventDefault();
+    lookup = { orderNumber: $('tp-order-number').value.trim().replace(/^#/, ''), locale: CONFIG.locale };
+    var email = $('tp-email').value.trim();
+    if (email) lookup.email = email;
+    track();
+  });
+
+  var challengeId = null;
+
+  $('tp-send-code').addEventListener('click', function () {
+    var button = $('tp-send-code');
+    busy(button, true);
+    showError('tp-verify-error', null);
+    api('POST', '/verify/start', lookup)
+      .then(function (data) {
+        challengeId = data.challengeId;
+        $('tp-code-sent').textContent = T.codeSent + ' ' + data.sentTo;
+        $('tp-code-form').hidden = false;
+        $('tp-code').focus();
+      })
+      .catch(function (error) { showError('tp-verify-error', error); })
+      .then(function () { busy(button, false); });
+  });
+
+  $('tp-code-form').addEventListener('submit', function (event) {
+    event.preventDefault();
+    var button = $('tp-confirm-code');
+    busy(button, true);
+    showError('tp-verify-error', null);
+    api('POST', '/verify/confirm', { challengeId: challengeId, code: $('tp-code').value.trim() })
+      .then(function (data) {
+        try { sessionStorage.setItem(SESSION_KEY, data.sessionToken); } catch (e) {}
+        $('tp-code-form').hidden = true;
+        return track();
+      })
+      .catch(function (error) { showError('tp-verify-error', error); })
+      .then(function () { busy(button, false); });
+  });
+
+  $('tp-again').addEventListener('click', function () {
+    $('tp-result').hidden = true;
+    $('tp-lookup').hidden = false;
+    $('tp-order-number').focus();
+  });
+
+  if (CONFIG.token) {
+    $('tp-lookup').hidden = true;
+    api('GET', '/t/' + encodeURIComponent(CONFIG.token) + '?locale=' + CONFIG.locale)
+      .then(render)
+      .catch(function (error) {
+        $('tp-lookup').hidden = false;
+        showError('tp-error', error);
+      });
+  }
+})();
+`;
+
+// The page for `tenant` in `locale`. `apiBase` is the /v1 origin the script
+// calls; `token` (a tracking link) is opened straight away and `orderNumber`
+// prefills the form.
+export function renderTrackingPage(tenant, { apiBase, nonce, locale = DEFAULT_LOCALE, token = null, orderNumber = null }) {
+  const page = tenant.trackingPage;
+  const text = pageText(locale);
+  const title = localizedText(page.title, locale) || text.title;
+  const emailRequired = tenant.verification !== 'lenient';
+  const cssVariables = Object.entries(page.colors)
+    .map(([name, value]) => `--tp-${name}: ${value};`)
+    .join(' ');
+  const config = {
+    apiBase,
+    shop: tenant.shop,
+    token,
+    locale,
+    steps: STEP_FOR_STATUS,
+    text
+  };
+
+  return `<!DOCTYPE html>
+<html lang="${locale}">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex">
+  <title>${escapeHtml(title)}</title>
+  ${page.font.stylesheetUrl ? `<link rel="stylesheet" href="${escapeHtml(page.font.stylesheetUrl)}">` : ''}
+  <style nonce="${nonce}">:root { ${cssVariables} --tp-font: ${page.font.family}; }${BASE_CSS}</style>
+  ${page.customCss ? `<style nonce="${nonce}">${page.customCss}</style>` : ''}
+</head>
+<body>
+  <header class="tp-header">
+    ${page.logoUrl ? `<img src="${escapeHtml(page.logoUrl)}" alt="${escapeHtml(title)}">` : ''}
+  </header>
+  <main class="tp-main">
+    <section class="tp-card" id="tp-lookup">
+      <h1>${escapeHtml(title)}</h1>
+      <p class="tp-muted">${escapeHtml(text.intro)}</p>
+      <form class="tp-form" id="tp-form">
+        <label>${escapeHtml(text.orderNumber)}
+          <input id="tp-order-number" name="orderNumber" required maxlength="50" autocomplete="off" inputmode="text" value="${escapeHtml(orderNumber || '')}">
+        </label>
+        <label>${escapeHtml(text.email)}
+          <input id="tp-email" name="email" type="email" autocomplete="email"${emailRequired ? ' required' : ''}>
+        </label>
+        <button class="tp-button" id="tp-submit" type="submit">${escapeHtml(text.submit)}</button>
+        <p class="tp-error" id="tp-error" role="alert" hidden></p>
+      </form>
+    </section>
+
+    <section class="tp-card tp-result" id="tp-result" hidden aria-live="polite">
+      <div class="tp-status">
+        <strong id="tp-order"></strong>
+        <span class="tp-badge" id="tp-status"></span>
+      </div>
+      <ol class="tp-steps" id="tp-steps"></ol>
+      <p class="tp-note" id="tp-stale" hidden>${escapeHtml(text.stale)}</p>
+      <dl class="tp-details" id="tp-details"></dl>
+      <a class="tp-button" id="tp-track-link" target="_blank" rel="noopener noreferrer" hidden>${escapeHtml(text.trackPackage)}</a>
+
+      <div class="tp-verify" id="tp-verify" hidden>
+        <p class="tp-muted">${escapeHtml(text.verifyIntro)}</p>
+        <button class="tp-button tp-button-secondary" id="tp-send-code" type="button">${escapeHtml(text.sendCode)}</button>
+        <form class="tp-form" id="tp-code-form" hidden>
+          <p class="tp-muted" id="tp-code-sent"></p>
+          <label>${escapeHtml(text.code)}
+            <input id="tp-code" name="code" required inputmode="numeric" pattern="[0-9]{6}" maxlength="6" autocomplete="one-time-code">
+          </label>
+          <button class="tp-button" id="tp-confirm-code" type="submit">${escapeHtml(text.confirmCode)}</button>
+        </form>
+        <p class="tp-error" id="tp-verify-error" role="alert" hidden></p>
+      </div>
+
+      <div id="tp-shipments-section" hidden>
+        <h2>${escapeHtml(text.packages)}</h2>
+        <ul class="tp-list" id="tp-shipments"></ul>
+      </div>
+      <div id="tp-history-section" hidden>
+        <h2>${escapeHtml(text.history)}</h2>
+        <ol class="tp-list tp-history" id="tp-history"></ol>
+      </div>
+      <p><button class="tp-link" id="tp-again" type="button">${escapeHtml(text.trackAnother)}</button></p>
+    </section>
+  </main>
+  ${renderSupportHtml(page.support, text)}
+  <script nonce="${nonce}">var CONFIG = ${toScriptJson(config)};${PAGE_SCRIPT}</script>
+</body>
+</html>`;
+}
@@ -0,0 +1,144 @@
+import { sha256Hex, timingSafeEqual, randomToken } from './crypto.js';
+import { UnauthorizedError, RateLimitedError } from './errors.js';
+
+// ==== ONE-TIME CODE VERIFICATION ====
+//
+// Proves a customer can read the order's mailbox before showing tracking
+// numbers, links and checkpoint locations (tenant `verification: "code"`):
+//
+//   startChallenge()   -> a 6-digit code to email, and a challengeId
+//   confirmChallenge() -> a session token for the X-Verification-Token header
+//
+// Everything lives in the VERIFICATIONS KV namespace:
+//   challenge/<id>          { shop, orderId, orderName, emailHash, codeHash, attempts, expiresAt }
+//   session/<token>         { shop, orderId, orderName, emailHash, expiresAt }
+//   sends/<shop>/<orderId>  codes sent in the current hour
+// Only a hash of the code is stored, and a challenge dies after
+// MAX_CODE_ATTEMPTS wrong guesses.
+//
+// KV is eventually consistent and has no compare-and-set, so the attempt
+// counter is a read-modify-write that concurrent guesses can race: each reads
+// the same count and only one increment survives. /verify/confirm therefore
+// also limits guesses per challenge and per IP in front of this (see
+// enforceCodeConfirmLimit in index.js). A strongly consistent counter (a
+// Durable Object) would close the gap; until then, a guesser using many IPs
+// across many isolates can make more than MAX_CODE_ATTEMPTS guesses at one
+// code, still a small share of the million possible codes.
+
+export const CODE_TTL_SECONDS = 10 * 60;
+export const SESSION_TTL_SECONDS = 15 * 60;
+export const MAX_CODE_ATTEMPTS = 5;
+const MAX_CODES_PER_HOUR = 5;
+const CODE_DIGITS = 6;
+
+// Uniform over 000000-999999: values past the last whole multiple are redrawn
+function randomCode() {
+  const range = 10 ** CODE_DIGITS;
+  const limit = 2 ** 32 - (2 ** 32 % range);
+  let value;
+  do {
+    value = crypto.getRandomValues(new Uint32Array(1))[0];
+  } while (value >= limit);
+  return String(value % range).padStart(CODE_DIGITS, '0');
+}
+
+function hashCode(challengeId, code) {
+  return sha256Hex(`${challengeId}:${code}`);
+}
+
+function verificationFailed(message) {
+  return new UnauthorizedError('Verification failed', message, 'VERIFICATION_FAILED');
+}
+
+export class VerificationStore {
+  constructor(kv) {
+    this.kv = kv;
+  }
+
+  // Counts a send against the order's hourly allowance
+  async recordSend(shop, orderId) {
+    const key = `sends/${shop}/${orderId}`;
+    const now = Date.now();
+    const window = await this.kv.get(key, 'json');
+    const current = window && window.resetAt > now ? window : { count: 0, resetAt: now + 60 * 60 * 1000 };
+
+    if (current.count >= MAX_CODES_PER_HOUR) {
+      throw new RateLimitedError(
+        'Too many codes requested',
+        'Too many verification codes were sent for this order. Please try again later.',
+        'VERIFICATION_RATE_LIMITED',
+        Math.ceil((current.resetAt - now) / 1000)
+      );
+    }
+
+    await this.kv.put(key, JSON.stringify({ ...current, count: current.count + 1 }), {
+      expirationTtl: Math.max(60, Math.ceil((current.resetAt - now) / 1000))
+    });
+  }
+
+  // Resolves to { challengeId, code, expiresAt }; the caller emails the code
+  async startChallenge(shop, order, emailHash) {
+    await this.recordSend(shop, String(order.id));
+
+    const challengeId = randomToken(16);
+    const code = randomCode();
+    const expiresAt = Date.now() + CODE_TTL_SECONDS * 1000;
+    await this.kv.put(`challenge/${challengeId}`, JSON.stringify({
+      shop,
+      orderId: String(order.id),
+      orderName: order.name,
+      emailHash,
+      codeHash: await hashCode(challengeId, code),
+      attempts: 0,
+      expiresAt
+    }), { expirationTtl: CODE_TTL_SECONDS });
+
+    return { challengeId, code, expiresAt: new Date(expiresAt).toISOString() };
+  }
+
+  // Trades a correct code for a session. Throws UnauthorizedError when the
+  // challenge is unknown, expired, for another shop, or the code is wrong.
+  async confirmChallenge(shop, challengeId, code) {
+    const key = `challenge/${challengeId}`;
+    const challenge = await this.kv.get(key, 'json');
+    if (!challenge || challenge.shop !== shop || challenge.expiresAt <= Date.now()) {
+      throw verificationFailed('This code has expired. Please request a new one.');
+    }
+
+    if (!timingSafeEqual(await hashCode(challengeId, code), challenge.codeHash)) {
+      const attempts = challenge.attempts + 1;
+      if (attempts >= MAX_CODE_ATTEMPTS) {
+        await this.kv.delete(key);
+        throw verificationFailed('Too many wrong codes. Please request a new one.');
+      }
+      // KV won't take an expiration under 60 seconds; expiresAt is checked above anyway
+      const ttlSeconds = Math.max(60, Math.ceil((challenge.expiresAt - Date.now()) / 1000));
+      await this.kv.put(key, JSON.stringify({ ...challenge, attempts }), { expirationTtl: ttlSeconds });
+      throw verificationFailed('That code is not correct');
+    }
+
+    await this.kv.delete(key);
+
+    const sessionToken = randomToken(32);
+    const session = {
+      shop,
+      orderId: challenge.orderId,
+      orderName: challenge.orderName,
+      emailHash: challenge.emailHash,
+      expiresAt: new Date(Date.now() + SESSION_TTL_SECONDS * 1000).toISOString()
+    };
+    await this.kv.put(`session/${sessionToken}`, JSON.stringify(session), { expirationTtl: SESSION_TTL_SECONDS });
+
+    return { sessionToken, ...session };
+  }
+
+  // The session for a token, or null when it's unknown or expired
+  async getSession(sessionToken) {
+    const session = await this.kv.get(`session/${sessionToken}`, 'json');
+    return session && new Date(session.expiresAt) > new Date() ? session : null;
+  }
+}
+
+export function getVerificationStore(env) {
+  return env.VERIFICATIONS ? new VerificationStore(env.VERIFICATIONS) : null;
+}
@@ -0,0 +1,187 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import worker from '../src/index.js';
+import {
+  authenticateAdminKey,
+  assertAdminScope,
+  createAdminKey,
+  revokeAdminKey,
+  ADMIN_SCOPES
+} from '../src/admin-keys.js';
+
+// ==== ADMIN API KEYS ====
+// Key format, hashing, the root key, scopes and revocation, then the
+// Authorization header as the admin routes read it.
+
+const ROOT_KEY = 'root-key-generated-with-openssl';
+const ROOT = { id: 'root', name: 'root', scopes: ADMIN_SCOPES, shops: null };
+
+function memoryKv() {
+  const values = new Map();
+  return {
+    async get(key, type) {
+      const value = values.has(key) ? values.get(key) : null;
+      return value !== null && type === 'json' ? JSON.parse(value) : value;
+    },
+    async put(key, value) {
+      values.set(key, value);
+    },
+    async list({ prefix }) {
+      return { keys: [...values.keys()].filter(name => name.startsWith(prefix)).map(name => ({ name })), list_complete: true };
+    }
+  };
+}
+
+function sha256(value) {
+  return createHash('sha256').update(value).digest('hex');
+}
+
+function adminEnv(fields = {}) {
+  return {
+    ADMIN_KEYS: memoryKv(),
+    ADMIN_ROOT_KEY_HASH: sha256(ROOT_KEY),
+    SHOPIFY_SHOP: 'store-a.myshopify.com',
+    SHOPIFY_ACCESS_TOKEN: 'token',
+    ...fields
+  };
+}
+
+async function rejectsWith(promise, code) {
+  await assert.rejects(promise, error => error.code === code);
+}
+
+describe('authenticating keys', () => {
+  test('a created key has the documented format and authenticates', async () => {
+    const env = adminEnv();
+    const { key, record } = await createAdminKey({ name: 'support', scopes: ['orders:read'] }, ROOT, env);
+
+    assert.match(key, /^sta_[0-9a-f]{12}_[0-9a-f]{48}$/);
+    assert.equal(key.split('_')[1], record.id);
+    assert.equal(record.keyHash, undefined);
+    assert.deepEqual(await authenticateAdminKey(key, env), { id: record.id, name: 'support', scopes: ['orders:read'], shops: null });
+  });
+
+  test('only the hash is stored', async () => {
+    const env = adminEnv();
+    const { key, record } = await createAdminKey({ name: 'support', scopes: ['debug'] }, ROOT, env);
+    const stored = await env.ADMIN_KEYS.get(`key/${record.id}`, 'json');
+
+    assert.equal(stored.keyHash, sha256(key));
+    assert.ok(!JSON.stringify(stored).includes(key));
+  });
+
+  // [description, presented key given a valid `key`, error code]
+  const REJECTION_TABLE = [
+    ['a wrong secret for a real key ID', key => `${key.slice(0, -4)}0000`, 'INVALID_API_KEY'],
+    ['a key in the wrong format', key => key.replace('sta_', 'stb_'), 'INVALID_API_KEY'],
+    ['a truncated key', key => key.slice(0, 20), 'INVALID_API_KEY'],
+    ['an unknown key ID', () => `sta_000000000000_${'0'.repeat(48)}`, 'INVALID_API_KEY'],
+    ['no key', () => null, 'ADMIN_AUTH_REQUIRED']
+  ];
+
+  for (const [description, present, code] of REJECTION_TABLE) {
+    test(`refuses ${description}`, async () => {
+      const env = adminEnv();
+      const { key } = await createAdminKey({ name: 'support', scopes: ['orders:read'] }, ROOT, env);
+      await rejectsWith(authenticateAdminKey(present(key), env), code);
+    });
+  }
+
+  test('a revoked key is refused', async () => {
+    const env = adminEnv();
+    const { key, record } = await createAdminKey({ name: 'support', scopes: ['orders:read'] }, ROOT, env);
+    const revoked = await revokeAdminKey(record.id, env);
+
+    assert.ok(revoked.revokedAt);
+    await rejectsWith(authenticateAdminKey(key, env), 'INVALID_API_KEY');
+  });
+
+  test('the root key has every scope on every store', async () => {
+    assert.deepEqual(await authenticateAdminKey(ROOT_KEY, adminEnv()), ROOT);
+  });
+
+  test('the root hash is matched case-insensitively and trimmed', async () => {
+    const env = adminEnv({ ADMIN_ROOT_KEY_HASH: ` ${sha256(ROOT_KEY).toUpperCase()}\n` });
+    assert.equal((await authenticateAdminKey(ROOT_KEY, env)).id, 'root');
+  });
+
+  test('the root key works without the key store', async () => {
+    const env = adminEnv({ ADMIN_KEYS: undefined });
+    assert.equal((await authenticateAdminKey(ROOT_KEY, env)).id, 'root');
+    await rejectsWith(authenticateAdminKey('something-else', env), 'INVALID_API_KEY');
+  });
+
+  test('without a root hash or store the admin API is off', async () => {
+    await rejectsWith(authenticateAdminKey(ROOT_KEY, {}), 'ADMIN_API_NOT_CONFIGURED');
+  });
+});
+
+describe('scopes', () => {
+  const support = { id: 'k', name: 'support', scopes: ['orders:read'], shops: ['store-a.myshopify.com'] };
+
+  // [description, scope, shop, error code or null]
+  const SCOPE_TABLE = [
+    ['its scope on its store', 'orders:read', 'store-a.myshopify.com', null],
+    ['a scope it lacks', 'debug', 'store-a.myshopify.com', 'INSUFFICIENT_SCOPE'],
+    ['another store', 'orders:read', 'store-b.myshopify.com', 'INSUFFICIENT_SCOPE'],
+    ['an all-stores action', 'orders:read', null, 'INSUFFICIENT_SCOPE']
+  ];
+
+  for (const [description, scope, shop, code] of SCOPE_TABLE) {
+    test(`a store-limited key: ${description}`, () => {
+      if (code) {
+        assert.throws(() => assertAdminScope(support, scope, shop), error => error.code === code && error.status === 403);
+      } else {
+        assert.doesNotThrow(() => assertAdminScope(support, scope, shop));
+      }
+    });
+  }
+
+  test('a key can only grant scopes it has', async () => {
+    const env = adminEnv();
+    const manager = { id: 'm', name: 'manager', scopes: ['keys:manage', 'orders:read'], shops: null };
+
+    await rejectsWith(createAdminKey({ name: 'x', scopes: ['debug'] }, manager, env), 'INSUFFICIENT_SCOPE');
+    await rejectsWith(createAdminKey({ name: 'x', scopes: ['orders:read', 'orders:read'] }, manager, env), 'INVALID_SCOPES');
+    assert.ok((await createAdminKey({ name: 'x', scopes: ['orders:read'] }, manager, env)).key);
+  });
+});
+
+describe('Authorization header', () => {
+  function listKeys(env, authorization) {
+    const headers = authorization === undefined ? {} : { Authorization: authorization };
+    return worker.fetch(new Request('https://worker.example/v1/admin/keys', { headers }), env, {});
+  }
+
+  // [description, header given a key, status, error code]
+  const HEADER_TABLE = [
+    ['no header', () => undefined, 401, 'ADMIN_AUTH_REQUIRED'],
+    ['no Bearer scheme', key => key, 401, 'ADMIN_AUTH_REQUIRED'],
+    ['Basic auth', key => `Basic ${key}`, 401, 'ADMIN_AUTH_REQUIRED'],
+    ['a space in the key', key => `Bearer ${key} extra`, 401, 'ADMIN_AUTH_REQUIRED'],
+    ['an empty Bearer', () => 'Bearer ', 401, 'ADMIN_AUTH_REQUIRED'],
+    ['a key without keys:manage', key => `Bearer ${key}`, 403, 'INSUFFICIENT_SCOPE']
+  ];
+
+  for (const [description, header, status, code] of HEADER_TABLE) {
+    test(description, async () => {
+      const env = adminEnv();
+      const { key } = await createAdminKey({ name: 'support', scopes: ['orders:read'] }, ROOT, env);
+      const response = await listKeys(env, header(key));
+
+      assert.equal(response.status, status);
+      assert.equal((await response.json()).code, code);
+    });
+  }
+
+  test('the scheme is case-insensitive and the root key lists keys', async () => {
+    const env = adminEnv();
+    await createAdminKey({ name: 'support', scopes: ['orders:read'] }, ROOT, env);
+    const response = await listKeys(env, `bearer ${ROOT_KEY}`);
+
+    assert.equal(response.status, 200);
+    const body = await response.json();
+    assert.deepEqual(body.data.keys.map(key => key.name), ['support']);
+  });
+});
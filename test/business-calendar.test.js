@@ -0,0 +1,74 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  computeProcessingDeadline,
+  normalizeBusinessCalendar,
+  DEFAULT_BUSINESS_CALENDAR
+} from '../src/business-calendar.js';
+
+// ==== BUSINESS CALENDAR ====
+// Processing deadlines for stores in New York, where 2024-03-10 is 23 hours
+// long and 2024-11-03 is 25, working Monday to Friday.
+
+const HOLIDAYS_CONFIG = JSON.stringify({ US: ['2024-07-04'] });
+
+function calendar(fields = {}) {
+  return normalizeBusinessCalendar({
+    timezone: 'America/New_York',
+    workingDays: [1, 2, 3, 4, 5],
+    ...fields
+  }, { HOLIDAYS_CONFIG }, 'test store');
+}
+
+// [description, order placed at, window hours, calendar, deadline]
+const DEADLINE_TABLE = [
+  ['a Friday-evening order carries over the weekend', '2024-03-15T23:00:00Z', 48, calendar(),
+    '2024-03-19T23:00:00.000Z'],
+  ['an order before the cut-off starts the clock at once', '2024-03-20T17:00:00Z', 24, calendar({ cutoffTime: '14:00' }),
+    '2024-03-21T17:00:00.000Z'],
+  ['an order after the cut-off starts the next working day', '2024-03-20T19:00:00Z', 24, calendar({ cutoffTime: '14:00' }),
+    '2024-03-22T04:00:00.000Z'],
+  ['an order on the cut-off minute waits', '2024-03-20T18:00:00Z', 24, calendar({ cutoffTime: '14:00' }),
+    '2024-03-22T04:00:00.000Z'],
+  ['a region holiday from HOLIDAYS_CONFIG is skipped', '2024-07-03T16:00:00Z', 24, calendar({ holidayRegion: 'US' }),
+    '2024-07-05T16:00:00.000Z'],
+  ['a store holiday is skipped', '2024-03-20T16:00:00Z', 24, calendar({ holidays: ['2024-03-21'] }),
+    '2024-03-22T16:00:00.000Z'],
+  ['a weekend with the spring DST change', '2024-03-09T00:00:00Z', 24, calendar(),
+    '2024-03-11T23:00:00.000Z'],
+  ['a weekend with the autumn DST change', '2024-11-01T23:00:00Z', 24, calendar(),
+    '2024-11-05T00:00:00.000Z'],
+  ['no calendar is wall-clock hours in UTC', '2024-03-15T23:00:00Z', 48, DEFAULT_BUSINESS_CALENDAR,
+    '2024-03-17T23:00:00.000Z']
+];
+
+describe('computeProcessingDeadline', () => {
+  for (const [description, createdAt, windowHours, businessCalendar, deadline] of DEADLINE_TABLE) {
+    test(description, () => {
+      assert.equal(computeProcessingDeadline(createdAt, windowHours, businessCalendar), deadline);
+    });
+  }
+
+  test('a calendar with no working days gives up after a year', () => {
+    const deadline = computeProcessingDeadline('2024-03-11T10:00:00Z', 48, { ...DEFAULT_BUSINESS_CALENDAR, workingDays: [] });
+    assert.ok(Date.parse(deadline) > Date.parse('2025-03-11T00:00:00Z'));
+  });
+});
+
+describe('normalizeBusinessCalendar', () => {
+  test('a calendar without working days is replaced by the default', () => {
+    assert.equal(calendar({ workingDays: [] }), DEFAULT_BUSINESS_CALENDAR);
+  });
+
+  test('region and store holidays are merged', () => {
+    assert.deepEqual(calendar({ holidayRegion: 'US', holidays: ['2024-12-24', '2024-07-04'] }).holidays,
+      ['2024-07-04', '2024-12-24']);
+  });
+
+  // Region names an object literal would inherit from Object.prototype
+  for (const region of ['constructor', '__proto__', 'toString', 'EU']) {
+    test(`a "${region}" region has no holidays`, () => {
+      assert.deepEqual(calendar({ holidayRegion: region }).holidays, []);
+    });
+  }
+});
@@ -0,0 +1,262 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+import worker from '../src/index.js';
+import { attachCarrierEvents, registerCarrierTracking } from '../src/carrier-tracking.js';
+import { determineOrderStatus, DEFAULT_STATUS_RULES } from '../src/status-rules.js';
+import { startStubServer } from './helpers/stub-server.js';
+
+// ==== CARRIER TRACKING ====
+// AfterShip and UPS payloads from a mock carrier server (CARRIER_API_BASE_URL)
+// through attachCarrierEvents and determineOrderStatus. Shopify says every
+// parcel is in transit; the carrier's newest checkpoint has to win. Numbers
+// reach AfterShip from the fulfillment webhooks, never from a lookup.
+
+const NOW = Date.parse('2024-03-15T12:00:00Z');
+
+const tenant = {
+  shop: 'store.myshopify.com',
+  statusSettings: { processingWindowHours: 48 },
+  statusRules: DEFAULT_STATUS_RULES
+};
+
+// FedEx numbers go to AfterShip; UPS has its own adapter
+function orderShippedWith(trackingCompany, trackingNumber) {
+  return {
+    id: '1001',
+    name: '#1001',
+    email: 'customer@example.com',
+    created_at: '2024-03-11T10:00:00Z',
+    cancelled_at: null,
+    fulfillment_status: 'fulfilled',
+    financial_status: 'paid',
+    tags: [],
+    fulfillments: [{
+      id: '501',
+      status: 'success',
+      shipment_status: 'in_transit',
+      tracking_company: trackingCompany,
+      tracking_numbers: [trackingNumber],
+      tracking_urls: [],
+      created_at: '2024-03-12T10:00:00Z',
+      updated_at: '2024-03-12T10:00:00Z',
+      events: [],
+      line_items: []
+    }]
+  };
+}
+
+function afterShipTracking(...checkpoints) {
+  return {
+    meta: { code: 200 },
+    data: {
+      tracking: {
+        checkpoints: checkpoints.map(([tag, time, message]) => ({
+          tag,
+          checkpoint_time: time,
+          message,
+          city: 'Memphis',
+          state: 'TN',
+          country_name: 'USA'
+        }))
+      }
+    }
+  };
+}
+
+// Activity is [type, description, local date, local time, UTC offset]
+function upsTracking(...activity) {
+  return {
+    trackResponse: {
+      shipment: [{
+        package: [{
+          activity: activity.map(([type, description, date, time, gmtOffset = '+00:00']) => ({
+            status: { type, description },
+            date,
+            time,
+            gmtOffset,
+            location: { address: { city: 'Louisville', stateProvince: 'KY', countryCode: 'US' } }
+          }))
+        }]
+      }]
+    }
+  };
+}
+
+// [description, tracking company, tracking number, carrier payload, status code]
+const CARRIER_TABLE = [
+  ['AfterShip out for delivery', 'FedEx', '100000000001', afterShipTracking(
+    ['InTransit', '2024-03-13T08:00:00Z', 'Departed facility'],
+    ['OutForDelivery', '2024-03-15T07:00:00Z', 'On vehicle for delivery']
+  ), 'out_for_delivery'],
+  ['AfterShip delivered', 'FedEx', '100000000002', afterShipTracking(
+    ['OutForDelivery', '2024-03-15T07:00:00Z', 'On vehicle for delivery'],
+    ['Delivered', '2024-03-15T11:00:00Z', 'Delivered, front door']
+  ), 'delivered'],
+  ['AfterShip failed attempt', 'FedEx', '100000000003', afterShipTracking(
+    ['AttemptFail', '2024-03-15T11:00:00Z', 'Customer not available']
+  ), 'delivery_attempted'],
+  ['AfterShip exception', 'FedEx', '100000000004', afterShipTracking(
+    ['InTransit', '2024-03-13T08:00:00Z', 'Departed facility'],
+    ['Exception', '2024-03-14T09:00:00Z', 'Package damaged']
+  ), 'delivery_failed'],
+  ['UPS out for delivery scan', 'UPS', '1Z999AA10000000001', upsTracking(
+    ['I', 'Out For Delivery Today', '20240315', '070000'],
+    ['I', 'Departed from Facility', '20240314', '220000']
+  ), 'out_for_delivery'],
+  ['UPS delivered', 'UPS', '1Z999AA10000000002', upsTracking(
+    ['D', 'DELIVERED', '20240315', '113000']
+  ), 'delivered'],
+  ['UPS attempted delivery', 'UPS', '1Z999AA10000000003', upsTracking(
+    ['X', 'The receiver was not available. A second attempt will be made', '20240315', '113000']
+  ), 'delivery_attempted'],
+  ['UPS exception', 'UPS', '1Z999AA10000000004', upsTracking(
+    ['X', 'Damage reported', '20240315', '093000']
+  ), 'delivery_failed'],
+  ['UPS returned to sender', 'UPS', '1Z999AA10000000005', upsTracking(
+    ['RS', 'Returned to sender', '20240315', '093000']
+  ), 'delivery_failed'],
+  // Delivered in Los Angeles at 11:00Z after the out-for-delivery scan in
+  // New York at 10:00Z, though its local time is earlier
+  ['UPS scans in different time zones', 'UPS', '1Z999AA10000000006', upsTracking(
+    ['I', 'Out For Delivery Today', '20240315', '050000', '-05:00'],
+    ['D', 'DELIVERED', '20240315', '040000', '-07:00']
+  ), 'delivered']
+];
+
+const ZONELESS_UPS_NUMBER = '1Z999AA10000000007';
+const EXISTING_AFTERSHIP_NUMBER = '100000000009';
+
+const payloads = new Map(CARRIER_TABLE.map(([, , number, payload]) => [number, payload]));
+payloads.set(ZONELESS_UPS_NUMBER, upsTracking(
+  ['I', 'Departed from Facility', '20240314', '220000', ''],
+  ['I', 'Arrived at Facility', '20240314', '180000', '-05:00']
+));
+let server;
+let env;
+
+before(async () => {
+  server = await startStubServer(request => {
+    if (request.url === '/ups/security/v1/oauth/token') {
+      return { body: { access_token: 'ups-token', expires_in: '3600' } };
+    }
+    if (request.method === 'POST' && request.url === '/aftership/trackings') {
+      const { tracking } = JSON.parse(request.body);
+      return tracking.tracking_number === EXISTING_AFTERSHIP_NUMBER
+        ? { status: 400, body: { meta: { code: 4003, message: 'Tracking already exists.' } } }
+        : { status: 201, body: { meta: { code: 201 } } };
+    }
+    const match = request.url.match(/^\/(?:aftership\/trackings\/[^/]+|ups\/api\/track\/v1\/details)\/([^/?]+)/);
+    const payload = match && payloads.get(decodeURIComponent(match[1]));
+    return payload ? { body: payload } : { status: match && match[1].startsWith('5') ? 500 : 404, body: {} };
+  });
+  env = {
+    CARRIER_API_BASE_URL: `${server.url}/{adapter}`,
+    AFTERSHIP_API_KEY: 'aftership-key',
+    UPS_CLIENT_ID: 'ups-client',
+    UPS_CLIENT_SECRET: 'ups-secret'
+  };
+});
+
+after(async () => {
+  await server.close();
+});
+
+describe('carrier checkpoints drive the status', () => {
+  for (const [description, company, number, , statusCode] of CARRIER_TABLE) {
+    test(description, async () => {
+      const order = await attachCarrierEvents(orderShippedWith(company, number), env);
+      const statusInfo = determineOrderStatus(order, tenant, 'en', { now: NOW });
+
+      assert.equal(statusInfo.statusCode, statusCode);
+      assert.equal(statusInfo.trackingNumber, number);
+      assert.ok(statusInfo.events.length > 0);
+      assert.ok(statusInfo.events.every(event => event.source === (company === 'UPS' ? 'ups' : 'aftership')));
+    });
+  }
+
+  test('UPS numbers go to the UPS adapter, others to AfterShip', () => {
+    const paths = server.requests.map(request => request.url.split('/')[1]);
+    assert.ok(paths.includes('ups'));
+    assert.ok(paths.includes('aftership'));
+    assert.ok(server.requests
+      .filter(request => request.url.startsWith('/ups/api/'))
+      .every(request => request.headers.authorization === 'Bearer ups-token'));
+  });
+
+  test('a failing carrier API leaves Shopify\'s status', async () => {
+    const order = await attachCarrierEvents(orderShippedWith('FedEx', '500000000000'), env);
+    const statusInfo = determineOrderStatus(order, tenant, 'en', { now: NOW });
+
+    assert.equal(order.fulfillments[0].carrier_events, undefined);
+    assert.equal(statusInfo.statusCode, 'in_transit');
+  });
+
+  test('without carrier credentials nothing is looked up', async () => {
+    const requestsBefore = server.requests.length;
+    const order = orderShippedWith('UPS', '1Z999AA10000000001');
+
+    assert.equal(await attachCarrierEvents(order, { CARRIER_API_BASE_URL: env.CARRIER_API_BASE_URL }), order);
+    assert.equal(server.requests.length, requestsBefore);
+  });
+
+  test('UPS times keep their UTC offset, and times without one are dropped', async () => {
+    const order = await attachCarrierEvents(orderShippedWith('UPS', ZONELESS_UPS_NUMBER), env);
+    const events = order.fulfillments[0].carrier_events;
+
+    assert.deepEqual(events.map(event => event.happened_at), ['2024-03-14T18:00:00-05:00']);
+  });
+});
+
+describe('registering numbers with AfterShip', () => {
+  function registrations() {
+    return server.requests.filter(request => request.method === 'POST' && request.url === '/aftership/trackings');
+  }
+
+  test('a lookup of an unknown number doesn\'t register it', async () => {
+    const requestsBefore = registrations().length;
+    const order = await attachCarrierEvents(orderShippedWith('FedEx', '100000000099'), env);
+
+    assert.equal(order.fulfillments[0].carrier_events, undefined);
+    assert.equal(registrations().length, requestsBefore);
+  });
+
+  test('a fulfillment\'s numbers are registered, including ones AfterShip already has', async () => {
+    const requestsBefore = registrations().length;
+    const registered = await registerCarrierTracking({
+      tracking_company: 'FedEx',
+      tracking_numbers: ['100000000010', EXISTING_AFTERSHIP_NUMBER]
+    }, env);
+
+    assert.equal(registered, 2);
+    assert.deepEqual(registrations().slice(requestsBefore).map(request => JSON.parse(request.body)), [
+      { tracking: { slug: 'fedex', tracking_number: '100000000010' } },
+      { tracking: { slug: 'fedex', tracking_number: EXISTING_AFTERSHIP_NUMBER } }
+    ]);
+  });
+
+  test('carriers with their own adapter aren\'t registered', async () => {
+    const requestsBefore = registrations().length;
+    assert.equal(await registerCarrierTracking({ tracking_company: 'UPS', tracking_numbers: ['1Z999AA10000000010'] }, env), 0);
+    assert.equal(await registerCarrierTracking({ tracking_company: 'FedEx', tracking_numbers: [] }, env), 0);
+    assert.equal(registrations().length, requestsBefore);
+  });
+
+  test('the fulfillments/create webhook registers its numbers', async () => {
+    const requestsBefore = registrations().length;
+    const body = JSON.stringify({ id: 501, order_id: 1001, tracking_company: 'FedEx', tracking_numbers: ['100000000011'] });
+    const response = await worker.fetch(new Request('https://worker.example/v1/webhooks/shopify', {
+      method: 'POST',
+      headers: {
+        'X-Shopify-Topic': 'fulfillments/create',
+        'X-Shopify-Shop-Domain': 'store.myshopify.com',
+        'X-Shopify-Hmac-Sha256': createHmac('sha256', 'app-secret').update(body).digest('base64')
+      },
+      body
+    }), { ...env, SHOPIFY_API_SECRET: 'app-secret' }, {});
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(registrations().slice(requestsBefore).map(request => JSON.parse(request.body).tracking.tracking_number),
+      ['100000000011']);
+  });
+});
@@ -0,0 +1,88 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { CARRIERS, getCarrier, detectCarrier, buildTrackingUrl } from '../src/carriers.js';
+
+// ==== CARRIER REGISTRY ====
+// Detection from Shopify's tracking company and from the number format, and
+// the tracking links built from each carrier's template.
+
+// [tracking company, tracking number, carrier code or null]
+const DETECTION_TABLE = [
+  // By alias, whatever the number looks like
+  ['UPS', null, 'ups'],
+  ['UPS Mail Innovations', null, 'ups'],
+  ['USPS', null, 'usps'],
+  ['United States Postal Service', null, 'usps'],
+  ['India Post', null, 'india-post'],
+  ['Speed Post', null, 'india-post'],
+  ['DTDC', null, 'dtdc'],
+  ['FedEx', null, 'fedex'],
+  ['Federal Express', null, 'fedex'],
+  ['DHL Express', null, 'dhl'],
+  ['dhl-ecommerce', null, 'dhl'],
+  ['Blue Dart', null, 'bluedart'],
+  ['Delhivery', null, 'delhivery'],
+  ['DHL', '123456789012', 'dhl'],
+
+  // By number pattern when the company is missing or unknown
+  [null, '1Z999AA10123456784', 'ups'],
+  [null, '1z999aa10123456784', 'ups'],
+  [null, '1Z999AA1 0123 456784', 'ups'],
+  [null, '9400111899223197428490', 'usps'],
+  [null, 'EA123456789US', 'usps'],
+  [null, 'EA123456789IN', 'india-post'],
+  [null, 'D12345678', 'dtdc'],
+  [null, '123456789012', 'fedex'],
+  [null, '123456789012345', 'fedex'],
+  [null, '1234567890', 'dhl'],
+  [null, 'JJD0099999999', 'dhl'],
+  [null, '12345678901', 'bluedart'],
+  [null, '1234567890123', 'delhivery'],
+  [null, '12345678901234', 'delhivery'],
+  ['Acme Freight', '1Z999AA10123456784', 'ups'],
+  ['', '123456789012', 'fedex'],
+
+  // Neither recognised
+  ['Acme Freight', 'ACME-0001', null],
+  [null, '123', null],
+  [null, null, null]
+];
+
+describe('detectCarrier', () => {
+  for (const [company, number, code] of DETECTION_TABLE) {
+    test(`${JSON.stringify(company)} / ${JSON.stringify(number)} is ${code}`, () => {
+      const carrier = detectCarrier(company, number);
+      assert.equal(carrier ? carrier.code : null, code);
+    });
+  }
+});
+
+describe('buildTrackingUrl', () => {
+  // [carrier code, tracking number, URL]
+  const URL_TABLE = [
+    ['ups', '1Z999AA10123456784', 'https://www.ups.com/track?tracknum=1Z999AA10123456784'],
+    ['usps', '9400 1118 9922 3197 4284 90', 'https://tools.usps.com/go/TrackConfirmAction?tLabels=9400111899223197428490'],
+    ['fedex', '123456789012', 'https://www.fedex.com/fedextrack/?trknbr=123456789012'],
+    ['delhivery', '1234567890123', 'https://www.delhivery.com/track/package/1234567890123'],
+    ['dtdc', 'D1234/678', 'https://www.dtdc.in/tracking.asp?strCnno=D1234%2F678']
+  ];
+
+  for (const [code, number, url] of URL_TABLE) {
+    test(`${code}: ${number}`, () => {
+      assert.equal(buildTrackingUrl(getCarrier(code), number), url);
+    });
+  }
+
+  test('every carrier\'s template takes the number once', () => {
+    for (const carrier of CARRIERS) {
+      assert.equal(carrier.trackingUrl.split('{number}').length, 2, carrier.code);
+      assert.ok(buildTrackingUrl(carrier, 'N123').includes('N123'), carrier.code);
+    }
+  });
+
+  test('no carrier or number, no link', () => {
+    assert.equal(buildTrackingUrl(null, '1Z999AA10123456784'), null);
+    assert.equal(buildTrackingUrl(getCarrier('ups'), ''), null);
+    assert.equal(getCarrier('acme'), null);
+  });
+});
@@ -0,0 +1,115 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { estimateDelivery, findZone, DEFAULT_DELIVERY_ESTIMATES } from '../src/delivery-estimate.js';
+
+// ==== DELIVERY ESTIMATE ====
+// Zone lookup, carrier dates against transit times, and windows that have
+// slipped being moved up to today. Times are at noon UTC so the dates are
+// the same in any process timezone.
+
+const NOW = Date.parse('2024-03-20T12:00:00Z');
+
+const SETTINGS = {
+  processingDays: [1, 2],
+  transitDays: [3, 7],
+  zones: [
+    { name: 'local', countries: ['IN'], provinces: ['MH'], transitDays: [1, 2] },
+    { name: 'domestic', countries: ['IN'], transitDays: [2, 5] },
+    { name: 'us', countries: ['US'], transitDays: [4, 8] }
+  ]
+};
+
+function order(fields = {}) {
+  return {
+    created_at: '2024-03-19T12:00:00Z',
+    cancelled_at: null,
+    financial_status: 'paid',
+    fulfillment_status: null,
+    shipping_address: { country_code: 'IN', province_code: 'KA' },
+    ...fields
+  };
+}
+
+function shipment(fields = {}) {
+  return { shipmentStatus: 'in_transit', shippedAt: '2024-03-19T12:00:00Z', estimatedDeliveryAt: null, ...fields };
+}
+
+describe('findZone', () => {
+  // [address, zone name or null]
+  const ZONE_TABLE = [
+    [{ country_code: 'IN', province_code: 'MH' }, 'local'],
+    [{ country_code: 'in', province_code: 'mh' }, 'local'],
+    [{ country_code: 'IN', province_code: 'KA' }, 'domestic'],
+    [{ country_code: 'IN' }, 'domestic'],
+    [{ country_code: 'US', province_code: 'MH' }, 'us'],
+    [{ country_code: 'FR' }, null],
+    [{ province_code: 'MH' }, null],
+    [null, null]
+  ];
+
+  for (const [address, name] of ZONE_TABLE) {
+    test(`${JSON.stringify(address)} is ${name}`, () => {
+      const zone = findZone(SETTINGS, address);
+      assert.equal(zone ? zone.name : null, name);
+    });
+  }
+
+  test('no zones configured', () => {
+    assert.equal(findZone(DEFAULT_DELIVERY_ESTIMATES, { country_code: 'IN' }), null);
+  });
+});
+
+describe('estimateDelivery', () => {
+  // [description, order, shipments, { earliest, latest, source, zone }]
+  const ESTIMATE_TABLE = [
+    ['an unshipped order adds processing and zone transit days', order(), [],
+      { earliest: '2024-03-22', latest: '2024-03-26', source: 'transit-times', zone: 'domestic' }],
+    ['an address outside every zone uses the default transit days', order({ shipping_address: { country_code: 'FR' } }), [],
+      { earliest: '2024-03-23', latest: '2024-03-28', source: 'transit-times', zone: null }],
+    ['a shipped package counts transit days from its ship date', order({ fulfillment_status: 'fulfilled' }), [shipment()],
+      { earliest: '2024-03-21', latest: '2024-03-24', source: 'transit-times', zone: 'domestic' }],
+    ['the carrier\'s date takes precedence over the zone', order({ fulfillment_status: 'fulfilled' }),
+      [shipment({ estimatedDeliveryAt: '2024-03-27T12:00:00Z' })],
+      { earliest: '2024-03-27', latest: '2024-03-27', source: 'carrier', zone: 'domestic' }],
+    ['a package without a carrier date widens the window', order({ fulfillment_status: 'fulfilled' }),
+      [shipment({ estimatedDeliveryAt: '2024-03-27T12:00:00Z' }), shipment()],
+      { earliest: '2024-03-21', latest: '2024-03-27', source: 'transit-times', zone: 'domestic' }],
+    ['items not shipped yet count alongside a carrier date', order({ fulfillment_status: 'partial' }),
+      [shipment({ estimatedDeliveryAt: '2024-03-21T12:00:00Z' })],
+      { earliest: '2024-03-21', latest: '2024-03-26', source: 'transit-times', zone: 'domestic' }],
+    ['delivered packages are left out', order({ fulfillment_status: 'fulfilled' }),
+      [shipment({ shipmentStatus: 'delivered', estimatedDeliveryAt: '2024-03-19T12:00:00Z' }), shipment({ estimatedDeliveryAt: '2024-03-22T12:00:00Z' })],
+      { earliest: '2024-03-22', latest: '2024-03-22', source: 'carrier', zone: 'domestic' }],
+
+    // Revised to today
+    ['a window that has started is clipped to today', order({ fulfillment_status: 'fulfilled' }),
+      [shipment({ shippedAt: '2024-03-17T12:00:00Z' })],
+      { earliest: '2024-03-20', latest: '2024-03-22', source: 'transit-times', zone: 'domestic' }],
+    ['a window that has passed keeps its width from today', order({ created_at: '2024-02-28T12:00:00Z', fulfillment_status: 'fulfilled' }),
+      [shipment({ shippedAt: '2024-03-01T12:00:00Z' })],
+      { earliest: '2024-03-20', latest: '2024-03-23', source: 'transit-times', zone: 'domestic' }],
+    ['a carrier date in the past becomes today', order({ fulfillment_status: 'fulfilled' }),
+      [shipment({ estimatedDeliveryAt: '2024-03-18T12:00:00Z' })],
+      { earliest: '2024-03-20', latest: '2024-03-20', source: 'carrier', zone: 'domestic' }]
+  ];
+
+  for (const [description, orderFields, shipments, estimate] of ESTIMATE_TABLE) {
+    test(description, () => {
+      assert.deepEqual(estimateDelivery(orderFields, shipments, SETTINGS, NOW), estimate);
+    });
+  }
+
+  // [description, order, shipments]
+  const SETTLED_TABLE = [
+    ['a cancelled order', order({ cancelled_at: '2024-03-19T13:00:00Z' }), []],
+    ['a refunded order', order({ financial_status: 'refunded' }), []],
+    ['an order with every package delivered', order({ fulfillment_status: 'fulfilled' }), [shipment({ shipmentStatus: 'delivered' })]],
+    ['a fulfilled order with nothing in transit', order({ fulfillment_status: 'fulfilled' }), []]
+  ];
+
+  for (const [description, orderFields, shipments] of SETTLED_TABLE) {
+    test(`${description} has no estimate`, () => {
+      assert.equal(estimateDelivery(orderFields, shipments, SETTINGS, NOW), null);
+    });
+  }
+});
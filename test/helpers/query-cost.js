@@ -0,0 +1,156 @@
+// ==== GRAPHQL QUERY COST ====
+//
+// Worst-case requested cost of a query, following Shopify's published rules:
+// scalars and enums are free, objects cost 1, a connection costs 2 plus
+// `first` times each node, and a plain list with `first` costs `first` times
+// each item. Shopify rejects queries over MAX_QUERY_COST before running them.
+// This is a static estimate for tests; the real figure is
+// extensions.cost.requestedQueryCost, which the client logs.
+
+export const MAX_QUERY_COST = 1000;
+
+function tokenize(source) {
+  return source.match(/\.\.\.|\$?[_A-Za-z][_0-9A-Za-z]*|-?\d+|"(?:\\.|[^"\\])*"|[{}():,!=[\]@]/g) || [];
+}
+
+function parse(source) {
+  const tokens = tokenize(source);
+  let position = 0;
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+  const expect = token => {
+    if (next() !== token) {
+      throw new Error(`Expected "${token}" at token ${position - 1}`);
+    }
+  };
+
+  function parseValue() {
+    const token = next();
+    if (token !== '[' && token !== '{') {
+      return token;
+    }
+    const close = token === '[' ? ']' : '}';
+    const parts = [token];
+    while (parts[parts.length - 1] !== close) {
+      parts.push(peek() === '[' || peek() === '{' ? parseValue() : next());
+    }
+    return parts.join(' ');
+  }
+
+  function parseArguments() {
+    const args = {};
+    expect('(');
+    while (peek() !== ')') {
+      const name = next();
+      expect(':');
+      args[name] = parseValue();
+      if (peek() === ',') next();
+    }
+    expect(')');
+    return args;
+  }
+
+  function parseSelectionSet() {
+    const selections = [];
+    expect('{');
+    while (peek() !== '}') {
+      if (peek() === '...') {
+        next();
+        selections.push({ spread: next() });
+        continue;
+      }
+      let name = next();
+      if (peek() === ':') {
+        next();
+        name = next();
+      }
+      const args = peek() === '(' ? parseArguments() : {};
+      const children = peek() === '{' ? parseSelectionSet() : null;
+      selections.push({ name, args, children });
+    }
+    expect('}');
+    return selections;
+  }
+
+  const operations = [];
+  const fragments = {};
+  while (position < tokens.length) {
+    const keyword = next();
+    if (keyword === 'fragment') {
+      const name = next();
+      expect('on');
+      next();
+      fragments[name] = parseSelectionSet();
+    } else if (keyword === 'query' || keyword === 'mutation') {
+      if (peek() !== '{' && peek() !== '(') next();
+      if (peek() === '(') {
+        let depth = 0;
+        do {
+          const token = next();
+          if (token === '(') depth++;
+          if (token === ')') depth--;
+        } while (depth > 0);
+      }
+      operations.push(parseSelectionSet());
+    } else if (keyword === '{') {
+      position--;
+      operations.push(parseSelectionSet());
+    } else {
+      throw new Error(`Unexpected "${keyword}"`);
+    }
+  }
+  return { operations, fragments };
+}
+
+export function estimateQueryCost(source, variables = {}) {
+  const { operations, fragments } = parse(source);
+
+  const expand = selections => selections.flatMap(selection => (selection.spread
+    ? expand(fragments[selection.spread])
+    : [selection]));
+
+  const sizeOf = field => {
+    const raw = field.args.first ?? field.args.last;
+    if (raw === undefined) {
+      return null;
+    }
+    const value = raw.startsWith('$') ? variables[raw.slice(1)] : Number(raw);
+    if (!Number.isFinite(value)) {
+      throw new Error(`No size for ${field.name}(${raw})`);
+    }
+    return value;
+  };
+
+  const selectionCost = selections => expand(selections).reduce((total, field) => total + fieldCost(field), 0);
+
+  function fieldCost(field) {
+    if (!field.children) {
+      return 0;
+    }
+    const size = sizeOf(field);
+    if (size === null) {
+      return 1 + selectionCost(field.children);
+    }
+
+    const children = expand(field.children);
+    const isConnection = children.some(child => child.name === 'edges' || child.name === 'nodes');
+    if (!isConnection) {
+      return size * (1 + selectionCost(field.children));
+    }
+
+    return children.reduce((total, child) => {
+      if (child.name === 'nodes') {
+        return total + size * (1 + selectionCost(child.children));
+      }
+      if (child.name === 'edges') {
+        const perEdge = expand(child.children).reduce((sum, edgeField) => sum + (edgeField.name === 'node'
+          ? 1 + selectionCost(edgeField.children)
+          : fieldCost(edgeField)), 0);
+        return total + size * perEdge;
+      }
+      return total + fieldCost(child);
+    }, 2);
+  }
+
+  return Math.max(...operations.map(selectionCost));
+}
@@ -0,0 +1,52 @@
+import http from 'node:http';
+
+// ==== LOCAL STUB SERVER ====
+//
+// A throwaway HTTP server on 127.0.0.1 that answers with scripted responses,
+// one per request in order (the last one repeats), or from a function of the
+// request and its index. A response is
+// { status, headers, body, delayMs }; `body` objects are sent as JSON.
+// Every request is recorded as { method, url, headers, body }.
+
+export async function startStubServer(responses) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const request = { method: req.method, url: req.url, headers: req.headers, body: raw };
+      const scripted = typeof responses === 'function'
+        ? responses(request, requests.length)
+        : responses[Math.min(requests.length, responses.length - 1)];
+      requests.push(request);
+
+      const { status = 200, headers = {}, body = '', delayMs = 0 } = scripted;
+      const send = () => {
+        if (res.destroyed) {
+          return;
+        }
+        const payload = typeof body === 'string' ? body : JSON.stringify(body);
+        res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+        res.end(payload);
+      };
+      if (delayMs > 0) {
+        setTimeout(send, delayMs);
+      } else {
+        send();
+      }
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    requests,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+}
@@ -0,0 +1,116 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { negotiateLocale, translate, localizedText, SUPPORTED_LOCALES, DEFAULT_LOCALE } from '../src/i18n.js';
+import en from '../src/locales/en.js';
+import es from '../src/locales/es.js';
+import fr from '../src/locales/fr.js';
+import de from '../src/locales/de.js';
+
+// ==== LOCALIZATION ====
+// Locale negotiation, translate's fallbacks, and the four catalogues
+// staying in step with each other.
+
+const CATALOGUES = { en, es, fr, de };
+
+describe('negotiateLocale', () => {
+  // [requested locale, Accept-Language, negotiated]
+  const NEGOTIATION_TABLE = [
+    ['fr', null, 'fr'],
+    ['fr-CA', null, 'fr'],
+    ['DE', null, 'de'],
+    ['es', 'fr-FR,fr;q=0.9', 'es'],
+    [null, 'fr-FR,fr;q=0.9,en;q=0.8', 'fr'],
+    [null, 'en;q=0.5, de;q=0.8', 'de'],
+    [null, 'it-IT, es;q=0.7', 'es'],
+    [null, 'de;q=0, fr;q=0.1', 'fr'],
+    [null, '*', 'en'],
+    ['it', 'ja, zh;q=0.9', 'en'],
+    ['it', 'fr', 'fr'],
+    [null, null, 'en'],
+    ['', '', 'en'],
+    // Names an object literal would inherit
+    ['constructor', '__proto__, toString', 'en']
+  ];
+
+  for (const [requested, acceptLanguage, locale] of NEGOTIATION_TABLE) {
+    test(`${JSON.stringify(requested)} with ${JSON.stringify(acceptLanguage)} is ${locale}`, () => {
+      assert.equal(negotiateLocale(requested, acceptLanguage), locale);
+    });
+  }
+});
+
+describe('translate', () => {
+  test('a key in the locale\'s catalogue', () => {
+    assert.equal(translate('fr', 'statuses.in_transit'), fr.statuses.in_transit);
+    assert.notEqual(translate('fr', 'statuses.in_transit'), en.statuses.in_transit);
+  });
+
+  test('placeholders are filled, unknown ones left as they are', () => {
+    assert.equal(translate('en', 'disabledReasons.processing_window_passed', { hours: 48 }),
+      'Order is in transit (48+ business hours)');
+    assert.equal(translate('en', 'disabledReasons.processing_window_passed'),
+      'Order is in transit ({hours}+ business hours)');
+  });
+
+  test('an unsupported locale falls back to English', () => {
+    assert.equal(translate('it', 'statuses.delivered'), en.statuses.delivered);
+    assert.equal(translate('constructor', 'statuses.delivered'), en.statuses.delivered);
+  });
+
+  test('an unknown key is null in every locale', () => {
+    for (const locale of [...SUPPORTED_LOCALES, 'it']) {
+      assert.equal(translate(locale, 'statuses.teleported'), null, locale);
+      assert.equal(translate(locale, 'statuses.constructor'), null, locale);
+      assert.equal(translate(locale, 'toString'), null, locale);
+    }
+  });
+
+  test('a section comes back whole', () => {
+    assert.deepEqual(translate('de', 'statuses'), de.statuses);
+  });
+
+  // [value, locale, text]
+  const MERCHANT_TEXT_TABLE = [
+    ['Pre-order', 'fr', 'Pre-order'],
+    [{ en: 'Pre-order', fr: 'Précommande' }, 'fr', 'Précommande'],
+    [{ en: 'Pre-order', fr: 'Précommande' }, 'de', 'Pre-order'],
+    [{ fr: 'Précommande' }, 'de', 'Précommande'],
+    [null, 'fr', null]
+  ];
+
+  for (const [value, locale, text] of MERCHANT_TEXT_TABLE) {
+    test(`merchant text ${JSON.stringify(value)} in ${locale}`, () => {
+      assert.equal(localizedText(value, locale), text);
+    });
+  }
+});
+
+describe('catalogues', () => {
+  // Dotted key -> message for every message in a catalogue
+  function messages(node, prefix = '') {
+    return Object.entries(node).flatMap(([key, value]) => (typeof value === 'string'
+      ? [[`${prefix}${key}`, value]]
+      : messages(value, `${prefix}${key}.`)));
+  }
+
+  function placeholders(message) {
+    return [...message.matchAll(/\{(\w+)\}/g)].map(match => match[1]).sort();
+  }
+
+  const english = new Map(messages(CATALOGUES[DEFAULT_LOCALE]));
+
+  test('every supported locale has a catalogue', () => {
+    assert.deepEqual([...SUPPORTED_LOCALES].sort(), Object.keys(CATALOGUES).sort());
+  });
+
+  for (const [locale, catalogue] of Object.entries(CATALOGUES)) {
+    test(`${locale} has exactly the English keys, with the same placeholders`, () => {
+      const own = new Map(messages(catalogue));
+      assert.deepEqual([...own.keys()].sort(), [...english.keys()].sort());
+      for (const [key, message] of own) {
+        assert.ok(message.trim(), `${locale} ${key} is empty`);
+        assert.deepEqual(placeholders(message), placeholders(english.get(key)), `${locale} ${key}`);
+      }
+    });
+  }
+});
@@ -0,0 +1,233 @@
+import { test, describe, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+import worker from '../src/index.js';
+import { ShopTokenStore } from '../src/oauth.js';
+import { startStubServer } from './helpers/stub-server.js';
+
+// ==== SHOPIFY OAUTH ====
+// The install handshake against a local fake of Shopify's OAuth and Admin
+// endpoints (SHOPIFY_ADMIN_BASE_URL), from /auth/install to app/uninstalled.
+
+const API_SECRET = 'app-secret';
+
+function memoryKv() {
+  const values = new Map();
+  return {
+    values,
+    async get(key, type) {
+      const value = values.has(key) ? values.get(key) : null;
+      return value !== null && type === 'json' ? JSON.parse(value) : value;
+    },
+    async put(key, value) {
+      values.set(key, value);
+    },
+    async delete(key) {
+      values.delete(key);
+    }
+  };
+}
+
+// Per shop: the token the exchange answers with (or a status to fail with)
+const exchanges = new Map();
+
+const shopify = await startStubServer(request => {
+  const shop = request.url.split('/')[1];
+  if (request.url.endsWith('/admin/oauth/access_token')) {
+    const answer = exchanges.get(shop);
+    return typeof answer === 'number'
+      ? { status: answer, body: { errors: 'unavailable' } }
+      : { body: { access_token: answer, scope: 'read_orders' } };
+  }
+  const { query } = JSON.parse(request.body);
+  if (query.includes('query ShopDomain')) {
+    return { body: { data: { shop: { primaryDomain: { host: `www.${shop.replace('.myshopify.com', '.com')}`, url: `https://www.${shop.replace('.myshopify.com', '.com')}` } } } } };
+  }
+  return { body: { data: { webhookSubscriptionCreate: { userErrors: [] } } } };
+});
+
+after(async () => {
+  await shopify.close();
+});
+
+function oauthEnv() {
+  return {
+    SHOPIFY_API_KEY: 'app-key',
+    SHOPIFY_API_SECRET: API_SECRET,
+    SHOPIFY_ADMIN_BASE_URL: `${shopify.url}/{shop}`,
+    APP_URL: 'https://tracker.example',
+    SHOP_TOKENS: memoryKv()
+  };
+}
+
+function call(env, path, init = {}) {
+  return worker.fetch(new Request(`https://tracker.example${path}`, init), env, {});
+}
+
+let shopCount = 0;
+function nextShop(token = 'shpat_installed') {
+  const shop = `oauth-${++shopCount}.myshopify.com`;
+  exchanges.set(shop, token);
+  return shop;
+}
+
+// Starts an install and returns the state Shopify would echo back
+async function startInstall(env, shop) {
+  const response = await call(env, `/v1/auth/install?shop=${shop}`);
+  assert.equal(response.status, 302);
+  const location = new URL(response.headers.get('Location'));
+  assert.equal(location.origin + location.pathname, `${shopify.url}/${shop}/admin/oauth/authorize`);
+  assert.equal(location.searchParams.get('client_id'), 'app-key');
+  assert.equal(location.searchParams.get('redirect_uri'), 'https://tracker.example/v1/auth/callback');
+  return location.searchParams.get('state');
+}
+
+// The callback query, signed the way Shopify signs it
+function callbackQuery(fields, secret = API_SECRET) {
+  const params = new URLSearchParams({ code: 'auth-code', timestamp: String(Math.floor(Date.now() / 1000)), ...fields });
+  const message = [...params.entries()]
+    .sort(([a], [b]) => (a < b ? -1 : 1))
+    .map(([key, value]) => `${key}=${value}`)
+    .join('&');
+  params.set('hmac', createHmac('sha256', secret).update(message).digest('hex'));
+  return params.toString();
+}
+
+async function callback(env, fields, secret) {
+  const response = await call(env, `/v1/auth/callback?${callbackQuery(fields, secret)}`);
+  const body = response.headers.get('Content-Type').includes('json') ? await response.json() : await response.text();
+  return { status: response.status, body };
+}
+
+function exchangeRequests(shop) {
+  return shopify.requests.filter(request => request.url === `/${shop}/admin/oauth/access_token`);
+}
+
+describe('install', () => {
+  test('a signed callback exchanges the code and stores the token for the shop', async () => {
+    const env = oauthEnv();
+    const shop = nextShop('shpat_first');
+    const state = await startInstall(env, shop);
+    const { status } = await callback(env, { shop, state });
+
+    assert.equal(status, 200);
+    const installation = await new ShopTokenStore(env.SHOP_TOKENS).get(shop);
+    assert.equal(installation.accessToken, 'shpat_first');
+    assert.equal(installation.scope, 'read_orders');
+    assert.deepEqual(installation.domains, [`www.${shop.replace('.myshopify.com', '.com')}`]);
+
+    const [exchange] = exchangeRequests(shop);
+    assert.deepEqual(JSON.parse(exchange.body), { client_id: 'app-key', client_secret: API_SECRET, code: 'auth-code' });
+  });
+
+  test('each shop keeps its own token', async () => {
+    const env = oauthEnv();
+    const shopA = nextShop('shpat_a');
+    const shopB = nextShop('shpat_b');
+    await callback(env, { shop: shopA, state: await startInstall(env, shopA) });
+    await callback(env, { shop: shopB, state: await startInstall(env, shopB) });
+
+    const store = new ShopTokenStore(env.SHOP_TOKENS);
+    assert.equal((await store.get(shopA)).accessToken, 'shpat_a');
+    assert.equal((await store.get(shopB)).accessToken, 'shpat_b');
+  });
+
+  test('webhooks are registered at the versioned path', async () => {
+    const env = oauthEnv();
+    const shop = nextShop();
+    await callback(env, { shop, state: await startInstall(env, shop) });
+
+    const registrations = shopify.requests
+      .filter(request => request.url.startsWith(`/${shop}/admin/api/`) && request.body.includes('RegisterWebhook'))
+      .map(request => JSON.parse(request.body).variables);
+    assert.ok(registrations.some(variables => variables.topic === 'APP_UNINSTALLED'));
+    assert.ok(registrations.every(variables => variables.callbackUrl === 'https://tracker.example/v1/webhooks/shopify'));
+  });
+});
+
+describe('rejected callbacks', () => {
+  // [description, callback fields (shop and state filled in), signing secret, status, code]
+  const REJECTION_TABLE = [
+    ['a bad signature', {}, 'not-the-secret', 401, 'INVALID_OAUTH_HMAC'],
+    ['a stale timestamp', { timestamp: String(Math.floor(Date.now() / 1000) - 2 * 3600) }, API_SECRET, 401, 'INVALID_OAUTH_HMAC'],
+    ['an unknown state', { state: 'not-issued' }, API_SECRET, 403, 'INVALID_OAUTH_STATE'],
+    ['a missing code', { code: '' }, API_SECRET, 400, 'INVALID_OAUTH_CALLBACK']
+  ];
+
+  for (const [description, fields, secret, status, code] of REJECTION_TABLE) {
+    test(description, async () => {
+      const env = oauthEnv();
+      const shop = nextShop();
+      const state = await startInstall(env, shop);
+      const result = await callback(env, { shop, state, ...fields }, secret);
+
+      assert.equal(result.status, status);
+      assert.equal(result.body.code, code);
+      assert.equal(exchangeRequests(shop).length, 0);
+      assert.equal(await new ShopTokenStore(env.SHOP_TOKENS).get(shop), null);
+    });
+  }
+
+  test('a state issued for another shop', async () => {
+    const env = oauthEnv();
+    const shop = nextShop();
+    const otherShop = nextShop();
+    const state = await startInstall(env, otherShop);
+
+    assert.equal((await callback(env, { shop, state })).body.code, 'INVALID_OAUTH_STATE');
+  });
+
+  test('a state works once', async () => {
+    const env = oauthEnv();
+    const shop = nextShop();
+    const state = await startInstall(env, shop);
+
+    assert.equal((await callback(env, { shop, state })).status, 200);
+    assert.equal((await callback(env, { shop, state })).body.code, 'INVALID_OAUTH_STATE');
+  });
+});
+
+describe('token exchange', () => {
+  test('a failed exchange is OAUTH_EXCHANGE_FAILED and is not retried', async () => {
+    const env = oauthEnv();
+    const shop = nextShop(503);
+    const result = await callback(env, { shop, state: await startInstall(env, shop) });
+
+    assert.equal(result.status, 502);
+    assert.equal(result.body.code, 'OAUTH_EXCHANGE_FAILED');
+    assert.equal(exchangeRequests(shop).length, 1);
+    assert.equal(await new ShopTokenStore(env.SHOP_TOKENS).get(shop), null);
+  });
+
+  test('a response without a token is OAUTH_EXCHANGE_FAILED', async () => {
+    const env = oauthEnv();
+    const shop = nextShop('');
+    const result = await callback(env, { shop, state: await startInstall(env, shop) });
+
+    assert.equal(result.body.code, 'OAUTH_EXCHANGE_FAILED');
+  });
+});
+
+describe('uninstall', () => {
+  test('app/uninstalled revokes the stored token', async () => {
+    const env = oauthEnv();
+    const shop = nextShop();
+    await callback(env, { shop, state: await startInstall(env, shop) });
+
+    const body = JSON.stringify({ domain: shop });
+    const response = await call(env, '/v1/webhooks/shopify', {
+      method: 'POST',
+      headers: {
+        'X-Shopify-Topic': 'app/uninstalled',
+        'X-Shopify-Shop-Domain': shop,
+        'X-Shopify-Hmac-Sha256': createHmac('sha256', API_SECRET).update(body).digest('base64')
+      },
+      body
+    });
+
+    assert.equal(response.status, 200);
+    const store = new ShopTokenStore(env.SHOP_TOKENS);
+    assert.equal(await store.get(shop), null);
+    assert.equal(await store.findByHost(`www.${shop.replace('.myshopify.com', '.com')}`), null);
+  });
+});
@@ -0,0 +1,120 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import worker from '../src/index.js';
+import { buildOpenApiDocument } from '../src/openapi.js';
+import { LOOKUP_REQUEST, ORDER_NUMBER_PARAMS, TIMELINE_QUERY, CREATE_ADMIN_KEY_REQUEST } from '../src/api-schemas.js';
+
+// ==== OPENAPI DOCUMENT ====
+// How a route becomes an operation, then the published document against the
+// router built from the same ROUTES table: every documented path answers
+// exactly the documented methods.
+
+const env = { SHOPIFY_SHOP: 'store.myshopify.com', SHOPIFY_ACCESS_TOKEN: 'token' };
+
+function call(method, path) {
+  return worker.fetch(new Request(`https://worker.example${path}`, { method }), env, {});
+}
+
+async function publishedDocument() {
+  return (await call('GET', '/v1/openapi.json')).json();
+}
+
+describe('buildOpenApiDocument', () => {
+  const routes = [
+    {
+      method: 'GET',
+      path: '/track/:orderNumber/timeline',
+      legacyAlias: true,
+      storeScoped: true,
+      request: { params: ORDER_NUMBER_PARAMS, query: TIMELINE_QUERY },
+      doc: { operationId: 'getOrderTimeline', summary: 'Timeline', tags: ['tracking'], responses: { 200: 'TimelineResponse' } }
+    },
+    {
+      method: 'POST',
+      path: '/admin/keys',
+      adminScope: 'keys:manage',
+      request: { body: CREATE_ADMIN_KEY_REQUEST },
+      doc: { operationId: 'createAdminKey', responses: { 201: 'AdminKeyCreatedResponse', 302: { description: 'Elsewhere' } } }
+    }
+  ];
+  const document = buildOpenApiDocument(routes, { prefix: '/v1' });
+
+  test('paths are prefixed and use {param} placeholders', () => {
+    assert.deepEqual(Object.keys(document.paths), ['/v1/track/{orderNumber}/timeline', '/v1/admin/keys']);
+  });
+
+  test('params, query and the store header become parameters', () => {
+    const operation = document.paths['/v1/track/{orderNumber}/timeline'].get;
+    assert.deepEqual(operation.parameters.map(p => [p.in, p.name, p.required]), [
+      ['path', 'orderNumber', true],
+      ['query', 'email', false],
+      ['query', 'locale', false],
+      ['header', 'X-Shop-Domain', false]
+    ]);
+    assert.match(operation.description, /deprecated unversioned path `\/track\/\{orderNumber\}\/timeline`/);
+    assert.deepEqual(operation.responses[200].content['application/json'].schema, { $ref: '#/components/schemas/TimelineResponse' });
+  });
+
+  test('a body is the request schema, and admin routes need a key', () => {
+    const operation = document.paths['/v1/admin/keys'].post;
+    assert.equal(operation.requestBody.content['application/json'].schema, CREATE_ADMIN_KEY_REQUEST);
+    assert.deepEqual(operation.security, [{ adminKey: [] }]);
+    assert.match(operation.description, /`keys:manage` scope/);
+    assert.equal(operation.parameters, undefined);
+    assert.deepEqual(operation.responses[302], { description: 'Elsewhere' });
+    assert.ok(operation.responses['4XX'] && operation.responses['5XX']);
+  });
+});
+
+describe('the published document', () => {
+  // Values that satisfy each path parameter's pattern
+  const SAMPLE_PARAMS = { orderNumber: '1001', token: 'k1.claims.signature', keyId: '0123456789ab' };
+
+  function samplePath(path) {
+    return path.replace(/\{([A-Za-z0-9_]+)\}/g, (match, name) => SAMPLE_PARAMS[name]);
+  }
+
+  test('every operation has a unique operationId and only /v1 paths are published', async () => {
+    const document = await publishedDocument();
+    const operations = Object.values(document.paths).flatMap(Object.values);
+    const ids = operations.map(operation => operation.operationId);
+
+    assert.ok(operations.length > 20);
+    assert.ok(ids.every(Boolean));
+    assert.equal(new Set(ids).size, ids.length);
+    assert.ok(Object.keys(document.paths).every(path => path.startsWith('/v1/')));
+  });
+
+  test('every documented path answers exactly the documented methods', async () => {
+    const document = await publishedDocument();
+    for (const [path, operations] of Object.entries(document.paths)) {
+      const response = await call('OPTIONS', samplePath(path));
+      const documented = Object.keys(operations).map(method => method.toUpperCase());
+
+      assert.equal(response.status, 200, path);
+      assert.deepEqual(response.headers.get('Allow').split(', ').sort(), [...documented, 'OPTIONS'].sort(), path);
+    }
+  });
+
+  test('path parameters are documented for every placeholder', async () => {
+    const document = await publishedDocument();
+    for (const [path, operations] of Object.entries(document.paths)) {
+      const placeholders = [...path.matchAll(/\{([A-Za-z0-9_]+)\}/g)].map(match => match[1]);
+      for (const operation of Object.values(operations)) {
+        const pathParams = (operation.parameters || []).filter(p => p.in === 'path').map(p => p.name);
+        assert.deepEqual(pathParams, placeholders, `${path} ${operation.operationId}`);
+      }
+    }
+  });
+
+  test('request schemas are the ones the validator runs', async () => {
+    const document = await publishedDocument();
+    assert.deepEqual(document.paths['/v1/track'].post.requestBody.content['application/json'].schema, LOOKUP_REQUEST);
+    assert.deepEqual(document.paths['/v1/admin/keys'].post.requestBody.content['application/json'].schema, CREATE_ADMIN_KEY_REQUEST);
+  });
+
+  test('a path that isn\'t documented isn\'t served', async () => {
+    assert.equal((await call('OPTIONS', '/v1/not-a-route')).status, 404);
+    assert.equal((await call('GET', '/v1/track/1001/history')).status, 404);
+  });
+});
@@ -0,0 +1,109 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyOrderWebhook, applyHoldWebhook, findStoredOrder, OrderStatusStore } from '../src/order-store.js';
+
+// ==== ORDER STORE ====
+// Webhook payloads in, lookups out, against an in-memory KV.
+
+function memoryKv() {
+  const values = new Map();
+  return {
+    async get(key, type) {
+      const value = values.has(key) ? values.get(key) : null;
+      return value !== null && type === 'json' ? JSON.parse(value) : value;
+    },
+    async put(key, value) {
+      values.set(key, value);
+    }
+  };
+}
+
+const tenant = { shop: 'store.myshopify.com' };
+
+function orderPayload(fields = {}) {
+  return {
+    id: 820982911946154500,
+    name: '#1001',
+    email: 'customer@example.com',
+    created_at: '2024-03-11T10:00:00Z',
+    updated_at: '2024-03-12T10:00:00Z',
+    cancelled_at: null,
+    financial_status: 'paid',
+    fulfillment_status: null,
+    fulfillments: [],
+    ...fields
+  };
+}
+
+async function storeWith(payload, ...fulfillmentOrders) {
+  const kv = memoryKv();
+  const store = new OrderStatusStore(kv);
+  await applyOrderWebhook(store, tenant.shop, 'orders/updated', payload);
+  for (const fulfillmentOrder of fulfillmentOrders) {
+    await applyHoldWebhook(store, tenant.shop, fulfillmentOrder);
+  }
+  return { ORDER_STORE: kv };
+}
+
+function fulfillmentOrder(id, status) {
+  return { id: `gid://shopify/FulfillmentOrder/${id}`, status, orderId: '820982911946154500' };
+}
+
+describe('findStoredOrder', () => {
+  test('answers for a fulfilled order', async () => {
+    const env = await storeWith(orderPayload({ fulfillment_status: 'fulfilled' }));
+    const order = await findStoredOrder('1001', null, tenant, env);
+    assert.equal(order.name, '#1001');
+    assert.equal(order.source, 'webhook');
+  });
+
+  test('answers for a cancelled order', async () => {
+    const env = await storeWith(orderPayload({ cancelled_at: '2024-03-12T09:00:00Z' }));
+    assert.equal((await findStoredOrder('1001', null, tenant, env)).name, '#1001');
+  });
+
+  for (const fulfillmentStatus of [null, 'partial']) {
+    test(`answers for a ${fulfillmentStatus || 'unfulfilled'} order without holds`, async () => {
+      const env = await storeWith(orderPayload({ fulfillment_status: fulfillmentStatus }));
+      assert.equal((await findStoredOrder('1001', null, tenant, env)).fulfillment_status, fulfillmentStatus);
+    });
+  }
+
+  test('reports a held order as on hold', async () => {
+    const env = await storeWith(orderPayload(), fulfillmentOrder(1, 'on_hold'));
+    assert.equal((await findStoredOrder('1001', null, tenant, env)).fulfillment_status, 'on_hold');
+  });
+
+  test('a release clears the hold', async () => {
+    const env = await storeWith(orderPayload(), fulfillmentOrder(1, 'on_hold'), fulfillmentOrder(1, 'open'));
+    assert.equal((await findStoredOrder('1001', null, tenant, env)).fulfillment_status, null);
+  });
+
+  test('stays on hold while any fulfillment order is held', async () => {
+    const env = await storeWith(orderPayload({ fulfillment_status: 'partial' }),
+      fulfillmentOrder(1, 'on_hold'), fulfillmentOrder(2, 'on_hold'), fulfillmentOrder(1, 'open'));
+    assert.equal((await findStoredOrder('1001', null, tenant, env)).fulfillment_status, 'on_hold');
+  });
+
+  test('a hold recorded before the order arrives still applies', async () => {
+    const kv = memoryKv();
+    const store = new OrderStatusStore(kv);
+    await applyHoldWebhook(store, tenant.shop, fulfillmentOrder(1, 'on_hold'));
+    await applyOrderWebhook(store, tenant.shop, 'orders/create', orderPayload());
+    assert.equal((await findStoredOrder('1001', null, tenant, { ORDER_STORE: kv })).fulfillment_status, 'on_hold');
+  });
+
+  test('a stale hold does not outlive fulfillment', async () => {
+    const env = await storeWith(orderPayload({ fulfillment_status: 'fulfilled' }), fulfillmentOrder(1, 'on_hold'));
+    assert.equal((await findStoredOrder('1001', null, tenant, env)).fulfillment_status, 'fulfilled');
+  });
+
+  test('finds the latest order by email', async () => {
+    const env = await storeWith(orderPayload({ fulfillment_status: 'fulfilled' }));
+    assert.equal((await findStoredOrder(null, 'Customer@Example.com', tenant, env)).name, '#1001');
+  });
+
+  test('misses without a store', async () => {
+    assert.equal(await findStoredOrder('1001', null, tenant, {}), null);
+  });
+});
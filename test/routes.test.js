@@ -0,0 +1,134 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import worker from '../src/index.js';
+import { VerificationStore, MAX_CODE_ATTEMPTS } from '../src/verification.js';
+
+// ==== ROUTES ====
+// Only the endpoints that predate /v1 keep a deprecated unversioned alias,
+// and one-time code guesses are limited in front of the KV attempt counter.
+
+const env = { SHOPIFY_SHOP: 'store.myshopify.com', SHOPIFY_ACCESS_TOKEN: 'token' };
+
+function call(method, path, { body, headers = {}, env: callEnv = env } = {}) {
+  const init = body === undefined
+    ? { method, headers }
+    : { method, headers: { 'Content-Type': 'application/json', ...headers }, body: JSON.stringify(body) };
+  return worker.fetch(new Request(`https://worker.example${path}`, init), callEnv, {});
+}
+
+describe('unversioned aliases', () => {
+  test('a pre-v1 route answers at both paths, the alias deprecated', async () => {
+    const versioned = await call('GET', '/v1/health');
+    const alias = await call('GET', '/health');
+
+    assert.equal(versioned.status, 200);
+    assert.equal(versioned.headers.get('Deprecation'), null);
+    assert.equal(alias.status, 200);
+    assert.equal(alias.headers.get('Deprecation'), 'true');
+    assert.equal(alias.headers.get('Link'), '</v1/health>; rel="successor-version"');
+  });
+
+  // [method, path] of endpoints added after versioning
+  const V1_ONLY = [
+    ['POST', '/track/batch'],
+    ['GET', '/t/token'],
+    ['POST', '/verify/start'],
+    ['POST', '/verify/confirm'],
+    ['POST', '/tracking-links'],
+    ['POST', '/tracking-links/revoke'],
+    ['GET', '/admin/keys'],
+    ['GET', '/admin/orders/1001'],
+    ['GET', '/track-page'],
+    ['GET', '/openapi.json']
+  ];
+
+  for (const [method, path] of V1_ONLY) {
+    test(`${method} ${path} has no alias`, async () => {
+      const response = await call(method, path);
+      assert.equal(response.status, 404);
+      assert.equal(response.headers.get('Deprecation'), null);
+    });
+  }
+
+  test('the OpenAPI document names only the pre-v1 aliases', async () => {
+    const document = await (await call('GET', '/v1/openapi.json')).json();
+    const aliased = Object.entries(document.paths)
+      .flatMap(([path, operations]) => Object.values(operations)
+        .filter(operation => (operation.description || '').includes('unversioned path'))
+        .map(() => path));
+
+    assert.ok(aliased.includes('/v1/track'));
+    assert.ok(!aliased.includes('/v1/track/batch'));
+    assert.ok(!aliased.includes('/v1/openapi.json'));
+  });
+});
+
+describe('code guesses', () => {
+  // In-memory KV whose reads are slow enough for concurrent guesses to race
+  function slowKv() {
+    const values = new Map();
+    return {
+      async get(key, type) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+        const value = values.has(key) ? values.get(key) : null;
+        return value !== null && type === 'json' ? JSON.parse(value) : value;
+      },
+      async put(key, value) {
+        values.set(key, value);
+      },
+      async delete(key) {
+        values.delete(key);
+      }
+    };
+  }
+
+  async function codeEnv() {
+    const kv = slowKv();
+    const store = new VerificationStore(kv);
+    const { challengeId, code } = await store.startChallenge(env.SHOPIFY_SHOP, { id: 1001, name: '#1001' }, 'hash');
+    return { challengeId, code, env: { ...env, OWNERSHIP_VERIFICATION: 'code', VERIFICATIONS: kv } };
+  }
+
+  let ipCount = 0;
+  function guess(challenge, code, ip = `198.51.100.${++ipCount}`) {
+    return call('POST', '/v1/verify/confirm', {
+      body: { challengeId: challenge.challengeId, code },
+      headers: { 'CF-Connecting-IP': ip },
+      env: challenge.env
+    });
+  }
+
+  test(`concurrent guesses past ${MAX_CODE_ATTEMPTS} are refused before the store`, async () => {
+    const challenge = await codeEnv();
+    const wrong = challenge.code === '000000' ? '000001' : '000000';
+    const responses = await Promise.all(Array.from({ length: 12 }, () => guess(challenge, wrong)));
+    const statuses = responses.map(response => response.status);
+
+    assert.equal(statuses.filter(status => status === 401).length, MAX_CODE_ATTEMPTS);
+    assert.equal(statuses.filter(status => status === 429).length, 12 - MAX_CODE_ATTEMPTS);
+    const refused = await responses.find(response => response.status === 429).json();
+    assert.equal(refused.code, 'VERIFICATION_RATE_LIMITED');
+
+    // Not even the right code gets through now
+    assert.equal((await guess(challenge, challenge.code)).status, 429);
+  });
+
+  test('one IP is limited across challenges', async () => {
+    const statuses = [];
+    for (let i = 0; i < 5; i++) {
+      const challenge = await codeEnv();
+      for (let j = 0; j < 5; j++) {
+        statuses.push((await guess(challenge, challenge.code === '000000' ? '000001' : '000000', '203.0.113.7')).status);
+      }
+    }
+    assert.equal(statuses.filter(status => status === 401).length, 20);
+    assert.equal(statuses.filter(status => status === 429).length, 5);
+  });
+
+  test('the right code within the limit gets a session', async () => {
+    const challenge = await codeEnv();
+    const response = await guess(challenge, challenge.code);
+    assert.equal(response.status, 200);
+    assert.ok((await response.json()).data.sessionToken);
+  });
+});
@@ -0,0 +1,140 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateSchema } from '../src/schema-validator.js';
+import * as schemas from '../src/api-schemas.js';
+
+// ==== SCHEMA VALIDATION ====
+// Every x-error code in the request schemas, produced by an input that
+// breaks it, and the INVALID_REQUEST fallback for fields without one.
+
+const lookup = { orderNumber: '1001', email: 'customer@example.com' };
+const adminKey = { name: 'support', scopes: ['orders:read'] };
+
+// [schema export, input, error code]
+const X_ERROR_TABLE = [
+  ['LOOKUP_REQUEST', {}, 'MISSING_FIELDS'],
+  ['LOOKUP_REQUEST', { orderNumber: '10 01' }, 'INVALID_ORDER_NUMBER'],
+  ['LOOKUP_REQUEST', { orderNumber: '1'.repeat(51) }, 'INVALID_ORDER_NUMBER'],
+  ['LOOKUP_REQUEST', { email: 'not-an-email' }, 'INVALID_EMAIL'],
+  // Innermost x-error wins; a field without one reports the object's
+  ['LOOKUP_REQUEST', { orderNumber: '1001', locale: 'x'.repeat(36) }, 'MISSING_FIELDS'],
+
+  ['TRACK_BATCH_REQUEST', {}, 'MISSING_FIELDS'],
+  ['TRACK_BATCH_REQUEST', { items: [] }, 'INVALID_BATCH'],
+  ['TRACK_BATCH_REQUEST', { items: Array.from({ length: 51 }, () => lookup) }, 'INVALID_BATCH'],
+  ['TRACK_BATCH_REQUEST', { items: ['1001'] }, 'INVALID_BATCH'],
+
+  ['ORDER_HISTORY_REQUEST', { orderNumber: '1001' }, 'MISSING_FIELDS'],
+  ['ORDER_HISTORY_REQUEST', { ...lookup, orderNumber: '10/01' }, 'INVALID_ORDER_NUMBER'],
+  ['ORDER_HISTORY_REQUEST', { ...lookup, email: 'customer@' }, 'INVALID_EMAIL'],
+  ['ORDER_HISTORY_REQUEST', { ...lookup, cursor: 5 }, 'INVALID_CURSOR'],
+  ['ORDER_HISTORY_REQUEST', { ...lookup, limit: 0 }, 'INVALID_LIMIT'],
+  ['ORDER_HISTORY_REQUEST', { ...lookup, limit: 51 }, 'INVALID_LIMIT'],
+  ['ORDER_HISTORY_REQUEST', { ...lookup, limit: 2.5 }, 'INVALID_LIMIT'],
+  ['ORDER_HISTORY_REQUEST', { ...lookup, from: 20240101 }, 'INVALID_DATE_RANGE'],
+  ['ORDER_HISTORY_REQUEST', { ...lookup, to: null }, 'INVALID_DATE_RANGE'],
+  ['ORDER_HISTORY_REQUEST', { ...lookup, status: '' }, 'INVALID_STATUS_FILTER'],
+  ['ORDER_HISTORY_REQUEST', { ...lookup, status: [] }, 'INVALID_STATUS_FILTER'],
+
+  ['ORDER_NUMBER_PARAMS', { orderNumber: '#1001!' }, 'INVALID_ORDER_NUMBER'],
+  ['TIMELINE_QUERY', { email: 'customer' }, 'INVALID_EMAIL'],
+
+  ['OWNERSHIP_REQUEST', { email: lookup.email }, 'MISSING_FIELDS'],
+  ['OWNERSHIP_REQUEST', { ...lookup, orderNumber: '' }, 'INVALID_ORDER_NUMBER'],
+  ['OWNERSHIP_REQUEST', { ...lookup, email: 'a b@example.com' }, 'INVALID_EMAIL'],
+
+  ['VERIFY_CONFIRM_REQUEST', {}, 'MISSING_FIELDS'],
+  ['VERIFY_CONFIRM_REQUEST', { challengeId: 'abc', code: '123456' }, 'VERIFICATION_FAILED'],
+  ['VERIFY_CONFIRM_REQUEST', { challengeId: '0'.repeat(32), code: '12345' }, 'INVALID_VERIFICATION_CODE'],
+
+  ['TRACKING_TOKEN_PARAMS', { token: 'a.b' }, 'INVALID_TRACKING_LINK'],
+  ['REVOKE_TRACKING_LINK_REQUEST', {}, 'MISSING_FIELDS'],
+  ['REVOKE_TRACKING_LINK_REQUEST', { token: 'a.b.c', scope: 'all' }, 'MISSING_FIELDS'],
+  ['REVOKE_TRACKING_LINK_REQUEST', { token: 'a.b.c d' }, 'INVALID_TRACKING_LINK'],
+  ['TRACK_PAGE_QUERY', { token: `a.b.${'c'.repeat(1024)}` }, 'INVALID_TRACKING_LINK'],
+  ['TRACK_PAGE_QUERY', { orderNumber: '1001?' }, 'INVALID_ORDER_NUMBER'],
+
+  ['CREATE_ADMIN_KEY_REQUEST', {}, 'MISSING_FIELDS'],
+  ['CREATE_ADMIN_KEY_REQUEST', { ...adminKey, name: '' }, 'INVALID_KEY_NAME'],
+  ['CREATE_ADMIN_KEY_REQUEST', { ...adminKey, scopes: [] }, 'INVALID_SCOPES'],
+  ['CREATE_ADMIN_KEY_REQUEST', { ...adminKey, scopes: ['config:write'] }, 'INVALID_SCOPES'],
+  ['CREATE_ADMIN_KEY_REQUEST', { ...adminKey, shops: ['store-a.com'] }, 'INVALID_SHOP'],
+  ['ADMIN_KEY_PARAMS', { keyId: 'ABCDEF012345' }, 'INVALID_KEY_ID'],
+
+  ['INSTALL_QUERY', {}, 'INVALID_SHOP'],
+  ['CALLBACK_QUERY', { shop: 'store-a.myshopify.com', code: 'auth-code' }, 'INVALID_OAUTH_CALLBACK']
+];
+
+// Every x-error code reachable from a schema
+function xErrorCodes(schema) {
+  if (!schema || typeof schema !== 'object') {
+    return [];
+  }
+  return [
+    ...(schema['x-error'] ? [schema['x-error'].code] : []),
+    ...Object.values(schema.properties || {}).flatMap(xErrorCodes),
+    ...xErrorCodes(schema.items),
+    ...(schema.anyOf || []).flatMap(xErrorCodes)
+  ];
+}
+
+describe('x-error codes', () => {
+  for (const [name, input, code] of X_ERROR_TABLE) {
+    test(`${name}: ${JSON.stringify(input).slice(0, 60)} is ${code}`, () => {
+      const error = validateSchema(schemas[name], input);
+      assert.ok(error, 'expected a validation error');
+      assert.equal(error.code, code);
+      assert.ok(error.title && error.message);
+    });
+  }
+
+  test('the table covers every code in every request schema', () => {
+    const requestSchemas = Object.entries(schemas).filter(([name]) => /_(REQUEST|PARAMS|QUERY)$/.test(name));
+    assert.ok(requestSchemas.length > 10);
+
+    for (const [name, schema] of requestSchemas) {
+      const tested = new Set(X_ERROR_TABLE.filter(([tableName]) => tableName === name).map(([, , code]) => code));
+      for (const code of new Set(xErrorCodes(schema))) {
+        assert.ok(tested.has(code), `${name} has no test for ${code}`);
+      }
+    }
+  });
+});
+
+describe('valid input and the fallback', () => {
+  // [schema export, input]
+  const VALID_TABLE = [
+    ['LOOKUP_REQUEST', { orderNumber: '#1001' }],
+    ['LOOKUP_REQUEST', { email: lookup.email, locale: 'fr-CA', timezone: 'Europe/Paris' }],
+    ['TRACK_BATCH_REQUEST', { items: [lookup, {}], locale: 'de' }],
+    ['ORDER_HISTORY_REQUEST', { ...lookup, limit: 50, status: ['in_transit', 'Delivered'], from: '2024-01-01' }],
+    ['VERIFY_CONFIRM_REQUEST', { challengeId: 'a'.repeat(32), code: '042917' }],
+    ['REVOKE_TRACKING_LINK_REQUEST', { token: 'k1.claims.signature', scope: 'order' }],
+    ['CREATE_ADMIN_KEY_REQUEST', { ...adminKey, shops: ['store-a.myshopify.com'] }],
+    ['CALLBACK_QUERY', { shop: 'store-a.myshopify.com', code: 'c', state: 's', extra: 'ignored' }]
+  ];
+
+  for (const [name, input] of VALID_TABLE) {
+    test(`${name}: ${JSON.stringify(input).slice(0, 60)} is valid`, () => {
+      assert.equal(validateSchema(schemas[name], input), null);
+    });
+  }
+
+  // [schema export, input, label, message]
+  const INVALID_REQUEST_TABLE = [
+    ['TIMELINE_QUERY', { locale: 5 }, 'query', 'query.locale must be string'],
+    ['TRACKING_LINK_QUERY', { locale: 'x'.repeat(36) }, 'query', 'query.locale must be at most 35 characters'],
+    ['ADMIN_KEY_PARAMS', {}, '', 'keyId is required'],
+    ['ORDER_NUMBER_PARAMS', 'not an object', '', 'request must be object']
+  ];
+
+  for (const [name, input, label, message] of INVALID_REQUEST_TABLE) {
+    test(`${name}: ${message}`, () => {
+      assert.deepEqual(validateSchema(schemas[name], input, label), {
+        title: 'Invalid request',
+        message,
+        code: 'INVALID_REQUEST'
+      });
+    });
+  }
+});
@@ -0,0 +1,242 @@
+import { test, describe, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ShopifyClient, CircuitBreaker, parseRetryAfter } from '../src/shopify-client.js';
+import { RateLimitedError, UpstreamError, UpstreamUnavailableError } from '../src/errors.js';
+import { startStubServer } from './helpers/stub-server.js';
+
+// ==== SHOPIFY CLIENT ====
+// Retries, throttling, timeouts and the circuit breaker, against a local stub
+// that plays Shopify. Delays are shrunk so the suite runs in a few seconds.
+
+const FAST_OPTIONS = {
+  maxRetries: 3,
+  baseDelayMs: 1,
+  maxDelayMs: 5,
+  maxRetryAfterMs: 2000,
+  timeoutMs: 200,
+  failureThreshold: 3,
+  resetTimeoutMs: 60000
+};
+
+const servers = [];
+
+async function stub(responses) {
+  const server = await startStubServer(responses);
+  servers.push(server);
+  return server;
+}
+
+function client(options = {}) {
+  return new ShopifyClient('test-shop.myshopify.com', { ...FAST_OPTIONS, ...options });
+}
+
+function graphqlUrl(server) {
+  return `${server.url}/admin/api/2025-10/graphql.json`;
+}
+
+function throttleStatus(currentlyAvailable) {
+  return { maximumAvailable: 2000, currentlyAvailable, restoreRate: 100 };
+}
+
+const OK = { status: 200, body: { data: { shop: { name: 'Test' } } } };
+
+after(async () => {
+  await Promise.all(servers.map(server => server.close()));
+});
+
+describe('retries', () => {
+  test('retries 5xx responses and returns the first success', async () => {
+    const server = await stub([{ status: 502 }, { status: 503 }, OK]);
+    const data = await client().graphql(graphqlUrl(server), 'token', '{ shop { name } }', {});
+
+    assert.deepEqual(data, { shop: { name: 'Test' } });
+    assert.equal(server.requests.length, 3);
+    assert.equal(server.requests[0].headers['x-shopify-access-token'], 'token');
+  });
+
+  test('gives up after maxRetries with SHOPIFY_SERVICE_UNAVAILABLE', async () => {
+    const server = await stub([{ status: 503 }]);
+    await assert.rejects(
+      client().graphql(graphqlUrl(server), 'token', '{ shop { name } }', {}),
+      error => error instanceof UpstreamUnavailableError && error.code === 'SHOPIFY_SERVICE_UNAVAILABLE'
+    );
+    assert.equal(server.requests.length, FAST_OPTIONS.maxRetries + 1);
+  });
+
+  test('does not retry other 4xx responses', async () => {
+    const server = await stub([{ status: 404 }]);
+    await assert.rejects(
+      client().graphql(graphqlUrl(server), 'token', '{ shop { name } }', {}),
+      error => error instanceof UpstreamError && error.upstreamStatus === 404
+    );
+    assert.equal(server.requests.length, 1);
+  });
+
+  test('times out slow responses and reports 504', async () => {
+    const server = await stub([{ ...OK, delayMs: 1000 }]);
+    await assert.rejects(
+      client({ maxRetries: 1, timeoutMs: 50 }).graphql(graphqlUrl(server), 'token', '{ shop { name } }', {}),
+      error => error instanceof UpstreamUnavailableError && error.upstreamStatus === 504
+    );
+    assert.equal(server.requests.length, 2);
+  });
+});
+
+describe('throttling', () => {
+  test('waits for Retry-After on 429', async () => {
+    const server = await stub([{ status: 429, headers: { 'Retry-After': '0.3' } }, OK]);
+    const started = Date.now();
+    await client().graphql(graphqlUrl(server), 'token', '{ shop { name } }', {});
+
+    assert.ok(Date.now() - started >= 300, 'retried before Retry-After elapsed');
+    assert.equal(server.requests.length, 2);
+  });
+
+  test('reports a Retry-After longer than maxRetryAfterMs without waiting', async () => {
+    const server = await stub([{ status: 429, headers: { 'Retry-After': '30' } }]);
+    await assert.rejects(
+      client().graphql(graphqlUrl(server), 'token', '{ shop { name } }', {}),
+      error => error instanceof RateLimitedError && error.retryAfterSeconds === 30
+    );
+    assert.equal(server.requests.length, 1);
+  });
+
+  test('retries GraphQL THROTTLED once the bucket can afford the query', async () => {
+    const server = await stub([
+      {
+        status: 200,
+        body: {
+          errors: [{ message: 'Throttled', extensions: { code: 'THROTTLED' } }],
+          extensions: { cost: { requestedQueryCost: 120, throttleStatus: throttleStatus(100) } }
+        }
+      },
+      {
+        status: 200,
+        body: {
+          data: { shop: { name: 'Test' } },
+          extensions: { cost: { requestedQueryCost: 120, actualQueryCost: 12, throttleStatus: throttleStatus(1988) } }
+        }
+      }
+    ]);
+    const shopify = client();
+    const started = Date.now();
+    const data = await shopify.graphql(graphqlUrl(server), 'token', '{ shop { name } }', {});
+
+    // 20 points short at 100 points/second
+    assert.ok(Date.now() - started >= 200, 'retried before the bucket refilled');
+    assert.deepEqual(data, { shop: { name: 'Test' } });
+    assert.deepEqual(
+      { source: shopify.getState().bucket.source, available: shopify.getState().bucket.available, used: shopify.getState().bucket.used },
+      { source: 'graphql', available: 1988, used: 12 }
+    );
+  });
+
+  test('other GraphQL errors are not retried', async () => {
+    const server = await stub([{ status: 200, body: { errors: [{ message: 'Field does not exist' }] } }]);
+    await assert.rejects(
+      client().graphql(graphqlUrl(server), 'token', '{ nope }', {}),
+      error => error instanceof UpstreamError && error.code === 'SHOPIFY_API_ERROR'
+    );
+    assert.equal(server.requests.length, 1);
+  });
+
+  test('tracks the REST call limit header', async () => {
+    const server = await stub([{ status: 200, headers: { 'X-Shopify-Shop-Api-Call-Limit': '32/40' }, body: {} }]);
+    const shopify = client();
+    await shopify.request(`${server.url}/admin/oauth/access_token`);
+
+    const { bucket } = shopify.getState();
+    assert.equal(bucket.source, 'rest');
+    assert.equal(bucket.available, 8);
+    assert.equal(bucket.limit, 40);
+  });
+
+  test('parses Retry-After seconds and HTTP dates', () => {
+    const now = Date.parse('2024-01-01T00:00:00Z');
+    assert.equal(parseRetryAfter('2', now), 2000);
+    assert.equal(parseRetryAfter('Mon, 01 Jan 2024 00:00:05 GMT', now), 5000);
+    assert.equal(parseRetryAfter(null, now), null);
+    assert.equal(parseRetryAfter('soon', now), null);
+  });
+});
+
+describe('circuit breaker', () => {
+  test('opens after failureThreshold failed calls and fails fast', async () => {
+    const server = await stub([{ status: 500 }]);
+    const shopify = client({ maxRetries: 0 });
+
+    for (let i = 0; i < FAST_OPTIONS.failureThreshold; i++) {
+      await assert.rejects(shopify.graphql(graphqlUrl(server), 'token', '{ shop { name } }', {}));
+    }
+    assert.equal(shopify.getState().circuit.state, 'open');
+
+    await assert.rejects(
+      shopify.graphql(graphqlUrl(server), 'token', '{ shop { name } }', {}),
+      error => error instanceof UpstreamUnavailableError && /circuit open/.test(error.detail)
+    );
+    assert.equal(server.requests.length, FAST_OPTIONS.failureThreshold);
+  });
+
+  test('throttling does not count as a failure', async () => {
+    const server = await stub([{ status: 429, headers: { 'Retry-After': '30' } }]);
+    const shopify = client({ maxRetries: 0 });
+
+    for (let i = 0; i < FAST_OPTIONS.failureThreshold + 1; i++) {
+      await assert.rejects(shopify.graphql(graphqlUrl(server), 'token', '{ shop { name } }', {}), RateLimitedError);
+    }
+    assert.equal(shopify.getState().circuit.state, 'closed');
+  });
+
+  test('half-open lets exactly one trial through', () => {
+    const breaker = new CircuitBreaker(2, 1000);
+    breaker.recordFailure(0);
+    breaker.recordFailure(0);
+    assert.equal(breaker.canRequest(500), false);
+
+    assert.equal(breaker.canRequest(1000), true);
+    assert.equal(breaker.state, 'half-open');
+    assert.equal(breaker.canRequest(1001), false);
+    assert.equal(breaker.canRequest(1002), false);
+
+    breaker.recordSuccess();
+    assert.equal(breaker.state, 'closed');
+    assert.equal(breaker.canRequest(1003), true);
+    assert.equal(breaker.canRequest(1004), true);
+  });
+
+  test('a failed trial reopens the circuit', () => {
+    const breaker = new CircuitBreaker(1, 1000);
+    breaker.recordFailure(0);
+    assert.equal(breaker.canRequest(1000), true);
+
+    breaker.recordFailure(1000);
+    assert.equal(breaker.state, 'open');
+    assert.equal(breaker.canRequest(1500), false);
+    assert.equal(breaker.canRequest(2000), true);
+  });
+
+  test('a throttled trial frees the slot for the next request', () => {
+    const breaker = new CircuitBreaker(1, 1000);
+    breaker.recordFailure(0);
+    assert.equal(breaker.canRequest(1000), true);
+
+    breaker.releaseTrial();
+    assert.equal(breaker.state, 'half-open');
+    assert.equal(breaker.canRequest(1001), true);
+    assert.equal(breaker.canRequest(1002), false);
+  });
+
+  test('concurrent requests while half-open send one call to Shopify', async () => {
+    const server = await stub([{ status: 500 }, { ...OK, delayMs: 100 }]);
+    const shopify = client({ maxRetries: 0, failureThreshold: 1, resetTimeoutMs: 0 });
+
+    await assert.rejects(shopify.graphql(graphqlUrl(server), 'token', '{ shop { name } }', {}));
+    const results = await Promise.allSettled(
+      Array.from({ length: 5 }, () => shopify.graphql(graphqlUrl(server), 'token', '{ shop { name } }', {}))
+    );
+
+    assert.equal(results.filter(result => result.status === 'fulfilled').length, 1);
+    assert.equal(server.requests.length, 2);
+    assert.equal(shopify.getState().circuit.state, 'closed');
+  });
+});
@@ -0,0 +1,258 @@
+import { test, describe, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { getOrder, getOrders, listOrders, customerOrdersQuery, withOrderTransactions, getFulfillmentOrder } from '../src/shopify.js';
+import { startStubServer } from './helpers/stub-server.js';
+import { estimateQueryCost, MAX_QUERY_COST } from './helpers/query-cost.js';
+
+// ==== SHOPIFY ORDER QUERIES ====
+// The order searches and the per-order details query, against a local stub
+// that answers like the Admin API. Every query sent has to stay under
+// Shopify's cost limit at the sizes it was sent with.
+
+function fulfillmentNode(id, fields = {}) {
+  return {
+    id: `gid://shopify/Fulfillment/${id}`,
+    legacyResourceId: String(id),
+    status: 'SUCCESS',
+    displayStatus: 'IN_TRANSIT',
+    createdAt: '2024-03-12T10:00:00Z',
+    updatedAt: '2024-03-13T10:00:00Z',
+    deliveredAt: null,
+    estimatedDeliveryAt: null,
+    trackingInfo: [{ company: 'UPS', number: `1Z999AA1012345678${id % 10}`, url: null }],
+    events: { nodes: [] },
+    ...fields
+  };
+}
+
+function orderNode(id, fields = {}) {
+  return {
+    id: `gid://shopify/Order/${id}`,
+    legacyResourceId: String(id),
+    name: `#${id}`,
+    email: 'customer@example.com',
+    createdAt: '2024-03-11T10:00:00Z',
+    processedAt: '2024-03-11T10:00:00Z',
+    closedAt: null,
+    cancelledAt: null,
+    tags: [],
+    shippingAddress: null,
+    displayFulfillmentStatus: 'FULFILLED',
+    displayFinancialStatus: 'PAID',
+    fulfillments: [fulfillmentNode(id * 10)],
+    ...fields
+  };
+}
+
+function lineItemsFor(order) {
+  return {
+    fulfillments: order.fulfillments.map(fulfillment => ({
+      id: fulfillment.id,
+      fulfillmentLineItems: { nodes: [{ quantity: 2, lineItem: { name: `Mug for ${order.name}`, sku: 'MUG-1' } }] },
+      events: {
+        nodes: [
+          { status: 'IN_TRANSIT', happenedAt: '2024-03-13T08:00:00Z', message: 'Departed facility' },
+          { status: 'CONFIRMED', happenedAt: '2024-03-12T11:00:00Z', message: null }
+        ]
+      }
+    }))
+  };
+}
+
+const servers = [];
+let shopCount = 0;
+
+// A stub shop holding `orders`. Searches return every order, up to `first`
+// (the stub doesn't filter); details come from the same list by id.
+async function dynamicStub(orders) {
+  const respond = body => {
+    const { query, variables } = JSON.parse(body);
+    if (query.includes('query OrderTransactions')) {
+      const order = orders.find(o => o.id === variables.id);
+      return { data: { order: order ? { transactions: [{ kind: 'SALE', status: 'SUCCESS', processedAt: order.processedAt }] } : null } };
+    }
+    if (query.includes('query OrderDetails')) {
+      const order = orders.find(o => o.id === variables.id);
+      return { data: { order: order ? lineItemsFor(order) : null } };
+    }
+    return {
+      data: {
+        orders: {
+          pageInfo: { hasNextPage: false, endCursor: null },
+          edges: orders.slice(0, variables.first).map(node => ({ cursor: `cursor-${node.legacyResourceId}`, node }))
+        }
+      }
+    };
+  };
+
+  const server = await startStubServer(request => ({ status: 200, body: respond(request.body) }));
+  servers.push(server);
+  return server;
+}
+
+function tenantFor(server) {
+  shopCount++;
+  return {
+    shop: `stub-${shopCount}.myshopify.com`,
+    accessToken: 'token',
+    apiVersion: '2025-10',
+    adminBaseUrl: `${server.url}/{shop}`
+  };
+}
+
+function sentQueries(server) {
+  return server.requests.map(request => JSON.parse(request.body));
+}
+
+after(async () => {
+  await Promise.all(servers.map(server => server.close()));
+});
+
+describe('query cost', () => {
+  test('every query stays under the limit at the sizes it is sent with', async () => {
+    const orders = Array.from({ length: 60 }, (_, i) => orderNode(1000 + i));
+    const server = await dynamicStub(orders);
+    const tenant = tenantFor(server);
+
+    await getOrder('1000', 'customer@example.com', tenant);
+    await getOrder(null, 'customer@example.com', tenant);
+    await getOrders([{ orderNumber: '1001' }, { email: 'customer@example.com' }], tenant);
+    await listOrders(customerOrdersQuery('customer@example.com'), tenant, { first: 50 });
+    await withOrderTransactions(await getOrder('1002', null, tenant), tenant);
+
+    const queries = sentQueries(server);
+    assert.ok(queries.some(q => q.query.includes('query OrderSearch')));
+    assert.ok(queries.some(q => q.query.includes('query OrderDetails')));
+    assert.ok(queries.some(q => q.query.includes('query OrderTransactions')));
+    for (const { query, variables } of queries) {
+      const cost = estimateQueryCost(query, variables);
+      assert.ok(cost <= MAX_QUERY_COST, `query costs ${cost}: ${query.slice(0, 60)}`);
+    }
+  });
+
+
+  test('history pages are capped whatever limit is asked for', async () => {
+    const server = await dynamicStub(Array.from({ length: 60 }, (_, i) => orderNode(2000 + i)));
+    const { edges } = await listOrders('email:"customer@example.com"', tenantFor(server), { first: 50 });
+
+    assert.ok(edges.length < 50);
+    assert.equal(sentQueries(server)[0].variables.first, edges.length);
+  });
+});
+
+describe('order details', () => {
+  test('line items are fetched for the matched order only', async () => {
+    const server = await dynamicStub([
+      orderNode(3001, { email: 'someone-else@example.com' }),
+      orderNode(3002)
+    ]);
+    const order = await getOrder('3002', 'customer@example.com', tenantFor(server));
+
+    assert.equal(order.name, '#3002');
+    assert.deepEqual(order.fulfillments[0].line_items, [{ name: 'Mug for #3002', sku: 'MUG-1', quantity: 2 }]);
+    const details = sentQueries(server).filter(q => q.query.includes('query OrderDetails'));
+    assert.deepEqual(details.map(q => q.variables.id), ['gid://shopify/Order/3002']);
+  });
+
+  test('search results carry no line items and only the newest event', async () => {
+    const latest = { status: 'IN_TRANSIT', happenedAt: '2024-03-13T08:00:00Z', message: null };
+    const server = await dynamicStub([orderNode(4001, { fulfillments: [fulfillmentNode(40010, { events: { nodes: [latest] } })] })]);
+    const { edges } = await listOrders('name:"#4001"', tenantFor(server));
+
+    const [fulfillment] = edges[0].order.fulfillments;
+    assert.deepEqual(fulfillment.line_items, []);
+    assert.deepEqual(fulfillment.events.map(event => event.status), ['in_transit']);
+    assert.match(sentQueries(server)[0].query, /events\(first: 1,/);
+    assert.equal(server.requests.length, 1);
+  });
+
+  test('the matched order gets its event history, oldest first', async () => {
+    const server = await dynamicStub([orderNode(4002)]);
+    const order = await getOrder('4002', null, tenantFor(server));
+
+    assert.deepEqual(order.fulfillments[0].events, [
+      { status: 'confirmed', happened_at: '2024-03-12T11:00:00Z', message: null },
+      { status: 'in_transit', happened_at: '2024-03-13T08:00:00Z', message: 'Departed facility' }
+    ]);
+  });
+
+  test('an order number alone only matches the exact name', async () => {
+    const server = await dynamicStub([
+      orderNode(45010, { createdAt: '2024-03-14T10:00:00Z' }),
+      orderNode(4501),
+      orderNode(14501)
+    ]);
+    const tenant = tenantFor(server);
+
+    assert.equal((await getOrder('4501', null, tenant)).name, '#4501');
+    assert.equal(await getOrder('4502', null, tenant), null);
+  });
+
+  test('an unshipped order needs no details query', async () => {
+    const server = await dynamicStub([orderNode(5001, { fulfillments: [], displayFulfillmentStatus: 'UNFULFILLED' })]);
+    const order = await getOrder('5001', null, tenantFor(server));
+
+    assert.equal(order.name, '#5001');
+    assert.equal(server.requests.length, 1);
+  });
+
+  test('a batch fetches details once per order', async () => {
+    const server = await dynamicStub([orderNode(6001), orderNode(6002)]);
+    const orders = await getOrders([
+      { orderNumber: '6001' },
+      { orderNumber: '6001', email: 'customer@example.com' },
+      { orderNumber: '6002' }
+    ], tenantFor(server));
+
+    assert.deepEqual(orders.map(order => order.name), ['#6001', '#6001', '#6002']);
+    assert.ok(orders.every(order => order.fulfillments[0].line_items.length === 1));
+    const details = sentQueries(server).filter(q => q.query.includes('query OrderDetails'));
+    assert.deepEqual(details.map(q => q.variables.id).sort(), ['gid://shopify/Order/6001', 'gid://shopify/Order/6002']);
+  });
+});
+
+describe('order transactions', () => {
+  test('searches leave transactions to the timeline', async () => {
+    const server = await dynamicStub([orderNode(7001)]);
+    const tenant = tenantFor(server);
+    const order = await getOrder('7001', null, tenant);
+
+    assert.equal(order.transactions, undefined);
+    assert.ok(sentQueries(server).every(q => !q.query.includes('transactions(')));
+
+    const withTransactions = await withOrderTransactions(order, tenant);
+    assert.deepEqual(withTransactions.transactions, [{ kind: 'sale', status: 'success', processed_at: '2024-03-11T10:00:00Z' }]);
+    assert.deepEqual(sentQueries(server).at(-1).variables, { id: 'gid://shopify/Order/7001' });
+  });
+
+  test('a webhook-stored order needs no query', async () => {
+    const server = await dynamicStub([]);
+    const stored = { id: '7002', name: '#7002', source: 'webhook', fulfillments: [] };
+
+    assert.equal(await withOrderTransactions(stored, tenantFor(server)), stored);
+    assert.equal(server.requests.length, 0);
+  });
+});
+
+describe('fulfillment orders', () => {
+  test('a hold webhook\'s fulfillment order resolves to its order and current status', async () => {
+    const server = await startStubServer(request => {
+      const { variables } = JSON.parse(request.body);
+      return {
+        body: {
+          data: {
+            fulfillmentOrder: variables.id.endsWith('/1')
+              ? { id: variables.id, status: 'ON_HOLD', order: { legacyResourceId: '8001' } }
+              : null
+          }
+        }
+      };
+    });
+    servers.push(server);
+    const tenant = tenantFor(server);
+
+    assert.deepEqual(await getFulfillmentOrder('gid://shopify/FulfillmentOrder/1', tenant),
+      { id: 'gid://shopify/FulfillmentOrder/1', status: 'on_hold', orderId: '8001' });
+    assert.equal(await getFulfillmentOrder('gid://shopify/FulfillmentOrder/2', tenant), null);
+  });
+});
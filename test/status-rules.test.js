@@ -0,0 +1,237 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  evaluateStatusRules,
+  validateStatusRules,
+  buildDefaultStatusRules,
+  DEFAULT_STATUS_RULES
+} from '../src/status-rules.js';
+
+// ==== STATUS RULES ====
+// One order fixture per status code through the default rules, then the
+// priorities between them, the 48-hour window the original worker used, and
+// custom rule lists.
+
+const NOW = Date.parse('2024-03-15T12:00:00Z');
+
+function hoursAgo(hours) {
+  return new Date(NOW - hours * 3600 * 1000).toISOString();
+}
+
+function order(fields = {}) {
+  return {
+    id: '1001',
+    name: '#1001',
+    email: 'customer@example.com',
+    created_at: hoursAgo(10),
+    closed_at: null,
+    cancelled_at: null,
+    tags: [],
+    fulfillment_status: null,
+    financial_status: 'paid',
+    fulfillments: [],
+    ...fields
+  };
+}
+
+function fulfillment(fields = {}) {
+  return {
+    id: '501',
+    status: 'success',
+    shipment_status: null,
+    tracking_company: 'UPS',
+    tracking_numbers: ['1Z999AA10123456784'],
+    tracking_urls: [],
+    created_at: hoursAgo(5),
+    updated_at: hoursAgo(5),
+    events: [],
+    line_items: [],
+    ...fields
+  };
+}
+
+function evaluate(fixture, rules = DEFAULT_STATUS_RULES, options = {}) {
+  return evaluateStatusRules(fixture, rules, { now: NOW, ...options });
+}
+
+// [status code, fixture, buttonsDisabled, disabledReasonCode]
+const STATUS_TABLE = [
+  ['cancelled', order({ cancelled_at: hoursAgo(2) }), true, 'cancelled'],
+  ['refunded', order({ financial_status: 'refunded' }), true, 'refunded'],
+  ['on_hold', order({ fulfillment_status: 'on_hold' }), true, 'on_hold'],
+  ['payment_pending', order({ financial_status: 'pending' }), false, 'payment_pending'],
+  ['partially_shipped', order({ fulfillment_status: 'partial', fulfillments: [fulfillment()] }), true, 'partially_shipped'],
+  ['delivered', order({ fulfillment_status: 'fulfilled', fulfillments: [fulfillment({ shipment_status: 'delivered' })] }), true, 'delivered'],
+  ['delivery_failed', order({ fulfillment_status: 'fulfilled', fulfillments: [fulfillment({ shipment_status: 'failure' })] }), true, 'delivery_failed'],
+  ['delivery_attempted', order({ fulfillment_status: 'fulfilled', fulfillments: [fulfillment({ shipment_status: 'attempted_delivery' })] }), true, 'delivery_attempted'],
+  ['out_for_delivery', order({ fulfillment_status: 'fulfilled', fulfillments: [fulfillment({ shipment_status: 'out_for_delivery' })] }), true, 'out_for_delivery'],
+  ['in_transit', order({ fulfillment_status: 'fulfilled', fulfillments: [fulfillment({ shipment_status: 'in_transit' })] }), true, 'in_transit'],
+  ['partially_refunded', order({ financial_status: 'partially_refunded' }), true, 'partially_refunded'],
+  ['processing', order(), false, null]
+];
+
+describe('default rules', () => {
+  for (const [statusCode, fixture, buttonsDisabled, disabledReasonCode] of STATUS_TABLE) {
+    test(statusCode, () => {
+      const result = evaluate(fixture);
+      assert.equal(result.statusCode, statusCode);
+      assert.equal(result.buttonsDisabled, buttonsDisabled);
+      assert.equal(result.disabledReasonCode, disabledReasonCode);
+      assert.equal(typeof result.status, 'string');
+    });
+  }
+
+  test('every built-in status has a fixture', () => {
+    const codes = new Set(DEFAULT_STATUS_RULES.map(rule => rule.code));
+    assert.deepEqual([...codes].sort(), STATUS_TABLE.map(([code]) => code).sort());
+  });
+
+  test('labels and reasons follow the locale; codes do not', () => {
+    const result = evaluate(STATUS_TABLE[0][1], DEFAULT_STATUS_RULES, { locale: 'fr' });
+    assert.equal(result.statusCode, 'cancelled');
+    assert.equal(result.status, 'Annulée');
+    assert.equal(result.disabledReason, 'Cette commande a été annulée');
+  });
+});
+
+describe('priorities', () => {
+  // [description, fixture, expected status code]
+  const PRIORITY_TABLE = [
+    ['cancellation beats delivery', order({ cancelled_at: hoursAgo(1), fulfillments: [fulfillment({ shipment_status: 'delivered' })] }), 'cancelled'],
+    ['a refund beats tracking', order({ financial_status: 'refunded', fulfillments: [fulfillment()] }), 'refunded'],
+    ['a hold beats an unpaid order', order({ fulfillment_status: 'on_hold', financial_status: 'pending' }), 'on_hold'],
+    ['a partial shipment beats the carrier status', order({ fulfillment_status: 'partial', fulfillments: [fulfillment({ shipment_status: 'delivered' })] }), 'partially_shipped'],
+    ['every package must be delivered', order({
+      fulfillment_status: 'fulfilled',
+      fulfillments: [fulfillment({ shipment_status: 'delivered' }), fulfillment({ id: '502', shipment_status: 'in_transit' })]
+    }), 'in_transit'],
+    ['one failed package fails the order', order({
+      fulfillment_status: 'fulfilled',
+      fulfillments: [fulfillment({ shipment_status: 'delivered' }), fulfillment({ id: '502', shipment_status: 'failure' })]
+    }), 'delivery_failed'],
+    ['a carrier exception fails the order', order({ fulfillment_status: 'fulfilled', fulfillments: [fulfillment({ shipment_status: 'exception' })] }), 'delivery_failed'],
+    ['shipping progress beats a partial refund', order({ financial_status: 'partially_refunded', fulfillments: [fulfillment()] }), 'in_transit'],
+    ['closed_at alone is not delivery', order({ closed_at: hoursAgo(1), fulfillments: [fulfillment()] }), 'in_transit'],
+    ['cancelled fulfillments are ignored', order({ fulfillments: [fulfillment({ status: 'cancelled', shipment_status: 'delivered' })] }), 'processing'],
+    ['the newest event counts without a shipment status', order({
+      fulfillments: [fulfillment({
+        events: [
+          { status: 'in_transit', happened_at: hoursAgo(4) },
+          { status: 'out_for_delivery', happened_at: hoursAgo(1) }
+        ]
+      })]
+    }), 'out_for_delivery']
+  ];
+
+  for (const [description, fixture, statusCode] of PRIORITY_TABLE) {
+    test(description, () => {
+      assert.equal(evaluate(fixture).statusCode, statusCode);
+    });
+  }
+});
+
+describe('processing window', () => {
+  // The original worker: tracking means in transit; otherwise processing for
+  // 48 hours, then in transit with the buttons disabled
+  const WINDOW_TABLE = [
+    [0, 'processing', false, null],
+    [47, 'processing', false, null],
+    [48, 'in_transit', true, 'processing_window_passed'],
+    [200, 'in_transit', true, 'processing_window_passed']
+  ];
+
+  for (const [ageHours, statusCode, buttonsDisabled, disabledReasonCode] of WINDOW_TABLE) {
+    test(`${ageHours} hours without tracking is ${statusCode}`, () => {
+      const result = evaluate(order({ created_at: hoursAgo(ageHours) }));
+      assert.equal(result.statusCode, statusCode);
+      assert.equal(result.buttonsDisabled, buttonsDisabled);
+      assert.equal(result.disabledReasonCode, disabledReasonCode);
+    });
+  }
+
+  test('tracking means in transit at any age', () => {
+    const result = evaluate(order({ created_at: hoursAgo(1), fulfillments: [fulfillment()] }));
+    assert.equal(result.statusCode, 'in_transit');
+    assert.equal(result.disabledReasonCode, 'in_transit');
+    assert.equal(result.trackingNumber, '1Z999AA10123456784');
+  });
+
+  test('the reason names the window', () => {
+    const result = evaluate(order({ created_at: hoursAgo(100) }));
+    assert.equal(result.disabledReason, 'Order is in transit (48+ business hours)');
+  });
+
+  test('a store setting changes the window', () => {
+    const rules = buildDefaultStatusRules({ processingWindowHours: 24 });
+    const result = evaluate(order({ created_at: hoursAgo(30) }), rules, {
+      processingDeadline: hoursAgo(6)
+    });
+    assert.equal(result.statusCode, 'in_transit');
+    assert.equal(result.disabledReason, 'Order is in transit (24+ business hours)');
+  });
+
+  test('a business-calendar deadline wins over wall-clock hours', () => {
+    const result = evaluate(order({ created_at: hoursAgo(60) }), DEFAULT_STATUS_RULES, {
+      processingDeadline: new Date(NOW + 3600 * 1000).toISOString()
+    });
+    assert.equal(result.statusCode, 'processing');
+  });
+});
+
+describe('custom rules', () => {
+  const preorder = {
+    name: 'preorder',
+    when: { tagsAny: ['Preorder'] },
+    code: 'preorder',
+    status: { en: 'Pre-order', fr: 'Précommande' },
+    buttonsDisabled: true,
+    disabledReason: 'Ships when back in stock'
+  };
+
+  test('match before the defaults', () => {
+    const result = evaluate(order({ tags: 'vip, preorder' }), [preorder, ...DEFAULT_STATUS_RULES], { locale: 'fr' });
+    assert.equal(result.statusCode, 'preorder');
+    assert.equal(result.status, 'Précommande');
+    assert.equal(result.disabledReasonCode, 'preorder');
+    assert.equal(result.rule, 'preorder');
+  });
+
+  test('fall through to the defaults when they do not match', () => {
+    assert.equal(evaluate(order(), [preorder]).statusCode, 'processing');
+  });
+
+  test('derive a code from the English label', () => {
+    const rule = { when: { tagsAll: ['backorder'] }, status: 'Awaiting Stock', buttonsDisabled: false };
+    assert.equal(evaluate(order({ tags: ['backorder'] }), [rule]).statusCode, 'awaiting_stock');
+  });
+
+  test('age conditions use wall-clock hours', () => {
+    const rule = { when: { minAgeHours: 24, maxAgeHours: 72 }, code: 'delayed', status: 'Delayed' };
+    assert.equal(evaluate(order({ created_at: hoursAgo(30) }), [rule]).statusCode, 'delayed');
+    assert.equal(evaluate(order({ created_at: hoursAgo(10) }), [rule]).statusCode, 'processing');
+  });
+
+  // [description, rules, expected problem (substring) or null]
+  const VALIDATION_TABLE = [
+    ['the defaults', DEFAULT_STATUS_RULES, null],
+    ['a custom rule', [preorder], null],
+    ['an empty list', [], 'non-empty array'],
+    ['a bad code', [{ code: 'Pre-Order', status: 'Pre-order' }], '.code must be'],
+    ['a missing label', [{ code: 'preorder' }], '.status must be'],
+    ['an unknown reason', [{ code: 'cancelled', reason: 'lost' }], 'not a known reason code'],
+    ['an unknown condition', [{ status: 'X', when: { colour: 'red' } }], 'unknown condition "colour"'],
+    ['a negative age', [{ status: 'X', when: { minAgeHours: -1 } }], 'minAgeHours must be'],
+    ['a tag list that is not a list', [{ status: 'X', when: { tagsAny: 'vip' } }], 'tagsAny must be an array']
+  ];
+
+  for (const [description, rules, problem] of VALIDATION_TABLE) {
+    test(`validation: ${description}`, () => {
+      const result = validateStatusRules(rules);
+      if (problem === null) {
+        assert.equal(result, null);
+      } else {
+        assert.ok(result && result.includes(problem), `expected "${problem}", got ${result}`);
+      }
+    });
+  }
+});
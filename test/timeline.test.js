@@ -0,0 +1,215 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import worker from '../src/index.js';
+import { buildOrderTimeline } from '../src/timeline.js';
+import { determineOrderStatus, DEFAULT_STATUS_RULES } from '../src/status-rules.js';
+import { OrderStatusStore, hashEmail } from '../src/order-store.js';
+import { VerificationStore } from '../src/verification.js';
+import { translate } from '../src/i18n.js';
+
+// ==== ORDER TIMELINE ====
+// Milestone order for a two-package order, then the timeline endpoint under
+// `code` verification, with and without a confirmed session.
+
+const tenant = {
+  shop: 'store.myshopify.com',
+  statusSettings: { processingWindowHours: 48 },
+  statusRules: DEFAULT_STATUS_RULES
+};
+
+function order(fields = {}) {
+  return {
+    id: '1001',
+    name: '#1001',
+    email: 'customer@example.com',
+    created_at: '2024-03-11T10:00:00Z',
+    processed_at: '2024-03-11T10:00:30Z',
+    cancelled_at: null,
+    fulfillment_status: 'fulfilled',
+    financial_status: 'paid',
+    tags: [],
+    transactions: [
+      { kind: 'sale', status: 'failure', processed_at: '2024-03-11T10:01:00Z' },
+      { kind: 'capture', status: 'success', processed_at: '2024-03-11T10:07:00Z' },
+      { kind: 'sale', status: 'success', processed_at: '2024-03-11T10:05:00Z' },
+      { kind: 'refund', status: 'success', processed_at: '2024-03-11T09:00:00Z' }
+    ],
+    fulfillments: [
+      {
+        id: '501',
+        status: 'success',
+        shipment_status: 'delivered',
+        tracking_company: 'UPS',
+        tracking_numbers: ['1Z999AA10000000001'],
+        tracking_urls: [],
+        created_at: '2024-03-12T09:00:00Z',
+        updated_at: '2024-03-14T12:00:00Z',
+        events: [
+          { status: 'in_transit', happened_at: '2024-03-13T08:00:00Z', message: 'Departed facility', location: 'Louisville, KY' },
+          { status: 'in_transit', happened_at: '2024-03-13T20:00:00Z', message: 'Arrived at facility', location: 'Newark, NJ' },
+          { status: 'out_for_delivery', happened_at: '2024-03-14T07:00:00Z', message: 'On vehicle', location: 'Newark, NJ' },
+          { status: 'delivered', happened_at: '2024-03-14T12:00:00Z', message: 'Front door', location: 'Newark, NJ' }
+        ],
+        line_items: []
+      },
+      {
+        id: '502',
+        status: 'success',
+        shipment_status: 'in_transit',
+        tracking_company: 'FedEx',
+        tracking_numbers: ['100000000001'],
+        tracking_urls: [],
+        created_at: '2024-03-12T15:00:00Z',
+        updated_at: '2024-03-13T09:00:00Z',
+        events: [
+          { status: 'in_transit', happened_at: '2024-03-13T09:00:00Z', message: 'Picked up', location: 'Memphis, TN' }
+        ],
+        line_items: []
+      }
+    ],
+    ...fields
+  };
+}
+
+function timeline(orderFields, locale) {
+  const o = order(orderFields);
+  return buildOrderTimeline(o, determineOrderStatus(o, tenant, locale), locale);
+}
+
+function steps(milestones) {
+  return milestones.map(m => [m.code, m.timestamp, m.shipmentId]);
+}
+
+describe('buildOrderTimeline', () => {
+  test('milestones are in time order across packages, repeats collapsed', () => {
+    assert.deepEqual(steps(timeline()), [
+      ['order_placed', '2024-03-11T10:00:00Z', null],
+      ['payment_captured', '2024-03-11T10:05:00Z', null],
+      ['fulfillment_created', '2024-03-12T09:00:00Z', '501'],
+      ['fulfillment_created', '2024-03-12T15:00:00Z', '502'],
+      ['in_transit', '2024-03-13T08:00:00Z', '501'],
+      ['in_transit', '2024-03-13T09:00:00Z', '502'],
+      ['out_for_delivery', '2024-03-14T07:00:00Z', '501'],
+      ['delivered', '2024-03-14T12:00:00Z', '501']
+    ]);
+  });
+
+  test('shipment milestones carry the checkpoint details', () => {
+    const inTransit = timeline().find(m => m.code === 'in_transit');
+    assert.deepEqual(inTransit, {
+      code: 'in_transit',
+      label: translate('en', 'milestones.in_transit'),
+      timestamp: '2024-03-13T08:00:00Z',
+      shipmentId: '501',
+      trackingNumber: '1Z999AA10000000001',
+      location: 'Louisville, KY',
+      description: 'Departed facility'
+    });
+  });
+
+  test('labels follow the locale', () => {
+    const [placed] = timeline({}, 'fr');
+    assert.equal(placed.label, translate('fr', 'milestones.order_placed'));
+    assert.notEqual(placed.label, translate('en', 'milestones.order_placed'));
+  });
+
+  // [description, order fields, payment_captured timestamp or null]
+  const PAYMENT_TABLE = [
+    ['without transactions a paid order falls back to processed_at', { transactions: undefined }, '2024-03-11T10:00:30Z'],
+    ['a pending order has no payment milestone', { transactions: [], financial_status: 'pending' }, null],
+    ['a failed sale is no capture', { transactions: [{ kind: 'sale', status: 'failure', processed_at: '2024-03-11T10:01:00Z' }], financial_status: 'pending' }, null]
+  ];
+
+  for (const [description, fields, paidAt] of PAYMENT_TABLE) {
+    test(description, () => {
+      const payment = timeline(fields).find(m => m.code === 'payment_captured');
+      assert.equal(payment ? payment.timestamp : null, paidAt);
+    });
+  }
+
+  test('a delivered package without a delivered event still gets one', () => {
+    const o = order();
+    o.fulfillments[0].events = o.fulfillments[0].events.filter(event => event.status !== 'delivered');
+    const milestones = buildOrderTimeline(o, determineOrderStatus(o, tenant));
+
+    assert.deepEqual(steps(milestones).at(-1), ['delivered', '2024-03-14T12:00:00Z', '501']);
+  });
+
+  test('a cancellation comes last, and unshipped orders have no shipment steps', () => {
+    const milestones = timeline({
+      fulfillment_status: null,
+      fulfillments: [],
+      cancelled_at: '2024-03-11T12:00:00Z'
+    });
+    assert.deepEqual(milestones.map(m => m.code), ['order_placed', 'payment_captured', 'cancelled']);
+  });
+});
+
+describe('timeline endpoint', () => {
+  function memoryKv() {
+    const values = new Map();
+    return {
+      async get(key, type) {
+        const value = values.has(key) ? values.get(key) : null;
+        return value !== null && type === 'json' ? JSON.parse(value) : value;
+      },
+      async put(key, value) {
+        values.set(key, value);
+      },
+      async delete(key) {
+        values.delete(key);
+      }
+    };
+  }
+
+  // A webhook-stored order under `code` verification, so no Shopify calls
+  async function codeEnv() {
+    const env = {
+      SHOPIFY_SHOP: tenant.shop,
+      SHOPIFY_ACCESS_TOKEN: 'token',
+      OWNERSHIP_VERIFICATION: 'code',
+      ORDER_STORE: memoryKv(),
+      VERIFICATIONS: memoryKv()
+    };
+    const { email, transactions, ...stored } = order();
+    await new OrderStatusStore(env.ORDER_STORE).put(tenant.shop, {
+      ...stored,
+      email: null,
+      email_hash: await hashEmail(email),
+      source: 'webhook'
+    });
+    return env;
+  }
+
+  async function getTimeline(env, headers = {}) {
+    const response = await worker.fetch(new Request(
+      'https://worker.example/v1/track/1001/timeline?email=customer@example.com', { headers }), env, {});
+    assert.equal(response.status, 200);
+    return (await response.json()).data.milestones;
+  }
+
+  test('without a session, tracking numbers, locations and descriptions are withheld', async () => {
+    const milestones = await getTimeline(await codeEnv());
+
+    // Stored orders have no transactions; payment falls back to processed_at
+    assert.deepEqual(steps(milestones), steps(timeline({ transactions: undefined })));
+    for (const m of milestones) {
+      assert.equal(m.trackingNumber, null, m.code);
+      assert.equal(m.location, null, m.code);
+      assert.equal(m.description, null, m.code);
+    }
+  });
+
+  test('a confirmed session sees them', async () => {
+    const env = await codeEnv();
+    const store = new VerificationStore(env.VERIFICATIONS);
+    const { challengeId, code } = await store.startChallenge(tenant.shop, { id: '1001', name: '#1001' }, await hashEmail('customer@example.com'));
+    const { sessionToken } = await store.confirmChallenge(tenant.shop, challengeId, code);
+
+    const milestones = await getTimeline(env, { 'X-Verification-Token': sessionToken });
+    const inTransit = milestones.find(m => m.code === 'in_transit');
+    assert.equal(inTransit.trackingNumber, '1Z999AA10000000001');
+    assert.equal(inTransit.location, 'Louisville, KY');
+    assert.equal(inTransit.description, 'Departed facility');
+  });
+});
@@ -0,0 +1,161 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+import { mintTrackingToken, verifyTrackingToken, getRevokedLinkStore } from '../src/tracking-links.js';
+
+// ==== TRACKING LINKS ====
+// Minting, verifying, rotating and revoking signed tracking tokens.
+
+function memoryKv() {
+  const values = new Map();
+  return {
+    async get(key) {
+      return values.has(key) ? values.get(key) : null;
+    },
+    async put(key, value) {
+      values.set(key, value);
+    }
+  };
+}
+
+const tenant = { shop: 'store.myshopify.com' };
+const order = { id: '820982911946154500', name: '#1001' };
+
+function linkEnv(fields = {}) {
+  return {
+    TRACKING_LINK_KEYS: JSON.stringify({ k1: 'first-secret' }),
+    TRACKING_LINKS: memoryKv(),
+    ...fields
+  };
+}
+
+async function rejects(token, env, code) {
+  await assert.rejects(verifyTrackingToken(token, env), error => error.code === code);
+}
+
+function base64Url(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+// A token signed by hand, with any key ID and HMAC secret
+function forgedToken(keyId, secret, claims = {}) {
+  const encodedClaims = base64Url(JSON.stringify({
+    shop: tenant.shop,
+    order: order.id,
+    name: order.name,
+    iat: Math.floor(Date.now() / 1000),
+    exp: Math.floor(Date.now() / 1000) + 3600,
+    jti: 'forged',
+    ...claims
+  }));
+  const signature = createHmac('sha256', secret).update(`${keyId}.${encodedClaims}`).digest('base64url');
+  return `${keyId}.${encodedClaims}.${signature}`;
+}
+
+describe('issuing and verifying', () => {
+  test('a minted token verifies to its order', async () => {
+    const env = linkEnv();
+    const { token, expiresAt } = await mintTrackingToken(order, tenant, env);
+    const claims = await verifyTrackingToken(token, env);
+
+    assert.match(token, /^k1\./);
+    assert.equal(claims.shop, tenant.shop);
+    assert.equal(claims.order, order.id);
+    assert.equal(claims.name, order.name);
+    assert.equal(new Date(claims.exp * 1000).toISOString(), expiresAt);
+  });
+
+  test('TRACKING_LINK_TTL_DAYS sets the lifetime', async () => {
+    const env = linkEnv({ TRACKING_LINK_TTL_DAYS: '2' });
+    const claims = await verifyTrackingToken((await mintTrackingToken(order, tenant, env)).token, env);
+    assert.equal(claims.exp - claims.iat, 2 * 24 * 60 * 60);
+  });
+
+  test('an expired token is refused', async t => {
+    const env = linkEnv({ TRACKING_LINK_TTL_DAYS: '1' });
+    const { token } = await mintTrackingToken(order, tenant, env);
+    const now = Date.now();
+    t.mock.method(Date, 'now', () => now + 25 * 60 * 60 * 1000);
+    await rejects(token, env, 'TRACKING_LINK_EXPIRED');
+  });
+
+  test('a tampered signature or claims are refused', async () => {
+    const env = linkEnv();
+    const { token } = await mintTrackingToken(order, tenant, env);
+    const [keyId, claims, signature] = token.split('.');
+    const otherClaims = base64Url(JSON.stringify({ ...JSON.parse(Buffer.from(claims, 'base64url')), order: '1' }));
+
+    await rejects(`${keyId}.${claims}.${signature.slice(0, -2)}AA`, env, 'INVALID_TRACKING_LINK');
+    await rejects(`${keyId}.${otherClaims}.${signature}`, env, 'INVALID_TRACKING_LINK');
+    await rejects(`${keyId}.${claims}`, env, 'INVALID_TRACKING_LINK');
+    await rejects(forgedToken('k1', 'wrong-secret'), env, 'INVALID_TRACKING_LINK');
+  });
+
+  // Key IDs that an object literal would inherit from Object.prototype
+  for (const [keyId, secret] of [['constructor', String(Object)], ['__proto__', String(Object.prototype)], ['toString', String(Object.prototype.toString)]]) {
+    test(`a "${keyId}" key ID is unknown`, async () => {
+      await rejects(forgedToken(keyId, secret), linkEnv(), 'INVALID_TRACKING_LINK');
+    });
+  }
+
+  test('without keys nothing is minted or verified', async () => {
+    await assert.rejects(mintTrackingToken(order, tenant, {}), error => error.code === 'TRACKING_LINKS_NOT_CONFIGURED');
+    await assert.rejects(verifyTrackingToken('a.b.c', {}), error => error.code === 'TRACKING_LINKS_NOT_CONFIGURED');
+  });
+});
+
+describe('key rotation', () => {
+  test('tokens signed with the old key still verify', async () => {
+    const before = linkEnv();
+    const { token: oldToken } = await mintTrackingToken(order, tenant, before);
+
+    const rotated = {
+      ...before,
+      TRACKING_LINK_KEYS: JSON.stringify({ k1: 'first-secret', k2: 'second-secret' }),
+      TRACKING_LINK_KEY_ID: 'k2'
+    };
+    const { token: newToken } = await mintTrackingToken(order, tenant, rotated);
+
+    assert.match(newToken, /^k2\./);
+    assert.equal((await verifyTrackingToken(oldToken, rotated)).order, order.id);
+    assert.equal((await verifyTrackingToken(newToken, rotated)).order, order.id);
+  });
+
+  test('dropping the old key retires its tokens', async () => {
+    const { token } = await mintTrackingToken(order, tenant, linkEnv());
+    await rejects(token, linkEnv({ TRACKING_LINK_KEYS: JSON.stringify({ k2: 'second-secret' }) }), 'INVALID_TRACKING_LINK');
+  });
+
+  test('a TRACKING_LINK_KEY_ID that is not listed is a configuration error', async () => {
+    const env = linkEnv({ TRACKING_LINK_KEY_ID: 'constructor' });
+    await assert.rejects(mintTrackingToken(order, tenant, env), error => error.code === 'TRACKING_LINKS_NOT_CONFIGURED');
+  });
+});
+
+describe('revocation', () => {
+  test('revoking a token leaves the order\'s other tokens working', async () => {
+    const env = linkEnv();
+    const { token: revoked } = await mintTrackingToken(order, tenant, env);
+    const { token: kept } = await mintTrackingToken(order, tenant, env);
+
+    await getRevokedLinkStore(env).revokeToken(await verifyTrackingToken(revoked, env));
+
+    await rejects(revoked, env, 'TRACKING_LINK_REVOKED');
+    assert.equal((await verifyTrackingToken(kept, env)).order, order.id);
+  });
+
+  test('revoking an order fails every token issued up to then', async t => {
+    const env = linkEnv();
+    const { token: first } = await mintTrackingToken(order, tenant, env);
+    const { token: otherOrder } = await mintTrackingToken({ id: '2', name: '#1002' }, tenant, env);
+
+    await getRevokedLinkStore(env).revokeOrder(tenant.shop, order.id);
+    await rejects(first, env, 'TRACKING_LINK_REVOKED');
+    assert.equal((await verifyTrackingToken(otherOrder, env)).order, '2');
+
+    const now = Date.now();
+    t.mock.method(Date, 'now', () => now + 5000);
+    const { token: later } = await mintTrackingToken(order, tenant, env);
+    assert.equal((await verifyTrackingToken(later, env)).order, order.id);
+  });
+});
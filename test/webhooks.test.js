@@ -0,0 +1,114 @@
+import { test, describe, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+import worker from '../src/index.js';
+import { OrderStatusStore } from '../src/order-store.js';
+import { startStubServer } from './helpers/stub-server.js';
+
+// ==== SHOPIFY WEBHOOKS ====
+// Signature checks per store, and hold webhooks resolved through a stub
+// Admin API into the order store.
+
+function memoryKv() {
+  const values = new Map();
+  return {
+    async get(key, type) {
+      const value = values.has(key) ? values.get(key) : null;
+      return value !== null && type === 'json' ? JSON.parse(value) : value;
+    },
+    async put(key, value) {
+      values.set(key, value);
+    },
+    async delete(key) {
+      values.delete(key);
+    }
+  };
+}
+
+const shopify = await startStubServer(() => ({
+  body: {
+    data: {
+      fulfillmentOrder: { id: 'gid://shopify/FulfillmentOrder/9', status: 'ON_HOLD', order: { legacyResourceId: '1001' } }
+    }
+  }
+}));
+
+after(async () => {
+  await shopify.close();
+});
+
+function webhookEnv() {
+  return {
+    SHOPIFY_API_SECRET: 'app-secret',
+    SHOPIFY_ADMIN_BASE_URL: `${shopify.url}/{shop}`,
+    STORE_B_WEBHOOK_SECRET: 'store-b-secret',
+    TENANTS_CONFIG: JSON.stringify([
+      { id: 'store-a', shop: 'store-a.myshopify.com', accessToken: 'token-a' },
+      { id: 'store-b', shop: 'store-b.myshopify.com', accessToken: 'token-b', webhookSecretName: 'STORE_B_WEBHOOK_SECRET' }
+    ]),
+    ORDER_STORE: memoryKv()
+  };
+}
+
+function deliver(env, shop, topic, payload, secret) {
+  const body = JSON.stringify(payload);
+  return worker.fetch(new Request('https://worker.example/v1/webhooks/shopify', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Shopify-Topic': topic,
+      'X-Shopify-Shop-Domain': shop,
+      'X-Shopify-Hmac-Sha256': createHmac('sha256', secret).update(body).digest('base64')
+    },
+    body
+  }), env, {});
+}
+
+const orderPayload = {
+  id: 1001,
+  name: '#1001',
+  email: 'customer@example.com',
+  created_at: '2024-03-11T10:00:00Z',
+  updated_at: '2024-03-12T10:00:00Z',
+  fulfillment_status: null,
+  fulfillments: []
+};
+
+describe('signatures', () => {
+  // [description, shop, signing secret, expected status]
+  const SIGNATURE_TABLE = [
+    ['a store on its own app, with its secret', 'store-b.myshopify.com', 'store-b-secret', 200],
+    ['a store on its own app, with the app secret', 'store-b.myshopify.com', 'app-secret', 401],
+    ['a store without its own secret, with the app secret', 'store-a.myshopify.com', 'app-secret', 200],
+    ['a store without its own secret, with another store\'s', 'store-a.myshopify.com', 'store-b-secret', 401],
+    ['an unknown shop, with the app secret', 'elsewhere.myshopify.com', 'app-secret', 200]
+  ];
+
+  for (const [description, shop, secret, status] of SIGNATURE_TABLE) {
+    test(description, async () => {
+      const response = await deliver(webhookEnv(), shop, 'orders/updated', orderPayload, secret);
+      assert.equal(response.status, status);
+    });
+  }
+
+  test('the store\'s webhooks reach the order store', async () => {
+    const env = webhookEnv();
+    await deliver(env, 'store-b.myshopify.com', 'orders/updated', orderPayload, 'store-b-secret');
+    assert.equal((await new OrderStatusStore(env.ORDER_STORE).get('store-b.myshopify.com', '1001')).name, '#1001');
+  });
+});
+
+describe('holds', () => {
+  test('a hold webhook is looked up in Shopify and recorded', async () => {
+    const env = webhookEnv();
+    const response = await deliver(env, 'store-a.myshopify.com', 'fulfillment_orders/placed_on_hold',
+      { fulfillment_order: { id: 'gid://shopify/FulfillmentOrder/9', status: 'on_hold' } }, 'app-secret');
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(await new OrderStatusStore(env.ORDER_STORE).getHolds('store-a.myshopify.com', '1001'),
+      ['gid://shopify/FulfillmentOrder/9']);
+    const lookup = JSON.parse(shopify.requests.at(-1).body);
+    assert.equal(lookup.variables.id, 'gid://shopify/FulfillmentOrder/9');
+    assert.equal(shopify.requests.at(-1).headers['x-shopify-access-token'], 'token-a');
+  });
+});